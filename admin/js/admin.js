@@ -3163,6 +3163,9 @@ function initInboxWebSocket() {
         return; // Already connected
     }
 
+    // The server only accepts authenticated sockets
+    if (!authToken) return;
+
     const wsProtocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
     const wsUrl = `${wsProtocol}//${window.location.host}/ws`;
 
@@ -3173,13 +3176,11 @@ function initInboxWebSocket() {
             console.log('WebSocket connected');
             inboxReconnectAttempts = 0;
 
-            // Authenticate if logged in
-            if (authToken) {
-                inboxSocket.send(JSON.stringify({
-                    type: 'authenticate',
-                    token: authToken
-                }));
-            }
+            // First frame must authenticate the socket
+            inboxSocket.send(JSON.stringify({
+                type: 'authenticate',
+                token: authToken
+            }));
         };
 
         inboxSocket.onmessage = (event) => {
@@ -3191,10 +3192,13 @@ function initInboxWebSocket() {
             }
         };
 
-        inboxSocket.onclose = () => {
+        inboxSocket.onclose = (event) => {
             console.log('WebSocket disconnected');
             inboxSocket = null;
 
+            // Token rejected - reconnecting won't help
+            if (event.code === 4401) return;
+
             // Reconnect if still on inbox page
             if (window.location.hash === '#inbox' && inboxReconnectAttempts < MAX_RECONNECT_ATTEMPTS) {
                 inboxReconnectAttempts++;
@@ -3210,10 +3214,31 @@ function initInboxWebSocket() {
     }
 }
 
+// Tell the server the agent is at the inbox (at most once a minute) so they
+// don't show as away while reading and typing
+const INBOX_ACTIVITY_INTERVAL = 60 * 1000;
+let lastInboxActivity = 0;
+
+function reportInboxActivity() {
+    if (!inboxSocket || inboxSocket.readyState !== WebSocket.OPEN) return;
+
+    const now = Date.now();
+    if (now - lastInboxActivity < INBOX_ACTIVITY_INTERVAL) return;
+
+    lastInboxActivity = now;
+    inboxSocket.send(JSON.stringify({ type: 'activity' }));
+}
+
+['keydown', 'mousedown', 'mousemove', 'touchstart', 'wheel'].forEach(eventName => {
+    document.addEventListener(eventName, reportInboxActivity, { passive: true });
+});
+
 function handleInboxWebSocketMessage(data) {
     switch (data.type) {
         case 'connected':
             console.log('Inbox WebSocket ready:', data.clientId);
+            // Follow every channel; the server filters by permission
+            inboxSocket.send(JSON.stringify({ type: 'subscribe', channels: ['*'] }));
             break;
 
         case 'new_message':
@@ -3231,27 +3256,56 @@ function handleInboxWebSocketMessage(data) {
             updateUnreadBadge(1);
             break;
 
-        case 'whatsapp_qr':
+        case 'channel_status':
+            handleChannelStatus(data);
+            break;
+
+        case 'typing':
+            showTypingIndicator(data.conversationId, data.isTyping);
+            break;
+
+        case 'status_update':
+            updateMessageStatus(data.messageId, data.status);
+            break;
+
+        default:
+            console.log('Unknown WebSocket message:', data.type);
+    }
+}
+
+function handleChannelStatus(data) {
+    const platformNames = { whatsapp: 'WhatsApp', facebook: 'Messenger', instagram: 'Instagram' };
+    const name = platformNames[data.platform] || data.platform;
+
+    switch (data.status) {
+        case 'qr':
             // Update QR code display
-            updateWhatsAppQR(data.channelId, data.qrCode);
+            updateWhatsAppQR(data.channelId, data.qr);
             break;
 
-        case 'whatsapp_ready':
-            showToast('WhatsApp connected successfully!', 'success');
+        case 'ready':
+            showToast(`${name} connected successfully!`, 'success');
             // Refresh channels list
             if (typeof loadChannels === 'function') loadChannels();
             break;
 
-        case 'whatsapp_disconnected':
-            showToast('WhatsApp disconnected: ' + data.reason, 'warning');
+        case 'disconnected':
+            showToast(`${name} disconnected: ${data.reason}`, 'warning');
             break;
 
-        case 'typing':
-            showTypingIndicator(data.conversationId, data.isTyping);
+        case 'auth_failure':
+            showToast(`${name} authentication failed`, 'error');
             break;
 
-        default:
-            console.log('Unknown WebSocket message:', data.type);
+        case 'needs_qr':
+            showToast(`${name} session expired - reconnect and scan the QR code again`, 'warning');
+            if (typeof loadChannels === 'function') loadChannels();
+            break;
+
+        case 'failed':
+            showToast(`${name} could not reconnect: ${data.reason}`, 'error');
+            if (typeof loadChannels === 'function') loadChannels();
+            break;
     }
 }
 
@@ -3316,6 +3370,24 @@ function updateWhatsAppQR(channelId, qrCode) {
     }
 }
 
+function messageStatusIcon(status) {
+    switch (status) {
+        case 'pending': return '<i class="fas fa-clock message-status" title="Sending"></i>';
+        case 'sent': return '<i class="fas fa-check message-status" title="Sent"></i>';
+        case 'delivered': return '<i class="fas fa-check-double message-status" title="Delivered"></i>';
+        case 'read': return '<i class="fas fa-check-double message-status read" title="Read"></i>';
+        case 'failed': return '<i class="fas fa-exclamation-circle message-status failed" title="Failed"></i>';
+        default: return '';
+    }
+}
+
+function updateMessageStatus(messageId, status) {
+    const icon = document.querySelector(`.chat-message[data-message-id="${messageId}"] .message-status`);
+    if (icon) {
+        icon.outerHTML = messageStatusIcon(status);
+    }
+}
+
 function showTypingIndicator(conversationId, isTyping) {
     const indicator = document.getElementById('typing-indicator');
     if (indicator) {
@@ -3462,12 +3534,12 @@ function renderChatArea(conversation, messages) {
             `;
         } else {
             chatMessages.innerHTML = messages.map(msg => `
-                <div class="chat-message ${msg.direction}">
+                <div class="chat-message ${msg.direction}" data-message-id="${msg.uuid}">
                     <div class="message-bubble">
                         <p>${escapeHtml(msg.content)}</p>
                         <span class="message-time">
                             ${formatMessageTime(msg.created_at)}
-                            ${msg.direction === 'outgoing' ? '<i class="fas fa-check-double"></i>' : ''}
+                            ${msg.direction === 'outgoing' ? messageStatusIcon(msg.status) : ''}
                         </span>
                     </div>
                 </div>
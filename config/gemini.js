@@ -473,8 +473,8 @@ export async function trackUsage(usage) {
 
         await query(
             `INSERT INTO api_usage (user_id, service, operation, model, input_tokens, output_tokens, 
-             images_generated, base_cost, markup_percent, total_cost, response_summary) 
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+             images_generated, base_cost, markup_percent, total_cost, request_data, response_summary) 
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
             [
                 usage.userId || null,
                 'gemini',
@@ -486,6 +486,7 @@ export async function trackUsage(usage) {
                 baseCost,
                 markupPercent,
                 totalCost,
+                usage.requestData ? JSON.stringify(usage.requestData) : null,
                 usage.summary || null
             ]
         );
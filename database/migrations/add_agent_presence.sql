@@ -0,0 +1,14 @@
+-- =====================================================
+-- Agent Presence
+-- Online/away/busy/offline worked out from WebSocket connections,
+-- manual away/busy and last activity for load balancing
+-- =====================================================
+
+-- is_online stays the "can take new conversations" flag (presence = online)
+ALTER TABLE agents
+    ADD COLUMN IF NOT EXISTS presence ENUM('online', 'away', 'busy', 'offline') DEFAULT 'offline' AFTER is_online,
+    ADD COLUMN IF NOT EXISTS manual_presence ENUM('away', 'busy') NULL AFTER presence,
+    ADD COLUMN IF NOT EXISTS last_activity_at TIMESTAMP NULL AFTER manual_presence,
+    ADD INDEX IF NOT EXISTS idx_presence (presence);
+
+UPDATE agents SET presence = 'online' WHERE is_online = 1 AND presence = 'offline';
@@ -0,0 +1,28 @@
+-- =====================================================
+-- Automatic Conversation Assignment
+-- Per-channel strategy, agent pools and per-agent chat caps
+-- =====================================================
+
+-- How new conversations on a channel are distributed
+ALTER TABLE channels
+    ADD COLUMN IF NOT EXISTS assignment_strategy ENUM('manual', 'round_robin', 'least_open') DEFAULT 'manual' AFTER status;
+
+-- Chat cap and round-robin position per agent
+ALTER TABLE agents
+    ADD COLUMN IF NOT EXISTS max_concurrent_chats INT DEFAULT 5 AFTER is_online,
+    ADD COLUMN IF NOT EXISTS last_assigned_at TIMESTAMP NULL AFTER max_concurrent_chats;
+
+-- When the current assignee took the conversation (to detect unanswered handovers)
+ALTER TABLE conversations
+    ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMP NULL AFTER assigned_agent_id;
+
+-- Agent pools - when a channel has members, only they receive its conversations
+CREATE TABLE IF NOT EXISTS channel_agents (
+    channel_id INT NOT NULL,
+    agent_id INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (channel_id, agent_id),
+    FOREIGN KEY (channel_id) REFERENCES channels(id) ON DELETE CASCADE,
+    FOREIGN KEY (agent_id) REFERENCES agents(id) ON DELETE CASCADE,
+    INDEX idx_agent (agent_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,15 @@
+-- =====================================================
+-- AI Auto-responder
+-- Optional bot per channel answering first-contact conversations,
+-- handing off to a human when it can't help
+-- =====================================================
+
+ALTER TABLE channels
+    ADD COLUMN IF NOT EXISTS bot_enabled BOOLEAN DEFAULT FALSE AFTER assignment_strategy,
+    ADD COLUMN IF NOT EXISTS bot_confidence_threshold DECIMAL(3,2) DEFAULT 0.60 AFTER bot_enabled;
+
+-- 'bot' = the bot owns the conversation; handoff moves it to 'active' for agents
+ALTER TABLE conversations
+    MODIFY COLUMN status ENUM('active', 'pending', 'resolved', 'archived', 'bot') DEFAULT 'active',
+    ADD COLUMN IF NOT EXISTS bot_handoff_reason VARCHAR(50) NULL AFTER status,
+    ADD COLUMN IF NOT EXISTS bot_handoff_at TIMESTAMP NULL AFTER bot_handoff_reason;
@@ -0,0 +1,78 @@
+-- =====================================================
+-- WhatsApp Broadcasts
+-- Contact lists built from conversations, labels or CSV uploads,
+-- throttled broadcast jobs and per-recipient delivery tracking;
+-- contacts who reply STOP are unsubscribed
+-- =====================================================
+
+ALTER TABLE contacts
+    ADD COLUMN IF NOT EXISTS unsubscribed_at TIMESTAMP NULL AFTER avatar,
+    ADD COLUMN IF NOT EXISTS unsubscribe_source VARCHAR(50) NULL AFTER unsubscribed_at; -- keyword, manual
+
+CREATE TABLE IF NOT EXISTS contact_lists (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    uuid VARCHAR(36) UNIQUE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    description VARCHAR(255),
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES agents(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS contact_list_members (
+    list_id INT NOT NULL,
+    contact_id INT NOT NULL,
+    source VARCHAR(20), -- conversation, label, csv
+    added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (list_id, contact_id),
+    FOREIGN KEY (list_id) REFERENCES contact_lists(id) ON DELETE CASCADE,
+    FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE CASCADE,
+    INDEX idx_contact (contact_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS broadcasts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    uuid VARCHAR(36) UNIQUE NOT NULL,
+    name VARCHAR(150) NOT NULL,
+    channel_id INT NOT NULL,
+    list_id INT NULL,
+    content TEXT, -- Template with {{contact_name}} style variables
+    media_url VARCHAR(500),
+    status ENUM('draft', 'scheduled', 'sending', 'paused', 'completed', 'cancelled') DEFAULT 'draft',
+    scheduled_at TIMESTAMP NULL,
+    started_at TIMESTAMP NULL,
+    completed_at TIMESTAMP NULL,
+    last_error VARCHAR(500),
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (channel_id) REFERENCES channels(id) ON DELETE CASCADE,
+    FOREIGN KEY (list_id) REFERENCES contact_lists(id) ON DELETE SET NULL,
+    FOREIGN KEY (created_by) REFERENCES agents(id) ON DELETE SET NULL,
+    INDEX idx_status (status, scheduled_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Recipients are fixed when the broadcast starts
+CREATE TABLE IF NOT EXISTS broadcast_recipients (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    broadcast_id INT NOT NULL,
+    contact_id INT NOT NULL,
+    recipient VARCHAR(100), -- WhatsApp chat ID or phone digits
+    conversation_id INT NULL,
+    message_id INT NULL,
+    status ENUM('pending', 'sent', 'delivered', 'read', 'failed', 'skipped') DEFAULT 'pending',
+    error VARCHAR(500),
+    sent_at TIMESTAMP NULL,
+    delivered_at TIMESTAMP NULL,
+    read_at TIMESTAMP NULL,
+    replied_at TIMESTAMP NULL,
+    FOREIGN KEY (broadcast_id) REFERENCES broadcasts(id) ON DELETE CASCADE,
+    FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE CASCADE,
+    FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE SET NULL,
+    FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE SET NULL,
+    UNIQUE KEY unique_recipient (broadcast_id, contact_id),
+    INDEX idx_pending (broadcast_id, status),
+    INDEX idx_message (message_id),
+    INDEX idx_conversation (conversation_id, replied_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
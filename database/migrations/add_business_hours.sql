@@ -0,0 +1,32 @@
+-- =====================================================
+-- Business Hours & Away Replies
+-- Opening hours per channel (with holidays) and the automatic
+-- reply sent to customers who write outside them
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS channel_business_hours (
+    channel_id INT PRIMARY KEY,
+    timezone VARCHAR(64) DEFAULT 'Asia/Dubai',
+    weekly_hours JSON NOT NULL, -- { "sunday": [{ "open": "09:00", "close": "18:00" }], ... }
+    away_enabled BOOLEAN DEFAULT FALSE,
+    away_messages JSON, -- { "en": "...", "ar": "..." }
+    default_language VARCHAR(10) DEFAULT 'en',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (channel_id) REFERENCES channels(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Whole days the channel is closed (local date in the schedule's timezone)
+CREATE TABLE IF NOT EXISTS channel_holidays (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    channel_id INT NOT NULL,
+    date DATE NOT NULL,
+    name VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (channel_id) REFERENCES channels(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_channel_date (channel_id, date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- One away reply per closed period: no new one until the channel has reopened
+ALTER TABLE conversations
+    ADD COLUMN IF NOT EXISTS away_reply_until TIMESTAMP NULL AFTER assigned_at;
@@ -0,0 +1,73 @@
+-- =====================================================
+-- Unified Contacts
+-- One contact per person across WhatsApp, Messenger, Instagram and the
+-- website forms, with an identity per platform handle, phone and email
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS contacts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    uuid VARCHAR(36) UNIQUE NOT NULL,
+    name VARCHAR(255),
+    email VARCHAR(255), -- Primary email (all emails are identities)
+    phone VARCHAR(50), -- Primary phone, digits with country code
+    company VARCHAR(255),
+    country VARCHAR(100),
+    avatar VARCHAR(500),
+    merged_into_id INT NULL, -- Set while this contact is merged into another
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (merged_into_id) REFERENCES contacts(id) ON DELETE SET NULL,
+    INDEX idx_email (email),
+    INDEX idx_phone (phone),
+    INDEX idx_name (name)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Ways a contact reaches us; each handle belongs to one contact
+CREATE TABLE IF NOT EXISTS contact_identities (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    contact_id INT NOT NULL,
+    type ENUM('whatsapp', 'facebook', 'instagram', 'phone', 'email') NOT NULL,
+    identifier VARCHAR(255) NOT NULL, -- conversations.contact_identifier, phone digits or lower-case email
+    source VARCHAR(50), -- conversation, contact_form, gulfood, manual
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_identity (type, identifier),
+    INDEX idx_contact (contact_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Merge log, with what was moved so a merge can be undone
+CREATE TABLE IF NOT EXISTS contact_merges (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    target_contact_id INT NOT NULL,
+    source_contact_id INT NOT NULL,
+    moved JSON, -- { identities, conversations, submissions, registrations } IDs
+    merged_by INT,
+    unmerged_at TIMESTAMP NULL,
+    unmerged_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (target_contact_id) REFERENCES contacts(id) ON DELETE CASCADE,
+    FOREIGN KEY (source_contact_id) REFERENCES contacts(id) ON DELETE CASCADE,
+    FOREIGN KEY (merged_by) REFERENCES agents(id) ON DELETE SET NULL,
+    FOREIGN KEY (unmerged_by) REFERENCES agents(id) ON DELETE SET NULL,
+    INDEX idx_target (target_contact_id),
+    INDEX idx_source (source_contact_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Link conversations and form entries to their contact
+ALTER TABLE conversations
+    ADD COLUMN IF NOT EXISTS contact_id INT NULL AFTER contact_identifier,
+    ADD INDEX IF NOT EXISTS idx_contact (contact_id),
+    ADD CONSTRAINT IF NOT EXISTS fk_conversations_contact FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE SET NULL;
+
+ALTER TABLE contact_submissions
+    ADD COLUMN IF NOT EXISTS contact_id INT NULL AFTER uuid,
+    ADD INDEX IF NOT EXISTS idx_contact (contact_id),
+    ADD CONSTRAINT IF NOT EXISTS fk_submissions_contact FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE SET NULL;
+
+ALTER TABLE gulfood_registrations
+    ADD COLUMN IF NOT EXISTS contact_id INT NULL AFTER uuid,
+    ADD INDEX IF NOT EXISTS idx_contact (contact_id),
+    ADD CONSTRAINT IF NOT EXISTS fk_registrations_contact FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE SET NULL;
+
+-- Existing conversations and form entries are linked with
+-- POST /api/contacts/sync after running this migration
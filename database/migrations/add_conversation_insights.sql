@@ -0,0 +1,13 @@
+-- =====================================================
+-- Conversation Insights
+-- AI summary, intent and sentiment generated when a conversation is
+-- resolved or handed over to another agent
+-- =====================================================
+
+ALTER TABLE conversations
+    ADD COLUMN IF NOT EXISTS summary TEXT AFTER notes,
+    ADD COLUMN IF NOT EXISTS intent ENUM('quote_request', 'shipping_status', 'partnership', 'complaint', 'spam', 'other') NULL AFTER summary,
+    ADD COLUMN IF NOT EXISTS sentiment DECIMAL(3,2) NULL AFTER intent, -- -1.00 (negative) to 1.00 (positive)
+    ADD COLUMN IF NOT EXISTS insights_at TIMESTAMP NULL AFTER sentiment,
+    ADD INDEX IF NOT EXISTS idx_intent (intent),
+    ADD INDEX IF NOT EXISTS idx_sentiment (sentiment);
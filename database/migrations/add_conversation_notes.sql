@@ -0,0 +1,42 @@
+-- =====================================================
+-- Internal Notes
+-- Private notes thread per conversation (never sent to the customer)
+-- with @mentions and edit/delete history
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS conversation_notes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    uuid VARCHAR(36) UNIQUE NOT NULL,
+    conversation_id INT NOT NULL,
+    agent_id INT, -- Author
+    content TEXT NOT NULL,
+    mentions JSON, -- IDs of mentioned agents
+    is_deleted BOOLEAN DEFAULT FALSE,
+    edited_at TIMESTAMP NULL,
+    deleted_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+    FOREIGN KEY (agent_id) REFERENCES agents(id) ON DELETE SET NULL,
+    INDEX idx_conversation (conversation_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Previous versions of edited/deleted notes
+CREATE TABLE IF NOT EXISTS conversation_note_revisions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    note_id INT NOT NULL,
+    action ENUM('edit', 'delete') NOT NULL,
+    content TEXT NOT NULL, -- Content before the change
+    agent_id INT, -- Who made the change
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (note_id) REFERENCES conversation_notes(id) ON DELETE CASCADE,
+    FOREIGN KEY (agent_id) REFERENCES agents(id) ON DELETE SET NULL,
+    INDEX idx_note (note_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Carry over the old single notes field as the first note of each thread
+INSERT INTO conversation_notes (uuid, conversation_id, content, created_at)
+SELECT UUID(), c.id, c.notes, c.updated_at
+FROM conversations c
+WHERE c.notes IS NOT NULL AND c.notes <> ''
+  AND NOT EXISTS (SELECT 1 FROM conversation_notes n WHERE n.conversation_id = c.id);
@@ -0,0 +1,13 @@
+-- =====================================================
+-- Inbox Reports
+-- When conversations were resolved (resolution time) and
+-- indexes for the date-range report queries
+-- =====================================================
+
+ALTER TABLE conversations
+    ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMP NULL AFTER status,
+    ADD INDEX IF NOT EXISTS idx_created (created_at),
+    ADD INDEX IF NOT EXISTS idx_resolved (resolved_at);
+
+-- Best guess for conversations resolved before this column existed
+UPDATE conversations SET resolved_at = updated_at WHERE status = 'resolved' AND resolved_at IS NULL;
@@ -0,0 +1,24 @@
+-- =====================================================
+-- Outbound Message Queue
+-- Durable outbox for agent replies, retried while a channel is offline
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS message_outbox (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    message_id INT NOT NULL,
+    conversation_id INT NOT NULL,
+    channel_id INT NOT NULL,
+    status ENUM('queued', 'processing', 'sent', 'failed') DEFAULT 'queued',
+    attempts INT DEFAULT 0,
+    max_attempts INT DEFAULT 5,
+    next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE CASCADE,
+    FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+    FOREIGN KEY (channel_id) REFERENCES channels(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_message (message_id),
+    INDEX idx_status_next (status, next_attempt_at),
+    INDEX idx_conversation_order (conversation_id, id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,6 @@
+-- =====================================================
+-- Message Search
+-- FULLTEXT index for searching message history
+-- =====================================================
+
+ALTER TABLE messages ADD FULLTEXT INDEX IF NOT EXISTS ft_content (content);
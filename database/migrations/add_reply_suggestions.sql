@@ -0,0 +1,21 @@
+-- =====================================================
+-- AI Reply Suggestions
+-- Replies suggested to agents, kept so a sent suggestion can be
+-- traced back (messages.metadata.ai) and acceptance measured
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS reply_suggestions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    uuid VARCHAR(36) UNIQUE NOT NULL,
+    conversation_id INT NOT NULL,
+    agent_id INT, -- Agent who asked for suggestions
+    content TEXT NOT NULL,
+    language VARCHAR(10),
+    model VARCHAR(100),
+    message_id INT NULL, -- Message it was sent as
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+    FOREIGN KEY (agent_id) REFERENCES agents(id) ON DELETE SET NULL,
+    FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE SET NULL,
+    INDEX idx_conversation (conversation_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
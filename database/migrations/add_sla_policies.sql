@@ -0,0 +1,60 @@
+-- =====================================================
+-- SLA Policies
+-- First/next response targets per channel or label (optionally
+-- counted in business hours), the current SLA state of each
+-- conversation and the history of breaches for reporting
+-- =====================================================
+
+-- A policy with neither a channel nor a label applies to every conversation;
+-- the most specific matching policy wins (label + channel, label, channel, any)
+-- A label can't be deleted while a policy is scoped to it
+CREATE TABLE IF NOT EXISTS sla_policies (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    uuid VARCHAR(36) UNIQUE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    channel_id INT NULL,
+    label_id INT NULL,
+    first_response_minutes INT NOT NULL,
+    next_response_minutes INT NULL,
+    business_hours_only BOOLEAN DEFAULT TRUE,
+    at_risk_percent TINYINT DEFAULT 75,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (channel_id) REFERENCES channels(id) ON DELETE CASCADE,
+    FOREIGN KEY (label_id) REFERENCES labels(id) ON DELETE RESTRICT,
+    FOREIGN KEY (created_by) REFERENCES agents(id) ON DELETE SET NULL,
+    INDEX idx_active (is_active)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Current SLA clock of a conversation waiting for a reply (NULL = no clock running)
+ALTER TABLE conversations
+    ADD COLUMN IF NOT EXISTS sla_policy_id INT NULL AFTER resolved_at,
+    ADD COLUMN IF NOT EXISTS sla_target ENUM('first_response', 'next_response') NULL AFTER sla_policy_id,
+    ADD COLUMN IF NOT EXISTS sla_state ENUM('ok', 'at_risk', 'breached') NULL AFTER sla_target,
+    ADD COLUMN IF NOT EXISTS sla_due_at TIMESTAMP NULL AFTER sla_state,
+    ADD INDEX IF NOT EXISTS idx_sla_state (sla_state),
+    ADD CONSTRAINT IF NOT EXISTS fk_conversations_sla_policy FOREIGN KEY (sla_policy_id) REFERENCES sla_policies(id) ON DELETE SET NULL;
+
+-- One row per missed target (a customer message left unanswered past its due time)
+CREATE TABLE IF NOT EXISTS sla_breaches (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    conversation_id INT NOT NULL,
+    policy_id INT NULL,
+    channel_id INT NULL,
+    agent_id INT NULL,
+    target ENUM('first_response', 'next_response') NOT NULL,
+    waiting_since TIMESTAMP NOT NULL,
+    due_at TIMESTAMP NOT NULL,
+    breached_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    responded_at TIMESTAMP NULL,
+    closed_at TIMESTAMP NULL,
+    FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+    FOREIGN KEY (policy_id) REFERENCES sla_policies(id) ON DELETE SET NULL,
+    FOREIGN KEY (channel_id) REFERENCES channels(id) ON DELETE SET NULL,
+    FOREIGN KEY (agent_id) REFERENCES agents(id) ON DELETE SET NULL,
+    UNIQUE KEY unique_wait (conversation_id, target, waiting_since),
+    INDEX idx_breached (breached_at),
+    INDEX idx_open (closed_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
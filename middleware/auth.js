@@ -1,5 +1,6 @@
 import { verifyToken, extractToken, hasPermission } from '../config/auth.js';
 import { queryOne } from '../config/database.js';
+import { recordActivity } from '../services/presence.js';
 
 /**
  * Authentication middleware - requires valid JWT token
@@ -68,6 +69,10 @@ export async function optionalAuth(req, res, next) {
 
         if (token) {
             const decoded = verifyToken(token);
+
+            // Inbox agent tokens are resolved by authenticateAgent
+            if (decoded.type === 'agent') return next();
+
             const user = await queryOne(
                 `SELECT u.*, r.name as role_name, r.permissions 
                  FROM users u 
@@ -143,9 +148,200 @@ export function adminOnly(req, res, next) {
     next();
 }
 
+// Inbox permissions an agent can hold (agents.permissions JSON)
+const AGENT_PERMISSIONS = ['viewAll', 'viewAssigned', 'reply', 'assign', 'bulkMessage', 'manageAgents', 'manageChannels'];
+
+/**
+ * Resolve the inbox agent behind a JWT
+ * Agent tokens come from /api/agents/login; admin panel users with the admin
+ * role act as inbox admins (linked to the agent with the same email, if any)
+ * @param {string} token - JWT token
+ * @returns {Promise<Object|null>} Agent principal or null
+ */
+export async function loadAgentFromToken(token) {
+    const decoded = verifyToken(token);
+
+    if (decoded.type === 'agent') {
+        const agent = await queryOne(
+            `SELECT id, uuid, email, first_name, last_name, role, permissions
+             FROM agents WHERE id = ? AND status = 'active'`,
+            [decoded.agentId]
+        );
+
+        if (!agent) return null;
+
+        return {
+            id: agent.id,
+            uuid: agent.uuid,
+            email: agent.email,
+            firstName: agent.first_name,
+            lastName: agent.last_name,
+            role: agent.role,
+            permissions: (typeof agent.permissions === 'string'
+                ? JSON.parse(agent.permissions)
+                : agent.permissions) || {}
+        };
+    }
+
+    const user = await queryOne(
+        `SELECT u.*, r.name as role_name, r.permissions 
+         FROM users u 
+         LEFT JOIN roles r ON u.role_id = r.id 
+         WHERE u.id = ? AND u.is_active = TRUE`,
+        [decoded.userId]
+    );
+
+    if (!user) return null;
+
+    const permissions = typeof user.permissions === 'string'
+        ? JSON.parse(user.permissions)
+        : user.permissions || {};
+
+    if (user.role_name !== 'admin' && !permissions.all) return null;
+
+    const linkedAgent = await queryOne('SELECT id, uuid FROM agents WHERE email = ?', [user.email]);
+
+    return {
+        id: linkedAgent?.id || null,
+        uuid: linkedAgent?.uuid || null,
+        email: user.email,
+        firstName: user.first_name,
+        lastName: user.last_name,
+        role: 'admin',
+        permissions: Object.fromEntries(AGENT_PERMISSIONS.map(p => [p, true])),
+        isAdminUser: true,
+        userId: user.id
+    };
+}
+
+/**
+ * Inbox authentication middleware - requires an agent (or admin user) token
+ */
+export async function authenticateAgent(req, res, next) {
+    try {
+        const token = extractToken(req.headers.authorization) || req.cookies?.token;
+
+        if (!token) {
+            return res.status(401).json({
+                success: false,
+                error: 'Authentication required'
+            });
+        }
+
+        const agent = await loadAgentFromToken(token);
+
+        if (!agent) {
+            return res.status(401).json({
+                success: false,
+                error: 'Agent not found or inactive'
+            });
+        }
+
+        req.agent = agent;
+        next();
+    } catch (error) {
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid or expired token'
+        });
+    }
+}
+
+/**
+ * Count work done over REST (replies, assignments, notes...) as the agent
+ * being active, so presence doesn't turn them away while they are working.
+ * Reads don't count - the inbox reloads those by itself. Use after
+ * authenticateAgent
+ */
+export function trackAgentActivity(req, res, next) {
+    if (req.agent?.id && req.method !== 'GET') {
+        recordActivity(req.agent.id).catch(error =>
+            console.error('Error recording agent activity:', error.message)
+        );
+    }
+    next();
+}
+
+/**
+ * Check an inbox permission (admins hold every permission)
+ * @param {Object} agent - req.agent
+ * @param {string} permission - viewAll, viewAssigned, reply, assign, ...
+ * @returns {boolean} Whether permission is granted
+ */
+export function agentCan(agent, permission) {
+    if (!agent) return false;
+    if (agent.role === 'admin') return true;
+    return agent.permissions?.[permission] === true;
+}
+
+/**
+ * Whether an agent may read a conversation
+ * (viewAll, or viewAssigned and the conversation is assigned to them)
+ */
+export function canAccessConversation(agent, conversation) {
+    if (agentCan(agent, 'viewAll')) return true;
+    return agentCan(agent, 'viewAssigned') &&
+        agent.id !== null && conversation.assigned_agent_id === agent.id;
+}
+
+/**
+ * Agent permission middleware factory
+ * @param {string} permission - Required permission
+ */
+export function requireAgentPermission(permission) {
+    return (req, res, next) => {
+        if (!req.agent) {
+            return res.status(401).json({
+                success: false,
+                error: 'Authentication required'
+            });
+        }
+
+        if (!agentCan(req.agent, permission)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Insufficient permissions'
+            });
+        }
+
+        next();
+    };
+}
+
+/**
+ * Agent role middleware factory
+ * @param {...string} roles - Allowed agent roles (admin, supervisor, agent)
+ */
+export function requireAgentRole(...roles) {
+    return (req, res, next) => {
+        if (!req.agent) {
+            return res.status(401).json({
+                success: false,
+                error: 'Authentication required'
+            });
+        }
+
+        if (!roles.includes(req.agent.role)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Insufficient permissions'
+            });
+        }
+
+        next();
+    };
+}
+
 export default {
     authenticate,
     optionalAuth,
     authorize,
-    adminOnly
+    adminOnly,
+    loadAgentFromToken,
+    authenticateAgent,
+    trackAgentActivity,
+    agentCan,
+    canAccessConversation,
+    requireAgentPermission,
+    requireAgentRole
 };
@@ -41,7 +41,8 @@ export class Agent {
 
         return query(`
             SELECT a.*, 
-                   (SELECT COUNT(*) FROM conversations c WHERE c.assigned_agent_id = a.id AND c.status = 'active') as active_chats
+                   (SELECT COUNT(*) FROM conversations c WHERE c.assigned_agent_id = a.id AND c.status = 'active') as active_chats,
+                   (SELECT COUNT(*) FROM conversations c WHERE c.assigned_agent_id = a.id AND c.status IN ('active', 'pending')) as open_chats
             FROM agents a
             ${whereClause}
             ORDER BY a.created_at DESC
@@ -90,7 +91,7 @@ export class Agent {
      * Update agent
      */
     static async update(id, updates) {
-        const allowedFields = ['first_name', 'last_name', 'role', 'permissions', 'avatar', 'status', 'is_online'];
+        const allowedFields = ['first_name', 'last_name', 'role', 'permissions', 'avatar', 'status', 'max_concurrent_chats'];
         const setClause = [];
         const params = [];
 
@@ -138,11 +139,8 @@ export class Agent {
             return null;
         }
 
-        // Update last login and set online
-        await update(
-            'UPDATE agents SET last_login = CURRENT_TIMESTAMP, is_online = 1 WHERE id = ?',
-            [agent.id]
-        );
+        // Presence follows the agent's WebSocket connections (services/presence.js)
+        await update('UPDATE agents SET last_login = CURRENT_TIMESTAMP WHERE id = ?', [agent.id]);
 
         // Remove password from returned object
         delete agent.password;
@@ -150,11 +148,65 @@ export class Agent {
     }
 
     /**
-     * Set agent online/offline status
+     * Store an agent's presence; only 'online' agents receive new conversations
+     * @param {string} presence - online, away, busy or offline
      */
-    static async setOnlineStatus(id, isOnline) {
-        await update('UPDATE agents SET is_online = ? WHERE id = ?', [isOnline ? 1 : 0, id]);
-        return this.findById(id);
+    static async setPresence(id, presence) {
+        await update(
+            'UPDATE agents SET presence = ?, is_online = ? WHERE id = ?',
+            [presence, presence === 'online' ? 1 : 0, id]
+        );
+    }
+
+    /**
+     * Set or clear (null) the away/busy status an agent picked by hand
+     */
+    static async setManualPresence(id, status) {
+        await update('UPDATE agents SET manual_presence = ? WHERE id = ?', [status, id]);
+    }
+
+    /**
+     * Record when the agent was last active in the inbox
+     */
+    static async touchActivity(id, at = new Date()) {
+        await update('UPDATE agents SET last_activity_at = ? WHERE id = ?', [at, id]);
+    }
+
+    /**
+     * Mark every agent offline (nobody is connected when the server starts)
+     */
+    static async resetPresence() {
+        await update("UPDATE agents SET presence = 'offline', is_online = 0 WHERE presence <> 'offline' OR is_online = 1");
+    }
+
+    /**
+     * Get online agents who can take another conversation on a channel
+     * (channel pool members if the channel has a pool, otherwise everyone)
+     * @param {number} channelId - Channel ID
+     * @param {number} excludeAgentId - Agent to leave out (current assignee)
+     * @returns {Promise<Array>} Agents with open_chats
+     */
+    static async findAvailableForChannel(channelId, excludeAgentId = null) {
+        return query(`
+            SELECT a.id, a.uuid, a.first_name, a.last_name, a.max_concurrent_chats, a.last_assigned_at,
+                   (SELECT COUNT(*) FROM conversations c
+                    WHERE c.assigned_agent_id = a.id AND c.status IN ('active', 'pending')) as open_chats
+            FROM agents a
+            WHERE a.status = 'active' AND a.is_online = 1
+              AND a.id <> ?
+              AND (
+                  NOT EXISTS (SELECT 1 FROM channel_agents ca WHERE ca.channel_id = ?)
+                  OR EXISTS (SELECT 1 FROM channel_agents ca WHERE ca.channel_id = ? AND ca.agent_id = a.id)
+              )
+            HAVING open_chats < max_concurrent_chats
+        `, [excludeAgentId || 0, channelId, channelId]);
+    }
+
+    /**
+     * Record that the agent just received a conversation (round-robin order)
+     */
+    static async markAssigned(id) {
+        await update('UPDATE agents SET last_assigned_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
     }
 
     /**
@@ -175,6 +227,8 @@ export class Agent {
             SELECT 
                 COUNT(*) as total,
                 SUM(CASE WHEN is_online = 1 THEN 1 ELSE 0 END) as online,
+                SUM(CASE WHEN presence = 'away' THEN 1 ELSE 0 END) as away,
+                SUM(CASE WHEN presence = 'busy' THEN 1 ELSE 0 END) as busy,
                 SUM(CASE WHEN status = 'active' THEN 1 ELSE 0 END) as active
             FROM agents
         `);
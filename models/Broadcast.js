@@ -0,0 +1,343 @@
+import { query, queryOne, insert, update } from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+
+const SELECT_BROADCAST = `
+    SELECT b.*, ch.uuid as channel_uuid, ch.name as channel_name, ch.platform,
+           l.uuid as list_uuid, l.name as list_name,
+           a.first_name as creator_first_name, a.last_name as creator_last_name
+    FROM broadcasts b
+    LEFT JOIN channels ch ON b.channel_id = ch.id
+    LEFT JOIN contact_lists l ON b.list_id = l.id
+    LEFT JOIN agents a ON b.created_by = a.id
+`;
+
+// Delivery states in order - receipts only move a recipient forward
+const DELIVERY_ORDER = "'pending', 'sent', 'delivered', 'read'";
+
+/**
+ * Broadcast Model - Announcements sent to a contact list over WhatsApp
+ */
+export class Broadcast {
+    /**
+     * Find broadcast by ID
+     */
+    static async findById(id) {
+        return queryOne(`${SELECT_BROADCAST} WHERE b.id = ?`, [id]);
+    }
+
+    /**
+     * Find broadcast by UUID
+     */
+    static async findByUuid(uuid) {
+        return queryOne(`${SELECT_BROADCAST} WHERE b.uuid = ?`, [uuid]);
+    }
+
+    /**
+     * Get all broadcasts, newest first
+     */
+    static async findAll({ status = null, page = 1, limit = 50 } = {}) {
+        const offset = (page - 1) * limit;
+        const where = status ? 'WHERE b.status = ?' : '';
+        const params = status ? [status] : [];
+
+        const broadcasts = await query(`
+            ${SELECT_BROADCAST}
+            ${where}
+            ORDER BY b.created_at DESC
+            LIMIT ? OFFSET ?
+        `, [...params, limit, offset]);
+
+        const countResult = await queryOne(`SELECT COUNT(*) as total FROM broadcasts b ${where}`, params);
+
+        return {
+            broadcasts,
+            pagination: {
+                page,
+                limit,
+                total: Number(countResult.total),
+                pages: Math.ceil(Number(countResult.total) / limit)
+            }
+        };
+    }
+
+    /**
+     * Create new broadcast (draft)
+     */
+    static async create(broadcastData) {
+        const {
+            name,
+            channelId,
+            listId,
+            content = null,
+            mediaUrl = null,
+            createdBy = null
+        } = broadcastData;
+
+        const uuid = uuidv4();
+
+        const id = await insert(`
+            INSERT INTO broadcasts (uuid, name, channel_id, list_id, content, media_url, created_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [uuid, name.trim(), channelId, listId, content, mediaUrl, createdBy]);
+
+        return this.findById(id);
+    }
+
+    /**
+     * Update a broadcast's message or audience
+     */
+    static async update(id, updates) {
+        const allowedFields = ['name', 'channel_id', 'list_id', 'content', 'media_url'];
+        const setClause = [];
+        const params = [];
+
+        for (const [key, value] of Object.entries(updates)) {
+            const dbKey = key.replace(/([A-Z])/g, '_$1').toLowerCase();
+            if (allowedFields.includes(dbKey)) {
+                setClause.push(`${dbKey} = ?`);
+                params.push(dbKey === 'name' ? value.trim() : value);
+            }
+        }
+
+        if (setClause.length > 0) {
+            params.push(id);
+            await update(
+                `UPDATE broadcasts SET ${setClause.join(', ')} WHERE id = ?`,
+                params
+            );
+        }
+
+        return this.findById(id);
+    }
+
+    /**
+     * Move a broadcast between statuses; only succeeds from one of the
+     * expected current statuses (two requests can't both start it)
+     * @param {string} status - New status
+     * @param {Array<string>} from - Statuses it may currently have
+     * @param {Object} fields - { scheduledAt, lastError }
+     * @returns {Promise<boolean>} Whether the status changed
+     */
+    static async transition(id, status, from, { scheduledAt, lastError = null } = {}) {
+        const setClause = ['status = ?', 'last_error = ?'];
+        const params = [status, lastError];
+
+        if (scheduledAt !== undefined) {
+            setClause.push('scheduled_at = ?');
+            params.push(scheduledAt);
+        }
+        if (status === 'sending') {
+            setClause.push('started_at = COALESCE(started_at, CURRENT_TIMESTAMP)');
+        }
+        if (status === 'completed' || status === 'cancelled') {
+            setClause.push('completed_at = CURRENT_TIMESTAMP');
+        }
+
+        const affected = await update(
+            `UPDATE broadcasts SET ${setClause.join(', ')} WHERE id = ? AND status IN (${from.map(() => '?').join(', ')})`,
+            [...params, id, ...from]
+        );
+        return affected > 0;
+    }
+
+    /**
+     * The broadcast to send next: one already sending, or the oldest
+     * scheduled one that is due
+     */
+    static async findNextToSend() {
+        return queryOne(`
+            ${SELECT_BROADCAST}
+            WHERE b.status = 'sending'
+               OR (b.status = 'scheduled' AND b.scheduled_at <= CURRENT_TIMESTAMP)
+            ORDER BY b.status = 'sending' DESC, COALESCE(b.scheduled_at, b.created_at) ASC
+            LIMIT 1
+        `);
+    }
+
+    /**
+     * Delete broadcast
+     */
+    static async delete(id) {
+        const affected = await update('DELETE FROM broadcasts WHERE id = ?', [id]);
+        return affected > 0;
+    }
+
+    /**
+     * Recipient counts of a broadcast (delivered includes read, sent includes both)
+     */
+    static async getStats(id) {
+        const stats = await queryOne(`
+            SELECT
+                COUNT(*) as total,
+                SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending,
+                SUM(CASE WHEN status IN ('sent', 'delivered', 'read') THEN 1 ELSE 0 END) as sent,
+                SUM(CASE WHEN status IN ('delivered', 'read') THEN 1 ELSE 0 END) as delivered,
+                SUM(CASE WHEN status = 'read' THEN 1 ELSE 0 END) as \`read\`,
+                SUM(CASE WHEN replied_at IS NOT NULL THEN 1 ELSE 0 END) as replied,
+                SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed,
+                SUM(CASE WHEN status = 'skipped' THEN 1 ELSE 0 END) as skipped
+            FROM broadcast_recipients
+            WHERE broadcast_id = ?
+        `, [id]);
+
+        return Object.fromEntries(Object.entries(stats).map(([key, value]) => [key, Number(value) || 0]));
+    }
+}
+
+/**
+ * BroadcastRecipient Model - One contact of a broadcast and what happened to their message
+ */
+export class BroadcastRecipient {
+    /**
+     * Add a recipient (a contact is only added once per broadcast)
+     * @param {Object} recipientData - { broadcastId, contactId, recipient, status, error }
+     */
+    static async create({ broadcastId, contactId, recipient = null, status = 'pending', error = null }) {
+        return update(`
+            INSERT IGNORE INTO broadcast_recipients (broadcast_id, contact_id, recipient, status, error)
+            VALUES (?, ?, ?, ?, ?)
+        `, [broadcastId, contactId, recipient, status, error]);
+    }
+
+    /**
+     * Next recipient still to send to
+     */
+    static async findNextPending(broadcastId) {
+        return queryOne(`
+            SELECT * FROM broadcast_recipients
+            WHERE broadcast_id = ? AND status = 'pending'
+            ORDER BY id ASC
+            LIMIT 1
+        `, [broadcastId]);
+    }
+
+    /**
+     * Get a broadcast's recipients
+     */
+    static async findByBroadcast(broadcastId, { status = null, page = 1, limit = 50 } = {}) {
+        const offset = (page - 1) * limit;
+        const where = `WHERE r.broadcast_id = ?${status ? ' AND r.status = ?' : ''}`;
+        const params = status ? [broadcastId, status] : [broadcastId];
+
+        const recipients = await query(`
+            SELECT r.*, c.uuid as contact_uuid, c.name as contact_name, cv.uuid as conversation_uuid
+            FROM broadcast_recipients r
+            JOIN contacts c ON r.contact_id = c.id
+            LEFT JOIN conversations cv ON r.conversation_id = cv.id
+            ${where}
+            ORDER BY r.id ASC
+            LIMIT ? OFFSET ?
+        `, [...params, limit, offset]);
+
+        const countResult = await queryOne(`SELECT COUNT(*) as total FROM broadcast_recipients r ${where}`, params);
+
+        return {
+            recipients,
+            pagination: {
+                page,
+                limit,
+                total: Number(countResult.total),
+                pages: Math.ceil(Number(countResult.total) / limit)
+            }
+        };
+    }
+
+    /**
+     * Link the inbox message created for a recipient (before it is sent, so
+     * receipts arriving early still find the recipient)
+     */
+    static async attachMessage(id, { conversationId, messageId }) {
+        await update(
+            'UPDATE broadcast_recipients SET conversation_id = ?, message_id = ? WHERE id = ?',
+            [conversationId, messageId, id]
+        );
+    }
+
+    /**
+     * The message left the device
+     */
+    static async markSent(id) {
+        await update(`
+            UPDATE broadcast_recipients
+            SET status = IF(status = 'pending', 'sent', status), sent_at = COALESCE(sent_at, CURRENT_TIMESTAMP)
+            WHERE id = ?
+        `, [id]);
+    }
+
+    /**
+     * Sending failed, or the recipient was left out (unsubscribed, no number)
+     * @param {string} status - failed or skipped
+     */
+    static async markUnsent(id, status, error) {
+        await update(
+            'UPDATE broadcast_recipients SET status = ?, error = ? WHERE id = ?',
+            [status, String(error).substring(0, 500), id]
+        );
+    }
+
+    /**
+     * Apply a delivery/read receipt of a broadcast message
+     * @param {string} messageUuid - Inbox message UUID
+     * @param {string} status - sent, delivered or read
+     * @returns {Promise<Object|null>} Recipient (with broadcast_id) or null if none changed
+     */
+    static async advanceByMessage(messageUuid, status) {
+        const recipient = await queryOne(`
+            SELECT r.* FROM broadcast_recipients r
+            JOIN messages m ON r.message_id = m.id
+            WHERE m.uuid = ?
+        `, [messageUuid]);
+
+        if (!recipient) return null;
+
+        const affected = await update(`
+            UPDATE broadcast_recipients
+            SET status = ?,
+                sent_at = COALESCE(sent_at, CURRENT_TIMESTAMP),
+                delivered_at = IF(? IN ('delivered', 'read'), COALESCE(delivered_at, CURRENT_TIMESTAMP), delivered_at),
+                read_at = IF(? = 'read', COALESCE(read_at, CURRENT_TIMESTAMP), read_at)
+            WHERE id = ? AND FIELD(status, ${DELIVERY_ORDER}) BETWEEN 1 AND FIELD(?, ${DELIVERY_ORDER}) - 1
+        `, [status, status, status, recipient.id, status]);
+
+        return affected > 0 ? recipient : null;
+    }
+
+    /**
+     * Has a contact been sent any broadcast?
+     */
+    static async hasReceived(contactId) {
+        const recipient = await queryOne(`
+            SELECT id FROM broadcast_recipients
+            WHERE contact_id = ? AND status IN ('sent', 'delivered', 'read')
+            LIMIT 1
+        `, [contactId]);
+
+        return Boolean(recipient);
+    }
+
+    /**
+     * Record that a contact answered broadcasts sent to a conversation recently
+     * @param {number} conversationId - Conversation ID
+     * @param {number} withinDays - Only broadcasts sent this recently count
+     * @returns {Promise<Array<number>>} IDs of the broadcasts replied to
+     */
+    static async markReplied(conversationId, withinDays) {
+        const recipients = await query(`
+            SELECT id, broadcast_id FROM broadcast_recipients
+            WHERE conversation_id = ? AND replied_at IS NULL
+              AND status IN ('sent', 'delivered', 'read')
+              AND sent_at >= CURRENT_TIMESTAMP - INTERVAL ? DAY
+        `, [conversationId, withinDays]);
+
+        if (recipients.length === 0) return [];
+
+        await update(
+            `UPDATE broadcast_recipients SET replied_at = CURRENT_TIMESTAMP WHERE id IN (${recipients.map(() => '?').join(', ')})`,
+            recipients.map(recipient => recipient.id)
+        );
+
+        return [...new Set(recipients.map(recipient => recipient.broadcast_id))];
+    }
+}
+
+export default Broadcast;
@@ -75,6 +75,33 @@ export class Channel {
         return this.findById(id);
     }
 
+    /**
+     * Update channel details
+     */
+    static async update(id, updates) {
+        const allowedFields = ['name', 'identifier', 'phone_number', 'status'];
+        const setClause = [];
+        const params = [];
+
+        for (const [key, value] of Object.entries(updates)) {
+            const dbKey = key.replace(/([A-Z])/g, '_$1').toLowerCase();
+            if (allowedFields.includes(dbKey)) {
+                setClause.push(`${dbKey} = ?`);
+                params.push(value);
+            }
+        }
+
+        if (setClause.length > 0) {
+            params.push(id);
+            await update(
+                `UPDATE channels SET ${setClause.join(', ')} WHERE id = ?`,
+                params
+            );
+        }
+
+        return this.findById(id);
+    }
+
     /**
      * Update channel session data (for WhatsApp Web)
      */
@@ -86,6 +113,115 @@ export class Channel {
         return this.findById(id);
     }
 
+    /**
+     * Set how new conversations on the channel are assigned
+     * @param {string} strategy - 'manual', 'round_robin' or 'least_open'
+     */
+    static async updateAssignmentStrategy(id, strategy) {
+        await update('UPDATE channels SET assignment_strategy = ? WHERE id = ?', [strategy, id]);
+        return this.findById(id);
+    }
+
+    /**
+     * Turn the channel's AI auto-responder on/off
+     * @param {Object} settings - { enabled, confidenceThreshold }
+     */
+    static async updateBotSettings(id, { enabled, confidenceThreshold }) {
+        await update(
+            'UPDATE channels SET bot_enabled = COALESCE(?, bot_enabled), bot_confidence_threshold = COALESCE(?, bot_confidence_threshold) WHERE id = ?',
+            [enabled ?? null, confidenceThreshold ?? null, id]
+        );
+        return this.findById(id);
+    }
+
+    /**
+     * Get the agents in a channel's assignment pool
+     */
+    static async getAgentPool(id) {
+        return query(`
+            SELECT a.id, a.uuid, a.first_name, a.last_name, a.is_online, a.max_concurrent_chats
+            FROM channel_agents ca
+            JOIN agents a ON ca.agent_id = a.id
+            WHERE ca.channel_id = ?
+            ORDER BY a.first_name ASC
+        `, [id]);
+    }
+
+    /**
+     * Replace a channel's assignment pool (empty pool = all agents)
+     */
+    static async setAgentPool(id, agentIds) {
+        await update('DELETE FROM channel_agents WHERE channel_id = ?', [id]);
+
+        for (const agentId of agentIds) {
+            await insert(
+                'INSERT INTO channel_agents (channel_id, agent_id) VALUES (?, ?)',
+                [id, agentId]
+            );
+        }
+
+        return this.getAgentPool(id);
+    }
+
+    /**
+     * Get a channel's business hours with its holidays (null if not configured)
+     */
+    static async getBusinessHours(id) {
+        const hours = await queryOne('SELECT * FROM channel_business_hours WHERE channel_id = ?', [id]);
+        if (!hours) return null;
+
+        for (const field of ['weekly_hours', 'away_messages']) {
+            if (typeof hours[field] === 'string') hours[field] = JSON.parse(hours[field]);
+        }
+
+        hours.holidays = await query(
+            "SELECT id, DATE_FORMAT(date, '%Y-%m-%d') as date, name FROM channel_holidays WHERE channel_id = ? ORDER BY date ASC",
+            [id]
+        );
+
+        return hours;
+    }
+
+    /**
+     * Create or replace a channel's business hours
+     * @param {Object} hours - { timezone, weeklyHours, awayEnabled, awayMessages, defaultLanguage, holidays }
+     */
+    static async setBusinessHours(id, hours) {
+        const {
+            timezone = 'Asia/Dubai',
+            weeklyHours,
+            awayEnabled = false,
+            awayMessages = {},
+            defaultLanguage = 'en',
+            holidays = null
+        } = hours;
+
+        await query(`
+            INSERT INTO channel_business_hours (channel_id, timezone, weekly_hours, away_enabled, away_messages, default_language)
+            VALUES (?, ?, ?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE
+                timezone = VALUES(timezone),
+                weekly_hours = VALUES(weekly_hours),
+                away_enabled = VALUES(away_enabled),
+                away_messages = VALUES(away_messages),
+                default_language = VALUES(default_language)
+        `, [id, timezone, JSON.stringify(weeklyHours), awayEnabled, JSON.stringify(awayMessages), defaultLanguage]);
+
+        // Holidays are replaced only when given
+        if (holidays) {
+            await update('DELETE FROM channel_holidays WHERE channel_id = ?', [id]);
+
+            for (const holiday of holidays) {
+                await insert(
+                    'INSERT INTO channel_holidays (channel_id, date, name) VALUES (?, ?, ?)',
+                    [id, holiday.date, holiday.name || null]
+                );
+            }
+        }
+
+        return this.getBusinessHours(id);
+    }
+
     /**
      * Delete channel
      */
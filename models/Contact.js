@@ -0,0 +1,387 @@
+import { query, queryOne, insert, update, transaction } from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+
+// Rows linked to a contact, moved together on merge/unmerge
+const LINKED_TABLES = {
+    conversations: 'conversations',
+    submissions: 'contact_submissions',
+    registrations: 'gulfood_registrations'
+};
+
+function parseMoved(moved) {
+    if (!moved) return {};
+    return typeof moved === 'string' ? JSON.parse(moved) : moved;
+}
+
+function placeholders(values) {
+    return values.map(() => '?').join(', ');
+}
+
+/**
+ * Contact Model - One person across channels and website forms
+ */
+export class Contact {
+    /**
+     * Find contact by ID
+     */
+    static async findById(id) {
+        return queryOne('SELECT * FROM contacts WHERE id = ?', [id]);
+    }
+
+    /**
+     * Find contact by UUID
+     */
+    static async findByUuid(uuid) {
+        return queryOne('SELECT * FROM contacts WHERE uuid = ?', [uuid]);
+    }
+
+    /**
+     * Find the contact owning an identity
+     * @param {string} type - whatsapp, facebook, instagram, phone or email
+     * @param {string} identifier - Normalized identifier
+     */
+    static async findByIdentity(type, identifier) {
+        return queryOne(`
+            SELECT c.*
+            FROM contact_identities i
+            JOIN contacts c ON i.contact_id = c.id
+            WHERE i.type = ? AND i.identifier = ?
+        `, [type, identifier]);
+    }
+
+    /**
+     * Get all contacts (merged contacts are left out)
+     */
+    static async findAll({ search = null, page = 1, limit = 50 } = {}) {
+        let whereClause = 'WHERE c.merged_into_id IS NULL';
+        const params = [];
+
+        if (search) {
+            whereClause += ` AND (c.name LIKE ? OR c.email LIKE ? OR c.phone LIKE ? OR c.company LIKE ?
+                OR EXISTS (SELECT 1 FROM contact_identities i WHERE i.contact_id = c.id AND i.identifier LIKE ?))`;
+            const term = `%${search}%`;
+            params.push(term, term, term, term, term);
+        }
+
+        const offset = (page - 1) * limit;
+
+        const contacts = await query(`
+            SELECT c.*,
+                   (SELECT COUNT(*) FROM conversations cv WHERE cv.contact_id = c.id) as conversation_count,
+                   (SELECT MAX(cv.last_message_at) FROM conversations cv WHERE cv.contact_id = c.id) as last_message_at
+            FROM contacts c
+            ${whereClause}
+            ORDER BY c.updated_at DESC
+            LIMIT ? OFFSET ?
+        `, [...params, limit, offset]);
+
+        const countResult = await queryOne(`
+            SELECT COUNT(*) as total FROM contacts c ${whereClause}
+        `, params);
+
+        return {
+            contacts,
+            pagination: {
+                page,
+                limit,
+                total: Number(countResult.total),
+                pages: Math.ceil(Number(countResult.total) / limit)
+            }
+        };
+    }
+
+    /**
+     * Create new contact
+     */
+    static async create(contactData) {
+        const {
+            name = null,
+            email = null,
+            phone = null,
+            company = null,
+            country = null,
+            avatar = null
+        } = contactData;
+
+        const uuid = uuidv4();
+
+        const id = await insert(`
+            INSERT INTO contacts (uuid, name, email, phone, company, country, avatar)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [uuid, name, email, phone, company, country, avatar]);
+
+        return this.findById(id);
+    }
+
+    /**
+     * Update contact
+     */
+    static async update(id, updates) {
+        const allowedFields = ['name', 'email', 'phone', 'company', 'country', 'avatar'];
+        const setClause = [];
+        const params = [];
+
+        for (const [key, value] of Object.entries(updates)) {
+            if (allowedFields.includes(key)) {
+                setClause.push(`${key} = ?`);
+                params.push(value);
+            }
+        }
+
+        if (setClause.length === 0) return this.findById(id);
+
+        params.push(id);
+        await update(
+            `UPDATE contacts SET ${setClause.join(', ')} WHERE id = ?`,
+            params
+        );
+
+        return this.findById(id);
+    }
+
+    /**
+     * Stop (or, with source null, resume) sending broadcasts to a contact
+     * @param {string|null} source - keyword or manual; null subscribes again
+     * @returns {Promise<boolean>} Whether the subscription changed
+     */
+    static async setUnsubscribed(id, source) {
+        const affected = source
+            ? await update(
+                'UPDATE contacts SET unsubscribed_at = CURRENT_TIMESTAMP, unsubscribe_source = ? WHERE id = ? AND unsubscribed_at IS NULL',
+                [source, id]
+            )
+            : await update(
+                'UPDATE contacts SET unsubscribed_at = NULL, unsubscribe_source = NULL WHERE id = ? AND unsubscribed_at IS NOT NULL',
+                [id]
+            );
+        return affected > 0;
+    }
+
+    /**
+     * Get a contact's identities
+     */
+    static async getIdentities(id) {
+        return query(
+            'SELECT * FROM contact_identities WHERE contact_id = ? ORDER BY created_at ASC, id ASC',
+            [id]
+        );
+    }
+
+    /**
+     * Attach an identity unless another contact already owns it
+     * @returns {Promise<boolean>} True if the identity now belongs to this contact
+     */
+    static async addIdentity(id, { type, identifier, source = null }) {
+        await query(
+            'INSERT IGNORE INTO contact_identities (contact_id, type, identifier, source) VALUES (?, ?, ?, ?)',
+            [id, type, identifier, source]
+        );
+
+        const owner = await queryOne(
+            'SELECT contact_id FROM contact_identities WHERE type = ? AND identifier = ?',
+            [type, identifier]
+        );
+        return owner?.contact_id === id;
+    }
+
+    /**
+     * Remove an identity from a contact
+     */
+    static async removeIdentity(id, identityId) {
+        const affected = await update(
+            'DELETE FROM contact_identities WHERE id = ? AND contact_id = ?',
+            [identityId, id]
+        );
+        return affected > 0;
+    }
+
+    /**
+     * Link a conversation, contact form submission or Gulfood registration
+     * @param {string} kind - conversations, submissions or registrations
+     */
+    static async link(kind, rowId, contactId) {
+        await update(`UPDATE ${LINKED_TABLES[kind]} SET contact_id = ? WHERE id = ?`, [contactId, rowId]);
+    }
+
+    /**
+     * Rows of one kind not linked to any contact yet
+     */
+    static async findUnlinked(kind, limit = 500) {
+        if (kind === 'conversations') {
+            return query(`
+                SELECT c.*, ch.platform
+                FROM conversations c
+                LEFT JOIN channels ch ON c.channel_id = ch.id
+                WHERE c.contact_id IS NULL
+                ORDER BY c.id ASC
+                LIMIT ?
+            `, [limit]);
+        }
+
+        return query(
+            `SELECT * FROM ${LINKED_TABLES[kind]} WHERE contact_id IS NULL ORDER BY id ASC LIMIT ?`,
+            [limit]
+        );
+    }
+
+    /**
+     * Get a contact's conversations (newest activity first)
+     */
+    static async getConversations(id) {
+        return query(`
+            SELECT c.*, ch.platform, ch.name as channel_name, ch.uuid as channel_uuid,
+                   a.first_name as agent_first_name, a.last_name as agent_last_name,
+                   (SELECT COUNT(*) FROM messages m WHERE m.conversation_id = c.id) as message_count
+            FROM conversations c
+            LEFT JOIN channels ch ON c.channel_id = ch.id
+            LEFT JOIN agents a ON c.assigned_agent_id = a.id
+            WHERE c.contact_id = ?
+            ORDER BY COALESCE(c.last_message_at, c.created_at) DESC
+        `, [id]);
+    }
+
+    /**
+     * Get a contact's contact form submissions
+     */
+    static async getSubmissions(id) {
+        return query(
+            'SELECT * FROM contact_submissions WHERE contact_id = ? ORDER BY created_at DESC',
+            [id]
+        );
+    }
+
+    /**
+     * Get a contact's Gulfood registrations
+     */
+    static async getRegistrations(id) {
+        const registrations = await query(
+            'SELECT * FROM gulfood_registrations WHERE contact_id = ? ORDER BY created_at DESC',
+            [id]
+        );
+
+        registrations.forEach(reg => {
+            if (reg.interest_areas && typeof reg.interest_areas === 'string') {
+                reg.interest_areas = JSON.parse(reg.interest_areas);
+            }
+        });
+
+        return registrations;
+    }
+
+    /**
+     * Get a contact's merge log (as target or source)
+     */
+    static async getMerges(id) {
+        return query(`
+            SELECT m.*, t.uuid as target_uuid, t.name as target_name,
+                   s.uuid as source_uuid, s.name as source_name
+            FROM contact_merges m
+            JOIN contacts t ON m.target_contact_id = t.id
+            JOIN contacts s ON m.source_contact_id = s.id
+            WHERE m.target_contact_id = ? OR m.source_contact_id = ?
+            ORDER BY m.created_at DESC
+        `, [id, id]);
+    }
+
+    /**
+     * Merge source into target: identities, conversations and form entries move
+     * to the target and the source is kept (flagged) so the merge can be undone
+     * @returns {Promise<Object>} Updated target contact
+     */
+    static async merge(targetId, sourceId, mergedBy = null) {
+        await transaction(async (conn) => {
+            const ids = async (sql) => (await conn.query(sql, [sourceId])).map(row => row.id);
+
+            const moved = {
+                identities: await ids('SELECT id FROM contact_identities WHERE contact_id = ?'),
+                conversations: await ids('SELECT id FROM conversations WHERE contact_id = ?'),
+                submissions: await ids('SELECT id FROM contact_submissions WHERE contact_id = ?'),
+                registrations: await ids('SELECT id FROM gulfood_registrations WHERE contact_id = ?')
+            };
+
+            await conn.query('UPDATE contact_identities SET contact_id = ? WHERE contact_id = ?', [targetId, sourceId]);
+            for (const table of Object.values(LINKED_TABLES)) {
+                await conn.query(`UPDATE ${table} SET contact_id = ? WHERE contact_id = ?`, [targetId, sourceId]);
+            }
+
+            // Fill the target's blanks from the source
+            await conn.query(`
+                UPDATE contacts t JOIN contacts s ON s.id = ?
+                SET t.name = COALESCE(t.name, s.name),
+                    t.email = COALESCE(t.email, s.email),
+                    t.phone = COALESCE(t.phone, s.phone),
+                    t.company = COALESCE(t.company, s.company),
+                    t.country = COALESCE(t.country, s.country),
+                    t.avatar = COALESCE(t.avatar, s.avatar),
+                    t.unsubscribed_at = COALESCE(t.unsubscribed_at, s.unsubscribed_at),
+                    t.unsubscribe_source = COALESCE(t.unsubscribe_source, s.unsubscribe_source)
+                WHERE t.id = ?
+            `, [sourceId, targetId]);
+
+            await conn.query('UPDATE contacts SET merged_into_id = ? WHERE id = ?', [targetId, sourceId]);
+
+            await conn.query(
+                'INSERT INTO contact_merges (target_contact_id, source_contact_id, moved, merged_by) VALUES (?, ?, ?, ?)',
+                [targetId, sourceId, JSON.stringify(moved), mergedBy]
+            );
+        });
+
+        return this.findById(targetId);
+    }
+
+    /**
+     * Find the merge of source into target that is still in effect
+     */
+    static async findActiveMerge(targetId, sourceId) {
+        return queryOne(`
+            SELECT * FROM contact_merges
+            WHERE target_contact_id = ? AND source_contact_id = ? AND unmerged_at IS NULL
+            ORDER BY created_at DESC LIMIT 1
+        `, [targetId, sourceId]);
+    }
+
+    /**
+     * Undo a merge: the source gets back its identities, the rows it brought
+     * and any conversation that arrived since on one of its identities
+     * @returns {Promise<Object>} Restored source contact
+     */
+    static async unmerge(merge, unmergedBy = null) {
+        const moved = parseMoved(merge.moved);
+        const targetId = merge.target_contact_id;
+        const sourceId = merge.source_contact_id;
+
+        await transaction(async (conn) => {
+            const moveBack = async (table, rowIds) => {
+                if (!rowIds?.length) return;
+                await conn.query(
+                    `UPDATE ${table} SET contact_id = ? WHERE contact_id = ? AND id IN (${placeholders(rowIds)})`,
+                    [sourceId, targetId, ...rowIds]
+                );
+            };
+
+            await moveBack('contact_identities', moved.identities);
+            for (const [kind, table] of Object.entries(LINKED_TABLES)) {
+                await moveBack(table, moved[kind]);
+            }
+
+            await conn.query(`
+                UPDATE conversations c
+                JOIN channels ch ON c.channel_id = ch.id
+                JOIN contact_identities i ON i.type = ch.platform AND i.identifier = c.contact_identifier
+                SET c.contact_id = ?
+                WHERE c.contact_id = ? AND i.contact_id = ?
+            `, [sourceId, targetId, sourceId]);
+
+            await conn.query('UPDATE contacts SET merged_into_id = NULL WHERE id = ?', [sourceId]);
+
+            await conn.query(
+                'UPDATE contact_merges SET unmerged_at = CURRENT_TIMESTAMP, unmerged_by = ? WHERE id = ?',
+                [unmergedBy, merge.id]
+            );
+        });
+
+        return this.findById(sourceId);
+    }
+}
+
+export default Contact;
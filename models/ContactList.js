@@ -0,0 +1,179 @@
+import { query, queryOne, insert, update } from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * ContactList Model - Named groups of contacts to broadcast to
+ */
+export class ContactList {
+    /**
+     * Find list by ID
+     */
+    static async findById(id) {
+        return queryOne(`
+            SELECT l.*, (SELECT COUNT(*) FROM contact_list_members m WHERE m.list_id = l.id) as member_count
+            FROM contact_lists l
+            WHERE l.id = ?
+        `, [id]);
+    }
+
+    /**
+     * Find list by UUID
+     */
+    static async findByUuid(uuid) {
+        return queryOne(`
+            SELECT l.*, (SELECT COUNT(*) FROM contact_list_members m WHERE m.list_id = l.id) as member_count
+            FROM contact_lists l
+            WHERE l.uuid = ?
+        `, [uuid]);
+    }
+
+    /**
+     * Get all lists with member counts
+     */
+    static async findAll() {
+        return query(`
+            SELECT l.*, (SELECT COUNT(*) FROM contact_list_members m WHERE m.list_id = l.id) as member_count
+            FROM contact_lists l
+            ORDER BY l.created_at DESC
+        `);
+    }
+
+    /**
+     * Create new list
+     */
+    static async create({ name, description = null, createdBy = null }) {
+        const uuid = uuidv4();
+
+        const id = await insert(
+            'INSERT INTO contact_lists (uuid, name, description, created_by) VALUES (?, ?, ?, ?)',
+            [uuid, name.trim(), description, createdBy]
+        );
+
+        return this.findById(id);
+    }
+
+    /**
+     * Update list
+     */
+    static async update(id, updates) {
+        const allowedFields = ['name', 'description'];
+        const setClause = [];
+        const params = [];
+
+        for (const [key, value] of Object.entries(updates)) {
+            if (allowedFields.includes(key)) {
+                setClause.push(`${key} = ?`);
+                params.push(key === 'name' ? value.trim() : value);
+            }
+        }
+
+        if (setClause.length > 0) {
+            params.push(id);
+            await update(
+                `UPDATE contact_lists SET ${setClause.join(', ')} WHERE id = ?`,
+                params
+            );
+        }
+
+        return this.findById(id);
+    }
+
+    /**
+     * Delete list
+     */
+    static async delete(id) {
+        const affected = await update('DELETE FROM contact_lists WHERE id = ?', [id]);
+        return affected > 0;
+    }
+
+    /**
+     * Add contacts to a list (contacts already in it are kept once)
+     * @param {string} source - conversation, label or csv
+     * @returns {Promise<number>} Contacts added
+     */
+    static async addMembers(id, contactIds, source) {
+        let added = 0;
+        for (const contactId of new Set(contactIds)) {
+            added += await update(
+                'INSERT IGNORE INTO contact_list_members (list_id, contact_id, source) VALUES (?, ?, ?)',
+                [id, contactId, source]
+            );
+        }
+        return added;
+    }
+
+    /**
+     * Remove a contact from a list
+     */
+    static async removeMember(id, contactId) {
+        const affected = await update(
+            'DELETE FROM contact_list_members WHERE list_id = ? AND contact_id = ?',
+            [id, contactId]
+        );
+        return affected > 0;
+    }
+
+    /**
+     * Get a list's members, newest first
+     */
+    static async findMembers(id, { page = 1, limit = 50 } = {}) {
+        const offset = (page - 1) * limit;
+
+        const members = await query(`
+            SELECT c.uuid, c.name, c.phone, c.email, c.company, c.unsubscribed_at, m.source, m.added_at
+            FROM contact_list_members m
+            JOIN contacts c ON m.contact_id = c.id
+            WHERE m.list_id = ?
+            ORDER BY m.added_at DESC, c.id DESC
+            LIMIT ? OFFSET ?
+        `, [id, limit, offset]);
+
+        const countResult = await queryOne(
+            'SELECT COUNT(*) as total FROM contact_list_members WHERE list_id = ?',
+            [id]
+        );
+
+        return {
+            members,
+            pagination: {
+                page,
+                limit,
+                total: Number(countResult.total),
+                pages: Math.ceil(Number(countResult.total) / limit)
+            }
+        };
+    }
+
+    /**
+     * Members to send a broadcast to, with their WhatsApp chat ID and phone
+     * (contacts merged away are replaced by the contact they were merged into)
+     */
+    static async findRecipients(id) {
+        return query(`
+            SELECT DISTINCT c.id, c.name, c.phone, c.unsubscribed_at,
+                   (SELECT i.identifier FROM contact_identities i
+                    WHERE i.contact_id = c.id AND i.type = 'whatsapp'
+                    ORDER BY i.id ASC LIMIT 1) as whatsapp_id,
+                   (SELECT i.identifier FROM contact_identities i
+                    WHERE i.contact_id = c.id AND i.type = 'phone'
+                    ORDER BY i.id ASC LIMIT 1) as phone_identity
+            FROM contact_list_members m
+            JOIN contacts member ON m.contact_id = member.id
+            JOIN contacts c ON c.id = COALESCE(member.merged_into_id, member.id)
+            WHERE m.list_id = ?
+        `, [id]);
+    }
+
+    /**
+     * Contacts of the conversations carrying a label
+     */
+    static async findContactIdsByLabel(label) {
+        const rows = await query(`
+            SELECT DISTINCT contact_id FROM conversations
+            WHERE contact_id IS NOT NULL AND JSON_CONTAINS(labels, JSON_QUOTE(?))
+        `, [label]);
+        return rows.map(row => row.contact_id);
+    }
+}
+
+export default ContactList;
@@ -1,6 +1,18 @@
 import { query, queryOne, insert, update } from '../config/database.js';
 import { v4 as uuidv4 } from 'uuid';
 
+/**
+ * Parse a labels JSON value into an array of label names
+ */
+function parseLabels(labels) {
+    if (!labels) return [];
+    const parsed = typeof labels === 'string' ? JSON.parse(labels) : labels;
+    return Array.isArray(parsed) ? parsed : [];
+}
+
+// Keeps resolved_at in step with a status change (the new status is bound to ?)
+const RESOLVED_AT_CLAUSE = "resolved_at = IF(? = 'resolved', COALESCE(resolved_at, CURRENT_TIMESTAMP), NULL)";
+
 /**
  * Conversation Model - Chat threads with contacts
  */
@@ -11,10 +23,12 @@ export class Conversation {
     static async findById(id) {
         return queryOne(`
             SELECT c.*, ch.platform, ch.name as channel_name,
-                   a.first_name as agent_first_name, a.last_name as agent_last_name
+                   a.first_name as agent_first_name, a.last_name as agent_last_name,
+                   ct.uuid as contact_uuid
             FROM conversations c
             LEFT JOIN channels ch ON c.channel_id = ch.id
             LEFT JOIN agents a ON c.assigned_agent_id = a.id
+            LEFT JOIN contacts ct ON c.contact_id = ct.id
             WHERE c.id = ?
         `, [id]);
     }
@@ -25,10 +39,12 @@ export class Conversation {
     static async findByUuid(uuid) {
         return queryOne(`
             SELECT c.*, ch.platform, ch.name as channel_name,
-                   a.first_name as agent_first_name, a.last_name as agent_last_name
+                   a.first_name as agent_first_name, a.last_name as agent_last_name,
+                   ct.uuid as contact_uuid
             FROM conversations c
             LEFT JOIN channels ch ON c.channel_id = ch.id
             LEFT JOIN agents a ON c.assigned_agent_id = a.id
+            LEFT JOIN contacts ct ON c.contact_id = ct.id
             WHERE c.uuid = ?
         `, [uuid]);
     }
@@ -52,6 +68,11 @@ export class Conversation {
         platform = null,
         status = null,
         agentId = null,
+        restrictToAgentId = null,
+        label = null,
+        intent = null,
+        sentiment = null,
+        sla = null,
         unreadOnly = false,
         search = null,
         page = 1,
@@ -75,14 +96,47 @@ export class Conversation {
             params.push(agentId);
         }
 
+        // Agents with only the viewAssigned permission see their own conversations
+        if (restrictToAgentId) {
+            whereClause += ' AND c.assigned_agent_id = ?';
+            params.push(restrictToAgentId);
+        }
+
+        if (label) {
+            whereClause += ' AND JSON_CONTAINS(c.labels, JSON_QUOTE(?))';
+            params.push(label);
+        }
+
+        if (intent) {
+            whereClause += ' AND c.intent = ?';
+            params.push(intent);
+        }
+
+        // negative / neutral / positive around the AI sentiment score
+        if (sentiment === 'negative') {
+            whereClause += ' AND c.sentiment <= -0.25';
+        } else if (sentiment === 'positive') {
+            whereClause += ' AND c.sentiment >= 0.25';
+        } else if (sentiment === 'neutral') {
+            whereClause += ' AND c.sentiment > -0.25 AND c.sentiment < 0.25';
+        }
+
+        // ok / at_risk / breached, or 'attention' for either of the last two
+        if (sla === 'attention') {
+            whereClause += " AND c.sla_state IN ('at_risk', 'breached')";
+        } else if (sla) {
+            whereClause += ' AND c.sla_state = ?';
+            params.push(sla);
+        }
+
         if (unreadOnly) {
             whereClause += ' AND c.unread_count > 0';
         }
 
         if (search) {
-            whereClause += ' AND (c.contact_name LIKE ? OR c.contact_identifier LIKE ?)';
+            whereClause += ' AND (c.contact_name LIKE ? OR c.contact_identifier LIKE ? OR c.summary LIKE ?)';
             const searchPattern = `%${search}%`;
-            params.push(searchPattern, searchPattern);
+            params.push(searchPattern, searchPattern, searchPattern);
         }
 
         // Count total
@@ -140,7 +194,7 @@ export class Conversation {
      * Update conversation
      */
     static async update(id, updates) {
-        const allowedFields = ['contact_name', 'contact_avatar', 'contact_phone', 'contact_email', 'status', 'assigned_agent_id', 'notes', 'labels'];
+        const allowedFields = ['contact_name', 'contact_avatar', 'contact_phone', 'contact_email', 'status'];
         const setClause = [];
         const params = [];
 
@@ -148,7 +202,12 @@ export class Conversation {
             const dbKey = key.replace(/([A-Z])/g, '_$1').toLowerCase();
             if (allowedFields.includes(dbKey)) {
                 setClause.push(`${dbKey} = ?`);
-                params.push(dbKey === 'labels' ? JSON.stringify(value) : value);
+                params.push(value);
+
+                if (dbKey === 'status') {
+                    setClause.push(RESOLVED_AT_CLAUSE);
+                    params.push(value);
+                }
             }
         }
 
@@ -163,6 +222,47 @@ export class Conversation {
         return this.findById(id);
     }
 
+    /**
+     * Add labels to a conversation (names already present are kept once)
+     */
+    static async addLabels(id, names) {
+        const conversation = await queryOne('SELECT labels FROM conversations WHERE id = ?', [id]);
+        if (!conversation) return null;
+
+        const labels = parseLabels(conversation.labels);
+        for (const name of names) {
+            if (!labels.includes(name)) labels.push(name);
+        }
+
+        await update('UPDATE conversations SET labels = ? WHERE id = ?', [JSON.stringify(labels), id]);
+        return this.findById(id);
+    }
+
+    /**
+     * Remove labels from a conversation
+     */
+    static async removeLabels(id, names) {
+        const conversation = await queryOne('SELECT labels FROM conversations WHERE id = ?', [id]);
+        if (!conversation) return null;
+
+        const labels = parseLabels(conversation.labels).filter(name => !names.includes(name));
+
+        await update('UPDATE conversations SET labels = ? WHERE id = ?', [JSON.stringify(labels), id]);
+        return this.findById(id);
+    }
+
+    /**
+     * Set the status of many conversations at once
+     * @returns {Promise<number>} Rows changed
+     */
+    static async bulkUpdateStatus(ids, status) {
+        if (ids.length === 0) return 0;
+        return update(
+            `UPDATE conversations SET status = ?, ${RESOLVED_AT_CLAUSE} WHERE id IN (${ids.map(() => '?').join(', ')})`,
+            [status, status, ...ids]
+        );
+    }
+
     /**
      * Increment unread count and update last message
      */
@@ -177,6 +277,19 @@ export class Conversation {
         return this.findById(id);
     }
 
+    /**
+     * Update last message preview without touching the unread count (outgoing messages)
+     */
+    static async setLastMessage(id, lastMessage) {
+        await update(`
+            UPDATE conversations 
+            SET last_message = ?,
+                last_message_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [lastMessage.substring(0, 100), id]);
+        return this.findById(id);
+    }
+
     /**
      * Mark conversation as read
      */
@@ -189,10 +302,239 @@ export class Conversation {
      * Assign agent to conversation
      */
     static async assignAgent(id, agentId) {
-        await update('UPDATE conversations SET assigned_agent_id = ? WHERE id = ?', [agentId, id]);
+        await update(
+            'UPDATE conversations SET assigned_agent_id = ?, assigned_at = IF(? IS NULL, NULL, CURRENT_TIMESTAMP) WHERE id = ?',
+            [agentId, agentId, id]
+        );
+        return this.findById(id);
+    }
+
+    /**
+     * Give the conversation to the AI auto-responder
+     */
+    static async startBot(id) {
+        await update(
+            "UPDATE conversations SET status = 'bot', bot_handoff_reason = NULL, bot_handoff_at = NULL WHERE id = ?",
+            [id]
+        );
+        return this.findById(id);
+    }
+
+    /**
+     * Hand a bot conversation over to the agents - only one caller gets true
+     * @param {string} reason - Why the bot stopped (human_requested, quote_request, low_confidence, ...)
+     */
+    static async handOffFromBot(id, reason) {
+        const affected = await update(`
+            UPDATE conversations
+            SET status = 'active', bot_handoff_reason = ?, bot_handoff_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'bot'
+        `, [reason, id]);
+        return affected > 0;
+    }
+
+    /**
+     * Store the AI summary, intent and sentiment of a conversation
+     */
+    static async setInsights(id, { summary, intent, sentiment }) {
+        await update(`
+            UPDATE conversations
+            SET summary = ?, intent = ?, sentiment = ?, insights_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [summary, intent, sentiment, id]);
         return this.findById(id);
     }
 
+    /**
+     * Claim the away reply for a closed period - only one caller gets true
+     * until the channel reopens
+     * @param {Date} until - When the channel next opens
+     */
+    static async claimAwayReply(id, until) {
+        const affected = await update(`
+            UPDATE conversations SET away_reply_until = ?
+            WHERE id = ? AND (away_reply_until IS NULL OR away_reply_until <= ?)
+        `, [until, id, new Date()]);
+        return affected > 0;
+    }
+
+    /**
+     * Get open conversations whose assignee went offline without replying
+     * since the conversation was assigned (auto-assigning channels only)
+     * @param {number} agentId - Limit to one agent's conversations
+     */
+    static async findUnattended(agentId = null) {
+        let agentClause = '';
+        const params = [];
+
+        if (agentId) {
+            agentClause = ' AND c.assigned_agent_id = ?';
+            params.push(agentId);
+        }
+
+        return query(`
+            SELECT c.*, ch.platform, ch.assignment_strategy
+            FROM conversations c
+            JOIN channels ch ON c.channel_id = ch.id
+            JOIN agents a ON c.assigned_agent_id = a.id
+            WHERE c.status IN ('active', 'pending')
+              AND ch.assignment_strategy <> 'manual'
+              AND a.is_online = 0
+              AND NOT EXISTS (
+                  SELECT 1 FROM messages m
+                  WHERE m.conversation_id = c.id AND m.direction = 'outgoing'
+                    AND m.agent_id = c.assigned_agent_id AND m.created_at >= c.assigned_at
+              )${agentClause}
+            ORDER BY c.assigned_at ASC
+        `, params);
+    }
+
+    /**
+     * Get open, unassigned conversations waiting on auto-assigning channels
+     */
+    static async findAwaitingAssignment(limit = 50) {
+        return query(`
+            SELECT c.*, ch.platform, ch.assignment_strategy
+            FROM conversations c
+            JOIN channels ch ON c.channel_id = ch.id
+            WHERE c.status IN ('active', 'pending')
+              AND c.assigned_agent_id IS NULL
+              AND ch.assignment_strategy <> 'manual'
+            ORDER BY c.created_at ASC
+            LIMIT ?
+        `, [limit]);
+    }
+
+    /**
+     * Get conversations active in a period, for bulk transcript export
+     * @param {Object} options - Export filters
+     * @param {Date} options.from - Last message at or after
+     * @param {Date} options.to - Started at or before
+     * @param {string} options.label - Label name
+     * @param {number} options.restrictToAgentId - Only this agent's conversations (viewAssigned)
+     * @param {number} options.limit - Maximum conversations
+     */
+    static async findForExport({ from = null, to = null, label = null, restrictToAgentId = null, limit = 500 } = {}) {
+        let whereClause = 'WHERE 1=1';
+        const params = [];
+
+        if (from) {
+            whereClause += ' AND COALESCE(c.last_message_at, c.created_at) >= ?';
+            params.push(from);
+        }
+
+        if (to) {
+            whereClause += ' AND c.created_at <= ?';
+            params.push(to);
+        }
+
+        if (label) {
+            whereClause += ' AND JSON_CONTAINS(c.labels, JSON_QUOTE(?))';
+            params.push(label);
+        }
+
+        if (restrictToAgentId) {
+            whereClause += ' AND c.assigned_agent_id = ?';
+            params.push(restrictToAgentId);
+        }
+
+        return query(`
+            SELECT c.*, ch.platform, ch.name as channel_name,
+                   a.first_name as agent_first_name, a.last_name as agent_last_name,
+                   ct.uuid as contact_uuid
+            FROM conversations c
+            LEFT JOIN channels ch ON c.channel_id = ch.id
+            LEFT JOIN agents a ON c.assigned_agent_id = a.id
+            LEFT JOIN contacts ct ON c.contact_id = ct.id
+            ${whereClause}
+            ORDER BY c.created_at ASC
+            LIMIT ?
+        `, [...params, limit]);
+    }
+
+    /**
+     * Conversations started in a period (reports)
+     * @param {Object} options - { from, to, channelId }
+     */
+    static async findCreatedBetween({ from, to, channelId = null }) {
+        return query(`
+            SELECT c.id, c.uuid, c.channel_id, c.assigned_agent_id, c.status, c.created_at, c.resolved_at,
+                   ch.platform, ch.name as channel_name
+            FROM conversations c
+            JOIN channels ch ON c.channel_id = ch.id
+            WHERE c.created_at BETWEEN ? AND ?${channelId ? ' AND c.channel_id = ?' : ''}
+            ORDER BY c.created_at ASC
+        `, channelId ? [from, to, channelId] : [from, to]);
+    }
+
+    /**
+     * Conversations resolved in a period (reports)
+     * @param {Object} options - { from, to, channelId }
+     */
+    static async findResolvedBetween({ from, to, channelId = null }) {
+        return query(`
+            SELECT c.id, c.uuid, c.channel_id, c.assigned_agent_id, c.created_at, c.resolved_at,
+                   ch.platform, ch.name as channel_name
+            FROM conversations c
+            JOIN channels ch ON c.channel_id = ch.id
+            WHERE c.status = 'resolved' AND c.resolved_at BETWEEN ? AND ?${channelId ? ' AND c.channel_id = ?' : ''}
+            ORDER BY c.resolved_at ASC
+        `, channelId ? [from, to, channelId] : [from, to]);
+    }
+
+    /**
+     * Open conversations whose customer is waiting for a reply, with the time
+     * of the oldest message nobody (human) has answered yet and whether a
+     * human has replied before (next rather than first response)
+     * @param {number} channelId - Limit to one channel
+     */
+    static async findBacklog(channelId = null) {
+        return query(`
+            SELECT * FROM (
+                SELECT c.id, c.uuid, c.channel_id, c.assigned_agent_id, c.status, c.contact_name, c.labels,
+                       c.sla_policy_id, c.sla_target, c.sla_state, c.sla_due_at,
+                       ch.platform, ch.name as channel_name,
+                       EXISTS (SELECT 1 FROM messages r
+                               WHERE r.conversation_id = c.id AND r.direction = 'outgoing'
+                                 AND COALESCE(JSON_VALUE(r.metadata, '$.automated'), 'false') <> 'true') as has_human_reply,
+                       (SELECT MIN(m.created_at) FROM messages m
+                        WHERE m.conversation_id = c.id AND m.direction = 'incoming'
+                          AND m.created_at > COALESCE((
+                              SELECT MAX(o.created_at) FROM messages o
+                              WHERE o.conversation_id = c.id AND o.direction = 'outgoing'
+                                AND COALESCE(JSON_VALUE(o.metadata, '$.automated'), 'false') <> 'true'
+                          ), '1970-01-02')) as waiting_since
+                FROM conversations c
+                JOIN channels ch ON c.channel_id = ch.id
+                WHERE c.status IN ('active', 'pending')${channelId ? ' AND c.channel_id = ?' : ''}
+            ) backlog
+            WHERE waiting_since IS NOT NULL
+            ORDER BY waiting_since ASC
+        `, channelId ? [channelId] : []);
+    }
+
+    /**
+     * Conversations with an SLA clock running
+     */
+    static async findWithSlaState() {
+        return query(`
+            SELECT id, uuid, channel_id, assigned_agent_id, sla_policy_id, sla_target, sla_state, sla_due_at
+            FROM conversations
+            WHERE sla_state IS NOT NULL
+        `);
+    }
+
+    /**
+     * Store the SLA clock of a conversation (null stops it)
+     * @param {Object|null} sla - { policyId, target, state, dueAt }
+     */
+    static async setSlaState(id, sla) {
+        await update(
+            'UPDATE conversations SET sla_policy_id = ?, sla_target = ?, sla_state = ?, sla_due_at = ? WHERE id = ?',
+            sla ? [sla.policyId, sla.target, sla.state, sla.dueAt, id] : [null, null, null, null, id]
+        );
+    }
+
     /**
      * Get unread count across all conversations
      */
@@ -0,0 +1,125 @@
+import { query, queryOne, insert, update } from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * ConversationNote Model - Internal notes thread on a conversation
+ */
+export class ConversationNote {
+    /**
+     * Find note by ID (with author name)
+     */
+    static async findById(id) {
+        return queryOne(`
+            SELECT n.*, a.uuid as agent_uuid, a.first_name as agent_first_name, a.last_name as agent_last_name
+            FROM conversation_notes n
+            LEFT JOIN agents a ON n.agent_id = a.id
+            WHERE n.id = ?
+        `, [id]);
+    }
+
+    /**
+     * Find note by UUID (with author name)
+     */
+    static async findByUuid(uuid) {
+        return queryOne(`
+            SELECT n.*, a.uuid as agent_uuid, a.first_name as agent_first_name, a.last_name as agent_last_name
+            FROM conversation_notes n
+            LEFT JOIN agents a ON n.agent_id = a.id
+            WHERE n.uuid = ?
+        `, [uuid]);
+    }
+
+    /**
+     * Get a conversation's notes, oldest first (deleted notes keep their place without content)
+     */
+    static async findByConversation(conversationId) {
+        return query(`
+            SELECT n.id, n.uuid, n.conversation_id, n.agent_id, n.mentions, n.is_deleted,
+                   n.edited_at, n.deleted_at, n.created_at,
+                   CASE WHEN n.is_deleted THEN NULL ELSE n.content END as content,
+                   a.uuid as agent_uuid, a.first_name as agent_first_name, a.last_name as agent_last_name,
+                   (SELECT COUNT(*) FROM conversation_note_revisions r WHERE r.note_id = n.id) as revision_count
+            FROM conversation_notes n
+            LEFT JOIN agents a ON n.agent_id = a.id
+            WHERE n.conversation_id = ?
+            ORDER BY n.created_at ASC, n.id ASC
+        `, [conversationId]);
+    }
+
+    /**
+     * Create new note
+     */
+    static async create(noteData) {
+        const {
+            conversationId,
+            agentId = null,
+            content,
+            mentions = []
+        } = noteData;
+
+        const uuid = uuidv4();
+
+        const id = await insert(`
+            INSERT INTO conversation_notes (uuid, conversation_id, agent_id, content, mentions)
+            VALUES (?, ?, ?, ?, ?)
+        `, [uuid, conversationId, agentId, content, JSON.stringify(mentions)]);
+
+        return this.findById(id);
+    }
+
+    /**
+     * Edit a note, keeping the previous content in its history
+     */
+    static async edit(id, { content, mentions = [], editedBy = null }) {
+        const note = await this.findById(id);
+        if (!note) return null;
+
+        await insert(
+            'INSERT INTO conversation_note_revisions (note_id, action, content, agent_id) VALUES (?, ?, ?, ?)',
+            [id, 'edit', note.content, editedBy]
+        );
+
+        await update(
+            'UPDATE conversation_notes SET content = ?, mentions = ?, edited_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [content, JSON.stringify(mentions), id]
+        );
+
+        return this.findById(id);
+    }
+
+    /**
+     * Delete a note (kept in history, hidden from the thread)
+     */
+    static async softDelete(id, deletedBy = null) {
+        const note = await this.findById(id);
+        if (!note) return null;
+
+        await insert(
+            'INSERT INTO conversation_note_revisions (note_id, action, content, agent_id) VALUES (?, ?, ?, ?)',
+            [id, 'delete', note.content, deletedBy]
+        );
+
+        await update(
+            'UPDATE conversation_notes SET is_deleted = 1, deleted_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [id]
+        );
+
+        return this.findById(id);
+    }
+
+    /**
+     * Get the edit/delete history of a note, newest first
+     */
+    static async getHistory(id) {
+        return query(`
+            SELECT r.id, r.action, r.content, r.created_at,
+                   a.uuid as agent_uuid, a.first_name as agent_first_name, a.last_name as agent_last_name
+            FROM conversation_note_revisions r
+            LEFT JOIN agents a ON r.agent_id = a.id
+            WHERE r.note_id = ?
+            ORDER BY r.created_at DESC, r.id DESC
+        `, [id]);
+    }
+}
+
+export default ConversationNote;
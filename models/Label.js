@@ -0,0 +1,147 @@
+import { query, queryOne, insert, update } from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Parse a conversations.labels value into an array of names
+ */
+function parseLabels(labels) {
+    if (!labels) return [];
+    const parsed = typeof labels === 'string' ? JSON.parse(labels) : labels;
+    return Array.isArray(parsed) ? parsed : [];
+}
+
+/**
+ * Label Model - Catalogue of conversation labels (conversations.labels holds label names)
+ */
+export class Label {
+    /**
+     * Find label by ID
+     */
+    static async findById(id) {
+        return queryOne('SELECT * FROM labels WHERE id = ?', [id]);
+    }
+
+    /**
+     * Find label by UUID
+     */
+    static async findByUuid(uuid) {
+        return queryOne('SELECT * FROM labels WHERE uuid = ?', [uuid]);
+    }
+
+    /**
+     * Find label by name
+     */
+    static async findByName(name) {
+        return queryOne('SELECT * FROM labels WHERE name = ?', [name]);
+    }
+
+    /**
+     * Find labels by names (unknown names are left out)
+     */
+    static async findByNames(names) {
+        if (names.length === 0) return [];
+        return query(
+            `SELECT * FROM labels WHERE name IN (${names.map(() => '?').join(', ')})`,
+            names
+        );
+    }
+
+    /**
+     * Get all labels with the number of conversations using each
+     */
+    static async findAll() {
+        return query(`
+            SELECT l.*,
+                   (SELECT COUNT(*) FROM conversations c
+                    WHERE JSON_CONTAINS(c.labels, JSON_QUOTE(l.name))) as conversation_count
+            FROM labels l
+            ORDER BY l.name ASC
+        `);
+    }
+
+    /**
+     * Create new label
+     */
+    static async create(labelData) {
+        const {
+            name,
+            color = '#6b7280',
+            description = null,
+            createdBy = null
+        } = labelData;
+
+        const uuid = uuidv4();
+
+        const id = await insert(`
+            INSERT INTO labels (uuid, name, color, description, created_by)
+            VALUES (?, ?, ?, ?, ?)
+        `, [uuid, name.trim(), color, description, createdBy]);
+
+        return this.findById(id);
+    }
+
+    /**
+     * Update label (a rename is applied to every conversation using it)
+     */
+    static async update(id, updates) {
+        const label = await this.findById(id);
+        if (!label) return null;
+
+        const allowedFields = ['name', 'color', 'description'];
+        const setClause = [];
+        const params = [];
+
+        for (const [key, value] of Object.entries(updates)) {
+            if (allowedFields.includes(key)) {
+                setClause.push(`${key} = ?`);
+                params.push(key === 'name' ? value.trim() : value);
+            }
+        }
+
+        if (setClause.length > 0) {
+            params.push(id);
+            await update(
+                `UPDATE labels SET ${setClause.join(', ')} WHERE id = ?`,
+                params
+            );
+        }
+
+        if (updates.name && updates.name.trim() !== label.name) {
+            await this.replaceOnConversations(label.name, updates.name.trim());
+        }
+
+        return this.findById(id);
+    }
+
+    /**
+     * Delete label and remove it from conversations
+     */
+    static async delete(id) {
+        const label = await this.findById(id);
+        if (!label) return false;
+
+        await this.replaceOnConversations(label.name, null);
+        const affected = await update('DELETE FROM labels WHERE id = ?', [id]);
+        return affected > 0;
+    }
+
+    /**
+     * Rename (or remove, when newName is null) a label on every conversation
+     */
+    static async replaceOnConversations(oldName, newName) {
+        const conversations = await query(
+            'SELECT id, labels FROM conversations WHERE JSON_CONTAINS(labels, JSON_QUOTE(?))',
+            [oldName]
+        );
+
+        for (const conversation of conversations) {
+            const labels = parseLabels(conversation.labels)
+                .map(name => name === oldName ? newName : name)
+                .filter((name, i, all) => name !== null && all.indexOf(name) === i);
+
+            await update('UPDATE conversations SET labels = ? WHERE id = ?', [JSON.stringify(labels), conversation.id]);
+        }
+    }
+}
+
+export default Label;
@@ -0,0 +1,56 @@
+import { queryOne, insert, update } from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Media Model - Files stored under uploads/ (media library and inbox attachments)
+ */
+export class Media {
+    /**
+     * Find media by ID
+     */
+    static async findById(id) {
+        return queryOne('SELECT * FROM media WHERE id = ?', [id]);
+    }
+
+    /**
+     * Find media by UUID
+     */
+    static async findByUuid(uuid) {
+        return queryOne('SELECT * FROM media WHERE uuid = ?', [uuid]);
+    }
+
+    /**
+     * Create media record
+     */
+    static async create(mediaData) {
+        const {
+            filename,
+            originalName,
+            mimeType = null,
+            size = null,
+            path,
+            altText = null,
+            caption = null,
+            uploadedBy = null
+        } = mediaData;
+
+        const uuid = uuidv4();
+
+        const id = await insert(`
+            INSERT INTO media (uuid, filename, original_name, mime_type, size, path, alt_text, caption, uploaded_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [uuid, filename, originalName, mimeType, size, path, altText, caption, uploadedBy]);
+
+        return this.findById(id);
+    }
+
+    /**
+     * Delete media record
+     */
+    static async delete(id) {
+        const affected = await update('DELETE FROM media WHERE id = ?', [id]);
+        return affected > 0;
+    }
+}
+
+export default Media;
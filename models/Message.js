@@ -1,6 +1,20 @@
 import { query, queryOne, insert, update } from '../config/database.js';
 import { v4 as uuidv4 } from 'uuid';
 
+// Delivery lifecycle of an outgoing message
+const STATUS_ORDER = ['pending', 'sent', 'delivered', 'read'];
+
+/**
+ * Whether moving from one status to another is progress
+ * ('failed' can still be superseded by a receipt from the platform)
+ */
+function isStatusAdvance(current, next) {
+    if (current === next) return false;
+    if (next === 'failed') return current === 'pending' || current === 'sent';
+    if (current === 'failed') return true;
+    return STATUS_ORDER.indexOf(next) > STATUS_ORDER.indexOf(current);
+}
+
 /**
  * Message Model - Individual messages in conversations
  */
@@ -19,6 +33,13 @@ export class Message {
         return queryOne('SELECT * FROM messages WHERE uuid = ?', [uuid]);
     }
 
+    /**
+     * Find message by platform message ID
+     */
+    static async findByExternalId(externalId) {
+        return queryOne('SELECT * FROM messages WHERE external_id = ? LIMIT 1', [externalId]);
+    }
+
     /**
      * Get messages for a conversation
      */
@@ -38,6 +59,82 @@ export class Message {
         return messages.reverse();
     }
 
+    /**
+     * Get every message of a conversation, oldest first (transcript export)
+     */
+    static async findAllByConversation(conversationId) {
+        return query(`
+            SELECT m.*, a.first_name as agent_first_name, a.last_name as agent_last_name
+            FROM messages m
+            LEFT JOIN agents a ON m.agent_id = a.id
+            WHERE m.conversation_id = ?
+            ORDER BY m.created_at ASC, m.id ASC
+        `, [conversationId]);
+    }
+
+    /**
+     * Customer waits of a period and the human reply that ended each (reports).
+     * A wait starts at the first customer message after a human reply (or the
+     * first of the conversation) and ends at the next human reply; away
+     * replies and bot answers don't end it
+     * @param {Object} options - { from, to, channelId }
+     * @returns {Promise<Array>} [{ conversation_id, channel_id, conversation_created_at,
+     *   is_first, agent_id, seconds }] - seconds/agent_id are null while unanswered
+     */
+    static async findResponseWaits({ from, to, channelId = null }) {
+        return query(`
+            WITH period_messages AS (
+                SELECT m.id, m.conversation_id, m.direction, m.agent_id, m.created_at,
+                       c.channel_id, c.created_at as conversation_created_at,
+                       (m.direction = 'outgoing'
+                        AND COALESCE(JSON_VALUE(m.metadata, '$.automated'), 'false') <> 'true') as is_human
+                FROM messages m
+                JOIN conversations c ON m.conversation_id = c.id
+                WHERE m.created_at BETWEEN ? AND ?${channelId ? ' AND c.channel_id = ?' : ''}
+            ),
+            segmented AS (
+                -- Human replies before each message: a wait and its reply share the count
+                SELECT pm.*,
+                       COALESCE(SUM(pm.is_human) OVER (
+                           PARTITION BY pm.conversation_id ORDER BY pm.created_at, pm.id
+                           ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING
+                       ), 0) as segment
+                FROM period_messages pm
+            ),
+            waits AS (
+                SELECT conversation_id, channel_id, conversation_created_at, segment,
+                       MIN(created_at) as waiting_since
+                FROM segmented
+                WHERE direction = 'incoming'
+                GROUP BY conversation_id, channel_id, conversation_created_at, segment
+            )
+            SELECT w.conversation_id, w.channel_id, w.conversation_created_at,
+                   w.segment = MIN(w.segment) OVER (PARTITION BY w.conversation_id) as is_first,
+                   r.agent_id,
+                   GREATEST(0, TIMESTAMPDIFF(SECOND, w.waiting_since, r.created_at)) as seconds
+            FROM waits w
+            LEFT JOIN segmented r
+                ON r.conversation_id = w.conversation_id AND r.segment = w.segment AND r.is_human = 1
+        `, channelId ? [from, to, channelId] : [from, to]);
+    }
+
+    /**
+     * Messages of a period per hour of the day in UAE time (UTC+4, no DST)
+     * and direction (reports)
+     * @param {Object} options - { from, to, channelId }
+     * @returns {Promise<Array>} [{ hour, direction, count }]
+     */
+    static async countByHour({ from, to, channelId = null }) {
+        return query(`
+            SELECT FLOOR(MOD(UNIX_TIMESTAMP(m.created_at) + 4 * 3600, 86400) / 3600) as hour,
+                   m.direction, COUNT(*) as count
+            FROM messages m
+            ${channelId ? 'JOIN conversations c ON m.conversation_id = c.id' : ''}
+            WHERE m.created_at BETWEEN ? AND ?${channelId ? ' AND c.channel_id = ?' : ''}
+            GROUP BY hour, m.direction
+        `, channelId ? [from, to, channelId] : [from, to]);
+    }
+
     /**
      * Create new message
      */
@@ -71,11 +168,268 @@ export class Message {
         return this.findById(id);
     }
 
+    /**
+     * Mark message as sent and store the platform's message ID
+     */
+    static async markSent(id, externalId = null) {
+        await update(
+            'UPDATE messages SET status = ?, external_id = COALESCE(?, external_id) WHERE id = ?',
+            ['sent', externalId, id]
+        );
+        return this.findById(id);
+    }
+
+    /**
+     * Mark message as failed and keep the error in metadata
+     */
+    static async markFailed(id, error) {
+        await this.mergeMetadata(id, { error, failedAt: new Date().toISOString() });
+        return this.updateStatus(id, 'failed');
+    }
+
+    /**
+     * Merge keys into the message metadata JSON
+     */
+    static async mergeMetadata(id, values) {
+        const message = await this.findById(id);
+        if (!message) return null;
+
+        const current = typeof message.metadata === 'string'
+            ? JSON.parse(message.metadata)
+            : message.metadata;
+
+        await update(
+            'UPDATE messages SET metadata = ? WHERE id = ?',
+            [JSON.stringify({ ...(current || {}), ...values }), id]
+        );
+        return this.findById(id);
+    }
+
+    /**
+     * Set or remove someone's reaction to a message (one reaction per person)
+     * @param {Object} reaction - { from, fromMe, emoji } (emoji null = removed)
+     * @returns {Promise<Object|null>} Updated message (with conversation_uuid)
+     */
+    static async setReaction(id, { from, fromMe = false, emoji }) {
+        const message = await this.findById(id);
+        if (!message) return null;
+
+        const current = (typeof message.metadata === 'string'
+            ? JSON.parse(message.metadata)
+            : message.metadata) || {};
+
+        const reactions = (current.reactions || []).filter(reaction => reaction.from !== from);
+        if (emoji) {
+            reactions.push({ from, fromMe, emoji, reactedAt: new Date().toISOString() });
+        }
+
+        await this.mergeMetadata(id, { reactions });
+        return this.findWithConversation(id);
+    }
+
+    /**
+     * Attach stored media to an existing message
+     */
+    static async updateMedia(id, { mediaUrl, contentType, metadata = {} }) {
+        await update(
+            'UPDATE messages SET media_url = ?, content_type = ? WHERE id = ?',
+            [mediaUrl, contentType, id]
+        );
+        return this.mergeMetadata(id, metadata);
+    }
+
     /**
      * Update message by external ID (for delivery/read receipts)
+     * Status only moves forward, so a late 'delivered' never overwrites 'read'
+     * @returns {Promise<Object|null>} Updated message (with conversation_uuid) or null if unchanged
      */
     static async updateStatusByExternalId(externalId, status) {
-        await update('UPDATE messages SET status = ? WHERE external_id = ?', [status, externalId]);
+        const message = await this.findByExternalId(externalId);
+
+        if (!message || !isStatusAdvance(message.status, status)) {
+            return null;
+        }
+
+        await update('UPDATE messages SET status = ? WHERE id = ?', [status, message.id]);
+        return this.findWithConversation(message.id);
+    }
+
+    /**
+     * Advance all outgoing messages sent up to a watermark (Messenger delivery/read receipts)
+     * @param {number} conversationId - Conversation ID
+     * @param {string} status - 'delivered' or 'read'
+     * @param {Date} watermark - Everything sent before this time is covered
+     * @returns {Promise<Array>} Updated messages (with conversation_uuid)
+     */
+    static async advanceStatusUpTo(conversationId, status, watermark) {
+        // Only messages that reached the platform - queued ones were never sent
+        const lowerStatuses = STATUS_ORDER.slice(STATUS_ORDER.indexOf('sent'), STATUS_ORDER.indexOf(status));
+        if (lowerStatuses.length === 0) return [];
+
+        const placeholders = lowerStatuses.map(() => '?').join(', ');
+        const messages = await query(`
+            SELECT id FROM messages
+            WHERE conversation_id = ? AND direction = 'outgoing' AND external_id IS NOT NULL
+              AND status IN (${placeholders}) AND created_at <= ?
+        `, [conversationId, ...lowerStatuses, watermark]);
+
+        if (messages.length === 0) return [];
+
+        const ids = messages.map(m => m.id);
+        await update(
+            `UPDATE messages SET status = ? WHERE id IN (${ids.map(() => '?').join(', ')})`,
+            [status, ...ids]
+        );
+
+        return query(`
+            SELECT m.*, c.uuid as conversation_uuid, c.channel_id
+            FROM messages m
+            JOIN conversations c ON m.conversation_id = c.id
+            WHERE m.id IN (${ids.map(() => '?').join(', ')})
+        `, ids);
+    }
+
+    /**
+     * Find message with its conversation UUID and channel
+     */
+    static async findWithConversation(id) {
+        return queryOne(`
+            SELECT m.*, c.uuid as conversation_uuid, c.channel_id
+            FROM messages m
+            JOIN conversations c ON m.conversation_id = c.id
+            WHERE m.id = ?
+        `, [id]);
+    }
+
+    /**
+     * Get the messages around one message (jump to a search result)
+     * @param {number} conversationId - Conversation ID
+     * @param {number} messageId - Message to center on
+     * @param {Object} options - { before, after } number of messages each side
+     * @returns {Promise<Array>} Messages oldest first
+     */
+    static async findAround(conversationId, messageId, { before = 25, after = 25 } = {}) {
+        const older = await query(`
+            SELECT m.*, a.first_name as agent_first_name, a.last_name as agent_last_name
+            FROM messages m
+            LEFT JOIN agents a ON m.agent_id = a.id
+            WHERE m.conversation_id = ? AND m.id < ?
+            ORDER BY m.id DESC
+            LIMIT ?
+        `, [conversationId, messageId, before]);
+
+        const newer = await query(`
+            SELECT m.*, a.first_name as agent_first_name, a.last_name as agent_last_name
+            FROM messages m
+            LEFT JOIN agents a ON m.agent_id = a.id
+            WHERE m.conversation_id = ? AND m.id >= ?
+            ORDER BY m.id ASC
+            LIMIT ?
+        `, [conversationId, messageId, after + 1]);
+
+        return older.reverse().concat(newer);
+    }
+
+    /**
+     * Full-text search over message content
+     * @param {Object} options - Search options
+     * @param {string} options.booleanQuery - MATCH ... AGAINST query (boolean mode)
+     * @param {Array<string>} options.likeTerms - Fallback terms when no word is indexable
+     * @param {number} options.channelId - Channel ID
+     * @param {number} options.agentId - Agent the conversation is assigned to
+     * @param {number} options.restrictToAgentId - Only this agent's conversations (viewAssigned)
+     * @param {string} options.direction - 'incoming' or 'outgoing'
+     * @param {string} options.dateFrom - Earliest message date (inclusive)
+     * @param {string} options.dateTo - Latest message date (inclusive)
+     * @returns {Promise<Object>} { messages, pagination }
+     */
+    static async search({
+        booleanQuery = null,
+        likeTerms = [],
+        channelId = null,
+        agentId = null,
+        restrictToAgentId = null,
+        direction = null,
+        dateFrom = null,
+        dateTo = null,
+        page = 1,
+        limit = 20
+    } = {}) {
+        let whereClause = 'WHERE 1=1';
+        const params = [];
+        let relevance = '0';
+        const relevanceParams = [];
+
+        if (booleanQuery) {
+            whereClause += ' AND MATCH(m.content) AGAINST (? IN BOOLEAN MODE)';
+            params.push(booleanQuery);
+            relevance = 'MATCH(m.content) AGAINST (? IN BOOLEAN MODE)';
+            relevanceParams.push(booleanQuery);
+        } else {
+            for (const term of likeTerms) {
+                whereClause += ' AND m.content LIKE ?';
+                params.push(`%${term}%`);
+            }
+        }
+
+        if (channelId) {
+            whereClause += ' AND c.channel_id = ?';
+            params.push(channelId);
+        }
+
+        if (agentId) {
+            whereClause += ' AND c.assigned_agent_id = ?';
+            params.push(agentId);
+        }
+
+        if (restrictToAgentId) {
+            whereClause += ' AND c.assigned_agent_id = ?';
+            params.push(restrictToAgentId);
+        }
+
+        if (direction) {
+            whereClause += ' AND m.direction = ?';
+            params.push(direction);
+        }
+
+        if (dateFrom) {
+            whereClause += ' AND m.created_at >= ?';
+            params.push(dateFrom);
+        }
+
+        if (dateTo) {
+            whereClause += ' AND m.created_at < DATE_ADD(?, INTERVAL 1 DAY)';
+            params.push(dateTo);
+        }
+
+        const countResult = await queryOne(`
+            SELECT COUNT(*) as total
+            FROM messages m
+            JOIN conversations c ON m.conversation_id = c.id
+            ${whereClause}
+        `, params);
+        const total = Number(countResult.total);
+
+        const offset = (page - 1) * limit;
+        const messages = await query(`
+            SELECT m.id, m.uuid, m.direction, m.content, m.content_type, m.created_at,
+                   c.uuid as conversation_uuid, c.contact_name, c.contact_identifier,
+                   ch.uuid as channel_uuid, ch.platform, ch.name as channel_name,
+                   a.first_name as agent_first_name, a.last_name as agent_last_name,
+                   ${relevance} as relevance
+            FROM messages m
+            JOIN conversations c ON m.conversation_id = c.id
+            JOIN channels ch ON c.channel_id = ch.id
+            LEFT JOIN agents a ON m.agent_id = a.id
+            ${whereClause}
+            ORDER BY relevance DESC, m.created_at DESC
+            LIMIT ? OFFSET ?
+        `, [...relevanceParams, ...params, limit, offset]);
+
+        return {
+            messages,
+            pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+        };
     }
 
     /**
@@ -0,0 +1,183 @@
+import { query, queryOne, insert, update } from '../config/database.js';
+
+/**
+ * Outbox Model - Queue of outgoing messages awaiting delivery
+ */
+export class Outbox {
+    /**
+     * Find queue entry by ID
+     */
+    static async findById(id) {
+        return queryOne('SELECT * FROM message_outbox WHERE id = ?', [id]);
+    }
+
+    /**
+     * Find queue entry for a message
+     */
+    static async findByMessageId(messageId) {
+        return queryOne('SELECT * FROM message_outbox WHERE message_id = ?', [messageId]);
+    }
+
+    /**
+     * Get queue entries with message and conversation details
+     */
+    static async findAll({ status = null, conversationId = null, page = 1, limit = 50 } = {}) {
+        let whereClause = 'WHERE 1=1';
+        const params = [];
+
+        if (status) {
+            whereClause += ' AND o.status = ?';
+            params.push(status);
+        } else {
+            whereClause += " AND o.status IN ('queued', 'processing', 'failed')";
+        }
+
+        if (conversationId) {
+            whereClause += ' AND o.conversation_id = ?';
+            params.push(conversationId);
+        }
+
+        const offset = (page - 1) * limit;
+
+        return query(`
+            SELECT o.*, m.uuid as message_uuid, m.content, m.content_type, m.status as message_status,
+                   c.uuid as conversation_uuid, c.contact_name, ch.platform, ch.name as channel_name
+            FROM message_outbox o
+            JOIN messages m ON o.message_id = m.id
+            JOIN conversations c ON o.conversation_id = c.id
+            JOIN channels ch ON o.channel_id = ch.id
+            ${whereClause}
+            ORDER BY o.id ASC
+            LIMIT ? OFFSET ?
+        `, [...params, limit, offset]);
+    }
+
+    /**
+     * Get entries ready to send - only the oldest pending entry of each
+     * conversation, so messages go out in the order agents wrote them
+     */
+    static async findDue(limit = 50) {
+        return query(`
+            SELECT o.*
+            FROM message_outbox o
+            WHERE o.status = 'queued'
+              AND o.next_attempt_at <= CURRENT_TIMESTAMP
+              AND o.id = (
+                  SELECT MIN(o2.id) FROM message_outbox o2
+                  WHERE o2.conversation_id = o.conversation_id
+                    AND o2.status IN ('queued', 'processing')
+              )
+            ORDER BY o.id ASC
+            LIMIT ?
+        `, [limit]);
+    }
+
+    /**
+     * Add a message to the queue
+     */
+    static async enqueue({ messageId, conversationId, channelId, maxAttempts = 5 }) {
+        const id = await insert(`
+            INSERT INTO message_outbox (message_id, conversation_id, channel_id, max_attempts)
+            VALUES (?, ?, ?, ?)
+        `, [messageId, conversationId, channelId, maxAttempts]);
+
+        return this.findById(id);
+    }
+
+    /**
+     * Claim an entry for sending
+     */
+    static async markProcessing(id) {
+        const affected = await update(
+            "UPDATE message_outbox SET status = 'processing' WHERE id = ? AND status = 'queued'",
+            [id]
+        );
+        return affected > 0;
+    }
+
+    /**
+     * Entry delivered
+     */
+    static async markSent(id) {
+        await update(
+            "UPDATE message_outbox SET status = 'sent', attempts = attempts + 1, last_error = NULL WHERE id = ?",
+            [id]
+        );
+        return this.findById(id);
+    }
+
+    /**
+     * Put entry back in the queue after a failed attempt
+     */
+    static async scheduleRetry(id, error, delayMs) {
+        await update(`
+            UPDATE message_outbox
+            SET status = 'queued',
+                attempts = attempts + 1,
+                last_error = ?,
+                next_attempt_at = DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? SECOND)
+            WHERE id = ?
+        `, [error, Math.ceil(delayMs / 1000), id]);
+        return this.findById(id);
+    }
+
+    /**
+     * Put an entry still claimed back in the queue when its attempt could not
+     * be completed (entries already marked sent or failed are left alone)
+     */
+    static async release(id, error, delayMs) {
+        return update(`
+            UPDATE message_outbox
+            SET status = 'queued',
+                attempts = attempts + 1,
+                last_error = ?,
+                next_attempt_at = DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? SECOND)
+            WHERE id = ? AND status = 'processing'
+        `, [error, Math.ceil(delayMs / 1000), id]);
+    }
+
+    /**
+     * Give up on an entry
+     */
+    static async markFailed(id, error) {
+        await update(
+            "UPDATE message_outbox SET status = 'failed', attempts = attempts + 1, last_error = ? WHERE id = ?",
+            [error, id]
+        );
+        return this.findById(id);
+    }
+
+    /**
+     * Reset a failed entry for another round of attempts
+     */
+    static async requeue(id) {
+        await update(`
+            UPDATE message_outbox
+            SET status = 'queued', attempts = 0, last_error = NULL, next_attempt_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [id]);
+        return this.findById(id);
+    }
+
+    /**
+     * Release entries left in 'processing' by a crashed worker
+     */
+    static async releaseStale() {
+        return update("UPDATE message_outbox SET status = 'queued' WHERE status = 'processing'");
+    }
+
+    /**
+     * Get queue counts by status
+     */
+    static async getStats() {
+        return queryOne(`
+            SELECT
+                SUM(CASE WHEN status = 'queued' THEN 1 ELSE 0 END) as queued,
+                SUM(CASE WHEN status = 'processing' THEN 1 ELSE 0 END) as processing,
+                SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed
+            FROM message_outbox
+        `);
+    }
+}
+
+export default Outbox;
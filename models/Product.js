@@ -143,6 +143,37 @@ export class Product {
         };
     }
 
+    /**
+     * Find published products matching any of the keywords (name, short description
+     * or category), best matches first
+     * @param {Array<string>} keywords - Search words
+     * @param {number} limit - Max products to return
+     * @returns {Promise<Array>} Matching products
+     */
+    static async findRelevant(keywords, limit = 5) {
+        if (keywords.length === 0) return [];
+
+        const matchTerms = keywords.map(() =>
+            '(CASE WHEN p.name LIKE ? THEN 3 ELSE 0 END + CASE WHEN c.name LIKE ? THEN 2 ELSE 0 END + CASE WHEN p.short_description LIKE ? THEN 1 ELSE 0 END)'
+        );
+        const params = keywords.flatMap(keyword => Array(3).fill(`%${keyword}%`));
+
+        return query(
+            `SELECT * FROM (
+                SELECT p.id, p.uuid, p.name, p.slug, p.short_description,
+                       c.name as category_name, c.slug as category_slug,
+                       ${matchTerms.join(' + ')} as relevance
+                FROM products p
+                LEFT JOIN product_categories c ON p.category_id = c.id
+                WHERE p.status = 'published'
+             ) ranked
+             WHERE relevance > 0
+             ORDER BY relevance DESC, name ASC
+             LIMIT ?`,
+            [...params, limit]
+        );
+    }
+
     /**
      * Get featured products
      * @param {number} limit - Max products to return
@@ -0,0 +1,145 @@
+import { query, queryOne, insert, update } from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * QuickReply Model - Canned responses agents insert by shortcut (e.g. /thanks)
+ */
+export class QuickReply {
+    /**
+     * Find quick reply by ID
+     */
+    static async findById(id) {
+        return queryOne('SELECT * FROM quick_replies WHERE id = ?', [id]);
+    }
+
+    /**
+     * Find quick reply by UUID
+     */
+    static async findByUuid(uuid) {
+        return queryOne('SELECT * FROM quick_replies WHERE uuid = ?', [uuid]);
+    }
+
+    /**
+     * Find active quick reply by shortcut
+     */
+    static async findByShortcut(shortcut) {
+        return queryOne(
+            'SELECT * FROM quick_replies WHERE shortcut = ? AND is_active = 1',
+            [shortcut.toLowerCase()]
+        );
+    }
+
+    /**
+     * Get all quick replies with filters
+     */
+    static async findAll({ category = null, search = null, activeOnly = false } = {}) {
+        let whereClause = 'WHERE 1=1';
+        const params = [];
+
+        if (category) {
+            whereClause += ' AND category = ?';
+            params.push(category);
+        }
+
+        if (activeOnly) {
+            whereClause += ' AND is_active = 1';
+        }
+
+        if (search) {
+            whereClause += ' AND (title LIKE ? OR content LIKE ? OR shortcut LIKE ?)';
+            const searchPattern = `%${search}%`;
+            params.push(searchPattern, searchPattern, searchPattern);
+        }
+
+        return query(`
+            SELECT * FROM quick_replies
+            ${whereClause}
+            ORDER BY use_count DESC, title ASC
+        `, params);
+    }
+
+    /**
+     * Get categories with reply counts
+     */
+    static async getCategories() {
+        return query(`
+            SELECT COALESCE(category, 'uncategorized') as category, COUNT(*) as count
+            FROM quick_replies
+            GROUP BY category
+            ORDER BY category ASC
+        `);
+    }
+
+    /**
+     * Create new quick reply
+     */
+    static async create(replyData) {
+        const {
+            title,
+            content,
+            shortcut = null,
+            category = null,
+            isActive = true,
+            createdBy = null
+        } = replyData;
+
+        const uuid = uuidv4();
+
+        const id = await insert(`
+            INSERT INTO quick_replies (uuid, title, content, shortcut, category, is_active, created_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [uuid, title, content, shortcut ? shortcut.toLowerCase() : null, category, isActive ? 1 : 0, createdBy]);
+
+        return this.findById(id);
+    }
+
+    /**
+     * Update quick reply
+     */
+    static async update(id, updates) {
+        const allowedFields = ['title', 'content', 'shortcut', 'category', 'is_active'];
+        const setClause = [];
+        const params = [];
+
+        for (const [key, value] of Object.entries(updates)) {
+            const dbKey = key.replace(/([A-Z])/g, '_$1').toLowerCase();
+            if (allowedFields.includes(dbKey)) {
+                setClause.push(`${dbKey} = ?`);
+                if (dbKey === 'shortcut') {
+                    params.push(value ? value.toLowerCase() : null);
+                } else if (dbKey === 'is_active') {
+                    params.push(value ? 1 : 0);
+                } else {
+                    params.push(value);
+                }
+            }
+        }
+
+        if (setClause.length > 0) {
+            params.push(id);
+            await update(
+                `UPDATE quick_replies SET ${setClause.join(', ')} WHERE id = ?`,
+                params
+            );
+        }
+
+        return this.findById(id);
+    }
+
+    /**
+     * Track a use of the quick reply
+     */
+    static async incrementUseCount(id) {
+        await update('UPDATE quick_replies SET use_count = use_count + 1 WHERE id = ?', [id]);
+    }
+
+    /**
+     * Delete quick reply
+     */
+    static async delete(id) {
+        const affected = await update('DELETE FROM quick_replies WHERE id = ?', [id]);
+        return affected > 0;
+    }
+}
+
+export default QuickReply;
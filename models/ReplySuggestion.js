@@ -0,0 +1,44 @@
+import { queryOne, insert, update } from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * ReplySuggestion Model - AI replies suggested to agents
+ */
+export class ReplySuggestion {
+    /**
+     * Find suggestion by UUID
+     */
+    static async findByUuid(uuid) {
+        return queryOne('SELECT * FROM reply_suggestions WHERE uuid = ?', [uuid]);
+    }
+
+    /**
+     * Store a batch of suggestions for a conversation
+     * @param {Object} batch - { conversationId, agentId, suggestions: [text], language, model }
+     * @returns {Promise<Array>} Suggestion rows in the given order
+     */
+    static async createMany({ conversationId, agentId = null, suggestions, language = null, model = null }) {
+        const rows = [];
+
+        for (const content of suggestions) {
+            const uuid = uuidv4();
+            const id = await insert(`
+                INSERT INTO reply_suggestions (uuid, conversation_id, agent_id, content, language, model)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `, [uuid, conversationId, agentId, content, language, model]);
+
+            rows.push({ id, uuid, content, language, model });
+        }
+
+        return rows;
+    }
+
+    /**
+     * Record the message a suggestion was sent as
+     */
+    static async markUsed(id, messageId) {
+        await update('UPDATE reply_suggestions SET message_id = ? WHERE id = ?', [messageId, id]);
+    }
+}
+
+export default ReplySuggestion;
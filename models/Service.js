@@ -77,6 +77,37 @@ export class Service {
         };
     }
 
+    /**
+     * Find published services matching any of the keywords (name, short description
+     * or category), best matches first
+     * @param {Array<string>} keywords - Search words
+     * @param {number} limit - Max services to return
+     * @returns {Promise<Array>} Matching services
+     */
+    static async findRelevant(keywords, limit = 5) {
+        if (keywords.length === 0) return [];
+
+        const matchTerms = keywords.map(() =>
+            '(CASE WHEN s.name LIKE ? THEN 3 ELSE 0 END + CASE WHEN c.name LIKE ? THEN 2 ELSE 0 END + CASE WHEN s.short_description LIKE ? THEN 1 ELSE 0 END)'
+        );
+        const params = keywords.flatMap(keyword => Array(3).fill(`%${keyword}%`));
+
+        return query(
+            `SELECT * FROM (
+                SELECT s.id, s.uuid, s.name, s.slug, s.short_description,
+                       c.name as category_name,
+                       ${matchTerms.join(' + ')} as relevance
+                FROM services s
+                LEFT JOIN service_categories c ON s.category_id = c.id
+                WHERE s.status = 'published'
+             ) ranked
+             WHERE relevance > 0
+             ORDER BY relevance DESC, name ASC
+             LIMIT ?`,
+            [...params, limit]
+        );
+    }
+
     /**
      * Get featured services
      * @param {number} limit - Max services to return
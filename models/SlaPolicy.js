@@ -0,0 +1,200 @@
+import { query, queryOne, insert, update } from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+
+const SELECT_POLICY = `
+    SELECT p.*, ch.uuid as channel_uuid, ch.name as channel_name, ch.platform,
+           l.uuid as label_uuid, l.name as label_name
+    FROM sla_policies p
+    LEFT JOIN channels ch ON p.channel_id = ch.id
+    LEFT JOIN labels l ON p.label_id = l.id
+`;
+
+/**
+ * SlaPolicy Model - Response time targets per channel and/or label
+ */
+export class SlaPolicy {
+    /**
+     * Find policy by ID (with channel and label names)
+     */
+    static async findById(id) {
+        return queryOne(`${SELECT_POLICY} WHERE p.id = ?`, [id]);
+    }
+
+    /**
+     * Find policy by UUID (with channel and label names)
+     */
+    static async findByUuid(uuid) {
+        return queryOne(`${SELECT_POLICY} WHERE p.uuid = ?`, [uuid]);
+    }
+
+    /**
+     * Get all policies
+     */
+    static async findAll({ activeOnly = false } = {}) {
+        return query(`
+            ${SELECT_POLICY}
+            ${activeOnly ? 'WHERE p.is_active = 1' : ''}
+            ORDER BY p.name ASC
+        `);
+    }
+
+    /**
+     * Count policies scoped to a label (the label can't be deleted while any are)
+     */
+    static async countByLabel(labelId) {
+        const result = await queryOne('SELECT COUNT(*) as count FROM sla_policies WHERE label_id = ?', [labelId]);
+        return Number(result?.count || 0);
+    }
+
+    /**
+     * Create new policy
+     */
+    static async create(policyData) {
+        const {
+            name,
+            channelId = null,
+            labelId = null,
+            firstResponseMinutes,
+            nextResponseMinutes = null,
+            businessHoursOnly = true,
+            atRiskPercent = 75,
+            isActive = true,
+            createdBy = null
+        } = policyData;
+
+        const uuid = uuidv4();
+
+        const id = await insert(`
+            INSERT INTO sla_policies (uuid, name, channel_id, label_id, first_response_minutes, next_response_minutes,
+                                      business_hours_only, at_risk_percent, is_active, created_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [uuid, name.trim(), channelId, labelId, firstResponseMinutes, nextResponseMinutes,
+            businessHoursOnly, atRiskPercent, isActive, createdBy]);
+
+        return this.findById(id);
+    }
+
+    /**
+     * Update policy
+     */
+    static async update(id, updates) {
+        const allowedFields = [
+            'name', 'channel_id', 'label_id', 'first_response_minutes', 'next_response_minutes',
+            'business_hours_only', 'at_risk_percent', 'is_active'
+        ];
+        const setClause = [];
+        const params = [];
+
+        for (const [key, value] of Object.entries(updates)) {
+            const dbKey = key.replace(/([A-Z])/g, '_$1').toLowerCase();
+            if (allowedFields.includes(dbKey)) {
+                setClause.push(`${dbKey} = ?`);
+                params.push(dbKey === 'name' ? value.trim() : value);
+            }
+        }
+
+        if (setClause.length > 0) {
+            params.push(id);
+            await update(
+                `UPDATE sla_policies SET ${setClause.join(', ')} WHERE id = ?`,
+                params
+            );
+        }
+
+        return this.findById(id);
+    }
+
+    /**
+     * Delete policy (its breach history is kept)
+     */
+    static async delete(id) {
+        const affected = await update('DELETE FROM sla_policies WHERE id = ?', [id]);
+        return affected > 0;
+    }
+}
+
+/**
+ * SlaBreach Model - History of missed response targets
+ */
+export class SlaBreach {
+    /**
+     * Record a breach; the same unanswered wait is only recorded once
+     * @returns {Promise<boolean>} Whether a new breach was recorded
+     */
+    static async record(breachData) {
+        const {
+            conversationId,
+            policyId,
+            channelId,
+            agentId = null,
+            target,
+            waitingSince,
+            dueAt
+        } = breachData;
+
+        const affected = await update(`
+            INSERT IGNORE INTO sla_breaches (conversation_id, policy_id, channel_id, agent_id, target, waiting_since, due_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [conversationId, policyId, channelId, agentId, target, waitingSince, dueAt]);
+
+        return affected > 0;
+    }
+
+    /**
+     * Close a conversation's open breaches, except the one for the wait still
+     * running; responded_at is the first human reply after the wait started
+     * (NULL if the conversation was closed without one)
+     * @param {number} conversationId - Conversation ID
+     * @param {Date} currentWaitingSince - Wait that is still unanswered
+     */
+    static async closeAnswered(conversationId, currentWaitingSince = null) {
+        return update(`
+            UPDATE sla_breaches b
+            SET b.closed_at = CURRENT_TIMESTAMP,
+                b.responded_at = (
+                    SELECT MIN(m.created_at) FROM messages m
+                    WHERE m.conversation_id = b.conversation_id AND m.direction = 'outgoing'
+                      AND m.created_at >= b.waiting_since
+                      AND COALESCE(JSON_VALUE(m.metadata, '$.automated'), 'false') <> 'true'
+                )
+            WHERE b.conversation_id = ? AND b.closed_at IS NULL
+              ${currentWaitingSince ? 'AND b.waiting_since <> ?' : ''}
+        `, currentWaitingSince ? [conversationId, currentWaitingSince] : [conversationId]);
+    }
+
+    /**
+     * Breaches that happened in a period (with conversation, channel, agent and policy names)
+     */
+    static async findBetween({ from, to, channelId = null }) {
+        return query(`
+            SELECT b.*, c.uuid as conversation_uuid, c.contact_name,
+                   ch.name as channel_name, ch.platform,
+                   a.uuid as agent_uuid, a.first_name as agent_first_name, a.last_name as agent_last_name,
+                   p.uuid as policy_uuid, p.name as policy_name
+            FROM sla_breaches b
+            JOIN conversations c ON b.conversation_id = c.id
+            LEFT JOIN channels ch ON b.channel_id = ch.id
+            LEFT JOIN agents a ON b.agent_id = a.id
+            LEFT JOIN sla_policies p ON b.policy_id = p.id
+            WHERE b.breached_at BETWEEN ? AND ?${channelId ? ' AND b.channel_id = ?' : ''}
+            ORDER BY b.breached_at ASC
+        `, channelId ? [from, to, channelId] : [from, to]);
+    }
+
+    /**
+     * A conversation's breaches, newest first
+     */
+    static async findByConversation(conversationId) {
+        return query(`
+            SELECT b.*, p.uuid as policy_uuid, p.name as policy_name,
+                   a.uuid as agent_uuid, a.first_name as agent_first_name, a.last_name as agent_last_name
+            FROM sla_breaches b
+            LEFT JOIN sla_policies p ON b.policy_id = p.id
+            LEFT JOIN agents a ON b.agent_id = a.id
+            WHERE b.conversation_id = ?
+            ORDER BY b.breached_at DESC
+        `, [conversationId]);
+    }
+}
+
+export default SlaPolicy;
@@ -1,11 +1,115 @@
 import express from 'express';
 import { Agent } from '../models/Agent.js';
+import { MANUAL_STATUSES, agentLoggedIn, agentLoggedOut, describePresence, setManualStatus } from '../services/presence.js';
+import { generateToken } from '../config/auth.js';
+import { authenticateAgent, agentCan, requireAgentPermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
+/**
+ * POST /api/agents/login
+ * Agent login - returns a JWT for the inbox API and WebSocket
+ */
+router.post('/login', async (req, res) => {
+    try {
+        const { email, password } = req.body;
+
+        if (!email || !password) {
+            return res.status(400).json({ success: false, message: 'Email and password are required' });
+        }
+
+        const agent = await Agent.verifyCredentials(email, password);
+
+        if (!agent) {
+            return res.status(401).json({ success: false, message: 'Invalid email or password' });
+        }
+
+        await agentLoggedIn(agent.id);
+
+        const token = generateToken({
+            agentId: agent.id,
+            email: agent.email,
+            role: agent.role,
+            type: 'agent'
+        });
+
+        res.json({
+            success: true,
+            data: {
+                token,
+                agent: {
+                    id: agent.uuid,
+                    email: agent.email,
+                    firstName: agent.first_name,
+                    lastName: agent.last_name,
+                    role: agent.role,
+                    permissions: typeof agent.permissions === 'string'
+                        ? JSON.parse(agent.permissions)
+                        : agent.permissions
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Error logging in agent:', error);
+        res.status(500).json({ success: false, message: 'Login failed' });
+    }
+});
+
+// Everything below needs a logged-in agent (or admin user)
+router.use(authenticateAgent);
+
+const canManageAgents = requireAgentPermission('manageAgents');
+
+/**
+ * GET /api/agents/me
+ * Get the logged-in agent
+ */
+router.get('/me', (req, res) => {
+    res.json({
+        success: true,
+        data: req.agent
+    });
+});
+
+/**
+ * POST /api/agents/logout
+ * Go offline and hand over unanswered conversations
+ */
+router.post('/logout', async (req, res) => {
+    try {
+        if (req.agent.id) {
+            await agentLoggedOut(req.agent.id);
+        }
+
+        res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+    } catch (error) {
+        console.error('Error logging out agent:', error);
+        res.status(500).json({ success: false, message: 'Logout failed' });
+    }
+});
+
+/**
+ * Agent row without the password, with live presence and workload
+ */
+function toSafeAgent(agent) {
+    const { password, ...safeAgent } = agent;
+    const presence = describePresence(agent);
+
+    return {
+        ...safeAgent,
+        presence: presence.presence,
+        manual_presence: presence.manual,
+        last_activity_at: presence.lastActivityAt,
+        ...(agent.open_chats !== undefined ? { open_chats: Number(agent.open_chats) } : {})
+    };
+}
+
 /**
  * GET /api/agents
- * Get all agents
+ * Get all agents with presence, open conversations and last activity
  */
 router.get('/', async (req, res) => {
     try {
@@ -13,10 +117,7 @@ router.get('/', async (req, res) => {
         const agents = await Agent.findAll({ status });
 
         // Remove passwords from response
-        const safeAgents = agents.map(agent => {
-            const { password, ...safeAgent } = agent;
-            return safeAgent;
-        });
+        const safeAgents = agents.map(toSafeAgent);
 
         res.json({
             success: true,
@@ -41,11 +142,9 @@ router.get('/:id', async (req, res) => {
             return res.status(404).json({ success: false, message: 'Agent not found' });
         }
 
-        const { password, ...safeAgent } = agent;
-
         res.json({
             success: true,
-            data: safeAgent
+            data: toSafeAgent(agent)
         });
     } catch (error) {
         console.error('Error fetching agent:', error);
@@ -57,7 +156,7 @@ router.get('/:id', async (req, res) => {
  * POST /api/agents
  * Create new agent
  */
-router.post('/', async (req, res) => {
+router.post('/', canManageAgents, async (req, res) => {
     try {
         const { email, password, firstName, lastName, role, permissions } = req.body;
 
@@ -101,7 +200,7 @@ router.post('/', async (req, res) => {
  * PUT /api/agents/:id
  * Update agent
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', canManageAgents, async (req, res) => {
     try {
         const agent = await Agent.findByUuid(req.params.id);
 
@@ -127,7 +226,7 @@ router.put('/:id', async (req, res) => {
  * PUT /api/agents/:id/permissions
  * Update agent permissions
  */
-router.put('/:id/permissions', async (req, res) => {
+router.put('/:id/permissions', canManageAgents, async (req, res) => {
     try {
         const agent = await Agent.findByUuid(req.params.id);
 
@@ -177,6 +276,10 @@ router.put('/:id/password', async (req, res) => {
             return res.status(404).json({ success: false, message: 'Agent not found' });
         }
 
+        if (agent.id !== req.agent.id && !agentCan(req.agent, 'manageAgents')) {
+            return res.status(403).json({ success: false, message: 'Insufficient permissions' });
+        }
+
         await Agent.updatePassword(agent.id, newPassword);
 
         res.json({
@@ -193,7 +296,7 @@ router.put('/:id/password', async (req, res) => {
  * DELETE /api/agents/:id
  * Delete agent
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', canManageAgents, async (req, res) => {
     try {
         const agent = await Agent.findByUuid(req.params.id);
 
@@ -215,23 +318,36 @@ router.delete('/:id', async (req, res) => {
 
 /**
  * POST /api/agents/:id/status
- * Set agent online/offline status
+ * Set an agent away or busy by hand, or back to online (presence otherwise
+ * follows the agent's inbox connections)
+ * Body: { status: 'online' | 'away' | 'busy' } (legacy { isOnline } maps to online/away)
  */
 router.post('/:id/status', async (req, res) => {
     try {
         const { isOnline } = req.body;
+        const status = req.body.status || (isOnline === undefined ? null : (isOnline ? 'online' : 'away'));
         const agent = await Agent.findByUuid(req.params.id);
 
         if (!agent) {
             return res.status(404).json({ success: false, message: 'Agent not found' });
         }
 
-        const updated = await Agent.setOnlineStatus(agent.id, isOnline);
-        const { password, ...safeAgent } = updated;
+        if (agent.id !== req.agent.id && !agentCan(req.agent, 'manageAgents')) {
+            return res.status(403).json({ success: false, message: 'Insufficient permissions' });
+        }
+
+        if (status !== 'online' && !MANUAL_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Status must be one of: online, ${MANUAL_STATUSES.join(', ')}`
+            });
+        }
+
+        await setManualStatus(agent.id, status);
 
         res.json({
             success: true,
-            data: safeAgent
+            data: toSafeAgent(await Agent.findById(agent.id))
         });
     } catch (error) {
         console.error('Error updating status:', error);
@@ -0,0 +1,584 @@
+import express from 'express';
+import { Channel } from '../models/Channel.js';
+import { Contact } from '../models/Contact.js';
+import { ContactList } from '../models/ContactList.js';
+import { Label } from '../models/Label.js';
+import { Broadcast, BroadcastRecipient } from '../models/Broadcast.js';
+import {
+    BROADCAST_STATUSES,
+    addConversationsToList,
+    addLabelToList,
+    addCsvToList,
+    startBroadcast,
+    controlBroadcast,
+    describeBroadcast
+} from '../services/broadcasts.js';
+import { authenticateAgent, canAccessConversation, requireAgentPermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Broadcasting is limited to agents with the bulkMessage permission
+router.use(authenticateAgent, requireAgentPermission('bulkMessage'));
+
+// WhatsApp's limit for a message or caption
+const MAX_CONTENT_LENGTH = 4096;
+
+const RECIPIENT_STATUSES = ['pending', 'sent', 'delivered', 'read', 'failed', 'skipped'];
+
+/**
+ * Shape a contact list for API responses
+ */
+function formatList(list) {
+    return {
+        id: list.uuid,
+        name: list.name,
+        description: list.description,
+        memberCount: Number(list.member_count) || 0,
+        createdAt: list.created_at,
+        updatedAt: list.updated_at
+    };
+}
+
+/**
+ * Load a contact list by UUID, sending the 404 itself when it doesn't exist
+ */
+async function loadList(res, uuid) {
+    const list = await ContactList.findByUuid(uuid);
+
+    if (!list) {
+        res.status(404).json({ success: false, message: 'Contact list not found' });
+        return null;
+    }
+
+    return list;
+}
+
+/**
+ * Load a broadcast by UUID, sending the 404 itself when it doesn't exist
+ */
+async function loadBroadcast(res, uuid) {
+    const broadcast = await Broadcast.findByUuid(uuid);
+
+    if (!broadcast) {
+        res.status(404).json({ success: false, message: 'Broadcast not found' });
+        return null;
+    }
+
+    return broadcast;
+}
+
+/**
+ * Check a broadcast payload and resolve its channel and list UUIDs
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Fields may be left out (update)
+ * @returns {Promise<Object>} { error } or { updates } with model field names
+ */
+async function parseBroadcast(body, partial = false) {
+    const updates = {};
+
+    if (!partial || body.name !== undefined) {
+        if (typeof body.name !== 'string' || !body.name.trim()) return { error: 'Broadcast name is required' };
+        updates.name = body.name;
+    }
+
+    if (!partial || body.channelId !== undefined) {
+        const channel = body.channelId ? await Channel.findByUuid(body.channelId) : null;
+        if (!channel) return { error: 'Channel not found' };
+        if (channel.platform !== 'whatsapp') return { error: 'Broadcasts can only be sent on WhatsApp channels' };
+        updates.channelId = channel.id;
+    }
+
+    if (!partial || body.listId !== undefined) {
+        const list = body.listId ? await ContactList.findByUuid(body.listId) : null;
+        if (!list) return { error: 'Contact list not found' };
+        updates.listId = list.id;
+    }
+
+    if (body.content !== undefined) {
+        if (body.content !== null && typeof body.content !== 'string') return { error: 'content must be text' };
+        if ((body.content || '').length > MAX_CONTENT_LENGTH) {
+            return { error: `The message can be at most ${MAX_CONTENT_LENGTH} characters` };
+        }
+        updates.content = body.content?.trim() || null;
+    }
+
+    if (body.imageUrl !== undefined) {
+        if (body.imageUrl && !/^(https?:\/\/|\/uploads\/)/i.test(body.imageUrl)) {
+            return { error: 'imageUrl must be an uploaded file (/uploads/...) or an http(s) URL' };
+        }
+        updates.mediaUrl = body.imageUrl || null;
+    }
+
+    if (!partial && !updates.content && !updates.mediaUrl) {
+        return { error: 'Message content or an image is required' };
+    }
+
+    return { updates };
+}
+
+// =====================
+// CONTACT LISTS
+// =====================
+
+/**
+ * GET /api/broadcasts/lists
+ * Get all contact lists
+ */
+router.get('/lists', async (req, res) => {
+    try {
+        const lists = await ContactList.findAll();
+
+        res.json({
+            success: true,
+            data: lists.map(formatList)
+        });
+    } catch (error) {
+        console.error('Error fetching contact lists:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch contact lists' });
+    }
+});
+
+/**
+ * POST /api/broadcasts/lists
+ * Create contact list
+ */
+router.post('/lists', async (req, res) => {
+    try {
+        const { name, description } = req.body;
+
+        if (!name || !name.trim()) {
+            return res.status(400).json({ success: false, message: 'List name is required' });
+        }
+
+        const list = await ContactList.create({ name, description, createdBy: req.agent.id });
+
+        res.status(201).json({
+            success: true,
+            data: formatList(list),
+            message: 'Contact list created successfully'
+        });
+    } catch (error) {
+        console.error('Error creating contact list:', error);
+        res.status(500).json({ success: false, message: 'Failed to create contact list' });
+    }
+});
+
+/**
+ * GET /api/broadcasts/lists/:id
+ * Get a contact list with its members
+ */
+router.get('/lists/:id', async (req, res) => {
+    try {
+        const list = await loadList(res, req.params.id);
+        if (!list) return;
+
+        const result = await ContactList.findMembers(list.id, {
+            page: parseInt(req.query.page) || 1,
+            limit: Math.min(parseInt(req.query.limit) || 50, 200)
+        });
+
+        res.json({
+            success: true,
+            data: {
+                ...formatList(list),
+                members: result.members.map(member => ({
+                    id: member.uuid,
+                    name: member.name,
+                    phone: member.phone,
+                    email: member.email,
+                    company: member.company,
+                    subscribed: !member.unsubscribed_at,
+                    source: member.source,
+                    addedAt: member.added_at
+                }))
+            },
+            pagination: result.pagination
+        });
+    } catch (error) {
+        console.error('Error fetching contact list:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch contact list' });
+    }
+});
+
+/**
+ * PUT /api/broadcasts/lists/:id
+ * Rename or describe a contact list
+ */
+router.put('/lists/:id', async (req, res) => {
+    try {
+        const list = await loadList(res, req.params.id);
+        if (!list) return;
+
+        if (req.body.name !== undefined && (!req.body.name || !req.body.name.trim())) {
+            return res.status(400).json({ success: false, message: 'List name is required' });
+        }
+
+        const updated = await ContactList.update(list.id, req.body);
+
+        res.json({
+            success: true,
+            data: formatList(updated),
+            message: 'Contact list updated successfully'
+        });
+    } catch (error) {
+        console.error('Error updating contact list:', error);
+        res.status(500).json({ success: false, message: 'Failed to update contact list' });
+    }
+});
+
+/**
+ * DELETE /api/broadcasts/lists/:id
+ * Delete contact list (the contacts are kept)
+ */
+router.delete('/lists/:id', async (req, res) => {
+    try {
+        const list = await loadList(res, req.params.id);
+        if (!list) return;
+
+        await ContactList.delete(list.id);
+
+        res.json({
+            success: true,
+            message: 'Contact list deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting contact list:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete contact list' });
+    }
+});
+
+/**
+ * POST /api/broadcasts/lists/:id/members
+ * Add contacts to a list from conversations, a label or a CSV upload
+ * Body: { conversationIds: [uuid] } | { label } | { csv } (CSV text with a header row and a phone column)
+ */
+router.post('/lists/:id/members', async (req, res) => {
+    try {
+        const list = await loadList(res, req.params.id);
+        if (!list) return;
+
+        const { conversationIds, label, csv } = req.body;
+        let result;
+
+        if (Array.isArray(conversationIds)) {
+            result = await addConversationsToList(list, conversationIds, conversation =>
+                canAccessConversation(req.agent, conversation)
+            );
+        } else if (label) {
+            if (!(await Label.findByName(label))) {
+                return res.status(400).json({ success: false, message: `Unknown label: ${label}` });
+            }
+            result = await addLabelToList(list, label);
+        } else if (typeof csv === 'string') {
+            result = await addCsvToList(list, csv);
+            if (result.error) {
+                return res.status(400).json({ success: false, message: result.error });
+            }
+        } else {
+            return res.status(400).json({ success: false, message: 'conversationIds, label or csv is required' });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                ...result,
+                list: formatList(await ContactList.findById(list.id))
+            },
+            message: `${result.added} contact${result.added === 1 ? '' : 's'} added`
+        });
+    } catch (error) {
+        console.error('Error adding contacts to list:', error);
+        res.status(500).json({ success: false, message: 'Failed to add contacts to list' });
+    }
+});
+
+/**
+ * DELETE /api/broadcasts/lists/:id/members/:contactId
+ * Remove a contact from a list
+ */
+router.delete('/lists/:id/members/:contactId', async (req, res) => {
+    try {
+        const list = await loadList(res, req.params.id);
+        if (!list) return;
+
+        const contact = await Contact.findByUuid(req.params.contactId);
+        if (!contact || !(await ContactList.removeMember(list.id, contact.id))) {
+            return res.status(404).json({ success: false, message: 'Contact is not on this list' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Contact removed from list'
+        });
+    } catch (error) {
+        console.error('Error removing contact from list:', error);
+        res.status(500).json({ success: false, message: 'Failed to remove contact from list' });
+    }
+});
+
+// =====================
+// BROADCASTS
+// =====================
+
+/**
+ * GET /api/broadcasts
+ * Get broadcasts with their counts
+ * Query: status, page, limit
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { status, page, limit } = req.query;
+
+        if (status && !BROADCAST_STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, message: `status must be one of: ${BROADCAST_STATUSES.join(', ')}` });
+        }
+
+        const result = await Broadcast.findAll({
+            status,
+            page: parseInt(page) || 1,
+            limit: Math.min(parseInt(limit) || 50, 100)
+        });
+
+        const broadcasts = [];
+        for (const broadcast of result.broadcasts) {
+            broadcasts.push(await describeBroadcast(broadcast));
+        }
+
+        res.json({
+            success: true,
+            data: broadcasts,
+            pagination: result.pagination
+        });
+    } catch (error) {
+        console.error('Error fetching broadcasts:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch broadcasts' });
+    }
+});
+
+/**
+ * POST /api/broadcasts
+ * Create a draft broadcast
+ * Body: { name, channelId, listId, content ({{contact_name}} etc. allowed), imageUrl }
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { error, updates } = await parseBroadcast(req.body);
+
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const broadcast = await Broadcast.create({ ...updates, createdBy: req.agent.id });
+
+        res.status(201).json({
+            success: true,
+            data: await describeBroadcast(broadcast),
+            message: 'Broadcast created successfully'
+        });
+    } catch (error) {
+        console.error('Error creating broadcast:', error);
+        res.status(500).json({ success: false, message: 'Failed to create broadcast' });
+    }
+});
+
+/**
+ * GET /api/broadcasts/:id
+ * Get a broadcast with its sent, delivered, read and replied counts
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const broadcast = await loadBroadcast(res, req.params.id);
+        if (!broadcast) return;
+
+        res.json({
+            success: true,
+            data: await describeBroadcast(broadcast)
+        });
+    } catch (error) {
+        console.error('Error fetching broadcast:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch broadcast' });
+    }
+});
+
+/**
+ * PUT /api/broadcasts/:id
+ * Update a draft broadcast
+ */
+router.put('/:id', async (req, res) => {
+    try {
+        const broadcast = await loadBroadcast(res, req.params.id);
+        if (!broadcast) return;
+
+        if (broadcast.status !== 'draft') {
+            return res.status(409).json({ success: false, message: 'Only draft broadcasts can be changed' });
+        }
+
+        const { error, updates } = await parseBroadcast(req.body, true);
+
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const updated = await Broadcast.update(broadcast.id, updates);
+
+        res.json({
+            success: true,
+            data: await describeBroadcast(updated),
+            message: 'Broadcast updated successfully'
+        });
+    } catch (error) {
+        console.error('Error updating broadcast:', error);
+        res.status(500).json({ success: false, message: 'Failed to update broadcast' });
+    }
+});
+
+/**
+ * DELETE /api/broadcasts/:id
+ * Delete a broadcast that isn't being sent (its messages stay in the inbox)
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const broadcast = await loadBroadcast(res, req.params.id);
+        if (!broadcast) return;
+
+        if (['scheduled', 'sending', 'paused'].includes(broadcast.status)) {
+            return res.status(409).json({ success: false, message: 'Cancel the broadcast before deleting it' });
+        }
+
+        await Broadcast.delete(broadcast.id);
+
+        res.json({
+            success: true,
+            message: 'Broadcast deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting broadcast:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete broadcast' });
+    }
+});
+
+/**
+ * POST /api/broadcasts/:id/start
+ * Start sending a draft broadcast, or schedule it
+ * Body: { scheduledAt } (ISO date, optional)
+ */
+router.post('/:id/start', async (req, res) => {
+    try {
+        const broadcast = await loadBroadcast(res, req.params.id);
+        if (!broadcast) return;
+
+        let scheduledAt = null;
+        if (req.body.scheduledAt) {
+            scheduledAt = new Date(req.body.scheduledAt);
+            if (isNaN(scheduledAt.getTime())) {
+                return res.status(400).json({ success: false, message: 'scheduledAt must be a date' });
+            }
+        }
+
+        const result = await startBroadcast(broadcast, scheduledAt);
+
+        if (result.error) {
+            return res.status(409).json({ success: false, message: result.error });
+        }
+
+        res.json({
+            success: true,
+            data: await describeBroadcast(result.broadcast),
+            message: result.broadcast.status === 'scheduled' ? 'Broadcast scheduled' : 'Broadcast started'
+        });
+    } catch (error) {
+        console.error('Error starting broadcast:', error);
+        res.status(500).json({ success: false, message: 'Failed to start broadcast' });
+    }
+});
+
+/**
+ * Route handler pausing, resuming or cancelling a broadcast
+ */
+function controlRoute(action, doneMessage) {
+    return async (req, res) => {
+        try {
+            const broadcast = await loadBroadcast(res, req.params.id);
+            if (!broadcast) return;
+
+            const result = await controlBroadcast(broadcast, action);
+
+            if (result.error) {
+                return res.status(409).json({ success: false, message: result.error });
+            }
+
+            res.json({
+                success: true,
+                data: await describeBroadcast(result.broadcast),
+                message: doneMessage
+            });
+        } catch (error) {
+            console.error(`Error trying to ${action} broadcast:`, error);
+            res.status(500).json({ success: false, message: `Failed to ${action} broadcast` });
+        }
+    };
+}
+
+/**
+ * POST /api/broadcasts/:id/pause
+ * Stop sending after the current message (resume carries on where it stopped)
+ */
+router.post('/:id/pause', controlRoute('pause', 'Broadcast paused'));
+
+/**
+ * POST /api/broadcasts/:id/resume
+ * Carry on sending a paused broadcast
+ */
+router.post('/:id/resume', controlRoute('resume', 'Broadcast resumed'));
+
+/**
+ * POST /api/broadcasts/:id/cancel
+ * Stop a broadcast for good (recipients not reached yet stay pending)
+ */
+router.post('/:id/cancel', controlRoute('cancel', 'Broadcast cancelled'));
+
+/**
+ * GET /api/broadcasts/:id/recipients
+ * Get the recipients of a broadcast and what happened to each message
+ * Query: status, page, limit
+ */
+router.get('/:id/recipients', async (req, res) => {
+    try {
+        const broadcast = await loadBroadcast(res, req.params.id);
+        if (!broadcast) return;
+
+        const { status, page, limit } = req.query;
+
+        if (status && !RECIPIENT_STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, message: `status must be one of: ${RECIPIENT_STATUSES.join(', ')}` });
+        }
+
+        const result = await BroadcastRecipient.findByBroadcast(broadcast.id, {
+            status,
+            page: parseInt(page) || 1,
+            limit: Math.min(parseInt(limit) || 50, 200)
+        });
+
+        res.json({
+            success: true,
+            data: result.recipients.map(recipient => ({
+                contactId: recipient.contact_uuid,
+                contactName: recipient.contact_name,
+                recipient: recipient.recipient,
+                conversationId: recipient.conversation_uuid,
+                status: recipient.status,
+                error: recipient.error,
+                sentAt: recipient.sent_at,
+                deliveredAt: recipient.delivered_at,
+                readAt: recipient.read_at,
+                repliedAt: recipient.replied_at
+            })),
+            pagination: result.pagination
+        });
+    } catch (error) {
+        console.error('Error fetching broadcast recipients:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch broadcast recipients' });
+    }
+});
+
+export default router;
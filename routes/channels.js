@@ -1,9 +1,35 @@
 import express from 'express';
+import gemini from '../config/gemini.js';
 import { Channel } from '../models/Channel.js';
+import { Agent } from '../models/Agent.js';
+import { ASSIGNMENT_STRATEGIES, assignWaiting } from '../services/assignment.js';
+import { DEFAULT_TIMEZONE, DEFAULT_WEEKLY_HOURS, isOpen, nextOpening, validateBusinessHours } from '../services/businessHours.js';
+import { authenticateAgent, requireAgentPermission } from '../middleware/auth.js';
 import * as whatsappService from '../services/whatsapp.js';
+import { getChannelSession, getSupervisorState, reconnectChannel, releaseChannel } from '../services/whatsappSupervisor.js';
 
 const router = express.Router();
 
+// OAuth callbacks are browser redirects from Facebook and carry no token
+const OAUTH_CALLBACKS = ['/facebook/callback', '/instagram/callback'];
+
+router.use((req, res, next) => {
+    if (req.method === 'GET' && OAUTH_CALLBACKS.includes(req.path)) {
+        return next();
+    }
+    return authenticateAgent(req, res, next);
+});
+
+const canManageChannels = requireAgentPermission('manageChannels');
+
+/**
+ * Remove platform credentials before sending a channel to the browser
+ */
+function toSafeChannel(channel) {
+    const { access_token, session_data, ...safeChannel } = channel;
+    return safeChannel;
+}
+
 /**
  * GET /api/channels
  * Get all connected channels
@@ -11,7 +37,10 @@ const router = express.Router();
 router.get('/', async (req, res) => {
     try {
         const { platform, status } = req.query;
-        const channels = await Channel.findAll({ platform, status });
+        const channels = (await Channel.findAll({ platform, status })).map(channel => ({
+            ...toSafeChannel(channel),
+            session: channel.platform === 'whatsapp' ? getChannelSession(channel.id) : null
+        }));
 
         // Group by platform
         const grouped = {
@@ -23,7 +52,8 @@ router.get('/', async (req, res) => {
         res.json({
             success: true,
             data: grouped,
-            stats: await Channel.getStats()
+            stats: await Channel.getStats(),
+            supervisor: getSupervisorState()
         });
     } catch (error) {
         console.error('Error fetching channels:', error);
@@ -45,13 +75,15 @@ router.get('/:id', async (req, res) => {
 
         // Add WhatsApp status if applicable
         let whatsappStatus = null;
+        let session = null;
         if (channel.platform === 'whatsapp') {
             whatsappStatus = whatsappService.getClientStatus(channel.id);
+            session = getChannelSession(channel.id);
         }
 
         res.json({
             success: true,
-            data: { ...channel, whatsappStatus }
+            data: { ...toSafeChannel(channel), whatsappStatus, session }
         });
     } catch (error) {
         console.error('Error fetching channel:', error);
@@ -63,7 +95,7 @@ router.get('/:id', async (req, res) => {
  * POST /api/channels/whatsapp/init
  * Initialize WhatsApp connection (starts QR code generation)
  */
-router.post('/whatsapp/init', async (req, res) => {
+router.post('/whatsapp/init', canManageChannels, async (req, res) => {
     try {
         const { name } = req.body;
 
@@ -112,7 +144,7 @@ router.post('/whatsapp/init', async (req, res) => {
  * GET /api/channels/whatsapp/:id/qr
  * Get current QR code for WhatsApp connection
  */
-router.get('/whatsapp/:id/qr', async (req, res) => {
+router.get('/whatsapp/:id/qr', canManageChannels, async (req, res) => {
     try {
         const channel = await Channel.findByUuid(req.params.id);
 
@@ -158,11 +190,39 @@ router.get('/whatsapp/:id/qr', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/channels/whatsapp/:id/reconnect
+ * Restart a WhatsApp channel's client (shows a new QR code if the session expired)
+ */
+router.post('/whatsapp/:id/reconnect', canManageChannels, async (req, res) => {
+    try {
+        const channel = await Channel.findByUuid(req.params.id);
+
+        if (!channel || channel.platform !== 'whatsapp') {
+            return res.status(404).json({ success: false, message: 'Channel not found' });
+        }
+
+        const session = await reconnectChannel(channel.id);
+
+        res.json({
+            success: true,
+            data: {
+                session,
+                whatsappStatus: whatsappService.getClientStatus(channel.id)
+            },
+            message: 'WhatsApp reconnecting'
+        });
+    } catch (error) {
+        console.error('Error reconnecting WhatsApp:', error);
+        res.status(500).json({ success: false, message: 'Failed to reconnect WhatsApp' });
+    }
+});
+
 /**
  * POST /api/channels/whatsapp/:id/sync
  * Sync old messages from a WhatsApp conversation
  */
-router.post('/whatsapp/:id/sync', async (req, res) => {
+router.post('/whatsapp/:id/sync', canManageChannels, async (req, res) => {
     try {
         const { conversationId, limit } = req.body;
         const channel = await Channel.findByUuid(req.params.id);
@@ -176,7 +236,7 @@ router.post('/whatsapp/:id/sync', async (req, res) => {
         res.json({
             success: true,
             data: result,
-            message: `Synced ${result.synced} messages`
+            message: `Synced ${result.synced} messages, back-filled media for ${result.backfilled}`
         });
     } catch (error) {
         console.error('Error syncing messages:', error);
@@ -188,7 +248,7 @@ router.post('/whatsapp/:id/sync', async (req, res) => {
  * GET /api/channels/facebook/oauth-url
  * Get Facebook OAuth URL for authorization
  */
-router.get('/facebook/oauth-url', (req, res) => {
+router.get('/facebook/oauth-url', canManageChannels, (req, res) => {
     try {
         const redirectUri = `${req.protocol}://${req.get('host')}/api/channels/facebook/callback`;
         const state = Buffer.from(JSON.stringify({ timestamp: Date.now() })).toString('base64');
@@ -248,7 +308,7 @@ router.get('/facebook/callback', async (req, res) => {
  * POST /api/channels/facebook/connect
  * Connect a specific Facebook page (after OAuth)
  */
-router.post('/facebook/connect', async (req, res) => {
+router.post('/facebook/connect', canManageChannels, async (req, res) => {
     try {
         const { pageId, pageName, pageAccessToken } = req.body;
 
@@ -277,7 +337,7 @@ router.post('/facebook/connect', async (req, res) => {
  * GET /api/channels/instagram/oauth-url
  * Get Instagram OAuth URL (uses Facebook OAuth with Instagram permissions)
  */
-router.get('/instagram/oauth-url', (req, res) => {
+router.get('/instagram/oauth-url', canManageChannels, (req, res) => {
     try {
         const redirectUri = `${req.protocol}://${req.get('host')}/api/channels/instagram/callback`;
         const state = Buffer.from(JSON.stringify({ timestamp: Date.now(), platform: 'instagram' })).toString('base64');
@@ -341,7 +401,7 @@ router.get('/instagram/callback', async (req, res) => {
  * POST /api/channels/instagram/connect
  * Connect a specific Instagram account (after OAuth)
  */
-router.post('/instagram/connect', async (req, res) => {
+router.post('/instagram/connect', canManageChannels, async (req, res) => {
     try {
         const { id, username, pageAccessToken, profile_picture_url } = req.body;
 
@@ -371,11 +431,251 @@ router.post('/instagram/connect', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/channels/:id/assignment
+ * Get a channel's assignment strategy and agent pool
+ */
+router.get('/:id/assignment', async (req, res) => {
+    try {
+        const channel = await Channel.findByUuid(req.params.id);
+
+        if (!channel) {
+            return res.status(404).json({ success: false, message: 'Channel not found' });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                strategy: channel.assignment_strategy,
+                agents: await Channel.getAgentPool(channel.id)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching assignment rules:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch assignment rules' });
+    }
+});
+
+/**
+ * PUT /api/channels/:id/assignment
+ * Set a channel's assignment strategy and agent pool (agent UUIDs, empty = all agents)
+ */
+router.put('/:id/assignment', canManageChannels, async (req, res) => {
+    try {
+        const { strategy, agentIds } = req.body;
+        const channel = await Channel.findByUuid(req.params.id);
+
+        if (!channel) {
+            return res.status(404).json({ success: false, message: 'Channel not found' });
+        }
+
+        if (strategy !== undefined) {
+            if (!ASSIGNMENT_STRATEGIES.includes(strategy)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Strategy must be one of: ${ASSIGNMENT_STRATEGIES.join(', ')}`
+                });
+            }
+            await Channel.updateAssignmentStrategy(channel.id, strategy);
+        }
+
+        if (Array.isArray(agentIds)) {
+            const agents = [];
+            for (const uuid of agentIds) {
+                const agent = await Agent.findByUuid(uuid);
+                if (!agent) {
+                    return res.status(404).json({ success: false, message: `Agent not found: ${uuid}` });
+                }
+                agents.push(agent.id);
+            }
+            await Channel.setAgentPool(channel.id, agents);
+        }
+
+        // Pick up conversations that were waiting for this channel's rules
+        assignWaiting().catch(error => console.error('Error assigning waiting conversations:', error.message));
+
+        const updated = await Channel.findById(channel.id);
+
+        res.json({
+            success: true,
+            data: {
+                strategy: updated.assignment_strategy,
+                agents: await Channel.getAgentPool(channel.id)
+            },
+            message: 'Assignment rules updated successfully'
+        });
+    } catch (error) {
+        console.error('Error updating assignment rules:', error);
+        res.status(500).json({ success: false, message: 'Failed to update assignment rules' });
+    }
+});
+
+/**
+ * Shape business hours (or the defaults when none are set) for API responses
+ */
+function formatBusinessHours(hours) {
+    const now = new Date();
+    const schedule = hours || { timezone: DEFAULT_TIMEZONE, weekly_hours: DEFAULT_WEEKLY_HOURS, holidays: [] };
+    const open = isOpen(schedule, now);
+
+    return {
+        configured: Boolean(hours),
+        timezone: schedule.timezone,
+        weeklyHours: schedule.weekly_hours,
+        holidays: schedule.holidays,
+        awayEnabled: Boolean(hours?.away_enabled),
+        awayMessages: hours?.away_messages || {},
+        defaultLanguage: hours?.default_language || 'en',
+        openNow: open,
+        nextOpeningAt: open ? null : nextOpening(schedule, now)
+    };
+}
+
+/**
+ * GET /api/channels/:id/business-hours
+ * Get a channel's business hours, holidays and away reply
+ */
+router.get('/:id/business-hours', async (req, res) => {
+    try {
+        const channel = await Channel.findByUuid(req.params.id);
+
+        if (!channel) {
+            return res.status(404).json({ success: false, message: 'Channel not found' });
+        }
+
+        res.json({
+            success: true,
+            data: formatBusinessHours(await Channel.getBusinessHours(channel.id))
+        });
+    } catch (error) {
+        console.error('Error fetching business hours:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch business hours' });
+    }
+});
+
+/**
+ * PUT /api/channels/:id/business-hours
+ * Set a channel's business hours and away reply
+ * Body: { timezone, weeklyHours: { sunday: [{ open, close }] }, holidays: [{ date, name }],
+ *         awayEnabled, awayMessages: { en, ar }, defaultLanguage }
+ */
+router.put('/:id/business-hours', canManageChannels, async (req, res) => {
+    try {
+        const channel = await Channel.findByUuid(req.params.id);
+
+        if (!channel) {
+            return res.status(404).json({ success: false, message: 'Channel not found' });
+        }
+
+        // Settings left out of the body keep their current value
+        const { timezone, weeklyHours, holidays, awayEnabled, awayMessages, defaultLanguage } = req.body;
+        const current = await Channel.getBusinessHours(channel.id);
+
+        const settings = {
+            timezone: timezone || current?.timezone || DEFAULT_TIMEZONE,
+            weeklyHours: weeklyHours || current?.weekly_hours || DEFAULT_WEEKLY_HOURS,
+            awayEnabled: awayEnabled !== undefined ? Boolean(awayEnabled) : Boolean(current?.away_enabled),
+            awayMessages: awayMessages !== undefined ? awayMessages : (current?.away_messages || {}),
+            defaultLanguage: defaultLanguage || current?.default_language || 'en',
+            holidays
+        };
+
+        const invalid = validateBusinessHours(settings);
+        if (invalid) {
+            return res.status(400).json({ success: false, message: invalid });
+        }
+
+        const hours = await Channel.setBusinessHours(channel.id, settings);
+
+        res.json({
+            success: true,
+            data: formatBusinessHours(hours),
+            message: 'Business hours updated successfully'
+        });
+    } catch (error) {
+        console.error('Error updating business hours:', error);
+        res.status(500).json({ success: false, message: 'Failed to update business hours' });
+    }
+});
+
+/**
+ * Shape a channel's AI auto-responder settings for API responses
+ */
+function formatBotSettings(channel, aiConfigured) {
+    return {
+        enabled: Boolean(channel.bot_enabled),
+        confidenceThreshold: Number(channel.bot_confidence_threshold),
+        aiConfigured
+    };
+}
+
+/**
+ * GET /api/channels/:id/bot
+ * Get a channel's AI auto-responder settings
+ */
+router.get('/:id/bot', async (req, res) => {
+    try {
+        const channel = await Channel.findByUuid(req.params.id);
+
+        if (!channel) {
+            return res.status(404).json({ success: false, message: 'Channel not found' });
+        }
+
+        res.json({
+            success: true,
+            data: formatBotSettings(channel, await gemini.isConfigured())
+        });
+    } catch (error) {
+        console.error('Error fetching bot settings:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch bot settings' });
+    }
+});
+
+/**
+ * PUT /api/channels/:id/bot
+ * Turn the AI auto-responder on/off for new conversations of a channel
+ * Body: { enabled, confidenceThreshold (0-1, below it the bot hands off) }
+ */
+router.put('/:id/bot', canManageChannels, async (req, res) => {
+    try {
+        const { enabled, confidenceThreshold } = req.body;
+        const channel = await Channel.findByUuid(req.params.id);
+
+        if (!channel) {
+            return res.status(404).json({ success: false, message: 'Channel not found' });
+        }
+
+        const threshold = confidenceThreshold !== undefined ? Number(confidenceThreshold) : undefined;
+        if (threshold !== undefined && !(threshold >= 0 && threshold <= 1)) {
+            return res.status(400).json({ success: false, message: 'confidenceThreshold must be between 0 and 1' });
+        }
+
+        const aiConfigured = await gemini.isConfigured();
+        if (enabled && !aiConfigured) {
+            return res.status(400).json({ success: false, message: 'AI service is not configured' });
+        }
+
+        const updated = await Channel.updateBotSettings(channel.id, {
+            enabled: enabled !== undefined ? Boolean(enabled) : undefined,
+            confidenceThreshold: threshold
+        });
+
+        res.json({
+            success: true,
+            data: formatBotSettings(updated, aiConfigured),
+            message: 'Bot settings updated successfully'
+        });
+    } catch (error) {
+        console.error('Error updating bot settings:', error);
+        res.status(500).json({ success: false, message: 'Failed to update bot settings' });
+    }
+});
+
 /**
  * DELETE /api/channels/:id
  * Disconnect/delete a channel
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', canManageChannels, async (req, res) => {
     try {
         const channel = await Channel.findByUuid(req.params.id);
 
@@ -385,6 +685,7 @@ router.delete('/:id', async (req, res) => {
 
         // Disconnect WhatsApp session if applicable
         if (channel.platform === 'whatsapp') {
+            releaseChannel(channel.id);
             try {
                 await whatsappService.disconnectClient(channel.id);
             } catch (e) {
@@ -0,0 +1,354 @@
+import express from 'express';
+import { Contact } from '../models/Contact.js';
+import { buildTimeline, normalizePhone, normalizeEmail, syncContacts } from '../services/contacts.js';
+import { authenticateAgent, agentCan, canAccessConversation, requireAgentRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Every contact route needs a logged-in agent (or admin user)
+router.use(authenticateAgent);
+
+router.use((req, res, next) => {
+    if (!agentCan(req.agent, 'viewAll') && !agentCan(req.agent, 'viewAssigned')) {
+        return res.status(403).json({ success: false, message: 'Insufficient permissions' });
+    }
+    next();
+});
+
+const canMergeContacts = requireAgentRole('admin', 'supervisor');
+
+/**
+ * Shape a contact for API responses
+ */
+function formatContact(contact, identities = null) {
+    return {
+        id: contact.uuid,
+        name: contact.name,
+        email: contact.email,
+        phone: contact.phone,
+        company: contact.company,
+        country: contact.country,
+        avatar: contact.avatar,
+        mergedInto: contact.merged_into_uuid || null,
+        subscribed: !contact.unsubscribed_at,
+        unsubscribedAt: contact.unsubscribed_at || null,
+        conversationCount: contact.conversation_count !== undefined ? Number(contact.conversation_count) : undefined,
+        lastMessageAt: contact.last_message_at,
+        identities: identities?.map(identity => ({
+            id: identity.id,
+            type: identity.type,
+            identifier: identity.identifier,
+            source: identity.source,
+            createdAt: identity.created_at
+        })),
+        createdAt: contact.created_at,
+        updatedAt: contact.updated_at
+    };
+}
+
+/**
+ * Load a contact by UUID, sending the 404 itself when it doesn't exist
+ */
+async function loadContact(res, uuid) {
+    const contact = await Contact.findByUuid(uuid);
+
+    if (!contact) {
+        res.status(404).json({ success: false, message: 'Contact not found' });
+        return null;
+    }
+
+    if (contact.merged_into_id) {
+        const target = await Contact.findById(contact.merged_into_id);
+        contact.merged_into_uuid = target?.uuid || null;
+    }
+
+    return contact;
+}
+
+/**
+ * GET /api/contacts
+ * Get contacts (search by name, email, phone, company or any identity)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { search, page, limit } = req.query;
+
+        const result = await Contact.findAll({
+            search,
+            page: parseInt(page) || 1,
+            limit: Math.min(parseInt(limit) || 50, 100)
+        });
+
+        res.json({
+            success: true,
+            data: result.contacts.map(contact => formatContact(contact)),
+            pagination: result.pagination
+        });
+    } catch (error) {
+        console.error('Error fetching contacts:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch contacts' });
+    }
+});
+
+/**
+ * POST /api/contacts/sync
+ * Link existing conversations, contact form submissions and Gulfood
+ * registrations that have no contact yet
+ */
+router.post('/sync', canMergeContacts, async (req, res) => {
+    try {
+        const linked = await syncContacts();
+
+        res.json({
+            success: true,
+            data: linked
+        });
+    } catch (error) {
+        console.error('Error syncing contacts:', error);
+        res.status(500).json({ success: false, message: 'Failed to sync contacts' });
+    }
+});
+
+/**
+ * GET /api/contacts/:id
+ * Get a contact with its identities and merge log
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const contact = await loadContact(res, req.params.id);
+        if (!contact) return;
+
+        const [identities, merges] = await Promise.all([
+            Contact.getIdentities(contact.id),
+            Contact.getMerges(contact.id)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                ...formatContact(contact, identities),
+                merges: merges.map(merge => ({
+                    id: merge.id,
+                    target: { id: merge.target_uuid, name: merge.target_name },
+                    source: { id: merge.source_uuid, name: merge.source_name },
+                    mergedAt: merge.created_at,
+                    unmergedAt: merge.unmerged_at
+                }))
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching contact:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch contact' });
+    }
+});
+
+/**
+ * GET /api/contacts/:id/timeline
+ * Every conversation, contact form submission and Gulfood registration of a
+ * contact, newest first (conversations limited to those the agent may see)
+ */
+router.get('/:id/timeline', async (req, res) => {
+    try {
+        const contact = await loadContact(res, req.params.id);
+        if (!contact) return;
+
+        const timeline = await buildTimeline(
+            contact,
+            conversation => canAccessConversation(req.agent, conversation)
+        );
+
+        res.json({
+            success: true,
+            data: {
+                contact: formatContact(contact),
+                timeline
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching contact timeline:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch contact timeline' });
+    }
+});
+
+/**
+ * PUT /api/contacts/:id
+ * Update contact details
+ * Body: { name, email, phone, company, country, subscribed } (subscribed: receives broadcasts)
+ */
+router.put('/:id', async (req, res) => {
+    try {
+        const contact = await loadContact(res, req.params.id);
+        if (!contact) return;
+
+        const { name, email, phone, company, country, subscribed } = req.body;
+        const updates = { name, company, country };
+
+        if (email !== undefined) {
+            updates.email = email ? normalizeEmail(email) : null;
+            if (email && !updates.email) {
+                return res.status(400).json({ success: false, message: 'Invalid email address' });
+            }
+        }
+        if (phone !== undefined) {
+            updates.phone = phone ? normalizePhone(phone) : null;
+            if (phone && !updates.phone) {
+                return res.status(400).json({ success: false, message: 'Invalid phone number' });
+            }
+        }
+
+        for (const key of Object.keys(updates)) {
+            if (updates[key] === undefined) delete updates[key];
+        }
+
+        if (subscribed !== undefined) {
+            await Contact.setUnsubscribed(contact.id, subscribed ? null : 'manual');
+        }
+
+        const updated = await Contact.update(contact.id, updates);
+
+        // New email/phone also become identities, so future messages match
+        if (updates.email) await Contact.addIdentity(contact.id, { type: 'email', identifier: updates.email, source: 'manual' });
+        if (updates.phone) await Contact.addIdentity(contact.id, { type: 'phone', identifier: updates.phone, source: 'manual' });
+
+        res.json({
+            success: true,
+            data: formatContact(updated, await Contact.getIdentities(contact.id))
+        });
+    } catch (error) {
+        console.error('Error updating contact:', error);
+        res.status(500).json({ success: false, message: 'Failed to update contact' });
+    }
+});
+
+/**
+ * POST /api/contacts/:id/identities
+ * Add a phone number or email to a contact
+ * Body: { type: phone|email, identifier }
+ */
+router.post('/:id/identities', async (req, res) => {
+    try {
+        const contact = await loadContact(res, req.params.id);
+        if (!contact) return;
+
+        const { type, identifier } = req.body;
+        const normalized = type === 'phone' ? normalizePhone(identifier)
+            : type === 'email' ? normalizeEmail(identifier)
+            : null;
+
+        if (!normalized) {
+            return res.status(400).json({ success: false, message: 'A valid phone number or email is required' });
+        }
+
+        const owner = await Contact.findByIdentity(type, normalized);
+        if (owner && owner.id !== contact.id) {
+            return res.status(409).json({
+                success: false,
+                message: 'This identity belongs to another contact - merge the contacts instead',
+                data: { contactId: owner.uuid }
+            });
+        }
+
+        await Contact.addIdentity(contact.id, { type, identifier: normalized, source: 'manual' });
+
+        res.status(201).json({
+            success: true,
+            data: formatContact(contact, await Contact.getIdentities(contact.id))
+        });
+    } catch (error) {
+        console.error('Error adding identity:', error);
+        res.status(500).json({ success: false, message: 'Failed to add identity' });
+    }
+});
+
+/**
+ * DELETE /api/contacts/:id/identities/:identityId
+ * Remove an identity from a contact
+ */
+router.delete('/:id/identities/:identityId', async (req, res) => {
+    try {
+        const contact = await loadContact(res, req.params.id);
+        if (!contact) return;
+
+        const removed = await Contact.removeIdentity(contact.id, parseInt(req.params.identityId));
+
+        if (!removed) {
+            return res.status(404).json({ success: false, message: 'Identity not found' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Identity removed'
+        });
+    } catch (error) {
+        console.error('Error removing identity:', error);
+        res.status(500).json({ success: false, message: 'Failed to remove identity' });
+    }
+});
+
+/**
+ * POST /api/contacts/:id/merge
+ * Merge another contact into this one
+ * Body: { sourceContactId }
+ */
+router.post('/:id/merge', canMergeContacts, async (req, res) => {
+    try {
+        const target = await loadContact(res, req.params.id);
+        if (!target) return;
+
+        const source = await Contact.findByUuid(req.body.sourceContactId);
+        if (!source) {
+            return res.status(404).json({ success: false, message: 'Source contact not found' });
+        }
+
+        if (source.id === target.id) {
+            return res.status(400).json({ success: false, message: 'A contact cannot be merged into itself' });
+        }
+        if (target.merged_into_id || source.merged_into_id) {
+            return res.status(409).json({ success: false, message: 'One of the contacts is already merged' });
+        }
+
+        const merged = await Contact.merge(target.id, source.id, req.agent.id);
+
+        res.json({
+            success: true,
+            data: formatContact(merged, await Contact.getIdentities(merged.id))
+        });
+    } catch (error) {
+        console.error('Error merging contacts:', error);
+        res.status(500).json({ success: false, message: 'Failed to merge contacts' });
+    }
+});
+
+/**
+ * POST /api/contacts/:id/unmerge
+ * Undo the merge of a contact into this one
+ * Body: { sourceContactId }
+ */
+router.post('/:id/unmerge', canMergeContacts, async (req, res) => {
+    try {
+        const target = await loadContact(res, req.params.id);
+        if (!target) return;
+
+        const source = await Contact.findByUuid(req.body.sourceContactId);
+        const merge = source ? await Contact.findActiveMerge(target.id, source.id) : null;
+
+        if (!merge) {
+            return res.status(404).json({ success: false, message: 'No merge of that contact into this one' });
+        }
+
+        const restored = await Contact.unmerge(merge, req.agent.id);
+
+        res.json({
+            success: true,
+            data: {
+                target: formatContact(await Contact.findById(target.id), await Contact.getIdentities(target.id)),
+                source: formatContact(restored, await Contact.getIdentities(restored.id))
+            }
+        });
+    } catch (error) {
+        console.error('Error unmerging contacts:', error);
+        res.status(500).json({ success: false, message: 'Failed to unmerge contacts' });
+    }
+});
+
+export default router;
@@ -1,11 +1,64 @@
 import express from 'express';
+import gemini from '../config/gemini.js';
 import { Conversation } from '../models/Conversation.js';
 import { Message } from '../models/Message.js';
 import { Channel } from '../models/Channel.js';
 import { Agent } from '../models/Agent.js';
+import { Outbox } from '../models/Outbox.js';
+import { QuickReply } from '../models/QuickReply.js';
+import { Label } from '../models/Label.js';
+import { ReplySuggestion } from '../models/ReplySuggestion.js';
+import { ConversationNote } from '../models/ConversationNote.js';
+import { SlaPolicy } from '../models/SlaPolicy.js';
+import { enqueueMessage, retryMessage, nudgeOutbox } from '../services/outbound.js';
+import { composeMessage, buildTemplateContext, expandTemplate } from '../services/quickReplies.js';
+import { notifyAssignment } from '../services/assignment.js';
+import { searchMessages } from '../services/messageSearch.js';
+import { addNote, editNote, deleteNote, formatNote } from '../services/conversationNotes.js';
+import { suggestReplies, resolveSuggestion } from '../services/replySuggestions.js';
+import { quoteOf, normalizeLocation, describeLocation, buildVCard, describeContacts } from '../services/richMessages.js';
+import { handOff } from '../services/bot.js';
+import { SLA_STATES, describeSla, runSlaCheck } from '../services/sla.js';
+import { EXPORT_FORMATS, exportConversation, exportConversations, parseUaeDate } from '../services/transcripts.js';
+import { INTENTS, analyzeConversation, queueInsights, getIntentLabels, setIntentLabels } from '../services/conversationInsights.js';
+import { publishInboxUpdate } from '../services/eventBus.js';
+import { authenticateAgent, trackAgentActivity, agentCan, canAccessConversation, requireAgentPermission, requireAgentRole } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// Every inbox route needs a logged-in agent (or admin user); working the
+// inbox keeps the agent online
+router.use(authenticateAgent, trackAgentActivity);
+
+const CONVERSATION_STATUSES = ['active', 'pending', 'resolved', 'archived'];
+
+/**
+ * Load a conversation by UUID and check the agent may see it
+ * Sends the 404/403 response itself and returns null when access is refused
+ */
+async function loadConversation(req, res, uuid) {
+    const conversation = await Conversation.findByUuid(uuid);
+
+    if (!conversation) {
+        res.status(404).json({ success: false, message: 'Conversation not found' });
+        return null;
+    }
+
+    if (!canAccessConversation(req.agent, conversation)) {
+        res.status(403).json({ success: false, message: 'You do not have access to this conversation' });
+        return null;
+    }
+
+    return conversation;
+}
+
+/**
+ * A conversation moves from one agent to another (not a first assignment or unassignment)
+ */
+function isHandover(conversation, agent) {
+    return Boolean(conversation.assigned_agent_id && agent && agent.id !== conversation.assigned_agent_id);
+}
+
 // =====================
 // CONVERSATIONS
 // =====================
@@ -16,12 +69,25 @@ const router = express.Router();
  */
 router.get('/conversations', async (req, res) => {
     try {
-        const { platform, status, agentId, unread, search, page, limit } = req.query;
+        const { platform, status, agentId, label, intent, sentiment, sla, unread, search, page, limit } = req.query;
+
+        if (!agentCan(req.agent, 'viewAll') && !agentCan(req.agent, 'viewAssigned')) {
+            return res.status(403).json({ success: false, message: 'Insufficient permissions' });
+        }
+
+        if (sla && sla !== 'attention' && !SLA_STATES.includes(sla)) {
+            return res.status(400).json({ success: false, message: `sla must be one of: ${[...SLA_STATES, 'attention'].join(', ')}` });
+        }
 
         const result = await Conversation.findAll({
             platform,
             status,
             agentId: agentId ? parseInt(agentId) : null,
+            restrictToAgentId: agentCan(req.agent, 'viewAll') ? null : (req.agent.id || -1),
+            label,
+            intent,
+            sentiment,
+            sla,
             unreadOnly: unread === 'true',
             search,
             page: parseInt(page) || 1,
@@ -39,32 +105,123 @@ router.get('/conversations', async (req, res) => {
     }
 });
 
+// Conversations in one bulk transcript export
+const MAX_BULK_EXPORT = parseInt(process.env.INBOX_EXPORT_MAX_CONVERSATIONS) || 500;
+
+/**
+ * Send an export as a file download
+ */
+function sendExport(res, { filename, contentType, body }) {
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename.replace(/[^\x20-\x7E]|"/g, '_')}"; filename*=UTF-8''${encodeURIComponent(filename)}`);
+    res.send(body);
+}
+
+/**
+ * GET /api/inbox/conversations/export
+ * Bulk transcript export as a zip
+ * Query: format (html|pdf|json|csv), from, to (YYYY-MM-DD, UAE time), label
+ */
+router.get('/conversations/export', async (req, res) => {
+    try {
+        const { format = 'html', from, to, label } = req.query;
+
+        if (!agentCan(req.agent, 'viewAll') && !agentCan(req.agent, 'viewAssigned')) {
+            return res.status(403).json({ success: false, message: 'Insufficient permissions' });
+        }
+
+        if (!EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ success: false, message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+        }
+
+        const fromDate = from ? parseUaeDate(from) : null;
+        const toDate = to ? parseUaeDate(to, true) : null;
+
+        if ((from && !fromDate) || (to && !toDate)) {
+            return res.status(400).json({ success: false, message: 'Dates must be YYYY-MM-DD' });
+        }
+
+        if (!fromDate && !toDate && !label) {
+            return res.status(400).json({ success: false, message: 'A date range or label is required' });
+        }
+
+        const conversations = await Conversation.findForExport({
+            from: fromDate,
+            to: toDate,
+            label,
+            restrictToAgentId: agentCan(req.agent, 'viewAll') ? null : (req.agent.id || -1),
+            limit: MAX_BULK_EXPORT + 1
+        });
+
+        if (conversations.length === 0) {
+            return res.status(404).json({ success: false, message: 'No conversations match the export filters' });
+        }
+
+        if (conversations.length > MAX_BULK_EXPORT) {
+            return res.status(400).json({
+                success: false,
+                message: `More than ${MAX_BULK_EXPORT} conversations match - narrow the date range`
+            });
+        }
+
+        const period = [from, to].filter(Boolean).join('_to_') || label;
+
+        sendExport(res, {
+            filename: `conversations-${period}-${format}.zip`,
+            contentType: 'application/zip',
+            body: await exportConversations(conversations, format)
+        });
+    } catch (error) {
+        if (error.code === 'PDF_UNAVAILABLE') {
+            return res.status(501).json({ success: false, message: error.message });
+        }
+        console.error('Error exporting conversations:', error);
+        res.status(500).json({ success: false, message: 'Failed to export conversations' });
+    }
+});
+
 /**
  * GET /api/inbox/conversations/:id
  * Get single conversation with messages
  */
 router.get('/conversations/:id', async (req, res) => {
     try {
-        const conversation = await Conversation.findByUuid(req.params.id);
-
-        if (!conversation) {
-            return res.status(404).json({ success: false, message: 'Conversation not found' });
-        }
+        const conversation = await loadConversation(req, res, req.params.id);
+        if (!conversation) return;
 
         // Mark as read when opening
         await Conversation.markRead(conversation.id);
 
-        // Get messages
-        const messages = await Message.findByConversation(conversation.id, {
-            page: parseInt(req.query.page) || 1,
-            limit: parseInt(req.query.limit) || 100
-        });
+        // Get messages - around a search result (?around=<message uuid>) or the latest page
+        let messages;
+        let focusMessageId = null;
+
+        if (req.query.around) {
+            const focus = await Message.findByUuid(req.query.around);
+
+            if (!focus || focus.conversation_id !== conversation.id) {
+                return res.status(404).json({ success: false, message: 'Message not found in this conversation' });
+            }
+
+            const windowSize = Math.min(parseInt(req.query.limit) || 50, 200);
+            messages = await Message.findAround(conversation.id, focus.id, {
+                before: Math.floor(windowSize / 2),
+                after: Math.ceil(windowSize / 2)
+            });
+            focusMessageId = focus.uuid;
+        } else {
+            messages = await Message.findByConversation(conversation.id, {
+                page: parseInt(req.query.page) || 1,
+                limit: parseInt(req.query.limit) || 100
+            });
+        }
 
         res.json({
             success: true,
             data: {
                 conversation,
-                messages
+                messages,
+                focusMessageId
             }
         });
     } catch (error) {
@@ -73,20 +230,96 @@ router.get('/conversations/:id', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/inbox/conversations/:id/sla
+ * Current SLA clock and breach history of a conversation
+ */
+router.get('/conversations/:id/sla', async (req, res) => {
+    try {
+        const conversation = await loadConversation(req, res, req.params.id);
+        if (!conversation) return;
+
+        res.json({
+            success: true,
+            data: await describeSla(conversation)
+        });
+    } catch (error) {
+        console.error('Error fetching conversation SLA:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch conversation SLA' });
+    }
+});
+
+/**
+ * GET /api/inbox/conversations/:id/export
+ * Download the full transcript of a conversation
+ * Query: format (html|pdf|json|csv)
+ */
+router.get('/conversations/:id/export', async (req, res) => {
+    try {
+        const { format = 'html' } = req.query;
+
+        if (!EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ success: false, message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+        }
+
+        const conversation = await loadConversation(req, res, req.params.id);
+        if (!conversation) return;
+
+        sendExport(res, await exportConversation(conversation, format));
+    } catch (error) {
+        if (error.code === 'PDF_UNAVAILABLE') {
+            return res.status(501).json({ success: false, message: error.message });
+        }
+        console.error('Error exporting conversation:', error);
+        res.status(500).json({ success: false, message: 'Failed to export conversation' });
+    }
+});
+
 /**
  * PUT /api/inbox/conversations/:id
- * Update conversation (assign agent, add notes, labels)
+ * Update conversation (status, contact details)
+ * Assignment goes through /conversations/:id/assign and internal notes have
+ * their own thread: /conversations/:id/notes
  */
 router.put('/conversations/:id', async (req, res) => {
     try {
-        const conversation = await Conversation.findByUuid(req.params.id);
+        const conversation = await loadConversation(req, res, req.params.id);
+        if (!conversation) return;
+
+        // Assignment records who and when and notifies the agents - only through /assign
+        if (req.body.assignedAgentId !== undefined || req.body.assigned_agent_id !== undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'Use POST /api/inbox/conversations/:id/assign to assign a conversation'
+            });
+        }
 
-        if (!conversation) {
-            return res.status(404).json({ success: false, message: 'Conversation not found' });
+        // Labels come from the managed catalogue - only through the label endpoints
+        if (req.body.labels !== undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'Use POST /api/inbox/conversations/:id/labels and DELETE /api/inbox/conversations/:id/labels/:name to change labels'
+            });
+        }
+
+        // The old single notes field was moved into the notes thread
+        if (req.body.notes !== undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'Use POST /api/inbox/conversations/:id/notes to add an internal note'
+            });
+        }
+
+        if (req.body.status !== undefined && !CONVERSATION_STATUSES.includes(req.body.status)) {
+            return res.status(400).json({ success: false, message: `status must be one of: ${CONVERSATION_STATUSES.join(', ')}` });
         }
 
         const updated = await Conversation.update(conversation.id, req.body);
 
+        if (updated.status === 'resolved' && conversation.status !== 'resolved') {
+            queueInsights(updated, 'resolved');
+        }
+
         res.json({
             success: true,
             data: updated
@@ -101,16 +334,27 @@ router.put('/conversations/:id', async (req, res) => {
  * POST /api/inbox/conversations/:id/assign
  * Assign agent to conversation
  */
-router.post('/conversations/:id/assign', async (req, res) => {
+router.post('/conversations/:id/assign', requireAgentPermission('assign'), async (req, res) => {
     try {
         const { agentId } = req.body;
-        const conversation = await Conversation.findByUuid(req.params.id);
+        const conversation = await loadConversation(req, res, req.params.id);
+        if (!conversation) return;
 
-        if (!conversation) {
-            return res.status(404).json({ success: false, message: 'Conversation not found' });
+        // agentId is the agent's UUID (null to unassign)
+        let agent = null;
+        if (agentId) {
+            agent = await Agent.findByUuid(agentId);
+            if (!agent) {
+                return res.status(404).json({ success: false, message: 'Agent not found' });
+            }
         }
 
-        const updated = await Conversation.assignAgent(conversation.id, agentId);
+        const updated = await Conversation.assignAgent(conversation.id, agent?.id || null);
+        await notifyAssignment(updated, { reason: 'manual', previousAgentId: conversation.assigned_agent_id });
+
+        if (isHandover(conversation, agent)) {
+            queueInsights(updated, 'handover');
+        }
 
         res.json({
             success: true,
@@ -123,53 +367,1305 @@ router.post('/conversations/:id/assign', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/inbox/conversations/:id/takeover
+ * Take a conversation over from the AI auto-responder and assign it to yourself
+ */
+router.post('/conversations/:id/takeover', requireAgentPermission('reply'), async (req, res) => {
+    try {
+        const conversation = await loadConversation(req, res, req.params.id);
+        if (!conversation) return;
+
+        if (conversation.status !== 'bot') {
+            return res.status(409).json({ success: false, message: 'Conversation is not handled by the bot' });
+        }
+
+        // Admin users without an agent profile take it over unassigned
+        const agent = req.agent.id ? req.agent : null;
+        const updated = await handOff(conversation, 'agent_takeover', { notifyCustomer: false, agent });
+
+        if (!updated) {
+            return res.status(409).json({ success: false, message: 'Conversation was already handed off' });
+        }
+
+        res.json({
+            success: true,
+            data: updated,
+            message: 'Conversation taken over from the bot'
+        });
+    } catch (error) {
+        console.error('Error taking over conversation:', error);
+        res.status(500).json({ success: false, message: 'Failed to take over conversation' });
+    }
+});
+
+/**
+ * Resolve label names against the catalogue
+ * @returns {Promise<Object>} { names, unknown }
+ */
+async function resolveLabelNames(names) {
+    const requested = [...new Set((names || []).map(name => String(name).trim()).filter(Boolean))];
+    const found = (await Label.findByNames(requested)).map(label => label.name);
+
+    return {
+        names: found,
+        unknown: requested.filter(name => !found.includes(name))
+    };
+}
+
+/**
+ * POST /api/inbox/conversations/:id/labels
+ * Add labels (catalogue names) to a conversation
+ */
+router.post('/conversations/:id/labels', async (req, res) => {
+    try {
+        const conversation = await loadConversation(req, res, req.params.id);
+        if (!conversation) return;
+
+        const { names, unknown } = await resolveLabelNames(req.body.labels);
+
+        if (unknown.length > 0 || names.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: unknown.length > 0 ? `Unknown labels: ${unknown.join(', ')}` : 'Labels are required'
+            });
+        }
+
+        const updated = await Conversation.addLabels(conversation.id, names);
+
+        res.json({
+            success: true,
+            data: updated
+        });
+    } catch (error) {
+        console.error('Error adding labels:', error);
+        res.status(500).json({ success: false, message: 'Failed to add labels' });
+    }
+});
+
+/**
+ * DELETE /api/inbox/conversations/:id/labels/:name
+ * Remove a label from a conversation
+ */
+router.delete('/conversations/:id/labels/:name', async (req, res) => {
+    try {
+        const conversation = await loadConversation(req, res, req.params.id);
+        if (!conversation) return;
+
+        const updated = await Conversation.removeLabels(conversation.id, [req.params.name]);
+
+        res.json({
+            success: true,
+            data: updated
+        });
+    } catch (error) {
+        console.error('Error removing label:', error);
+        res.status(500).json({ success: false, message: 'Failed to remove label' });
+    }
+});
+
+// Bulk actions and the status they set (label/unlabel/assign change other fields)
+const BULK_ACTIONS = {
+    resolve: 'resolved',
+    archive: 'archived',
+    reopen: 'active',
+    assign: null,
+    label: null,
+    unlabel: null
+};
+
+/**
+ * POST /api/inbox/conversations/bulk
+ * Apply one action to many conversations
+ * Body: { conversationIds: [uuid], action: resolve|archive|reopen|assign|label|unlabel, agentId, labels }
+ */
+router.post('/conversations/bulk', async (req, res) => {
+    try {
+        const { conversationIds, action, agentId = null, labels } = req.body;
+
+        if (!Array.isArray(conversationIds) || conversationIds.length === 0) {
+            return res.status(400).json({ success: false, message: 'Conversation IDs are required' });
+        }
+
+        if (conversationIds.length > 500) {
+            return res.status(400).json({ success: false, message: 'At most 500 conversations per request' });
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(BULK_ACTIONS, action)) {
+            return res.status(400).json({
+                success: false,
+                message: `Action must be one of: ${Object.keys(BULK_ACTIONS).join(', ')}`
+            });
+        }
+
+        if (action === 'assign' && !agentCan(req.agent, 'assign')) {
+            return res.status(403).json({ success: false, message: 'Insufficient permissions to assign conversations' });
+        }
+
+        // Validate the action's argument once, before touching anything
+        let agent = null;
+        if (action === 'assign' && agentId) {
+            agent = await Agent.findByUuid(agentId);
+            if (!agent) {
+                return res.status(404).json({ success: false, message: 'Agent not found' });
+            }
+        }
+
+        let labelNames = [];
+        if (action === 'label' || action === 'unlabel') {
+            const resolved = await resolveLabelNames(labels);
+            if (resolved.unknown.length > 0 || resolved.names.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: resolved.unknown.length > 0
+                        ? `Unknown labels: ${resolved.unknown.join(', ')}`
+                        : 'Labels are required'
+                });
+            }
+            labelNames = resolved.names;
+        }
+
+        // Only conversations this agent can see are touched
+        const conversations = [];
+        const skipped = [];
+        for (const uuid of [...new Set(conversationIds)]) {
+            const conversation = await Conversation.findByUuid(uuid);
+            if (conversation && canAccessConversation(req.agent, conversation)) {
+                conversations.push(conversation);
+            } else {
+                skipped.push(uuid);
+            }
+        }
+
+        const status = BULK_ACTIONS[action];
+        if (status) {
+            await Conversation.bulkUpdateStatus(conversations.map(c => c.id), status);
+        }
+
+        for (const conversation of conversations) {
+            if (action === 'assign') {
+                const updated = await Conversation.assignAgent(conversation.id, agent?.id || null);
+                await notifyAssignment(updated, { reason: 'manual', previousAgentId: conversation.assigned_agent_id });
+                if (isHandover(conversation, agent)) queueInsights(updated, 'handover');
+                continue;
+            }
+
+            if (action === 'resolve' && conversation.status !== 'resolved') {
+                queueInsights(conversation, 'resolved');
+            }
+
+            if (action === 'label') {
+                await Conversation.addLabels(conversation.id, labelNames);
+            } else if (action === 'unlabel') {
+                await Conversation.removeLabels(conversation.id, labelNames);
+            }
+
+            publishInboxUpdate('conversation_updated', {
+                conversationId: conversation.uuid,
+                action,
+                ...(status ? { status } : { labels: labelNames })
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                updated: conversations.map(c => c.uuid),
+                skipped
+            },
+            message: `${conversations.length} conversation(s) updated`
+        });
+    } catch (error) {
+        console.error('Error applying bulk action:', error);
+        res.status(500).json({ success: false, message: 'Failed to apply bulk action' });
+    }
+});
+
 // =====================
-// MESSAGES
+// INTERNAL NOTES
 // =====================
 
+// Longest note accepted (TEXT column)
+const MAX_NOTE_LENGTH = 10000;
+
 /**
- * POST /api/inbox/send
- * Send a message (will be routed to appropriate platform)
+ * Load a note by UUID with its conversation, checking the agent may see it
+ * Sends the 404/403 response itself and returns null when access is refused
+ */
+async function loadNote(req, res, uuid) {
+    const note = await ConversationNote.findByUuid(uuid);
+
+    if (!note) {
+        res.status(404).json({ success: false, message: 'Note not found' });
+        return null;
+    }
+
+    const conversation = await Conversation.findById(note.conversation_id);
+    if (!conversation || !canAccessConversation(req.agent, conversation)) {
+        res.status(403).json({ success: false, message: 'You do not have access to this conversation' });
+        return null;
+    }
+
+    return { note, conversation };
+}
+
+function validateNoteContent(content) {
+    if (typeof content !== 'string' || !content.trim()) return 'Note content is required';
+    if (content.length > MAX_NOTE_LENGTH) return `Notes are limited to ${MAX_NOTE_LENGTH} characters`;
+    return null;
+}
+
+// Supervisors and admins may remove anyone's notes
+function isSupervisor(agent) {
+    return ['admin', 'supervisor'].includes(agent.role);
+}
+
+/**
+ * GET /api/inbox/conversations/:id/notes
+ * Get the internal notes thread of a conversation (oldest first)
  */
-router.post('/send', async (req, res) => {
+router.get('/conversations/:id/notes', async (req, res) => {
     try {
-        const { conversationId, content, contentType = 'text', mediaUrl = null } = req.body;
+        const conversation = await loadConversation(req, res, req.params.id);
+        if (!conversation) return;
 
-        // Get conversation
-        const conversation = await Conversation.findByUuid(conversationId);
+        const notes = await ConversationNote.findByConversation(conversation.id);
+
+        res.json({
+            success: true,
+            data: notes.map(note => formatNote(note, conversation))
+        });
+    } catch (error) {
+        console.error('Error fetching notes:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch notes' });
+    }
+});
 
-        if (!conversation) {
-            return res.status(404).json({ success: false, message: 'Conversation not found' });
+/**
+ * POST /api/inbox/conversations/:id/notes
+ * Add an internal note; @mentioned agents are notified
+ * Body: { content }
+ */
+router.post('/conversations/:id/notes', async (req, res) => {
+    try {
+        const conversation = await loadConversation(req, res, req.params.id);
+        if (!conversation) return;
+
+        const invalid = validateNoteContent(req.body.content);
+        if (invalid) {
+            return res.status(400).json({ success: false, message: invalid });
         }
 
-        // Create message in database
-        const message = await Message.create({
-            conversationId: conversation.id,
-            direction: 'outgoing',
-            content,
-            contentType,
-            mediaUrl,
-            agentId: req.user?.id || null // If agent is logged in
+        const note = await addNote(conversation, req.agent, req.body.content.trim());
+
+        res.status(201).json({
+            success: true,
+            data: formatNote(note, conversation)
         });
+    } catch (error) {
+        console.error('Error adding note:', error);
+        res.status(500).json({ success: false, message: 'Failed to add note' });
+    }
+});
 
-        // TODO: Send via WhatsApp/Facebook/Instagram API based on channel
-        // For now, just mark as sent
-        await Message.updateStatus(message.id, 'sent');
+/**
+ * PUT /api/inbox/notes/:id
+ * Edit a note (author only); the previous text is kept in its history
+ * Body: { content }
+ */
+router.put('/notes/:id', async (req, res) => {
+    try {
+        const loaded = await loadNote(req, res, req.params.id);
+        if (!loaded) return;
+        const { note, conversation } = loaded;
 
-        // Update conversation last message
-        await Conversation.update(conversation.id, {
-            lastMessage: content,
-            lastMessageAt: new Date()
+        if (note.is_deleted) {
+            return res.status(400).json({ success: false, message: 'Deleted notes cannot be edited' });
+        }
+        if (!req.agent.id || note.agent_id !== req.agent.id) {
+            return res.status(403).json({ success: false, message: 'Only the author can edit a note' });
+        }
+
+        const invalid = validateNoteContent(req.body.content);
+        if (invalid) {
+            return res.status(400).json({ success: false, message: invalid });
+        }
+
+        const updated = await editNote(note, conversation, req.agent, req.body.content.trim());
+
+        res.json({
+            success: true,
+            data: formatNote(updated, conversation)
         });
+    } catch (error) {
+        console.error('Error editing note:', error);
+        res.status(500).json({ success: false, message: 'Failed to edit note' });
+    }
+});
+
+/**
+ * DELETE /api/inbox/notes/:id
+ * Delete a note (author, supervisor or admin); it stays in the history
+ */
+router.delete('/notes/:id', async (req, res) => {
+    try {
+        const loaded = await loadNote(req, res, req.params.id);
+        if (!loaded) return;
+        const { note, conversation } = loaded;
+
+        const isAuthor = req.agent.id && note.agent_id === req.agent.id;
+        if (!isAuthor && !isSupervisor(req.agent)) {
+            return res.status(403).json({ success: false, message: 'You cannot delete this note' });
+        }
+
+        if (note.is_deleted) {
+            return res.json({ success: true, message: 'Note already deleted' });
+        }
+
+        await deleteNote(note, conversation, req.agent);
 
         res.json({
             success: true,
-            data: message,
-            message: 'Message sent successfully'
+            message: 'Note deleted'
         });
     } catch (error) {
-        console.error('Error sending message:', error);
-        res.status(500).json({ success: false, message: 'Failed to send message' });
+        console.error('Error deleting note:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete note' });
+    }
+});
+
+/**
+ * GET /api/inbox/notes/:id/history
+ * Get the edit/delete history of a note (newest first)
+ */
+router.get('/notes/:id/history', async (req, res) => {
+    try {
+        const loaded = await loadNote(req, res, req.params.id);
+        if (!loaded) return;
+        const { note, conversation } = loaded;
+
+        const revisions = await ConversationNote.getHistory(note.id);
+
+        res.json({
+            success: true,
+            data: {
+                note: formatNote(note, conversation),
+                revisions: revisions.map(revision => ({
+                    action: revision.action,
+                    content: revision.content,
+                    agent: revision.agent_uuid
+                        ? { id: revision.agent_uuid, name: `${revision.agent_first_name} ${revision.agent_last_name}` }
+                        : null,
+                    createdAt: revision.created_at
+                }))
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching note history:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch note history' });
+    }
+});
+
+// =====================
+// SEARCH
+// =====================
+
+/**
+ * GET /api/inbox/search
+ * Full-text search over message history
+ * Query: q, channelId, agentId (UUIDs), direction, from, to (YYYY-MM-DD), page, limit
+ */
+router.get('/search', async (req, res) => {
+    try {
+        const { q, channelId, agentId, direction, from, to, page, limit } = req.query;
+
+        if (!q || !q.trim()) {
+            return res.status(400).json({ success: false, message: 'Search text is required' });
+        }
+
+        if (direction && !['incoming', 'outgoing'].includes(direction)) {
+            return res.status(400).json({ success: false, message: 'Direction must be incoming or outgoing' });
+        }
+
+        const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+        if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+            return res.status(400).json({ success: false, message: 'Dates must be YYYY-MM-DD' });
+        }
+
+        if (!agentCan(req.agent, 'viewAll') && !agentCan(req.agent, 'viewAssigned')) {
+            return res.status(403).json({ success: false, message: 'Insufficient permissions' });
+        }
+
+        let channel = null;
+        if (channelId) {
+            channel = await Channel.findByUuid(channelId);
+            if (!channel) {
+                return res.status(404).json({ success: false, message: 'Channel not found' });
+            }
+        }
+
+        let agent = null;
+        if (agentId) {
+            agent = await Agent.findByUuid(agentId);
+            if (!agent) {
+                return res.status(404).json({ success: false, message: 'Agent not found' });
+            }
+        }
+
+        const { results, pagination } = await searchMessages(q.trim(), {
+            channelId: channel?.id || null,
+            agentId: agent?.id || null,
+            restrictToAgentId: agentCan(req.agent, 'viewAll') ? null : (req.agent.id || -1),
+            direction: direction || null,
+            dateFrom: from || null,
+            dateTo: to || null,
+            page: parseInt(page) || 1,
+            limit: Math.min(parseInt(limit) || 20, 100)
+        });
+
+        res.json({
+            success: true,
+            data: results,
+            pagination
+        });
+    } catch (error) {
+        console.error('Error searching messages:', error);
+        res.status(500).json({ success: false, message: 'Failed to search messages' });
+    }
+});
+
+// =====================
+// MESSAGES
+// =====================
+
+/**
+ * Location or contact card of a send request
+ * @param {Object} body - { location: { latitude, longitude, name, address } }
+ *   or { contact: { name, phone, email, organization } }
+ * @returns {Object} { error }, { contentType, content, metadata } or {} when neither is sent
+ */
+function parseRichContent({ location, contact }) {
+    if (location && contact) {
+        return { error: 'Send either a location or a contact card' };
+    }
+
+    if (location) {
+        const normalized = normalizeLocation(location);
+        if (!normalized) {
+            return { error: 'location needs a valid latitude and longitude' };
+        }
+        return { contentType: 'location', content: describeLocation(normalized), metadata: { location: normalized } };
+    }
+
+    if (contact) {
+        if (typeof contact.name !== 'string' || !contact.name.trim()) {
+            return { error: 'contact.name is required' };
+        }
+        if (String(contact.phone || '').replace(/\D/g, '').length < 6) {
+            return { error: 'contact.phone must be a phone number' };
+        }
+
+        const card = buildVCard({
+            name: contact.name.trim(),
+            phone: contact.phone,
+            email: contact.email || null,
+            organization: contact.organization || null
+        });
+        return { contentType: 'contact', content: describeContacts([card]), metadata: { contacts: [card] } };
+    }
+
+    return {};
+}
+
+/**
+ * POST /api/inbox/send
+ * Send a message through the conversation's channel (WhatsApp, Messenger, Instagram)
+ * Body: { conversationId, content, contentType, mediaUrl, quickReplyId, suggestionId,
+ *   replyToMessageId (message of the conversation to quote), location, contact }
+ * Locations and contact cards are sent on their own; Messenger and Instagram get
+ * them as text, and show replies without the quote
+ */
+router.post('/send', requireAgentPermission('reply'), async (req, res) => {
+    try {
+        const { conversationId, mediaUrl = null, quickReplyId = null, suggestionId = null, replyToMessageId = null } = req.body;
+
+        const rich = parseRichContent(req.body);
+        if (rich.error) {
+            return res.status(400).json({ success: false, message: rich.error });
+        }
+
+        if (rich.contentType && (req.body.content || mediaUrl || quickReplyId)) {
+            return res.status(400).json({ success: false, message: 'A location or contact card is sent on its own' });
+        }
+
+        if (!req.body.content && !mediaUrl && !quickReplyId && !rich.contentType) {
+            return res.status(400).json({ success: false, message: 'Message content or media is required' });
+        }
+
+        const contentType = rich.contentType || req.body.contentType || 'text';
+
+        // Get conversation
+        const conversation = await loadConversation(req, res, conversationId);
+        if (!conversation) return;
+
+        let replyTo = null;
+        if (replyToMessageId) {
+            const quoted = await Message.findByUuid(replyToMessageId);
+            if (!quoted || quoted.conversation_id !== conversation.id) {
+                return res.status(404).json({ success: false, message: 'Message to reply to not found in this conversation' });
+            }
+            replyTo = quoteOf(quoted);
+        }
+
+        // Expand quick reply shortcuts (/thanks) and {{variables}}
+        const { content, quickReply } = rich.contentType
+            ? { content: rich.content, quickReply: null }
+            : await composeMessage({
+                content: req.body.content,
+                quickReplyId,
+                conversation,
+                agent: req.agent
+            });
+
+        if (!content && !mediaUrl) {
+            return res.status(400).json({ success: false, message: 'Quick reply not found or inactive' });
+        }
+
+        // Replies picked from the AI suggestions are flagged as AI-written
+        const suggestion = suggestionId ? await resolveSuggestion(suggestionId, conversation, content || '') : null;
+
+        const metadata = {
+            ...(quickReply ? { quickReply: { id: quickReply.uuid, shortcut: quickReply.shortcut } } : {}),
+            ...(suggestion ? suggestion.metadata : {}),
+            ...(rich.metadata || {}),
+            ...(replyTo ? { replyTo } : {})
+        };
+
+        // Create message in database
+        const message = await Message.create({
+            conversationId: conversation.id,
+            direction: 'outgoing',
+            content: content || '',
+            contentType,
+            mediaUrl,
+            agentId: req.agent.id,
+            metadata: Object.keys(metadata).length > 0 ? metadata : null
+        });
+
+        if (suggestion) {
+            await ReplySuggestion.markUsed(suggestion.suggestion.id, message.id);
+        }
+
+        // Queue for delivery and start sending without waiting; the result
+        // arrives as message_status updates and retries (e.g. while WhatsApp
+        // is reconnecting) are handled by the outbox worker
+        await enqueueMessage(message, conversation);
+        nudgeOutbox();
+
+        // Update conversation last message
+        await Conversation.setLastMessage(conversation.id, content || `[${contentType}]`);
+
+        res.json({
+            success: true,
+            data: message,
+            message: 'Message queued for delivery'
+        });
+    } catch (error) {
+        console.error('Error sending message:', error);
+        res.status(500).json({ success: false, message: 'Failed to send message' });
+    }
+});
+
+/**
+ * POST /api/inbox/conversations/:id/insights
+ * (Re)generate the AI summary, intent and sentiment of a conversation now
+ */
+router.post('/conversations/:id/insights', async (req, res) => {
+    try {
+        const conversation = await loadConversation(req, res, req.params.id);
+        if (!conversation) return;
+
+        if (!(await gemini.isConfigured())) {
+            return res.status(503).json({ success: false, message: 'AI service not configured' });
+        }
+
+        const updated = await analyzeConversation(conversation, { trigger: 'manual', agent: req.agent });
+
+        if (!updated) {
+            return res.status(400).json({ success: false, message: 'The customer has not written anything yet' });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                summary: updated.summary,
+                intent: updated.intent,
+                sentiment: updated.sentiment !== null ? Number(updated.sentiment) : null,
+                insightsAt: updated.insights_at,
+                labels: updated.labels
+            }
+        });
+    } catch (error) {
+        console.error('Error generating conversation insights:', error);
+        res.status(500).json({ success: false, message: 'Failed to generate conversation insights' });
+    }
+});
+
+/**
+ * POST /api/inbox/conversations/:id/suggestions
+ * Get 2-3 AI suggested replies grounded on the conversation and our catalogue
+ * Send one with POST /send { suggestionId } so it is flagged as AI in metadata
+ */
+router.post('/conversations/:id/suggestions', requireAgentPermission('reply'), async (req, res) => {
+    try {
+        const conversation = await loadConversation(req, res, req.params.id);
+        if (!conversation) return;
+
+        if (!(await gemini.isConfigured())) {
+            return res.status(503).json({ success: false, message: 'AI service not configured' });
+        }
+
+        const result = await suggestReplies(conversation, req.agent);
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        console.error('Error suggesting replies:', error);
+        res.status(500).json({ success: false, message: 'Failed to suggest replies' });
+    }
+});
+
+/**
+ * GET /api/inbox/outbox
+ * Get queued and failed outgoing messages
+ */
+router.get('/outbox', requireAgentPermission('viewAll'), async (req, res) => {
+    try {
+        const { status, conversationId, page, limit } = req.query;
+
+        let conversationDbId = null;
+        if (conversationId) {
+            const conversation = await Conversation.findByUuid(conversationId);
+            if (!conversation) {
+                return res.status(404).json({ success: false, message: 'Conversation not found' });
+            }
+            conversationDbId = conversation.id;
+        }
+
+        const entries = await Outbox.findAll({
+            status,
+            conversationId: conversationDbId,
+            page: parseInt(page) || 1,
+            limit: parseInt(limit) || 50
+        });
+
+        res.json({
+            success: true,
+            data: entries,
+            stats: await Outbox.getStats()
+        });
+    } catch (error) {
+        console.error('Error fetching outbox:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch outbox' });
+    }
+});
+
+/**
+ * POST /api/inbox/messages/:id/retry
+ * Re-queue a failed outgoing message
+ */
+router.post('/messages/:id/retry', requireAgentPermission('reply'), async (req, res) => {
+    try {
+        const message = await Message.findByUuid(req.params.id);
+
+        if (!message || message.direction !== 'outgoing') {
+            return res.status(404).json({ success: false, message: 'Message not found' });
+        }
+
+        const conversation = await Conversation.findById(message.conversation_id);
+        if (!canAccessConversation(req.agent, conversation)) {
+            return res.status(403).json({ success: false, message: 'You do not have access to this conversation' });
+        }
+
+        if (message.status !== 'failed') {
+            return res.status(400).json({ success: false, message: 'Only failed messages can be retried' });
+        }
+
+        const entry = await retryMessage(message);
+        nudgeOutbox();
+
+        res.json({
+            success: true,
+            data: {
+                message: await Message.findById(message.id),
+                queue: await Outbox.findById(entry.id)
+            },
+            message: 'Message re-queued for delivery'
+        });
+    } catch (error) {
+        console.error('Error retrying message:', error);
+        res.status(500).json({ success: false, message: 'Failed to retry message' });
+    }
+});
+
+// =====================
+// QUICK REPLIES
+// =====================
+
+// Quick replies are shared by every agent - only supervisors edit them
+const canManageQuickReplies = requireAgentRole('admin', 'supervisor');
+
+/**
+ * GET /api/inbox/quick-replies
+ * Get quick replies (optionally by category or search term)
+ */
+router.get('/quick-replies', async (req, res) => {
+    try {
+        const { category, search, active } = req.query;
+
+        const replies = await QuickReply.findAll({
+            category,
+            search,
+            activeOnly: active === 'true'
+        });
+
+        res.json({
+            success: true,
+            data: replies
+        });
+    } catch (error) {
+        console.error('Error fetching quick replies:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch quick replies' });
+    }
+});
+
+/**
+ * GET /api/inbox/quick-replies/categories
+ * Get quick reply categories with counts
+ */
+router.get('/quick-replies/categories', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await QuickReply.getCategories()
+        });
+    } catch (error) {
+        console.error('Error fetching quick reply categories:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch categories' });
+    }
+});
+
+/**
+ * POST /api/inbox/quick-replies
+ * Create quick reply
+ */
+router.post('/quick-replies', canManageQuickReplies, async (req, res) => {
+    try {
+        const { title, content, shortcut, category, isActive } = req.body;
+
+        if (!title || !content) {
+            return res.status(400).json({ success: false, message: 'Title and content are required' });
+        }
+
+        if (shortcut) {
+            if (!/^\/[\w-]+$/.test(shortcut)) {
+                return res.status(400).json({ success: false, message: 'Shortcut must look like /name' });
+            }
+            if (await QuickReply.findByShortcut(shortcut)) {
+                return res.status(400).json({ success: false, message: 'Shortcut already in use' });
+            }
+        }
+
+        const reply = await QuickReply.create({
+            title,
+            content,
+            shortcut,
+            category,
+            isActive,
+            createdBy: req.agent.id
+        });
+
+        res.status(201).json({
+            success: true,
+            data: reply,
+            message: 'Quick reply created successfully'
+        });
+    } catch (error) {
+        console.error('Error creating quick reply:', error);
+        res.status(500).json({ success: false, message: 'Failed to create quick reply' });
+    }
+});
+
+/**
+ * PUT /api/inbox/quick-replies/:id
+ * Update quick reply
+ */
+router.put('/quick-replies/:id', canManageQuickReplies, async (req, res) => {
+    try {
+        const reply = await QuickReply.findByUuid(req.params.id);
+
+        if (!reply) {
+            return res.status(404).json({ success: false, message: 'Quick reply not found' });
+        }
+
+        const { shortcut } = req.body;
+        if (shortcut && shortcut.toLowerCase() !== reply.shortcut) {
+            if (!/^\/[\w-]+$/.test(shortcut)) {
+                return res.status(400).json({ success: false, message: 'Shortcut must look like /name' });
+            }
+            if (await QuickReply.findByShortcut(shortcut)) {
+                return res.status(400).json({ success: false, message: 'Shortcut already in use' });
+            }
+        }
+
+        const updated = await QuickReply.update(reply.id, req.body);
+
+        res.json({
+            success: true,
+            data: updated,
+            message: 'Quick reply updated successfully'
+        });
+    } catch (error) {
+        console.error('Error updating quick reply:', error);
+        res.status(500).json({ success: false, message: 'Failed to update quick reply' });
+    }
+});
+
+/**
+ * DELETE /api/inbox/quick-replies/:id
+ * Delete quick reply
+ */
+router.delete('/quick-replies/:id', canManageQuickReplies, async (req, res) => {
+    try {
+        const reply = await QuickReply.findByUuid(req.params.id);
+
+        if (!reply) {
+            return res.status(404).json({ success: false, message: 'Quick reply not found' });
+        }
+
+        await QuickReply.delete(reply.id);
+
+        res.json({
+            success: true,
+            message: 'Quick reply deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting quick reply:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete quick reply' });
+    }
+});
+
+/**
+ * POST /api/inbox/quick-replies/:id/preview
+ * Expand a quick reply's variables for a conversation without sending it
+ */
+router.post('/quick-replies/:id/preview', async (req, res) => {
+    try {
+        const reply = await QuickReply.findByUuid(req.params.id);
+
+        if (!reply) {
+            return res.status(404).json({ success: false, message: 'Quick reply not found' });
+        }
+
+        const conversation = await loadConversation(req, res, req.body.conversationId);
+        if (!conversation) return;
+
+        const context = await buildTemplateContext(conversation, req.agent);
+
+        res.json({
+            success: true,
+            data: { content: expandTemplate(reply.content, context) }
+        });
+    } catch (error) {
+        console.error('Error previewing quick reply:', error);
+        res.status(500).json({ success: false, message: 'Failed to preview quick reply' });
+    }
+});
+
+// =====================
+// LABELS
+// =====================
+
+const canManageLabels = requireAgentRole('admin', 'supervisor');
+const LABEL_COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+/**
+ * GET /api/inbox/labels
+ * Get the label catalogue with usage counts
+ */
+router.get('/labels', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await Label.findAll()
+        });
+    } catch (error) {
+        console.error('Error fetching labels:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch labels' });
+    }
+});
+
+/**
+ * POST /api/inbox/labels
+ * Create label
+ */
+router.post('/labels', canManageLabels, async (req, res) => {
+    try {
+        const { name, color, description } = req.body;
+
+        if (!name || !name.trim()) {
+            return res.status(400).json({ success: false, message: 'Label name is required' });
+        }
+
+        if (color && !LABEL_COLOR_PATTERN.test(color)) {
+            return res.status(400).json({ success: false, message: 'Colour must be a hex value like #22c55e' });
+        }
+
+        if (await Label.findByName(name.trim())) {
+            return res.status(400).json({ success: false, message: 'Label already exists' });
+        }
+
+        const label = await Label.create({ name, color, description, createdBy: req.agent.id });
+
+        res.status(201).json({
+            success: true,
+            data: label,
+            message: 'Label created successfully'
+        });
+    } catch (error) {
+        console.error('Error creating label:', error);
+        res.status(500).json({ success: false, message: 'Failed to create label' });
+    }
+});
+
+/**
+ * PUT /api/inbox/labels/:id
+ * Update label (renaming updates every conversation using it)
+ */
+router.put('/labels/:id', canManageLabels, async (req, res) => {
+    try {
+        const label = await Label.findByUuid(req.params.id);
+
+        if (!label) {
+            return res.status(404).json({ success: false, message: 'Label not found' });
+        }
+
+        const { name, color } = req.body;
+
+        if (name !== undefined) {
+            if (!name || !name.trim()) {
+                return res.status(400).json({ success: false, message: 'Label name is required' });
+            }
+            const existing = await Label.findByName(name.trim());
+            if (existing && existing.id !== label.id) {
+                return res.status(400).json({ success: false, message: 'Label already exists' });
+            }
+        }
+
+        if (color && !LABEL_COLOR_PATTERN.test(color)) {
+            return res.status(400).json({ success: false, message: 'Colour must be a hex value like #22c55e' });
+        }
+
+        const updated = await Label.update(label.id, req.body);
+
+        res.json({
+            success: true,
+            data: updated,
+            message: 'Label updated successfully'
+        });
+    } catch (error) {
+        console.error('Error updating label:', error);
+        res.status(500).json({ success: false, message: 'Failed to update label' });
+    }
+});
+
+/**
+ * DELETE /api/inbox/labels/:id
+ * Delete label (removed from every conversation); refused while an SLA policy
+ * or an intent uses it
+ */
+router.delete('/labels/:id', canManageLabels, async (req, res) => {
+    try {
+        const label = await Label.findByUuid(req.params.id);
+
+        if (!label) {
+            return res.status(404).json({ success: false, message: 'Label not found' });
+        }
+
+        // Deleting it would silently drop the response targets scoped to it
+        if (await SlaPolicy.countByLabel(label.id) > 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'Label is used by an SLA policy; change or delete the policy first'
+            });
+        }
+
+        // Same for the intents that apply it automatically
+        if (Object.values(await getIntentLabels()).includes(label.name)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Label is applied automatically for an intent; change the intent labels first'
+            });
+        }
+
+        await Label.delete(label.id);
+
+        res.json({
+            success: true,
+            message: 'Label deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting label:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete label' });
+    }
+});
+
+/**
+ * GET /api/inbox/intent-labels
+ * Get the labels applied automatically for each AI-detected intent
+ */
+router.get('/intent-labels', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: {
+                intents: INTENTS,
+                labels: await getIntentLabels()
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching intent labels:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch intent labels' });
+    }
+});
+
+/**
+ * PUT /api/inbox/intent-labels
+ * Set the label applied for each intent
+ * Body: { labels: { complaint: 'Complaint', quote_request: 'Quote' } } (null/empty = no label)
+ */
+router.put('/intent-labels', canManageLabels, async (req, res) => {
+    try {
+        const { labels } = req.body;
+
+        if (!labels || typeof labels !== 'object' || Array.isArray(labels)) {
+            return res.status(400).json({ success: false, message: 'labels must map intents to label names' });
+        }
+
+        const unknownIntents = Object.keys(labels).filter(intent => !INTENTS.includes(intent));
+        if (unknownIntents.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown intents: ${unknownIntents.join(', ')}. Intents: ${INTENTS.join(', ')}`
+            });
+        }
+
+        const names = Object.values(labels).filter(Boolean);
+        const found = (await Label.findByNames(names)).map(label => label.name);
+        const unknownLabels = names.filter(name => !found.includes(name));
+        if (unknownLabels.length > 0) {
+            return res.status(400).json({ success: false, message: `Unknown labels: ${unknownLabels.join(', ')}` });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                intents: INTENTS,
+                labels: await setIntentLabels(labels)
+            },
+            message: 'Intent labels updated successfully'
+        });
+    } catch (error) {
+        console.error('Error updating intent labels:', error);
+        res.status(500).json({ success: false, message: 'Failed to update intent labels' });
+    }
+});
+
+// =====================
+// SLA POLICIES
+// =====================
+
+const canManageSla = requireAgentRole('admin', 'supervisor');
+
+/**
+ * SLA policy as returned by the API
+ */
+function formatSlaPolicy(policy) {
+    return {
+        id: policy.uuid,
+        name: policy.name,
+        channel: policy.channel_uuid
+            ? { id: policy.channel_uuid, name: policy.channel_name, platform: policy.platform }
+            : null,
+        label: policy.label_uuid ? { id: policy.label_uuid, name: policy.label_name } : null,
+        firstResponseMinutes: policy.first_response_minutes,
+        nextResponseMinutes: policy.next_response_minutes,
+        businessHoursOnly: Boolean(policy.business_hours_only),
+        atRiskPercent: policy.at_risk_percent,
+        isActive: Boolean(policy.is_active),
+        createdAt: policy.created_at,
+        updatedAt: policy.updated_at
+    };
+}
+
+function isPositiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Check an SLA policy payload and resolve its channel and label UUIDs
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Fields may be left out (update)
+ * @returns {Promise<Object>} { error } or { updates } with model field names
+ */
+async function parseSlaPolicy(body, partial = false) {
+    const updates = {};
+
+    if (!partial || body.name !== undefined) {
+        if (typeof body.name !== 'string' || !body.name.trim()) return { error: 'Policy name is required' };
+        updates.name = body.name;
+    }
+
+    if (!partial || body.firstResponseMinutes !== undefined) {
+        if (!isPositiveInteger(body.firstResponseMinutes)) {
+            return { error: 'firstResponseMinutes must be a whole number of minutes' };
+        }
+        updates.firstResponseMinutes = body.firstResponseMinutes;
+    }
+
+    if (body.nextResponseMinutes !== undefined) {
+        if (body.nextResponseMinutes !== null && !isPositiveInteger(body.nextResponseMinutes)) {
+            return { error: 'nextResponseMinutes must be a whole number of minutes (or null for none)' };
+        }
+        updates.nextResponseMinutes = body.nextResponseMinutes;
+    }
+
+    if (body.atRiskPercent !== undefined) {
+        if (!Number.isInteger(body.atRiskPercent) || body.atRiskPercent < 1 || body.atRiskPercent > 99) {
+            return { error: 'atRiskPercent must be between 1 and 99' };
+        }
+        updates.atRiskPercent = body.atRiskPercent;
+    }
+
+    if (body.businessHoursOnly !== undefined) updates.businessHoursOnly = Boolean(body.businessHoursOnly);
+    if (body.isActive !== undefined) updates.isActive = Boolean(body.isActive);
+
+    if (body.channelId !== undefined) {
+        const channel = body.channelId ? await Channel.findByUuid(body.channelId) : null;
+        if (body.channelId && !channel) return { error: 'Channel not found' };
+        updates.channelId = channel?.id || null;
+    }
+
+    if (body.label !== undefined) {
+        const label = body.label ? await Label.findByName(String(body.label).trim()) : null;
+        if (body.label && !label) return { error: `Unknown label: ${body.label}` };
+        updates.labelId = label?.id || null;
+    }
+
+    return { updates };
+}
+
+/**
+ * GET /api/inbox/sla-policies
+ * Get all SLA policies
+ */
+router.get('/sla-policies', async (req, res) => {
+    try {
+        const policies = await SlaPolicy.findAll();
+
+        res.json({
+            success: true,
+            data: policies.map(formatSlaPolicy)
+        });
+    } catch (error) {
+        console.error('Error fetching SLA policies:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch SLA policies' });
+    }
+});
+
+/**
+ * POST /api/inbox/sla-policies
+ * Create SLA policy
+ * Body: { name, firstResponseMinutes, nextResponseMinutes, channelId, label, businessHoursOnly, atRiskPercent, isActive }
+ */
+router.post('/sla-policies', canManageSla, async (req, res) => {
+    try {
+        const { error, updates } = await parseSlaPolicy(req.body);
+
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const policy = await SlaPolicy.create({ ...updates, createdBy: req.agent.id });
+        runSlaCheck();
+
+        res.status(201).json({
+            success: true,
+            data: formatSlaPolicy(policy),
+            message: 'SLA policy created successfully'
+        });
+    } catch (error) {
+        console.error('Error creating SLA policy:', error);
+        res.status(500).json({ success: false, message: 'Failed to create SLA policy' });
+    }
+});
+
+/**
+ * PUT /api/inbox/sla-policies/:id
+ * Update SLA policy
+ */
+router.put('/sla-policies/:id', canManageSla, async (req, res) => {
+    try {
+        const policy = await SlaPolicy.findByUuid(req.params.id);
+
+        if (!policy) {
+            return res.status(404).json({ success: false, message: 'SLA policy not found' });
+        }
+
+        const { error, updates } = await parseSlaPolicy(req.body, true);
+
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const updated = await SlaPolicy.update(policy.id, updates);
+        runSlaCheck();
+
+        res.json({
+            success: true,
+            data: formatSlaPolicy(updated),
+            message: 'SLA policy updated successfully'
+        });
+    } catch (error) {
+        console.error('Error updating SLA policy:', error);
+        res.status(500).json({ success: false, message: 'Failed to update SLA policy' });
+    }
+});
+
+/**
+ * DELETE /api/inbox/sla-policies/:id
+ * Delete SLA policy (breach history is kept)
+ */
+router.delete('/sla-policies/:id', canManageSla, async (req, res) => {
+    try {
+        const policy = await SlaPolicy.findByUuid(req.params.id);
+
+        if (!policy) {
+            return res.status(404).json({ success: false, message: 'SLA policy not found' });
+        }
+
+        await SlaPolicy.delete(policy.id);
+        runSlaCheck();
+
+        res.json({
+            success: true,
+            message: 'SLA policy deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting SLA policy:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete SLA policy' });
     }
 });
 
@@ -0,0 +1,104 @@
+import express from 'express';
+import { Channel } from '../models/Channel.js';
+import { REPORTS, resolvePeriod, buildReport, reportToCsv } from '../services/reports.js';
+import { authenticateAgent, requireAgentPermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Reports cover every conversation - agents who can see the whole inbox only
+router.use(authenticateAgent, requireAgentPermission('viewAll'));
+
+/**
+ * Period and channel filter from the query string
+ * Sends the 400/404 response itself and returns null when invalid
+ */
+async function loadFilters(req, res) {
+    const period = resolvePeriod(req.query);
+    if (period.error) {
+        res.status(400).json({ success: false, message: period.error });
+        return null;
+    }
+
+    let channel = null;
+    if (req.query.channelId) {
+        channel = await Channel.findByUuid(req.query.channelId);
+        if (!channel) {
+            res.status(404).json({ success: false, message: 'Channel not found' });
+            return null;
+        }
+    }
+
+    return { period, channel };
+}
+
+function describeFilters({ period, channel }) {
+    return {
+        from: period.fromDate,
+        to: period.toDate,
+        timezone: 'Asia/Dubai',
+        channelId: channel?.uuid || null
+    };
+}
+
+/**
+ * GET /api/reports
+ * Every inbox report for a period
+ * Query: from, to (YYYY-MM-DD, UAE time, default last 30 days), channelId
+ */
+router.get('/', async (req, res) => {
+    try {
+        const filters = await loadFilters(req, res);
+        if (!filters) return;
+
+        const data = {};
+        for (const name of REPORTS) {
+            data[name] = await buildReport(name, filters.period, { channelId: filters.channel?.id });
+        }
+
+        res.json({
+            success: true,
+            filters: describeFilters(filters),
+            data
+        });
+    } catch (error) {
+        console.error('Error building reports:', error);
+        res.status(500).json({ success: false, message: 'Failed to build reports' });
+    }
+});
+
+/**
+ * GET /api/reports/:report
+ * One report: volume, first-response, response-time, resolution, hourly, backlog or sla
+ * Query: from, to, channelId, format (json|csv)
+ */
+router.get('/:report', async (req, res) => {
+    try {
+        const name = req.params.report;
+
+        if (!REPORTS.includes(name)) {
+            return res.status(404).json({ success: false, message: `Report must be one of: ${REPORTS.join(', ')}` });
+        }
+
+        const filters = await loadFilters(req, res);
+        if (!filters) return;
+
+        const report = await buildReport(name, filters.period, { channelId: filters.channel?.id });
+
+        if (req.query.format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${name}-${filters.period.fromDate}-to-${filters.period.toDate}.csv"`);
+            return res.send(reportToCsv(name, report));
+        }
+
+        res.json({
+            success: true,
+            filters: describeFilters(filters),
+            data: report
+        });
+    } catch (error) {
+        console.error('Error building report:', error);
+        res.status(500).json({ success: false, message: 'Failed to build report' });
+    }
+});
+
+export default router;
@@ -6,9 +6,81 @@
 import express from 'express';
 import * as facebookService from '../services/facebook.js';
 import * as instagramService from '../services/instagram.js';
+import { Message } from '../models/Message.js';
+import { authenticate } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// Delivery counters per platform (since server start)
+const webhookStats = {
+    facebook: { received: 0, processed: 0, duplicates: 0, rejected: 0, failed: 0 },
+    instagram: { received: 0, processed: 0, duplicates: 0, rejected: 0, failed: 0 }
+};
+
+// Message IDs currently being stored - guards against Meta retrying
+// a delivery before the first attempt has been written to the database
+const inFlightMids = new Set();
+
+/**
+ * Middleware: reject deliveries whose X-Hub-Signature-256 does not match the app secret
+ */
+function verifyMetaSignature(platform) {
+    return (req, res, next) => {
+        const signature = req.get('X-Hub-Signature-256');
+
+        if (!facebookService.verifySignature(req.rawBody, signature)) {
+            webhookStats[platform].rejected++;
+            console.warn(`Rejected ${platform} webhook: invalid signature (ip: ${req.ip}, total rejected: ${webhookStats[platform].rejected})`);
+            return res.sendStatus(403);
+        }
+
+        next();
+    };
+}
+
+/**
+ * Process every messaging event of every entry in a webhook batch
+ * @param {string} platform - 'facebook' or 'instagram'
+ * @param {Object} body - Webhook payload
+ * @param {Function} processEvent - Service handler for a single event
+ */
+async function processBatch(platform, body, processEvent) {
+    const stats = webhookStats[platform];
+
+    for (const entry of body.entry || []) {
+        for (const event of entry.messaging || []) {
+            stats.received++;
+
+            const mid = event.message?.mid;
+            // Only the delivery that claimed the mid may release it
+            let claimed = false;
+
+            try {
+                if (mid) {
+                    if (!inFlightMids.has(mid)) {
+                        inFlightMids.add(mid);
+                        claimed = true;
+                    }
+
+                    if (!claimed || await Message.findByExternalId(mid)) {
+                        stats.duplicates++;
+                        console.log(`Duplicate ${platform} message ignored: ${mid} (total duplicates: ${stats.duplicates})`);
+                        continue;
+                    }
+                }
+
+                await processEvent(event);
+                stats.processed++;
+            } catch (error) {
+                stats.failed++;
+                console.error(`Error processing ${platform} webhook event:`, error);
+            } finally {
+                if (claimed) inFlightMids.delete(mid);
+            }
+        }
+    }
+}
+
 /**
  * GET /api/webhooks/facebook
  * Facebook webhook verification
@@ -33,7 +105,7 @@ router.get('/facebook', (req, res) => {
  * POST /api/webhooks/facebook
  * Facebook webhook event handler
  */
-router.post('/facebook', async (req, res) => {
+router.post('/facebook', verifyMetaSignature('facebook'), async (req, res) => {
     const body = req.body;
 
     // Verify it's from a page subscription
@@ -45,18 +117,7 @@ router.post('/facebook', async (req, res) => {
     res.sendStatus(200);
 
     // Process events asynchronously
-    try {
-        for (const entry of body.entry || []) {
-            const webhookEvent = entry.messaging?.[0];
-
-            if (webhookEvent) {
-                console.log('Facebook webhook event:', webhookEvent);
-                await facebookService.processWebhookEvent(webhookEvent);
-            }
-        }
-    } catch (error) {
-        console.error('Error processing Facebook webhook:', error);
-    }
+    await processBatch('facebook', body, facebookService.processWebhookEvent);
 });
 
 /**
@@ -84,7 +145,7 @@ router.get('/instagram', (req, res) => {
  * POST /api/webhooks/instagram
  * Instagram webhook event handler
  */
-router.post('/instagram', async (req, res) => {
+router.post('/instagram', verifyMetaSignature('instagram'), async (req, res) => {
     const body = req.body;
 
     // Verify it's from an Instagram subscription
@@ -96,18 +157,18 @@ router.post('/instagram', async (req, res) => {
     res.sendStatus(200);
 
     // Process events asynchronously
-    try {
-        for (const entry of body.entry || []) {
-            const webhookEvent = entry.messaging?.[0];
+    await processBatch('instagram', body, instagramService.processWebhookEvent);
+});
 
-            if (webhookEvent) {
-                console.log('Instagram webhook event:', webhookEvent);
-                await instagramService.processWebhookEvent(webhookEvent);
-            }
-        }
-    } catch (error) {
-        console.error('Error processing Instagram webhook:', error);
-    }
+/**
+ * GET /api/webhooks/stats
+ * Webhook delivery counters (processed, duplicates, rejected signatures)
+ */
+router.get('/stats', authenticate, (req, res) => {
+    res.json({
+        success: true,
+        data: webhookStats
+    });
 });
 
 export default router;
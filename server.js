@@ -23,6 +23,9 @@ import inboxRoutes from './routes/inbox.js';
 import channelsRoutes from './routes/channels.js';
 import agentsRoutes from './routes/agents.js';
 import webhooksRoutes from './routes/webhooks.js';
+import contactsRoutes from './routes/contacts.js';
+import reportsRoutes from './routes/reports.js';
+import broadcastsRoutes from './routes/broadcasts.js';
 
 // Import middleware
 import { optionalAuth } from './middleware/auth.js';
@@ -32,6 +35,17 @@ import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
 import db from './config/database.js';
 import { User } from './models/User.js';
 import { Settings, ContactSubmission, GulfoodRegistration } from './models/Settings.js';
+import { linkSubmission, linkRegistration } from './services/contacts.js';
+
+// Import background workers
+import { startOutboxWorker, stopOutboxWorker } from './services/outbound.js';
+import { startAssignmentWorker, stopAssignmentWorker } from './services/assignment.js';
+import { startAwayReplies, stopAwayReplies } from './services/businessHours.js';
+import { startBot, stopBot } from './services/bot.js';
+import { startPresenceTracking, stopPresenceTracking } from './services/presence.js';
+import { startSlaWorker, stopSlaWorker } from './services/sla.js';
+import { startBroadcastWorker, stopBroadcastWorker } from './services/broadcasts.js';
+import { startWhatsAppSupervisor, stopWhatsAppSupervisor } from './services/whatsappSupervisor.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -94,6 +108,9 @@ app.use('/api/admin', adminLimiter);
 app.use('/api/inbox', adminLimiter);
 app.use('/api/channels', adminLimiter);
 app.use('/api/agents', adminLimiter);
+app.use('/api/contacts', adminLimiter);
+app.use('/api/reports', adminLimiter);
+app.use('/api/broadcasts', adminLimiter);
 
 // Stricter rate limit for auth routes
 const authLimiter = rateLimit({
@@ -102,9 +119,17 @@ const authLimiter = rateLimit({
     message: { success: false, error: 'Too many login attempts, please try again later.' }
 });
 app.use('/api/auth/login', authLimiter);
-
-// Body parsing
-app.use(express.json({ limit: '10mb' }));
+app.use('/api/agents/login', authLimiter);
+
+// Body parsing (keep the raw body of webhook deliveries for signature checks)
+app.use(express.json({
+    limit: '10mb',
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/webhooks')) {
+            req.rawBody = buf;
+        }
+    }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Static files
@@ -131,6 +156,9 @@ app.use('/api/inbox', inboxRoutes);
 app.use('/api/channels', channelsRoutes);
 app.use('/api/agents', agentsRoutes);
 app.use('/api/webhooks', webhooksRoutes);
+app.use('/api/contacts', contactsRoutes);
+app.use('/api/reports', reportsRoutes);
+app.use('/api/broadcasts', broadcastsRoutes);
 
 // =====================
 // PUBLIC API ENDPOINTS
@@ -179,6 +207,7 @@ app.post('/api/contact', async (req, res) => {
             message,
             ipAddress: req.ip
         });
+        await linkSubmission(submission);
 
         res.status(201).json({
             success: true,
@@ -217,6 +246,7 @@ app.post('/api/gulfood/register', async (req, res) => {
             interestAreas,
             message
         });
+        await linkRegistration(registration);
 
         res.status(201).json({
             success: true,
@@ -283,17 +313,40 @@ async function startServer() {
             console.log(`✅ Initial admin user created: ${adminEmail}`);
         }
 
+        // Start delivering queued outgoing messages
+        await startOutboxWorker();
+        startAssignmentWorker();
+        startAwayReplies();
+        startBot();
+        startSlaWorker();
+        startBroadcastWorker();
+
+        // Reconnect WhatsApp channels from their saved sessions
+        await startWhatsAppSupervisor();
+
         // Create HTTP server
         const server = createServer(app);
 
         // Initialize WebSocket (optional - only if ws package is installed)
+        let webSocketReady = false;
         try {
             const { initWebSocket } = await import('./services/websocket.js');
             initWebSocket(server);
+            webSocketReady = true;
         } catch (wsError) {
             console.log('ℹ️  WebSocket not initialized (ws package not installed)');
         }
 
+        // Agent presence follows WebSocket connections (without them, logging
+        // in and out sets it)
+        if (webSocketReady) {
+            try {
+                await startPresenceTracking();
+            } catch (presenceError) {
+                console.error('❌ Agent presence tracking failed to start:', presenceError.message);
+            }
+        }
+
         // Start server
         server.listen(PORT, () => {
             console.log(`
@@ -323,12 +376,28 @@ async function startServer() {
 // Handle graceful shutdown
 process.on('SIGTERM', async () => {
     console.log('SIGTERM received. Shutting down gracefully...');
+    stopOutboxWorker();
+    stopAssignmentWorker();
+    stopAwayReplies();
+    stopBot();
+    stopSlaWorker();
+    stopBroadcastWorker();
+    stopPresenceTracking();
+    await stopWhatsAppSupervisor();
     await db.closePool();
     process.exit(0);
 });
 
 process.on('SIGINT', async () => {
     console.log('SIGINT received. Shutting down gracefully...');
+    stopOutboxWorker();
+    stopAssignmentWorker();
+    stopAwayReplies();
+    stopBot();
+    stopSlaWorker();
+    stopBroadcastWorker();
+    stopPresenceTracking();
+    await stopWhatsAppSupervisor();
     await db.closePool();
     process.exit(0);
 });
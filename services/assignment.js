@@ -0,0 +1,222 @@
+/**
+ * Assignment Service
+ * Distributes new conversations to online agents (round-robin or
+ * least-open-conversations, optionally limited to a channel's agent pool)
+ * and hands conversations over when the assignee goes offline without replying
+ */
+
+import { Agent } from '../models/Agent.js';
+import { Channel } from '../models/Channel.js';
+import { Conversation } from '../models/Conversation.js';
+import { queueInsights } from './conversationInsights.js';
+import { publishInboxUpdate } from './eventBus.js';
+
+export const ASSIGNMENT_STRATEGIES = ['manual', 'round_robin', 'least_open'];
+
+// How often unattended and waiting conversations are re-checked
+const SWEEP_INTERVAL = parseInt(process.env.ASSIGNMENT_SWEEP_INTERVAL) || 60 * 1000;
+
+let workerTimer = null;
+
+// Assignments run one at a time so two new conversations can't both take an
+// agent's last free slot
+let assignmentQueue = Promise.resolve();
+
+function serialize(task) {
+    const run = assignmentQueue.then(task, task);
+    assignmentQueue = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Choose the agent for a conversation on a channel
+ * @param {Object} channel - Channel row
+ * @param {number} excludeAgentId - Agent that must not be picked
+ * @returns {Promise<Object|null>} Agent or null if nobody is available
+ */
+async function pickAgent(channel, excludeAgentId = null) {
+    const candidates = await Agent.findAvailableForChannel(channel.id, excludeAgentId);
+    if (candidates.length === 0) return null;
+
+    // Longest since their last assignment first (never assigned = first in line)
+    const lastAssigned = agent => agent.last_assigned_at ? new Date(agent.last_assigned_at).getTime() : 0;
+    const byTurn = (a, b) => lastAssigned(a) - lastAssigned(b);
+
+    if (channel.assignment_strategy === 'least_open') {
+        candidates.sort((a, b) => Number(a.open_chats) - Number(b.open_chats) || byTurn(a, b));
+    } else {
+        candidates.sort(byTurn);
+    }
+
+    return candidates[0];
+}
+
+/**
+ * Assign a conversation and broadcast the change
+ * @param {Object} conversation - Conversation row
+ * @param {Object} agent - Agent row
+ * @param {Object} options - { reason, previousAgentId }
+ * @returns {Promise<Object>} Updated conversation
+ */
+async function assignTo(conversation, agent, { reason, previousAgentId = null }) {
+    const updated = await Conversation.assignAgent(conversation.id, agent.id);
+    await Agent.markAssigned(agent.id);
+
+    await notifyAssignment(updated, { reason, previousAgentId });
+
+    // The new assignee gets a summary of what happened so far
+    if (previousAgentId) {
+        queueInsights(updated, 'handover');
+    }
+
+    return updated;
+}
+
+/**
+ * Broadcast an assignment to connected agents
+ * @param {Object} conversation - Conversation row (with agent names joined)
+ * @param {Object} options - reason: 'auto', 'reassigned' or 'manual'
+ */
+export async function notifyAssignment(conversation, { reason = 'manual', previousAgentId = null } = {}) {
+    try {
+        const agent = conversation.assigned_agent_id
+            ? await Agent.findById(conversation.assigned_agent_id)
+            : null;
+        const previous = previousAgentId ? await Agent.findById(previousAgentId) : null;
+
+        publishInboxUpdate('assignment', {
+            conversationId: conversation.uuid,
+            agentId: agent?.uuid || null,
+            agentName: agent ? `${agent.first_name} ${agent.last_name}` : null,
+            previousAgentId: previous?.uuid || null,
+            reason
+        });
+    } catch (error) {
+        console.error('Error notifying assignment:', error.message);
+    }
+}
+
+/**
+ * Auto-assign a newly created conversation according to its channel's rules
+ * Never throws - a failed assignment leaves the conversation in the queue
+ * @param {Object} conversation - Conversation row
+ * @returns {Promise<Object>} Conversation (updated if assigned)
+ */
+export function autoAssign(conversation) {
+    return serialize(async () => {
+        try {
+            // Bot conversations are assigned when the bot hands them off
+            if (conversation.assigned_agent_id || conversation.status === 'bot') return conversation;
+
+            const channel = await Channel.findById(conversation.channel_id);
+            if (!channel || !channel.assignment_strategy || channel.assignment_strategy === 'manual') {
+                return conversation;
+            }
+
+            const agent = await pickAgent(channel);
+            if (!agent) return conversation;
+
+            return await assignTo(conversation, agent, { reason: 'auto' });
+        } catch (error) {
+            console.error('Auto-assignment failed:', error.message);
+            return conversation;
+        }
+    });
+}
+
+/**
+ * Hand over conversations whose assignee is offline and never replied
+ * @param {number} agentId - Only this agent's conversations (e.g. just went offline)
+ * @returns {Promise<number>} Number of conversations reassigned
+ */
+export function reassignUnattended(agentId = null) {
+    return serialize(async () => {
+        const conversations = await Conversation.findUnattended(agentId);
+        let reassigned = 0;
+
+        for (const conversation of conversations) {
+            const agent = await pickAgent(
+                { id: conversation.channel_id, assignment_strategy: conversation.assignment_strategy },
+                conversation.assigned_agent_id
+            );
+
+            // Nobody free - keep it with the current assignee until the next sweep
+            if (!agent) continue;
+
+            await assignTo(conversation, agent, {
+                reason: 'reassigned',
+                previousAgentId: conversation.assigned_agent_id
+            });
+            reassigned++;
+        }
+
+        return reassigned;
+    });
+}
+
+/**
+ * Assign conversations that arrived while no agent was available
+ * @returns {Promise<number>} Number of conversations assigned
+ */
+export function assignWaiting() {
+    return serialize(async () => {
+        const conversations = await Conversation.findAwaitingAssignment();
+        let assigned = 0;
+
+        for (const conversation of conversations) {
+            const agent = await pickAgent({
+                id: conversation.channel_id,
+                assignment_strategy: conversation.assignment_strategy
+            });
+            if (!agent) continue;
+
+            await assignTo(conversation, agent, { reason: 'auto' });
+            assigned++;
+        }
+
+        return assigned;
+    });
+}
+
+/**
+ * Run one pass of reassignment and queued assignment
+ */
+export async function runAssignmentSweep() {
+    try {
+        await reassignUnattended();
+        await assignWaiting();
+    } catch (error) {
+        console.error('Assignment sweep failed:', error.message);
+    }
+}
+
+/**
+ * Start the periodic assignment sweep
+ */
+export function startAssignmentWorker() {
+    if (workerTimer) return;
+
+    workerTimer = setInterval(runAssignmentSweep, SWEEP_INTERVAL);
+    console.log('✅ Conversation assignment started');
+}
+
+/**
+ * Stop the periodic assignment sweep
+ */
+export function stopAssignmentWorker() {
+    if (workerTimer) {
+        clearInterval(workerTimer);
+        workerTimer = null;
+    }
+}
+
+export default {
+    ASSIGNMENT_STRATEGIES,
+    notifyAssignment,
+    autoAssign,
+    reassignUnattended,
+    assignWaiting,
+    runAssignmentSweep,
+    startAssignmentWorker,
+    stopAssignmentWorker
+};
@@ -0,0 +1,312 @@
+/**
+ * AI Auto-responder
+ * Optional per-channel bot that answers first-contact conversations with
+ * Gemini, using only our settings (hours, contact details, address) and
+ * published Products/Services, and hands off to a human when it is unsure,
+ * the customer asks for a person or wants a quote
+ */
+
+import gemini from '../config/gemini.js';
+import { Channel } from '../models/Channel.js';
+import { Conversation } from '../models/Conversation.js';
+import { Message } from '../models/Message.js';
+import { Settings } from '../models/Settings.js';
+import { enqueueMessage, nudgeOutbox } from './outbound.js';
+import { autoAssign, notifyAssignment } from './assignment.js';
+import { queueInsights } from './conversationInsights.js';
+import { buildTemplateContext } from './quickReplies.js';
+import { pickTranslation } from './language.js';
+import {
+    LANGUAGE_NAMES,
+    buildTranscript,
+    detectContactLanguage,
+    estimateTokens,
+    findCatalogueContext,
+    formatCatalogue,
+    parseJsonResponse
+} from './replySuggestions.js';
+import { inboxEvents, publishInboxUpdate } from './eventBus.js';
+
+export const HANDOFF_REASONS = ['human_requested', 'quote_request', 'low_confidence', 'max_replies', 'bot_unavailable', 'agent_takeover'];
+
+// Bot answers per conversation before a human takes over anyway
+const MAX_BOT_REPLIES = parseInt(process.env.BOT_MAX_REPLIES) || 6;
+
+// Customers asking for a person - checked before calling the model. Only
+// whole requests count: "agent" or "شخص" alone also appear in trade messages
+// ("our agent in Oman", "shipping agent")
+const HUMAN_REQUEST_PATTERNS = [
+    /\b(talk|speak|chat)\s+(to|with)\s+(a|an|the|your|some)?\s*(real|live|human)?\s*(human|person|agent|representative|someone|somebody|staff|team member)\b/i,
+    /\b(human|live|real)\s+(agent|person|being|support|representative)\b/i,
+    /\b(want|need)\s+(a|an|to\s+talk\s+to\s+a)?\s*(human|real person|customer service)\b/i,
+    /\b(connect|transfer)\s+me\s+(to|with)\b/i,
+    /\bcall me\b/i,
+    /(أكلم|اكلم|أتكلم|اتكلم|أتحدث|اتحدث|التحدث|التكلم|كلمني|تواصل(ني)?)\s+(مع\s+)?(موظف|شخص|إنسان|انسان|ممثل|أحد)/,
+    /(شخص|إنسان|انسان|موظف)\s+حقيقي/,
+    /(ممثل|موظف)\s+خدمة\s+العملاء/
+];
+
+const HANDOFF_MESSAGES = {
+    en: 'Thank you! A member of our team will continue this conversation with you shortly.',
+    ar: 'شكراً لك! سيتابع أحد أعضاء فريقنا هذه المحادثة معك قريباً.'
+};
+
+let listening = false;
+
+// Bot replies run one at a time
+let botQueue = Promise.resolve();
+
+function parseMetadata(metadata) {
+    if (!metadata) return {};
+    if (typeof metadata !== 'string') return metadata;
+    try {
+        return JSON.parse(metadata) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Put a new conversation in bot mode if its channel has the bot enabled
+ * Never throws - on failure the conversation goes to the agents as usual
+ * @param {Object} conversation - Newly created conversation row
+ * @returns {Promise<Object>} Conversation (status 'bot' if the bot took it)
+ */
+export async function startBotIfEnabled(conversation) {
+    try {
+        const channel = await Channel.findById(conversation.channel_id);
+        if (!channel?.bot_enabled) return conversation;
+
+        return await Conversation.startBot(conversation.id);
+    } catch (error) {
+        console.error('Starting bot failed:', error.message);
+        return conversation;
+    }
+}
+
+/**
+ * Facts the bot may use, as prompt text
+ */
+async function buildFacts(conversation) {
+    const site = await Settings.getSiteInfo();
+    const context = await buildTemplateContext(conversation);
+    const phones = Array.isArray(site.contact.phone) ? site.contact.phone.join(', ') : site.contact.phone;
+
+    return [
+        `Company: ${site.name}${site.tagline ? ` - ${site.tagline}` : ''}`,
+        site.description ? `About: ${site.description}` : null,
+        `Business hours: ${context.business_hours}`,
+        `Email: ${site.contact.email}`,
+        phones ? `Phone: ${phones}` : null,
+        site.contact.address ? `Address: ${site.contact.address}` : null
+    ].filter(Boolean).join('\n');
+}
+
+function buildPrompt({ conversation, transcript, facts, catalogue, language }) {
+    return `You are the virtual assistant of Alteneiji Group answering a customer on ${conversation.platform || 'chat'}.
+
+FACTS (the only information you may use):
+${facts}
+
+CATALOGUE:
+${catalogue}
+
+Conversation so far:
+${transcript}
+
+Rules:
+- Answer the customer's latest message in ${LANGUAGE_NAMES[language] || language}, briefly (under 80 words), friendly and professional, without markdown
+- Use ONLY the facts and catalogue above. Never invent prices, stock, delivery times, certifications or policies
+- If the customer asks for prices, a quotation, MOQ or samples, set "handoff": true with "reason": "quote_request"
+- If the customer asks to speak to a person, set "handoff": true with "reason": "human_requested"
+- If the answer is not in the facts or catalogue, set a low confidence
+- "confidence" is how sure you are (0.0-1.0) that your reply fully and correctly answers the customer from the facts
+
+Return ONLY valid JSON, no markdown or additional text:
+{"reply": "your answer", "confidence": 0.0, "handoff": false, "reason": null}`;
+}
+
+/**
+ * Send an automated message from the bot
+ */
+async function sendBotMessage(conversation, content, metadata) {
+    const message = await Message.create({
+        conversationId: conversation.id,
+        direction: 'outgoing',
+        content,
+        contentType: 'text',
+        metadata: { automated: true, automation: 'bot', ...metadata }
+    });
+
+    await enqueueMessage(message, conversation);
+    nudgeOutbox();
+    await Conversation.setLastMessage(conversation.id, content);
+
+    return message;
+}
+
+/**
+ * Hand a bot conversation to the agents: status back to active, assignment
+ * (to the agent taking over, or by the channel's rules) and a summary for
+ * whoever picks it up
+ * @param {Object} conversation - Conversation row
+ * @param {string} reason - One of HANDOFF_REASONS
+ * @param {Object} options - { language, notifyCustomer, agent }
+ * @returns {Promise<Object|null>} Updated conversation, or null if it was not with the bot
+ */
+export async function handOff(conversation, reason, { language = 'en', notifyCustomer = true, agent = null } = {}) {
+    if (!(await Conversation.handOffFromBot(conversation.id, reason))) return null;
+
+    if (notifyCustomer) {
+        await sendBotMessage(conversation, pickTranslation(HANDOFF_MESSAGES, language), { handoff: reason, language });
+    }
+
+    let updated;
+    if (agent) {
+        updated = await Conversation.assignAgent(conversation.id, agent.id);
+        await notifyAssignment(updated, { reason: 'manual', previousAgentId: conversation.assigned_agent_id });
+    } else {
+        updated = await autoAssign(await Conversation.findById(conversation.id));
+    }
+    queueInsights(updated, 'handover');
+
+    publishInboxUpdate('bot_handoff', {
+        conversationId: updated.uuid,
+        reason,
+        agentId: updated.assigned_agent_id || null
+    });
+
+    return updated;
+}
+
+/**
+ * Does a customer message ask to talk to a person?
+ */
+export function isHumanRequest(text) {
+    return HUMAN_REQUEST_PATTERNS.some(pattern => pattern.test(text || ''));
+}
+
+/**
+ * Answer the latest customer message of a bot conversation
+ * @param {Object} conversation - Conversation row (status 'bot')
+ * @param {Object} incoming - The incoming message row
+ */
+export async function answerMessage(conversation, incoming) {
+    const channel = await Channel.findById(conversation.channel_id);
+    const { messages, transcript } = await buildTranscript(conversation);
+    const language = detectContactLanguage(messages);
+
+    if (isHumanRequest(incoming.content)) {
+        return handOff(conversation, 'human_requested', { language });
+    }
+
+    const botReplies = messages.filter(message =>
+        message.direction === 'outgoing' && parseMetadata(message.metadata).automation === 'bot'
+    ).length;
+    if (botReplies >= MAX_BOT_REPLIES) {
+        return handOff(conversation, 'max_replies', { language });
+    }
+
+    // Media and stickers can't be answered from text
+    if (!incoming.content) {
+        return handOff(conversation, 'low_confidence', { language });
+    }
+
+    if (!(await gemini.isConfigured())) {
+        return handOff(conversation, 'bot_unavailable', { language });
+    }
+
+    const model = process.env.GEMINI_MODEL || 'gemini-2.0-flash';
+    const prompt = buildPrompt({
+        conversation,
+        transcript,
+        facts: await buildFacts(conversation),
+        catalogue: formatCatalogue(await findCatalogueContext(messages)),
+        language
+    });
+
+    let answer;
+    try {
+        const response = await gemini.generateContent(prompt, { temperature: 0.3, maxTokens: 512 });
+
+        await gemini.trackUsage({
+            operation: 'inbox_bot_reply',
+            model,
+            inputTokens: estimateTokens(prompt),
+            outputTokens: estimateTokens(response),
+            requestData: { conversationId: conversation.uuid, channelId: channel?.uuid || null, language },
+            summary: `Bot reply for conversation ${conversation.uuid}`
+        });
+
+        answer = parseJsonResponse(response);
+    } catch (error) {
+        console.error(`Bot failed to answer conversation ${conversation.uuid}:`, error.message);
+        return handOff(conversation, 'bot_unavailable', { language });
+    }
+
+    const confidence = Number(answer.confidence) || 0;
+    const threshold = Number(channel?.bot_confidence_threshold ?? 0.6);
+    const reply = typeof answer.reply === 'string' ? answer.reply.trim() : '';
+
+    if (answer.handoff) {
+        const reason = HANDOFF_REASONS.includes(answer.reason) ? answer.reason : 'low_confidence';
+        return handOff(conversation, reason, { language });
+    }
+    if (!reply || confidence < threshold) {
+        return handOff(conversation, 'low_confidence', { language });
+    }
+
+    await sendBotMessage(conversation, reply, {
+        language,
+        ai: { source: 'bot', model, confidence }
+    });
+
+    return Conversation.findById(conversation.id);
+}
+
+/**
+ * Handle a new_message event from the inbox event bus
+ */
+function handleNewMessage(event) {
+    if (event.message?.direction !== 'incoming') return;
+
+    botQueue = botQueue.then(async () => {
+        try {
+            const conversation = await Conversation.findByUuid(event.conversationId);
+            if (conversation?.status !== 'bot') return;
+
+            await answerMessage(conversation, event.message);
+        } catch (error) {
+            console.error('Bot reply failed:', error.message);
+        }
+    });
+}
+
+/**
+ * Start answering bot conversations
+ */
+export function startBot() {
+    if (listening) return;
+
+    inboxEvents.on('new_message', handleNewMessage);
+    listening = true;
+    console.log('✅ AI auto-responder started');
+}
+
+/**
+ * Stop answering bot conversations
+ */
+export function stopBot() {
+    inboxEvents.off('new_message', handleNewMessage);
+    listening = false;
+}
+
+export default {
+    HANDOFF_REASONS,
+    isHumanRequest,
+    startBotIfEnabled,
+    handOff,
+    answerMessage,
+    startBot,
+    stopBot
+};
@@ -0,0 +1,542 @@
+/**
+ * Broadcast Service
+ * Builds contact lists (from conversations, labels or a CSV upload) and
+ * sends broadcasts to them over WhatsApp one message at a time with pauses
+ * in between so the number isn't banned. Delivery receipts and replies are
+ * counted per broadcast, and contacts who answer STOP are unsubscribed.
+ */
+
+import { Contact } from '../models/Contact.js';
+import { ContactList } from '../models/ContactList.js';
+import { Conversation } from '../models/Conversation.js';
+import { Message } from '../models/Message.js';
+import { Broadcast, BroadcastRecipient } from '../models/Broadcast.js';
+import * as whatsappService from './whatsapp.js';
+import { toPublicUrl, enqueueMessage, nudgeOutbox } from './outbound.js';
+import { buildTemplateContext, expandTemplate } from './quickReplies.js';
+import { linkConversation, matchOrCreateContact, normalizePhone, normalizeEmail } from './contacts.js';
+import { detectLanguage, pickTranslation } from './language.js';
+import { autoAssign } from './assignment.js';
+import { parseCsv } from './csv.js';
+import { inboxEvents, publishInboxUpdate } from './eventBus.js';
+
+export const BROADCAST_STATUSES = ['draft', 'scheduled', 'sending', 'paused', 'completed', 'cancelled'];
+
+// Wait between two messages, plus up to half as much again at random
+const SEND_INTERVAL = parseInt(process.env.BROADCAST_SEND_INTERVAL) || 5000;
+
+// After this many messages, take a longer break
+const BATCH_SIZE = parseInt(process.env.BROADCAST_BATCH_SIZE) || 50;
+const BATCH_PAUSE = parseInt(process.env.BROADCAST_BATCH_PAUSE) || 2 * 60 * 1000;
+
+// How often scheduled broadcasts are looked for
+const POLL_INTERVAL = 30 * 1000;
+
+// A message from the contact this long after a broadcast counts as a reply to it
+const REPLY_WINDOW_DAYS = 7;
+
+const MAX_CSV_ROWS = 10000;
+
+// Header names recognised in uploaded CSV files
+const CSV_COLUMNS = {
+    phone: ['phone', 'phone number', 'mobile', 'mobile number', 'whatsapp', 'whatsapp number', 'number'],
+    name: ['name', 'full name', 'contact name', 'contact'],
+    email: ['email', 'email address'],
+    company: ['company', 'company name']
+};
+
+// The whole message must be the keyword (trailing punctuation allowed)
+const OPT_OUT_PATTERN = /^(stop|توقف)[\s.!؟?]*$/iu;
+
+const OPT_OUT_CONFIRMATIONS = {
+    en: 'You have been unsubscribed and will no longer receive our announcements.',
+    ar: 'تم إلغاء اشتراكك ولن تصلك إعلاناتنا بعد الآن.'
+};
+
+let pollTimer = null;
+let sendingId = null;
+let wake = null;
+let listening = false;
+
+// =====================
+// CONTACT LISTS
+// =====================
+
+/**
+ * Add the contacts of conversations to a list
+ * @param {Object} list - Contact list row
+ * @param {Array<string>} conversationIds - Conversation UUIDs
+ * @param {Function} canSee - Whether the agent may use a conversation
+ * @returns {Promise<Object>} { added, notFound }
+ */
+export async function addConversationsToList(list, conversationIds, canSee = () => true) {
+    const contactIds = [];
+    const notFound = [];
+
+    for (const uuid of conversationIds) {
+        const conversation = await Conversation.findByUuid(uuid);
+        if (!conversation || !canSee(conversation)) {
+            notFound.push(uuid);
+            continue;
+        }
+
+        const contact = await linkConversation(conversation);
+        if (contact) contactIds.push(contact.id);
+    }
+
+    return { added: await ContactList.addMembers(list.id, contactIds, 'conversation'), notFound };
+}
+
+/**
+ * Add the contacts of every conversation carrying a label to a list
+ * @returns {Promise<Object>} { added, matched }
+ */
+export async function addLabelToList(list, label) {
+    const contactIds = await ContactList.findContactIdsByLabel(label);
+    return { added: await ContactList.addMembers(list.id, contactIds, 'label'), matched: contactIds.length };
+}
+
+/**
+ * Add the people in an uploaded CSV to a list, matching existing contacts by
+ * WhatsApp number or phone and creating the rest
+ * @param {Object} list - Contact list row
+ * @param {string} csvText - CSV with a header row and a phone column
+ * @returns {Promise<Object>} { added, rows, invalid: [{ row, value }] } or { error }
+ */
+export async function addCsvToList(list, csvText) {
+    const [header, ...rows] = parseCsv(csvText);
+    if (!header) return { error: 'The CSV file is empty' };
+
+    const headings = header.map(cell => cell.trim().toLowerCase());
+    const column = name => headings.findIndex(heading => CSV_COLUMNS[name].includes(heading));
+
+    const columns = { phone: column('phone'), name: column('name'), email: column('email'), company: column('company') };
+    if (columns.phone === -1) {
+        return { error: `The CSV needs a phone column (${CSV_COLUMNS.phone.join(', ')})` };
+    }
+    if (rows.length > MAX_CSV_ROWS) {
+        return { error: `A CSV upload can have at most ${MAX_CSV_ROWS} rows` };
+    }
+
+    const cell = (row, name) => columns[name] === -1 ? null : (row[columns[name]] || '').trim() || null;
+    const contactIds = [];
+    const invalid = [];
+
+    for (const [index, row] of rows.entries()) {
+        const phone = normalizePhone(cell(row, 'phone'));
+        if (!phone) {
+            invalid.push({ row: index + 2, value: cell(row, 'phone') });
+            continue;
+        }
+
+        const email = normalizeEmail(cell(row, 'email'));
+        const identities = [
+            { type: 'whatsapp', identifier: `${phone}@c.us` },
+            { type: 'phone', identifier: phone },
+            email && { type: 'email', identifier: email }
+        ].filter(Boolean);
+
+        const contact = await matchOrCreateContact(identities, {
+            name: cell(row, 'name'),
+            email,
+            phone,
+            company: cell(row, 'company')
+        }, 'csv_import');
+
+        contactIds.push(contact.id);
+    }
+
+    return { added: await ContactList.addMembers(list.id, contactIds, 'csv'), rows: rows.length, invalid };
+}
+
+// =====================
+// BROADCAST JOBS
+// =====================
+
+/**
+ * Fix the recipients of a broadcast from its list; unsubscribed contacts and
+ * contacts without a WhatsApp number are kept as skipped so the counts add up
+ * @returns {Promise<number>} Recipients that will be sent to
+ */
+async function prepareRecipients(broadcast) {
+    const contacts = await ContactList.findRecipients(broadcast.list_id);
+    let pending = 0;
+
+    for (const contact of contacts) {
+        const recipient = contact.whatsapp_id || contact.phone_identity || normalizePhone(contact.phone);
+        const skip = contact.unsubscribed_at ? 'Unsubscribed' : (!recipient ? 'No WhatsApp number' : null);
+
+        await BroadcastRecipient.create({
+            broadcastId: broadcast.id,
+            contactId: contact.id,
+            recipient,
+            status: skip ? 'skipped' : 'pending',
+            error: skip
+        });
+
+        if (!skip) pending++;
+    }
+
+    return pending;
+}
+
+/**
+ * Start a draft broadcast now or at a later time
+ * @param {Object} broadcast - Broadcast row
+ * @param {Date|null} scheduledAt - When to start (null = now)
+ * @returns {Promise<Object>} { broadcast } or { error }
+ */
+export async function startBroadcast(broadcast, scheduledAt = null) {
+    if (broadcast.status !== 'draft') return { error: 'Only draft broadcasts can be started' };
+    if (broadcast.platform !== 'whatsapp') return { error: 'Broadcasts can only be sent on WhatsApp channels' };
+    if (!broadcast.list_id) return { error: 'The broadcast has no contact list' };
+    if (!broadcast.content && !broadcast.media_url) return { error: 'The broadcast has no message' };
+
+    const pending = await prepareRecipients(broadcast);
+    if (pending === 0) return { error: 'Nobody on the list can receive the broadcast' };
+
+    const status = scheduledAt && scheduledAt > new Date() ? 'scheduled' : 'sending';
+    if (!(await Broadcast.transition(broadcast.id, status, ['draft'], { scheduledAt }))) {
+        return { error: 'The broadcast was already started' };
+    }
+
+    await notifyProgress(broadcast.id);
+    if (status === 'sending') pollBroadcasts();
+
+    return { broadcast: await Broadcast.findById(broadcast.id) };
+}
+
+/**
+ * Pause, resume or cancel a broadcast
+ * @param {Object} broadcast - Broadcast row
+ * @param {string} action - pause, resume or cancel
+ * @returns {Promise<Object>} { broadcast } or { error }
+ */
+export async function controlBroadcast(broadcast, action) {
+    const transitions = {
+        pause: ['paused', ['sending', 'scheduled']],
+        resume: ['sending', ['paused']],
+        cancel: ['cancelled', ['draft', 'scheduled', 'sending', 'paused']]
+    };
+
+    const [status, from] = transitions[action];
+    if (!(await Broadcast.transition(broadcast.id, status, from))) {
+        return { error: `A ${broadcast.status} broadcast can't be ${action === 'cancel' ? 'cancelled' : `${action}d`}` };
+    }
+
+    await notifyProgress(broadcast.id);
+    if (status === 'sending') pollBroadcasts();
+
+    return { broadcast: await Broadcast.findById(broadcast.id) };
+}
+
+/**
+ * The conversation a broadcast message goes into - the contact's existing
+ * WhatsApp conversation on the channel, or a new archived one that only
+ * shows up in the inbox once the contact replies
+ */
+async function recipientConversation(broadcast, recipient, contact) {
+    const chatId = recipient.recipient.includes('@') ? recipient.recipient : `${recipient.recipient}@c.us`;
+
+    const existing = await Conversation.findByContact(broadcast.channel_id, chatId);
+    if (existing) return Conversation.findById(existing.id);
+
+    const phone = chatId.replace('@c.us', '');
+    const created = await Conversation.create({
+        channelId: broadcast.channel_id,
+        contactIdentifier: chatId,
+        contactName: contact.name || phone,
+        contactPhone: phone
+    });
+
+    await Contact.link('conversations', created.id, contact.id);
+    return Conversation.update(created.id, { status: 'archived' });
+}
+
+/**
+ * Send the broadcast to one recipient; failures are recorded on the recipient
+ */
+async function sendToRecipient(broadcast, recipient) {
+    const contact = await Contact.findById(recipient.contact_id);
+    if (!contact || contact.unsubscribed_at) {
+        await BroadcastRecipient.markUnsent(recipient.id, 'skipped', 'Unsubscribed');
+        return;
+    }
+
+    const conversation = await recipientConversation(broadcast, recipient, contact);
+
+    const content = broadcast.content && broadcast.content.includes('{{')
+        ? expandTemplate(broadcast.content, await buildTemplateContext({
+            ...conversation,
+            contact_name: contact.name || conversation.contact_name
+        }))
+        : broadcast.content || '';
+
+    const message = await Message.create({
+        conversationId: conversation.id,
+        direction: 'outgoing',
+        content,
+        contentType: broadcast.media_url ? 'image' : 'text',
+        mediaUrl: broadcast.media_url,
+        metadata: { automated: true, automation: 'broadcast', broadcastId: broadcast.uuid }
+    });
+
+    await BroadcastRecipient.attachMessage(recipient.id, { conversationId: conversation.id, messageId: message.id });
+
+    try {
+        const result = await whatsappService.sendMessage(
+            broadcast.channel_id,
+            conversation.contact_identifier,
+            content,
+            { mediaUrl: broadcast.media_url ? toPublicUrl(broadcast.media_url) : null }
+        );
+
+        await Message.markSent(message.id, result.messageId);
+        await BroadcastRecipient.markSent(recipient.id);
+        await Conversation.setLastMessage(conversation.id, content || '[image]');
+    } catch (error) {
+        await Message.markFailed(message.id, error.message);
+        await BroadcastRecipient.markUnsent(recipient.id, 'failed', error.message);
+    }
+}
+
+function pause(ms) {
+    return new Promise(resolve => {
+        const timer = setTimeout(resolve, ms);
+        wake = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+    });
+}
+
+/**
+ * Send a broadcast until it is finished, paused or cancelled
+ */
+async function runBroadcast(broadcast) {
+    if (broadcast.status === 'scheduled') {
+        if (!(await Broadcast.transition(broadcast.id, 'sending', ['scheduled']))) return;
+        await notifyProgress(broadcast.id);
+    }
+
+    let sent = 0;
+
+    while (pollTimer) {
+        const current = await Broadcast.findById(broadcast.id);
+        if (current?.status !== 'sending') return;
+
+        // Try again on a later poll rather than failing everyone while the channel reconnects
+        if (!whatsappService.getClientStatus(current.channel_id).isReady) {
+            if (!current.last_error) {
+                await Broadcast.transition(current.id, 'sending', ['sending'], { lastError: 'Waiting for the WhatsApp channel to connect' });
+                await notifyProgress(current.id);
+            }
+            return;
+        }
+
+        if (current.last_error) {
+            await Broadcast.transition(current.id, 'sending', ['sending']);
+        }
+
+        const recipient = await BroadcastRecipient.findNextPending(current.id);
+        if (!recipient) {
+            await Broadcast.transition(current.id, 'completed', ['sending']);
+            await notifyProgress(current.id);
+            return;
+        }
+
+        await sendToRecipient(current, recipient);
+        await notifyProgress(current.id);
+
+        sent++;
+        await pause(sent % BATCH_SIZE === 0
+            ? BATCH_PAUSE
+            : SEND_INTERVAL + Math.round(Math.random() * SEND_INTERVAL / 2));
+    }
+}
+
+/**
+ * Send the broadcast that is due, if nothing is being sent. Never throws.
+ */
+export async function pollBroadcasts() {
+    if (sendingId || !pollTimer) return;
+
+    try {
+        const broadcast = await Broadcast.findNextToSend();
+        if (!broadcast) return;
+
+        sendingId = broadcast.id;
+        await runBroadcast(broadcast);
+    } catch (error) {
+        console.error('Broadcast sending failed:', error.message);
+    } finally {
+        sendingId = null;
+        wake = null;
+    }
+}
+
+// =====================
+// RECEIPTS, REPLIES AND OPT-OUT
+// =====================
+
+/**
+ * Does a message ask to stop receiving broadcasts?
+ */
+export function isOptOut(text) {
+    return OPT_OUT_PATTERN.test((text || '').trim());
+}
+
+/**
+ * Unsubscribe the contact of a conversation and confirm it to them. Only
+ * WhatsApp contacts who were sent a broadcast can opt out this way; anywhere
+ * else "stop" is just part of the conversation
+ * @returns {Promise<boolean>} Whether the message was taken as an opt-out
+ */
+async function optOut(conversation, incoming) {
+    if (conversation.platform !== 'whatsapp') return false;
+
+    const contact = await linkConversation(conversation);
+    if (!contact || !(await BroadcastRecipient.hasReceived(contact.id))) return false;
+    if (!(await Contact.setUnsubscribed(contact.id, 'keyword'))) return true;
+
+    const language = detectLanguage(incoming.content) || 'en';
+    const content = pickTranslation(OPT_OUT_CONFIRMATIONS, language);
+
+    const message = await Message.create({
+        conversationId: conversation.id,
+        direction: 'outgoing',
+        content,
+        contentType: 'text',
+        metadata: { automated: true, automation: 'broadcast_opt_out', language }
+    });
+
+    await enqueueMessage(message, conversation);
+    nudgeOutbox();
+    await Conversation.setLastMessage(conversation.id, content);
+    return true;
+}
+
+/**
+ * Handle a new_message event: opt-out keywords and replies to broadcasts
+ */
+async function handleNewMessage(event) {
+    if (event.message?.direction !== 'incoming') return;
+
+    try {
+        const conversation = await Conversation.findByUuid(event.conversationId);
+        if (!conversation) return;
+
+        if (isOptOut(event.message.content) && await optOut(conversation, event.message)) {
+            return;
+        }
+
+        const broadcastIds = await BroadcastRecipient.markReplied(conversation.id, REPLY_WINDOW_DAYS);
+        if (broadcastIds.length === 0) return;
+
+        // A reply to a broadcast brings the conversation (back) into the inbox
+        if (['archived', 'resolved'].includes(conversation.status)) {
+            await autoAssign(await Conversation.update(conversation.id, { status: 'active' }));
+        }
+
+        for (const broadcastId of broadcastIds) {
+            await notifyProgress(broadcastId);
+        }
+    } catch (error) {
+        console.error('Broadcast reply handling failed:', error.message);
+    }
+}
+
+/**
+ * Handle a status_update event: delivery and read receipts of broadcast messages
+ */
+async function handleStatusUpdate(event) {
+    if (!['sent', 'delivered', 'read'].includes(event.status) || !event.messageId) return;
+
+    try {
+        const recipient = await BroadcastRecipient.advanceByMessage(event.messageId, event.status);
+        if (recipient) await notifyProgress(recipient.broadcast_id);
+    } catch (error) {
+        console.error('Broadcast receipt handling failed:', error.message);
+    }
+}
+
+/**
+ * Broadcast status and counts for the API and progress updates
+ */
+export async function describeBroadcast(broadcast) {
+    return {
+        id: broadcast.uuid,
+        name: broadcast.name,
+        status: broadcast.status,
+        channel: broadcast.channel_uuid
+            ? { id: broadcast.channel_uuid, name: broadcast.channel_name, platform: broadcast.platform }
+            : null,
+        list: broadcast.list_uuid ? { id: broadcast.list_uuid, name: broadcast.list_name } : null,
+        content: broadcast.content,
+        mediaUrl: broadcast.media_url,
+        scheduledAt: broadcast.scheduled_at,
+        startedAt: broadcast.started_at,
+        completedAt: broadcast.completed_at,
+        lastError: broadcast.last_error,
+        createdBy: broadcast.creator_first_name
+            ? `${broadcast.creator_first_name} ${broadcast.creator_last_name}`
+            : null,
+        createdAt: broadcast.created_at,
+        stats: await Broadcast.getStats(broadcast.id)
+    };
+}
+
+async function notifyProgress(broadcastId) {
+    const broadcast = await Broadcast.findById(broadcastId);
+    if (broadcast) {
+        publishInboxUpdate('broadcast_progress', { broadcast: await describeBroadcast(broadcast) });
+    }
+}
+
+/**
+ * Start sending broadcasts and tracking receipts, replies and opt-outs
+ */
+export function startBroadcastWorker() {
+    if (pollTimer) return;
+
+    pollTimer = setInterval(pollBroadcasts, POLL_INTERVAL);
+
+    if (!listening) {
+        inboxEvents.on('new_message', handleNewMessage);
+        inboxEvents.on('status_update', handleStatusUpdate);
+        listening = true;
+    }
+
+    // Carry on with a broadcast interrupted by a restart
+    pollBroadcasts();
+    console.log('✅ WhatsApp broadcasts started');
+}
+
+/**
+ * Stop sending broadcasts (a broadcast being sent carries on after a restart)
+ */
+export function stopBroadcastWorker() {
+    if (pollTimer) {
+        clearInterval(pollTimer);
+        pollTimer = null;
+    }
+    if (wake) wake();
+
+    inboxEvents.off('new_message', handleNewMessage);
+    inboxEvents.off('status_update', handleStatusUpdate);
+    listening = false;
+}
+
+export default {
+    BROADCAST_STATUSES,
+    addConversationsToList,
+    addLabelToList,
+    addCsvToList,
+    startBroadcast,
+    controlBroadcast,
+    pollBroadcasts,
+    isOptOut,
+    describeBroadcast,
+    startBroadcastWorker,
+    stopBroadcastWorker
+};
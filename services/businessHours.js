@@ -0,0 +1,372 @@
+/**
+ * Business Hours Service
+ * Works out whether a channel is open from its weekly hours, holidays and
+ * timezone (Asia/Dubai by default), and sends the away reply to customers
+ * who write while it is closed - once per conversation per closed period
+ */
+
+import { Channel } from '../models/Channel.js';
+import { Conversation } from '../models/Conversation.js';
+import { Message } from '../models/Message.js';
+import { enqueueMessage, nudgeOutbox } from './outbound.js';
+import { buildTemplateContext, expandTemplate } from './quickReplies.js';
+import { detectLanguage, pickTranslation } from './language.js';
+import { inboxEvents } from './eventBus.js';
+
+export const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+export const DEFAULT_TIMEZONE = 'Asia/Dubai';
+
+// Sunday-Thursday, 9AM-6PM - what the /hours quick reply promises
+export const DEFAULT_WEEKLY_HOURS = {
+    sunday: [{ open: '09:00', close: '18:00' }],
+    monday: [{ open: '09:00', close: '18:00' }],
+    tuesday: [{ open: '09:00', close: '18:00' }],
+    wednesday: [{ open: '09:00', close: '18:00' }],
+    thursday: [{ open: '09:00', close: '18:00' }],
+    friday: [],
+    saturday: []
+};
+
+// How far ahead to look for the next opening (long holidays)
+const MAX_LOOKAHEAD_DAYS = 60;
+
+// With no opening in sight, allow one away reply per day
+const FALLBACK_AWAY_WINDOW = 24 * 60 * 60 * 1000;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+let listening = false;
+
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Calendar date, weekday and minute of the day of an instant in a timezone
+ */
+function localParts(date, timezone) {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }).formatToParts(date).map(part => [part.type, part.value])
+    );
+
+    const year = Number(parts.year);
+    const month = Number(parts.month);
+    const day = Number(parts.day);
+
+    return {
+        year,
+        month,
+        day,
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        weekday: new Date(Date.UTC(year, month - 1, day)).getUTCDay(),
+        minutes: Number(parts.hour) * 60 + Number(parts.minute),
+        seconds: Number(parts.second)
+    };
+}
+
+/**
+ * Offset of a timezone from UTC at an instant, in milliseconds
+ */
+function timezoneOffset(instant, timezone) {
+    const local = localParts(new Date(instant), timezone);
+    const asUtc = Date.UTC(local.year, local.month - 1, local.day, 0, local.minutes, local.seconds);
+    return asUtc - Math.floor(instant / 1000) * 1000;
+}
+
+/**
+ * The instant a local date and time occurs in a timezone
+ */
+function zonedTime(year, month, day, minutes, timezone) {
+    const guess = Date.UTC(year, month - 1, day, 0, minutes);
+    let instant = guess - timezoneOffset(guess, timezone);
+
+    // Around a DST change the offset at the result can differ from the guess
+    const corrected = guess - timezoneOffset(instant, timezone);
+    if (corrected !== instant) instant = corrected;
+
+    return new Date(instant);
+}
+
+function isHoliday(hours, date) {
+    return (hours.holidays || []).some(holiday => holiday.date === date);
+}
+
+/**
+ * Is the channel open at an instant?
+ * @param {Object} hours - Channel business hours (Channel.getBusinessHours)
+ * @param {Date} at - Instant to check
+ * @returns {boolean}
+ */
+export function isOpen(hours, at = new Date()) {
+    const local = localParts(at, hours.timezone || DEFAULT_TIMEZONE);
+    if (isHoliday(hours, local.date)) return false;
+
+    const ranges = hours.weekly_hours?.[DAYS[local.weekday]] || [];
+    return ranges.some(range =>
+        local.minutes >= toMinutes(range.open) && local.minutes < toMinutes(range.close)
+    );
+}
+
+/**
+ * When the channel next opens after an instant
+ * @param {Object} hours - Channel business hours
+ * @param {Date} from - Instant to search from
+ * @returns {Date|null} Next opening, or null if none in the next 60 days
+ */
+export function nextOpening(hours, from = new Date()) {
+    const timezone = hours.timezone || DEFAULT_TIMEZONE;
+    const today = localParts(from, timezone);
+
+    for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+        const calendar = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+        const date = calendar.toISOString().substring(0, 10);
+        if (isHoliday(hours, date)) continue;
+
+        const ranges = [...(hours.weekly_hours?.[DAYS[calendar.getUTCDay()]] || [])]
+            .sort((a, b) => toMinutes(a.open) - toMinutes(b.open));
+
+        for (const range of ranges) {
+            const opensAt = zonedTime(
+                calendar.getUTCFullYear(),
+                calendar.getUTCMonth() + 1,
+                calendar.getUTCDate(),
+                toMinutes(range.open),
+                timezone
+            );
+            if (opensAt > from) return opensAt;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * When the opening hours range the channel is open in at an instant ends
+ * @returns {Date|null} null if the channel is closed at that instant
+ */
+function currentClosing(hours, at) {
+    const timezone = hours.timezone || DEFAULT_TIMEZONE;
+    const local = localParts(at, timezone);
+    if (isHoliday(hours, local.date)) return null;
+
+    const range = (hours.weekly_hours?.[DAYS[local.weekday]] || []).find(item =>
+        local.minutes >= toMinutes(item.open) && local.minutes < toMinutes(item.close)
+    );
+    return range ? zonedTime(local.year, local.month, local.day, toMinutes(range.close), timezone) : null;
+}
+
+/**
+ * Add an amount of open time to an instant, skipping closed hours and
+ * holidays (a message sent at 17:30 with an hour to go is due at 09:30 on
+ * the next working day when the channel closes at 18:00)
+ * @param {Object} hours - Channel business hours
+ * @param {Date} from - Instant to count from
+ * @param {number} duration - Open time to add, in milliseconds
+ * @returns {Date|null} Resulting instant, or null if the channel doesn't open again within 60 days
+ */
+export function addBusinessTime(hours, from, duration) {
+    let at = new Date(from);
+    let remaining = duration;
+
+    while (true) {
+        const closesAt = isOpen(hours, at) ? currentClosing(hours, at) : null;
+
+        if (!closesAt) {
+            at = nextOpening(hours, at);
+            if (!at) return null;
+            continue;
+        }
+
+        if (at.getTime() + remaining <= closesAt.getTime()) {
+            return new Date(at.getTime() + remaining);
+        }
+
+        remaining -= closesAt.getTime() - at.getTime();
+        at = closesAt;
+    }
+}
+
+/**
+ * Open/closed state of a channel
+ * @param {number} channelId - Channel ID
+ * @returns {Promise<Object>} { configured, open, timezone, nextOpeningAt }
+ */
+export async function getChannelStatus(channelId, at = new Date()) {
+    const hours = await Channel.getBusinessHours(channelId);
+    if (!hours) {
+        return { configured: false, open: true, timezone: null, nextOpeningAt: null };
+    }
+
+    const open = isOpen(hours, at);
+    return {
+        configured: true,
+        open,
+        timezone: hours.timezone,
+        nextOpeningAt: open ? null : nextOpening(hours, at)
+    };
+}
+
+/**
+ * Check a business hours payload from the API
+ * @param {Object} body - { timezone, weeklyHours, awayEnabled, awayMessages, defaultLanguage, holidays }
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateBusinessHours(body) {
+    const { timezone, weeklyHours, awayMessages, holidays } = body;
+
+    if (timezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        } catch (error) {
+            return `Unknown timezone: ${timezone}`;
+        }
+    }
+
+    if (!weeklyHours || typeof weeklyHours !== 'object' || Array.isArray(weeklyHours)) {
+        return 'weeklyHours must map days to opening hours';
+    }
+
+    for (const [day, ranges] of Object.entries(weeklyHours)) {
+        if (!DAYS.includes(day)) return `Unknown day: ${day}`;
+        if (!Array.isArray(ranges)) return `Hours for ${day} must be a list`;
+
+        for (const range of ranges) {
+            if (!TIME_PATTERN.test(range?.open || '') || !TIME_PATTERN.test(range?.close || '')) {
+                return `Hours for ${day} must be HH:MM`;
+            }
+            if (toMinutes(range.close) <= toMinutes(range.open)) {
+                return `Closing time must be after opening time (${day})`;
+            }
+        }
+    }
+
+    if (awayMessages !== undefined) {
+        if (!awayMessages || typeof awayMessages !== 'object' || Array.isArray(awayMessages)) {
+            return 'awayMessages must map language codes to messages';
+        }
+        if (Object.values(awayMessages).some(text => typeof text !== 'string')) {
+            return 'Away messages must be text';
+        }
+    }
+
+    if (body.awayEnabled && !Object.values(awayMessages || {}).some(text => text?.trim())) {
+        return 'An away message is required to enable away replies';
+    }
+
+    if (holidays !== undefined) {
+        if (!Array.isArray(holidays)) return 'holidays must be a list';
+        if (holidays.some(holiday => !DATE_PATTERN.test(holiday?.date || ''))) {
+            return 'Holiday dates must be YYYY-MM-DD';
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Send the away reply for an incoming message if the channel is closed
+ * @param {Object} conversation - Conversation row (with platform)
+ * @param {Object} incoming - Incoming message row
+ * @returns {Promise<Object|null>} Away message row, or null if none was sent
+ */
+export async function sendAwayReplyIfClosed(conversation, incoming) {
+    const hours = await Channel.getBusinessHours(conversation.channel_id);
+    if (!hours?.away_enabled) return null;
+
+    const now = new Date();
+    if (isOpen(hours, now)) return null;
+
+    const language = detectLanguage(incoming.content) || hours.default_language;
+    const template = pickTranslation(hours.away_messages, language, hours.default_language);
+    if (!template) return null;
+
+    const reopensAt = nextOpening(hours, now) || new Date(now.getTime() + FALLBACK_AWAY_WINDOW);
+
+    // Already replied during this closed period
+    if (!(await Conversation.claimAwayReply(conversation.id, reopensAt))) return null;
+
+    const content = template.includes('{{')
+        ? expandTemplate(template, await buildTemplateContext(conversation))
+        : template;
+
+    const message = await Message.create({
+        conversationId: conversation.id,
+        direction: 'outgoing',
+        content,
+        contentType: 'text',
+        metadata: {
+            automated: true,
+            automation: 'away_reply',
+            language,
+            reopensAt: reopensAt.toISOString()
+        }
+    });
+
+    await enqueueMessage(message, conversation);
+    nudgeOutbox();
+    await Conversation.setLastMessage(conversation.id, content);
+
+    return message;
+}
+
+/**
+ * Handle a new_message event from the inbox event bus
+ */
+async function handleNewMessage(event) {
+    if (event.message?.direction !== 'incoming') return;
+
+    try {
+        const conversation = await Conversation.findByUuid(event.conversationId);
+        // The bot answers its own conversations (including outside hours)
+        if (!conversation || conversation.status === 'bot') return;
+
+        await sendAwayReplyIfClosed(conversation, event.message);
+    } catch (error) {
+        console.error('Away reply failed:', error.message);
+    }
+}
+
+/**
+ * Start answering messages that arrive outside business hours
+ */
+export function startAwayReplies() {
+    if (listening) return;
+
+    inboxEvents.on('new_message', handleNewMessage);
+    listening = true;
+    console.log('✅ Business hours away replies started');
+}
+
+/**
+ * Stop sending away replies
+ */
+export function stopAwayReplies() {
+    inboxEvents.off('new_message', handleNewMessage);
+    listening = false;
+}
+
+export default {
+    DAYS,
+    DEFAULT_TIMEZONE,
+    DEFAULT_WEEKLY_HOURS,
+    isOpen,
+    nextOpening,
+    addBusinessTime,
+    getChannelStatus,
+    validateBusinessHours,
+    sendAwayReplyIfClosed,
+    startAwayReplies,
+    stopAwayReplies
+};
@@ -0,0 +1,288 @@
+/**
+ * Contacts Service
+ * Links conversations, contact form submissions and Gulfood registrations to
+ * one contact per person, matching on platform handle, email or phone
+ */
+
+import { Contact } from '../models/Contact.js';
+
+// Local numbers (e.g. 050 123 4567) are assumed to be in this country
+const DEFAULT_COUNTRY_CODE = process.env.CONTACTS_DEFAULT_COUNTRY_CODE || '971';
+
+// Names the platforms use when the real one is unknown
+const PLACEHOLDER_NAMES = ['Facebook User', 'Instagram User'];
+
+/**
+ * Normalize a phone number to digits with country code
+ * @param {string} phone - Phone as typed or received
+ * @returns {string|null} e.g. '971501234567', or null if it is not a phone number
+ */
+export function normalizePhone(phone) {
+    if (!phone) return null;
+
+    let digits = String(phone).replace(/@c\.us$/, '').replace(/\D/g, '');
+    if (digits.startsWith('00')) {
+        digits = digits.substring(2);
+    } else if (digits.startsWith('0')) {
+        digits = DEFAULT_COUNTRY_CODE + digits.substring(1);
+    }
+
+    return digits.length >= 7 && digits.length <= 15 ? digits : null;
+}
+
+/**
+ * Normalize an email address for matching
+ * @returns {string|null} Lower-cased email or null if invalid
+ */
+export function normalizeEmail(email) {
+    if (!email) return null;
+    const clean = String(email).trim().toLowerCase();
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(clean) ? clean : null;
+}
+
+/**
+ * Find the contact for a set of identities or create one, then attach the
+ * identities no other contact owns yet. Identities are tried in order.
+ * @param {Array<Object>} identities - [{ type, identifier }]
+ * @param {Object} details - name, email, phone, company, country, avatar
+ * @param {string} source - conversation, contact_form, gulfood or manual
+ * @returns {Promise<Object>} Contact
+ */
+export async function matchOrCreateContact(identities, details = {}, source = null) {
+    let contact = null;
+
+    for (const identity of identities) {
+        contact = await Contact.findByIdentity(identity.type, identity.identifier);
+        if (contact) break;
+    }
+
+    // Matched a contact that was merged away - use the one it was merged into
+    while (contact?.merged_into_id) {
+        contact = await Contact.findById(contact.merged_into_id);
+    }
+
+    if (!contact) {
+        contact = await Contact.create(details);
+    } else {
+        // Only fill in what is missing - agents may have corrected the rest
+        const blanks = {};
+        for (const [key, value] of Object.entries(details)) {
+            if (value && !contact[key]) blanks[key] = value;
+        }
+        if (Object.keys(blanks).length > 0) {
+            contact = await Contact.update(contact.id, blanks);
+        }
+    }
+
+    for (const identity of identities) {
+        await Contact.addIdentity(contact.id, { ...identity, source });
+    }
+
+    return contact;
+}
+
+function contactDetails({ name, email, phone, company = null, country = null, avatar = null }) {
+    return {
+        name: name && !PLACEHOLDER_NAMES.includes(name) ? name : null,
+        email,
+        phone,
+        company: company || null,
+        country: country || null,
+        avatar: avatar || null
+    };
+}
+
+function emailAndPhoneIdentities(email, phone) {
+    return [
+        email && { type: 'email', identifier: email },
+        phone && { type: 'phone', identifier: phone }
+    ].filter(Boolean);
+}
+
+/**
+ * Link a conversation to its contact (creating the contact if needed)
+ * Never throws - a conversation without a contact still works
+ * @param {Object} conversation - Conversation row (with platform)
+ * @returns {Promise<Object|null>} Contact or null
+ */
+export async function linkConversation(conversation) {
+    try {
+        if (conversation.contact_id) return await Contact.findById(conversation.contact_id);
+
+        const isWhatsAppUser = conversation.platform === 'whatsapp' &&
+            conversation.contact_identifier.endsWith('@c.us');
+        const phone = normalizePhone(conversation.contact_phone) ||
+            (isWhatsAppUser ? normalizePhone(conversation.contact_identifier) : null);
+        const email = normalizeEmail(conversation.contact_email);
+
+        const identities = [
+            { type: conversation.platform, identifier: conversation.contact_identifier },
+            ...emailAndPhoneIdentities(email, phone)
+        ];
+
+        const contact = await matchOrCreateContact(identities, contactDetails({
+            name: conversation.contact_name !== conversation.contact_identifier ? conversation.contact_name : null,
+            email,
+            phone,
+            avatar: conversation.contact_avatar
+        }), 'conversation');
+
+        await Contact.link('conversations', conversation.id, contact.id);
+        return contact;
+    } catch (error) {
+        console.error('Contact linking failed:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Link a website contact form submission to its contact
+ * Never throws - the submission is already saved
+ */
+export async function linkSubmission(submission) {
+    try {
+        const email = normalizeEmail(submission.email);
+        const phone = normalizePhone(submission.phone);
+
+        const contact = await matchOrCreateContact(
+            emailAndPhoneIdentities(email, phone),
+            contactDetails({ name: submission.name, email, phone, company: submission.company }),
+            'contact_form'
+        );
+
+        await Contact.link('submissions', submission.id, contact.id);
+        return contact;
+    } catch (error) {
+        console.error('Contact linking failed:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Link a Gulfood registration to its contact
+ * Never throws - the registration is already saved
+ */
+export async function linkRegistration(registration) {
+    try {
+        const email = normalizeEmail(registration.email);
+        const phone = normalizePhone(registration.phone);
+
+        const contact = await matchOrCreateContact(
+            emailAndPhoneIdentities(email, phone),
+            contactDetails({
+                name: registration.name,
+                email,
+                phone,
+                company: registration.company,
+                country: registration.country
+            }),
+            'gulfood'
+        );
+
+        await Contact.link('registrations', registration.id, contact.id);
+        return contact;
+    } catch (error) {
+        console.error('Contact linking failed:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Link every conversation and form entry that has no contact yet
+ * (existing data after the contacts migration)
+ * @returns {Promise<Object>} Counts per kind
+ */
+export async function syncContacts() {
+    const linkers = {
+        conversations: linkConversation,
+        submissions: linkSubmission,
+        registrations: linkRegistration
+    };
+    const counts = {};
+
+    for (const [kind, link] of Object.entries(linkers)) {
+        counts[kind] = 0;
+
+        // Batches until nothing is left (rows that failed to link stop the loop)
+        for (;;) {
+            const rows = await Contact.findUnlinked(kind);
+            let linked = 0;
+
+            for (const row of rows) {
+                if (await link(row)) linked++;
+            }
+
+            counts[kind] += linked;
+            if (rows.length === 0 || linked < rows.length) break;
+        }
+    }
+
+    return counts;
+}
+
+/**
+ * Build a contact's timeline: conversations, form submissions and
+ * registrations, newest first
+ * @param {Object} contact - Contact row
+ * @param {Function} canSeeConversation - Filter for conversations the caller may see
+ * @returns {Promise<Array<Object>>} Timeline entries
+ */
+export async function buildTimeline(contact, canSeeConversation = () => true) {
+    const [conversations, submissions, registrations] = await Promise.all([
+        Contact.getConversations(contact.id),
+        Contact.getSubmissions(contact.id),
+        Contact.getRegistrations(contact.id)
+    ]);
+
+    const entries = [
+        ...conversations.filter(canSeeConversation).map(conversation => ({
+            type: 'conversation',
+            id: conversation.uuid,
+            date: conversation.last_message_at || conversation.created_at,
+            platform: conversation.platform,
+            channelId: conversation.channel_uuid,
+            channelName: conversation.channel_name,
+            contactIdentifier: conversation.contact_identifier,
+            status: conversation.status,
+            lastMessage: conversation.last_message,
+            messageCount: Number(conversation.message_count),
+            agentName: conversation.agent_first_name
+                ? `${conversation.agent_first_name} ${conversation.agent_last_name}`
+                : null,
+            startedAt: conversation.created_at
+        })),
+        ...submissions.map(submission => ({
+            type: 'contact_submission',
+            id: submission.uuid,
+            date: submission.created_at,
+            subject: submission.subject,
+            message: submission.message,
+            company: submission.company,
+            source: submission.source,
+            status: submission.status
+        })),
+        ...registrations.map(registration => ({
+            type: 'gulfood_registration',
+            id: registration.uuid,
+            date: registration.created_at,
+            company: registration.company,
+            country: registration.country,
+            interestAreas: registration.interest_areas || [],
+            message: registration.message,
+            status: registration.status
+        }))
+    ];
+
+    return entries.sort((a, b) => new Date(b.date) - new Date(a.date));
+}
+
+export default {
+    normalizePhone,
+    normalizeEmail,
+    matchOrCreateContact,
+    linkConversation,
+    linkSubmission,
+    linkRegistration,
+    syncContacts,
+    buildTimeline
+};
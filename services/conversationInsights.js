@@ -0,0 +1,169 @@
+/**
+ * Conversation Insights Service
+ * Has Gemini summarize a conversation and classify its intent and sentiment
+ * when it is resolved or handed over, stores the result on the conversation
+ * and applies the label configured for the intent
+ */
+
+import gemini from '../config/gemini.js';
+import { Conversation } from '../models/Conversation.js';
+import { Label } from '../models/Label.js';
+import { Settings } from '../models/Settings.js';
+import { buildTranscript, estimateTokens, parseJsonResponse } from './replySuggestions.js';
+import { publishInboxUpdate } from './eventBus.js';
+
+export const INTENTS = ['quote_request', 'shipping_status', 'partnership', 'complaint', 'spam', 'other'];
+
+// Settings key holding { intent: label ID } - IDs, so a renamed label keeps being applied
+const INTENT_LABELS_SETTING = 'inbox_intent_labels';
+
+// Messages given to the model (long threads keep their latest part)
+const TRANSCRIPT_LENGTH = 60;
+
+// Analyses run one at a time in the background
+let insightsQueue = Promise.resolve();
+
+/**
+ * Intent -> label name mapping used to auto-label conversations
+ * @returns {Promise<Object>}
+ */
+export async function getIntentLabels() {
+    const mapping = await Settings.get(INTENT_LABELS_SETTING) || {};
+    const labels = {};
+
+    for (const [intent, labelId] of Object.entries(mapping)) {
+        const label = await Label.findById(labelId);
+        if (label) labels[intent] = label.name;
+    }
+
+    return labels;
+}
+
+/**
+ * Replace the intent -> label mapping
+ * @param {Object} mapping - { intent: label name }, empty/null label removes the intent
+ * @returns {Promise<Object>} The stored mapping as { intent: label name }
+ */
+export async function setIntentLabels(mapping) {
+    const entries = Object.entries(mapping).filter(([intent, name]) => INTENTS.includes(intent) && name);
+    const labels = await Label.findByNames(entries.map(([, name]) => name));
+
+    const labelIds = {};
+    for (const [intent, name] of entries) {
+        const label = labels.find(candidate => candidate.name === name);
+        if (label) labelIds[intent] = label.id;
+    }
+
+    await Settings.set(INTENT_LABELS_SETTING, labelIds, 'inbox', 'Labels applied to conversations by AI intent');
+    return getIntentLabels();
+}
+
+function buildPrompt(conversation, transcript) {
+    return `You are reviewing a customer conversation for Alteneiji Group, a Dubai-based import/export, shipping, logistics and trade consultancy company, so a supervisor can understand it without reading the thread.
+
+Conversation (${conversation.platform || 'chat'}, customer: ${conversation.contact_name || 'unknown'}):
+${transcript}
+
+Classify the customer's main intent as exactly one of:
+- quote_request: asks for prices, a quotation, MOQ or product availability
+- shipping_status: asks about an existing order, shipment or delivery
+- partnership: proposes distribution, supply, agency or other business partnership
+- complaint: is unhappy about a product, delivery or service
+- spam: unsolicited promotion, scam or irrelevant messages
+- other: anything else
+
+Return ONLY valid JSON, no markdown or additional text:
+{
+    "summary": "2-3 sentence summary in English: what the customer wanted, key details (products, quantities, destinations) and the outcome or next step",
+    "intent": "one of the intents above",
+    "sentiment": "customer sentiment from -1.0 (very negative) to 1.0 (very positive)"
+}`;
+}
+
+function parseInsights(response) {
+    const parsed = parseJsonResponse(response);
+
+    const sentiment = Math.max(-1, Math.min(1, Number(parsed.sentiment)));
+
+    return {
+        summary: typeof parsed.summary === 'string' ? parsed.summary.trim() : null,
+        intent: INTENTS.includes(parsed.intent) ? parsed.intent : 'other',
+        sentiment: Number.isFinite(sentiment) ? Math.round(sentiment * 100) / 100 : null
+    };
+}
+
+/**
+ * Summarize and classify a conversation now
+ * @param {Object} conversation - Conversation row (with platform)
+ * @param {Object} options - { trigger: resolved|handover|manual, agent }
+ * @returns {Promise<Object|null>} Updated conversation, or null if there was nothing to analyze
+ */
+export async function analyzeConversation(conversation, { trigger = 'manual', agent = null } = {}) {
+    const { messages, transcript } = await buildTranscript(conversation, TRANSCRIPT_LENGTH);
+    if (!messages.some(message => message.direction === 'incoming')) return null;
+
+    const prompt = buildPrompt(conversation, transcript);
+    const response = await gemini.generateContent(prompt, { temperature: 0.2, maxTokens: 512 });
+
+    await gemini.trackUsage({
+        userId: agent?.userId || null,
+        operation: 'inbox_conversation_insights',
+        model: process.env.GEMINI_MODEL || 'gemini-2.0-flash',
+        inputTokens: estimateTokens(prompt),
+        outputTokens: estimateTokens(response),
+        requestData: { conversationId: conversation.uuid, trigger },
+        summary: `Insights (${trigger}) for conversation ${conversation.uuid}`
+    });
+
+    const insights = parseInsights(response);
+    let updated = await Conversation.setInsights(conversation.id, insights);
+
+    const labelName = (await getIntentLabels())[insights.intent];
+    if (labelName) {
+        updated = await Conversation.addLabels(conversation.id, [labelName]);
+    }
+
+    publishInboxUpdate('conversation_insights', {
+        conversationId: conversation.uuid,
+        summary: updated.summary,
+        intent: updated.intent,
+        sentiment: updated.sentiment !== null ? Number(updated.sentiment) : null,
+        trigger
+    });
+
+    return updated;
+}
+
+/**
+ * Analyze a conversation in the background after it was resolved or handed
+ * over. Skipped when AI isn't configured or nothing was said since the last
+ * analysis. Never throws.
+ * @param {Object} conversation - Conversation row
+ * @param {string} trigger - 'resolved' or 'handover'
+ */
+export function queueInsights(conversation, trigger) {
+    const run = async () => {
+        try {
+            const current = await Conversation.findById(conversation.id);
+            if (!current) return;
+
+            const upToDate = current.insights_at && current.last_message_at &&
+                new Date(current.insights_at) >= new Date(current.last_message_at);
+            if (upToDate || !(await gemini.isConfigured())) return;
+
+            await analyzeConversation(current, { trigger });
+        } catch (error) {
+            console.error(`Conversation insights failed for ${conversation.uuid}:`, error.message);
+        }
+    };
+
+    insightsQueue = insightsQueue.then(run);
+}
+
+export default {
+    INTENTS,
+    getIntentLabels,
+    setIntentLabels,
+    analyzeConversation,
+    queueInsights
+};
@@ -0,0 +1,206 @@
+/**
+ * Conversation Notes Service
+ * Internal notes agents leave on a conversation: resolves @mentions to agents
+ * and notifies the mentioned agents in real time. Notes never reach the customer.
+ */
+
+import { Agent } from '../models/Agent.js';
+import { ConversationNote } from '../models/ConversationNote.js';
+import { publishInboxUpdate } from './eventBus.js';
+import { canAccessConversation } from '../middleware/auth.js';
+
+// @sara, @sara.ahmed, @sara.ahmed@alteneiji.com
+const MENTION_PATTERN = /(?<![\w@])@([\w.-]+(?:@[\w-]+(?:\.[\w-]+)+)?)/g;
+
+// Characters of the note included in a mention notification
+const EXCERPT_LENGTH = 140;
+
+/**
+ * Extract the @handles written in a note
+ * @param {string} content - Note text
+ * @returns {Array<string>} Lower-cased handles without the @
+ */
+export function extractMentionHandles(content) {
+    const handles = new Set();
+    for (const match of (content || '').matchAll(MENTION_PATTERN)) {
+        handles.add(match[1].replace(/[.-]+$/, '').toLowerCase());
+    }
+    return [...handles].filter(Boolean);
+}
+
+/**
+ * Match handles against active agents. A handle can be the full email, the
+ * part before the @, first.last, or a first name shared by no other agent.
+ * @param {Array<string>} handles - Handles from extractMentionHandles
+ * @returns {Promise<Array<Object>>} Mentioned agents (unique)
+ */
+export async function resolveMentions(handles) {
+    if (handles.length === 0) return [];
+
+    const agents = await Agent.findAll({ status: 'active' });
+    const mentioned = new Map();
+
+    for (const handle of handles) {
+        const byFirstName = agents.filter(agent => agent.first_name.toLowerCase() === handle);
+
+        const agent = agents.find(a => {
+            const email = a.email.toLowerCase();
+            return email === handle ||
+                email.split('@')[0] === handle ||
+                `${a.first_name}.${a.last_name}`.toLowerCase().replace(/\s+/g, '') === handle;
+        }) || (byFirstName.length === 1 ? byFirstName[0] : null);
+
+        if (agent) mentioned.set(agent.id, agent);
+    }
+
+    return [...mentioned.values()];
+}
+
+/**
+ * Format a note for API responses and WebSocket events
+ * @param {Object} note - Note row (with author joined)
+ * @param {Object} conversation - Conversation row
+ */
+export function formatNote(note, conversation) {
+    return {
+        id: note.uuid,
+        conversationId: conversation.uuid,
+        content: note.is_deleted ? null : note.content,
+        author: note.agent_uuid
+            ? { id: note.agent_uuid, name: `${note.agent_first_name} ${note.agent_last_name}` }
+            : null,
+        mentions: parseMentions(note.mentions),
+        isDeleted: Boolean(note.is_deleted),
+        isEdited: Boolean(note.edited_at),
+        revisionCount: Number(note.revision_count || 0),
+        editedAt: note.edited_at,
+        deletedAt: note.deleted_at,
+        createdAt: note.created_at
+    };
+}
+
+function parseMentions(mentions) {
+    if (!mentions) return [];
+    if (Array.isArray(mentions)) return mentions;
+    try {
+        return JSON.parse(mentions);
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * An agents row in the shape of req.agent, for the permission checks
+ */
+function asRequestAgent(agent) {
+    return {
+        id: agent.id,
+        role: agent.role,
+        permissions: (typeof agent.permissions === 'string'
+            ? JSON.parse(agent.permissions)
+            : agent.permissions) || {}
+    };
+}
+
+/**
+ * Tell mentioned agents they were mentioned (skipping the author, and agents
+ * who can't open the conversation - the excerpt would show them the note)
+ */
+async function notifyMentioned(agents, note, conversation, author) {
+    try {
+        const { sendToAgent } = await import('./websocket.js');
+        const content = note.content || '';
+
+        for (const agent of agents) {
+            if (agent.id === author?.id) continue;
+            if (!canAccessConversation(asRequestAgent(agent), conversation)) continue;
+
+            sendToAgent(agent.id, {
+                type: 'inbox_mention',
+                conversationId: conversation.uuid,
+                noteId: note.uuid,
+                contactName: conversation.contact_name || conversation.contact_identifier,
+                authorName: author ? `${author.firstName} ${author.lastName}` : null,
+                excerpt: content.length > EXCERPT_LENGTH ? `${content.substring(0, EXCERPT_LENGTH)}…` : content,
+                timestamp: Date.now()
+            });
+        }
+    } catch (error) {
+        // WebSocket not available
+    }
+}
+
+function notifyNoteChange(type, note, conversation) {
+    publishInboxUpdate(type, { conversationId: conversation.uuid, note: formatNote(note, conversation) });
+}
+
+/**
+ * Add a note to a conversation
+ * @param {Object} conversation - Conversation row
+ * @param {Object} author - req.agent
+ * @param {string} content - Note text
+ * @returns {Promise<Object>} Note row
+ */
+export async function addNote(conversation, author, content) {
+    const mentioned = await resolveMentions(extractMentionHandles(content));
+
+    const note = await ConversationNote.create({
+        conversationId: conversation.id,
+        agentId: author?.id || null,
+        content,
+        mentions: mentioned.map(agent => agent.uuid)
+    });
+
+    notifyNoteChange('note_added', note, conversation);
+    await notifyMentioned(mentioned, note, conversation, author);
+
+    return note;
+}
+
+/**
+ * Edit a note; only agents mentioned for the first time are notified
+ * @param {Object} note - Note row
+ * @param {Object} conversation - Conversation row
+ * @param {Object} editor - req.agent
+ * @param {string} content - New text
+ * @returns {Promise<Object>} Updated note row
+ */
+export async function editNote(note, conversation, editor, content) {
+    const previous = parseMentions(note.mentions);
+    const mentioned = await resolveMentions(extractMentionHandles(content));
+
+    const updated = await ConversationNote.edit(note.id, {
+        content,
+        mentions: mentioned.map(agent => agent.uuid),
+        editedBy: editor?.id || null
+    });
+
+    notifyNoteChange('note_updated', updated, conversation);
+    await notifyMentioned(
+        mentioned.filter(agent => !previous.includes(agent.uuid)),
+        updated,
+        conversation,
+        editor
+    );
+
+    return updated;
+}
+
+/**
+ * Delete a note (its content stays in the history)
+ * @returns {Promise<Object>} Deleted note row
+ */
+export async function deleteNote(note, conversation, agent) {
+    const deleted = await ConversationNote.softDelete(note.id, agent?.id || null);
+    notifyNoteChange('note_deleted', deleted, conversation);
+    return deleted;
+}
+
+export default {
+    extractMentionHandles,
+    resolveMentions,
+    formatNote,
+    addNote,
+    editNote,
+    deleteNote
+};
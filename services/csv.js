@@ -0,0 +1,81 @@
+/**
+ * CSV
+ * Turns rows into RFC 4180 CSV that Excel opens correctly (UTF-8 BOM so
+ * Arabic text isn't garbled), and reads uploaded CSV back into rows
+ */
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV document
+ * @param {Array<string>} columns - Column names (header row and row keys)
+ * @param {Array<Object>} rows - Rows keyed by column name
+ * @returns {string} CSV text
+ */
+export function toCsv(columns, rows) {
+    const lines = [
+        columns.map(csvCell).join(','),
+        ...rows.map(row => columns.map(column => csvCell(row[column])).join(','))
+    ];
+
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse CSV text (quoted cells, "" escapes, CRLF or LF, optional BOM)
+ * @param {string} text - CSV document
+ * @returns {Array<Array<string>>} Rows of cells; blank lines are left out
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    const source = String(text).replace(/^\uFEFF/, '');
+
+    const endRow = () => {
+        row.push(cell);
+        if (row.some(value => value.trim() !== '')) rows.push(row);
+        row = [];
+        cell = '';
+    };
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) endRow();
+
+    return rows;
+}
+
+export default {
+    toCsv,
+    parseCsv
+};
@@ -0,0 +1,87 @@
+/**
+ * Inbox Event Bus
+ * Channel-agnostic events published by the WhatsApp, Messenger and Instagram
+ * services (and anything else that changes the inbox), in one shape per
+ * event type regardless of platform
+ */
+
+import { EventEmitter } from 'events';
+
+export const inboxEvents = new EventEmitter();
+
+// One listener per consumer (WebSocket, assignment, bots, ...)
+inboxEvents.setMaxListeners(50);
+
+export const EVENT_TYPES = ['new_message', 'new_conversation', 'status_update', 'message_update', 'channel_status', 'inbox_update'];
+
+function publish(type, payload) {
+    inboxEvents.emit(type, { type, ...payload, timestamp: Date.now() });
+}
+
+/**
+ * A message was added to a conversation (incoming, or sent by the system)
+ * @param {Object} event - { platform, channelId, conversationId (UUID), message }
+ */
+export function publishNewMessage({ platform, channelId, conversationId, message }) {
+    publish('new_message', { platform, channelId, conversationId, message });
+}
+
+/**
+ * A conversation was started by a new contact
+ * @param {Object} event - { platform, channelId, conversation }
+ */
+export function publishNewConversation({ platform, channelId, conversation }) {
+    publish('new_conversation', {
+        platform,
+        channelId,
+        conversationId: conversation.uuid,
+        conversation
+    });
+}
+
+/**
+ * An outgoing message changed delivery status (sent, delivered, read, failed)
+ * @param {Object} event - { platform, channelId, conversationId, messageId, externalId, status }
+ */
+export function publishStatusUpdate({ platform, channelId, conversationId, messageId, externalId = null, status }) {
+    publish('status_update', { platform, channelId, conversationId, messageId, externalId, status });
+}
+
+/**
+ * A stored message changed other than its delivery status (reactions)
+ * @param {Object} event - { platform, channelId, conversationId, message }
+ */
+export function publishMessageUpdate({ platform, channelId, conversationId, message }) {
+    publish('message_update', { platform, channelId, conversationId, message });
+}
+
+/**
+ * A channel's connection changed
+ * @param {Object} event - { platform, channelId, status, ...details }
+ *   status: 'qr' (details.qr), 'ready' (details.info), 'disconnected'
+ *   (details.reason) or 'auth_failure' (details.message)
+ */
+export function publishChannelStatus({ platform, channelId, status, ...details }) {
+    publish('channel_status', { platform, channelId, status, ...details });
+}
+
+/**
+ * Anything else agents should see right away (assignments, queue status,
+ * SLA state, presence, ...) - forwarded to the browser as inbox_<updateType>
+ * @param {string} updateType - Update name, e.g. 'assignment'
+ * @param {Object} data - Payload (scoped to a conversation when it has conversationId)
+ */
+export function publishInboxUpdate(updateType, data) {
+    publish('inbox_update', { updateType, data });
+}
+
+export default {
+    inboxEvents,
+    EVENT_TYPES,
+    publishNewMessage,
+    publishNewConversation,
+    publishStatusUpdate,
+    publishMessageUpdate,
+    publishChannelStatus,
+    publishInboxUpdate
+};
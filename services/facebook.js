@@ -9,10 +9,14 @@
 import { Channel } from '../models/Channel.js';
 import { Conversation } from '../models/Conversation.js';
 import { Message } from '../models/Message.js';
-import { EventEmitter } from 'events';
-
-// Event emitter for real-time updates
-export const facebookEvents = new EventEmitter();
+import { saveMetaAttachments } from './mediaStorage.js';
+import { autoAssign } from './assignment.js';
+import { linkConversation } from './contacts.js';
+import { startBotIfEnabled } from './bot.js';
+import { describeMetaMessage } from './richMessages.js';
+import { processReceipt, processReaction } from './metaEvents.js';
+import { publishNewMessage, publishNewConversation, publishChannelStatus } from './eventBus.js';
+import crypto from 'crypto';
 
 // Facebook API configuration
 const FB_API_VERSION = 'v18.0';
@@ -133,7 +137,7 @@ export async function subscribePageToWebhook(pageId, pageAccessToken) {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
             access_token: pageAccessToken,
-            subscribed_fields: ['messages', 'messaging_postbacks', 'message_reads']
+            subscribed_fields: ['messages', 'messaging_postbacks', 'message_deliveries', 'message_reads', 'message_reactions']
         })
     });
 
@@ -164,6 +168,8 @@ export async function connectPage(pageData) {
     // Subscribe to webhooks
     await subscribePageToWebhook(pageId, longToken.access_token);
 
+    publishChannelStatus({ platform: 'facebook', channelId: channel.id, status: 'ready' });
+
     return channel;
 }
 
@@ -216,6 +222,16 @@ export async function sendMessage(channelId, recipientId, message) {
 export async function processWebhookEvent(event) {
     const { sender, recipient, message, timestamp } = event;
 
+    // Delivery and read receipts for messages we sent
+    if (event.delivery || event.read) {
+        return processReceipt('facebook', event);
+    }
+
+    // Reactions to a message (sent or received)
+    if (event.reaction) {
+        return processReaction('facebook', event);
+    }
+
     if (!message || !sender) return;
 
     // Find channel by page ID
@@ -240,22 +256,33 @@ export async function processWebhookEvent(event) {
             contactName: senderInfo.name || 'Facebook User',
             contactAvatar: senderInfo.profile_pic || null
         });
+        await linkConversation(conversation);
+        conversation = await startBotIfEnabled(conversation);
+        conversation = await autoAssign(conversation);
 
-        facebookEvents.emit('new_conversation', { channelId: channel.id, conversation });
+        publishNewConversation({ platform: 'facebook', channelId: channel.id, conversation });
     }
 
     // Determine message content
     let content = message.text || '';
     let contentType = 'text';
     let mediaUrl = null;
+    const metadata = { timestamp, sender: sender.id };
 
     if (message.attachments && message.attachments.length > 0) {
-        const attachment = message.attachments[0];
-        contentType = attachment.type; // image, video, audio, file
-        mediaUrl = attachment.payload?.url;
-        content = content || `[${attachment.type}]`;
+        // Persist files now - the platform's CDN URLs expire
+        const stored = await saveMetaAttachments(message.attachments, 'facebook');
+        contentType = stored.contentType;
+        mediaUrl = stored.mediaUrl;
+        metadata.attachments = stored.attachments;
+        content = content || `[${message.attachments[0].type}]`;
     }
 
+    // Quoted replies, shared locations and stickers
+    const rich = await describeMetaMessage(message, metadata);
+    contentType = rich.contentType || contentType;
+    content = rich.content || content;
+
     // Save message
     const savedMessage = await Message.create({
         conversationId: conversation.id,
@@ -264,14 +291,15 @@ export async function processWebhookEvent(event) {
         contentType,
         mediaUrl,
         externalId: message.mid,
-        metadata: { timestamp, sender: sender.id }
+        metadata
     });
 
     // Update conversation
     await Conversation.newMessage(conversation.id, content.substring(0, 100));
 
-    // Emit event for WebSocket
-    facebookEvents.emit('message', {
+    // Publish for real-time updates
+    publishNewMessage({
+        platform: 'facebook',
         channelId: channel.id,
         conversationId: conversation.uuid,
         message: savedMessage
@@ -314,6 +342,33 @@ export function verifyWebhook(mode, token, challenge) {
     return null;
 }
 
+/**
+ * Verify the X-Hub-Signature-256 header of a webhook delivery
+ * Meta signs the raw request body with the app secret (HMAC-SHA256)
+ * @param {Buffer} rawBody - Unparsed request body
+ * @param {string} signatureHeader - Value of X-Hub-Signature-256 ("sha256=<hex>")
+ * @returns {boolean} Whether the signature is valid
+ */
+export function verifySignature(rawBody, signatureHeader) {
+    const appSecret = process.env.FACEBOOK_APP_SECRET;
+
+    if (!appSecret) {
+        console.error('FACEBOOK_APP_SECRET not configured - cannot verify webhook signatures');
+        return false;
+    }
+
+    if (!rawBody || !signatureHeader || !signatureHeader.startsWith('sha256=')) {
+        return false;
+    }
+
+    const expected = Buffer.from(
+        crypto.createHmac('sha256', appSecret).update(rawBody).digest('hex')
+    );
+    const received = Buffer.from(signatureHeader.slice(7));
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
 export default {
     getOAuthUrl,
     exchangeCodeForToken,
@@ -323,5 +378,5 @@ export default {
     sendMessage,
     processWebhookEvent,
     verifyWebhook,
-    facebookEvents
+    verifySignature
 };
@@ -9,10 +9,13 @@
 import { Channel } from '../models/Channel.js';
 import { Conversation } from '../models/Conversation.js';
 import { Message } from '../models/Message.js';
-import { EventEmitter } from 'events';
-
-// Event emitter for real-time updates
-export const instagramEvents = new EventEmitter();
+import { saveMetaAttachments } from './mediaStorage.js';
+import { autoAssign } from './assignment.js';
+import { linkConversation } from './contacts.js';
+import { startBotIfEnabled } from './bot.js';
+import { describeMetaMessage } from './richMessages.js';
+import { processReceipt, processReaction } from './metaEvents.js';
+import { publishNewMessage, publishNewConversation, publishChannelStatus } from './eventBus.js';
 
 // Instagram/Facebook API configuration
 const FB_API_VERSION = 'v18.0';
@@ -106,6 +109,8 @@ export async function connectAccount(accountData) {
         sessionData: { username, profile_picture_url }
     });
 
+    publishChannelStatus({ platform: 'instagram', channelId: channel.id, status: 'ready' });
+
     return channel;
 }
 
@@ -158,6 +163,16 @@ export async function sendMessage(channelId, recipientId, message) {
 export async function processWebhookEvent(event) {
     const { sender, recipient, message, timestamp } = event;
 
+    // Delivery and read receipts for messages we sent
+    if (event.delivery || event.read) {
+        return processReceipt('instagram', event);
+    }
+
+    // Reactions to a message (sent or received)
+    if (event.reaction) {
+        return processReaction('instagram', event);
+    }
+
     if (!message || !sender) return;
 
     // Find channel by Instagram ID
@@ -182,22 +197,33 @@ export async function processWebhookEvent(event) {
             contactName: senderInfo.username || 'Instagram User',
             contactAvatar: senderInfo.profile_picture_url || null
         });
+        await linkConversation(conversation);
+        conversation = await startBotIfEnabled(conversation);
+        conversation = await autoAssign(conversation);
 
-        instagramEvents.emit('new_conversation', { channelId: channel.id, conversation });
+        publishNewConversation({ platform: 'instagram', channelId: channel.id, conversation });
     }
 
     // Determine message content
     let content = message.text || '';
     let contentType = 'text';
     let mediaUrl = null;
+    const metadata = { timestamp, sender: sender.id };
 
     if (message.attachments && message.attachments.length > 0) {
-        const attachment = message.attachments[0];
-        contentType = attachment.type;
-        mediaUrl = attachment.payload?.url;
-        content = content || `[${attachment.type}]`;
+        // Persist files now - the platform's CDN URLs expire
+        const stored = await saveMetaAttachments(message.attachments, 'instagram');
+        contentType = stored.contentType;
+        mediaUrl = stored.mediaUrl;
+        metadata.attachments = stored.attachments;
+        content = content || `[${message.attachments[0].type}]`;
     }
 
+    // Quoted replies, shared locations and stickers
+    const rich = await describeMetaMessage(message, metadata);
+    contentType = rich.contentType || contentType;
+    content = rich.content || content;
+
     // Handle story mentions/replies
     if (message.reply_to?.story) {
         contentType = 'story_reply';
@@ -212,14 +238,15 @@ export async function processWebhookEvent(event) {
         contentType,
         mediaUrl,
         externalId: message.mid,
-        metadata: { timestamp, sender: sender.id }
+        metadata
     });
 
     // Update conversation
     await Conversation.newMessage(conversation.id, content.substring(0, 100));
 
-    // Emit event for WebSocket
-    instagramEvents.emit('message', {
+    // Publish for real-time updates
+    publishNewMessage({
+        platform: 'instagram',
         channelId: channel.id,
         conversationId: conversation.uuid,
         message: savedMessage
@@ -277,6 +304,5 @@ export default {
     connectAccount,
     sendMessage,
     processWebhookEvent,
-    getConversationHistory,
-    instagramEvents
+    getConversationHistory
 };
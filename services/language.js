@@ -0,0 +1,48 @@
+/**
+ * Language Detection
+ * Guesses the language of a customer message from its script, enough to pick
+ * between the translations of an automated reply
+ */
+
+// Scripts we can tell apart reliably, checked in order
+const SCRIPTS = [
+    { language: 'ar', pattern: /[\u0600-\u06FF\u0750-\u077F\uFB50-\uFDFF\uFE70-\uFEFF]/g },
+    { language: 'ru', pattern: /[\u0400-\u04FF]/g },
+    { language: 'hi', pattern: /[\u0900-\u097F]/g },
+    { language: 'zh', pattern: /[\u4E00-\u9FFF]/g }
+];
+
+/**
+ * Detect the language of a text
+ * @param {string} text - Message text
+ * @returns {string|null} Language code ('ar', 'ru', 'hi', 'zh', 'en') or null if unknown
+ */
+export function detectLanguage(text) {
+    const letters = (text || '').replace(/[\s\d\p{P}\p{S}]/gu, '');
+    if (!letters) return null;
+
+    for (const { language, pattern } of SCRIPTS) {
+        const matches = letters.match(pattern);
+        // Mixed messages (Arabic with an English product name) count as the other script
+        if (matches && matches.length / letters.length >= 0.3) return language;
+    }
+
+    return /[a-z]/i.test(letters) ? 'en' : null;
+}
+
+/**
+ * Pick the translation for a language
+ * @param {Object} translations - Language code -> text
+ * @param {string} language - Wanted language
+ * @param {string} fallback - Language used when there is no translation
+ * @returns {string|null} Text or null if there are no translations
+ */
+export function pickTranslation(translations, language, fallback = 'en') {
+    if (!translations) return null;
+    return translations[language] || translations[fallback] || Object.values(translations).find(Boolean) || null;
+}
+
+export default {
+    detectLanguage,
+    pickTranslation
+};
@@ -0,0 +1,230 @@
+/**
+ * Media Storage Service
+ * Saves inbound inbox attachments (WhatsApp, Messenger, Instagram) under
+ * uploads/inbox/ and records them in the media table
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { Media } from '../models/Media.js';
+
+const UPLOADS_ROOT = path.join(process.cwd(), 'uploads');
+const INBOX_FOLDER = 'inbox';
+
+// Maximum size of a single inbound file (default 25 MB)
+export const MAX_MEDIA_SIZE = parseInt(process.env.INBOX_MEDIA_MAX_BYTES) || 25 * 1024 * 1024;
+
+// Types we store with their real extension - anything else is saved as .bin
+// so the static file server never serves customer uploads as HTML/SVG/JS
+const ALLOWED_TYPES = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'video/mp4': 'mp4',
+    'video/3gpp': '3gp',
+    'video/quicktime': 'mov',
+    'audio/ogg': 'ogg',
+    'audio/mpeg': 'mp3',
+    'audio/mp4': 'm4a',
+    'audio/aac': 'aac',
+    'audio/amr': 'amr',
+    'application/pdf': 'pdf',
+    'application/zip': 'zip',
+    'application/msword': 'doc',
+    'application/vnd.ms-excel': 'xls',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx',
+    'text/plain': 'txt',
+    'text/csv': 'csv',
+    'text/vcard': 'vcf'
+};
+
+// File signatures (magic numbers) used to detect the real content type
+const SIGNATURES = [
+    { mime: 'image/jpeg', offset: 0, bytes: [0xFF, 0xD8, 0xFF] },
+    { mime: 'image/png', offset: 0, bytes: [0x89, 0x50, 0x4E, 0x47] },
+    { mime: 'image/gif', offset: 0, bytes: [0x47, 0x49, 0x46, 0x38] },
+    { mime: 'image/webp', offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] },
+    { mime: 'application/pdf', offset: 0, bytes: [0x25, 0x50, 0x44, 0x46] },
+    { mime: 'audio/ogg', offset: 0, bytes: [0x4F, 0x67, 0x67, 0x53] },
+    { mime: 'audio/mpeg', offset: 0, bytes: [0x49, 0x44, 0x33] },
+    { mime: 'audio/amr', offset: 0, bytes: [0x23, 0x21, 0x41, 0x4D, 0x52] },
+    { mime: 'video/mp4', offset: 4, bytes: [0x66, 0x74, 0x79, 0x70] },
+    { mime: 'application/zip', offset: 0, bytes: [0x50, 0x4B, 0x03, 0x04] }
+];
+
+/**
+ * Detect the content type of a file from its first bytes
+ * @param {Buffer} buffer - File contents
+ * @param {string} declaredType - Content type reported by the platform
+ * @returns {string} Detected MIME type
+ */
+export function sniffContentType(buffer, declaredType = null) {
+    const declared = (declaredType || '').split(';')[0].trim().toLowerCase();
+
+    const match = SIGNATURES.find(sig =>
+        sig.bytes.every((byte, i) => buffer[sig.offset + i] === byte)
+    );
+
+    if (!match) {
+        return declared || 'application/octet-stream';
+    }
+
+    // Office documents and m4a/3gp/mov share the zip/ftyp containers -
+    // keep the more specific declared type when it belongs to the same family
+    if (match.mime === 'application/zip' && declared.startsWith('application/vnd.openxmlformats')) {
+        return declared;
+    }
+    if (match.mime === 'video/mp4' && /^(video|audio)\//.test(declared)) {
+        return declared;
+    }
+
+    return match.mime;
+}
+
+/**
+ * Map a MIME type to a messages.content_type value
+ * @param {string} mimeType - MIME type
+ * @returns {string} image, video, audio or document
+ */
+export function contentTypeForMime(mimeType) {
+    if (mimeType.startsWith('image/')) return 'image';
+    if (mimeType.startsWith('video/')) return 'video';
+    if (mimeType.startsWith('audio/')) return 'audio';
+    return 'document';
+}
+
+/**
+ * Save an inbound file and record it in the media table
+ * @param {Object} file - File data
+ * @param {Buffer} file.buffer - File contents
+ * @param {string} file.mimeType - Declared content type
+ * @param {string} file.filename - Original filename (if the platform sent one)
+ * @param {string} file.source - Platform the file came from
+ * @returns {Promise<Object>} { media, url, mimeType, contentType }
+ */
+export async function saveInboundMedia({ buffer, mimeType = null, filename = null, source = 'inbox' }) {
+    if (!buffer || buffer.length === 0) {
+        throw new Error('Empty media file');
+    }
+
+    if (buffer.length > MAX_MEDIA_SIZE) {
+        throw new Error(`Media file too large (${buffer.length} bytes, limit ${MAX_MEDIA_SIZE})`);
+    }
+
+    const detectedType = sniffContentType(buffer, mimeType);
+    const extension = ALLOWED_TYPES[detectedType] || 'bin';
+    const storedType = ALLOWED_TYPES[detectedType] ? detectedType : 'application/octet-stream';
+
+    // uploads/inbox/YYYY-MM/<uuid>.<ext>
+    const month = new Date().toISOString().slice(0, 7);
+    const directory = path.join(UPLOADS_ROOT, INBOX_FOLDER, month);
+    await fs.promises.mkdir(directory, { recursive: true });
+
+    const storedName = `${uuidv4()}.${extension}`;
+    await fs.promises.writeFile(path.join(directory, storedName), buffer);
+
+    const url = `/uploads/${INBOX_FOLDER}/${month}/${storedName}`;
+
+    const media = await Media.create({
+        filename: storedName,
+        originalName: (filename || `${source}-${storedName}`).substring(0, 255),
+        mimeType: storedType,
+        size: buffer.length,
+        path: url,
+        caption: `Inbound ${source} attachment`
+    });
+
+    return {
+        media,
+        url,
+        mimeType: storedType,
+        contentType: contentTypeForMime(detectedType)
+    };
+}
+
+/**
+ * Download a file from a (temporary) platform URL and store it
+ * @param {string} url - Remote file URL (e.g. Messenger CDN)
+ * @param {Object} options - { filename, source }
+ * @returns {Promise<Object>} Same as saveInboundMedia
+ */
+export async function downloadAndSave(url, { filename = null, source = 'inbox' } = {}) {
+    const response = await fetch(url);
+
+    if (!response.ok) {
+        throw new Error(`Media download failed with status ${response.status}`);
+    }
+
+    const declaredLength = parseInt(response.headers.get('content-length'));
+    if (declaredLength > MAX_MEDIA_SIZE) {
+        throw new Error(`Media file too large (${declaredLength} bytes, limit ${MAX_MEDIA_SIZE})`);
+    }
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+
+    return saveInboundMedia({
+        buffer,
+        mimeType: response.headers.get('content-type'),
+        filename: filename || path.basename(new URL(url).pathname),
+        source
+    });
+}
+
+// Messenger/Instagram attachment types that carry a downloadable file
+const META_FILE_ATTACHMENTS = ['image', 'video', 'audio', 'file', 'story_mention'];
+
+/**
+ * Store the files of a Messenger/Instagram message (CDN URLs expire)
+ * @param {Array} attachments - message.attachments from the webhook
+ * @param {string} source - 'facebook' or 'instagram'
+ * @returns {Promise<Object>} { contentType, mediaUrl, attachments } - first stored
+ *   file is the message's media, all of them are listed for metadata
+ */
+export async function saveMetaAttachments(attachments, source) {
+    const stored = [];
+
+    for (const attachment of attachments) {
+        const url = attachment.payload?.url;
+
+        if (!url || !META_FILE_ATTACHMENTS.includes(attachment.type)) {
+            stored.push({ type: attachment.type, payload: attachment.payload || null });
+            continue;
+        }
+
+        try {
+            const saved = await downloadAndSave(url, { source });
+            stored.push({
+                type: attachment.type,
+                contentType: saved.contentType,
+                url: saved.url,
+                mediaId: saved.media.uuid
+            });
+        } catch (error) {
+            console.error(`Error storing ${source} attachment:`, error.message);
+            stored.push({ type: attachment.type, error: error.message });
+        }
+    }
+
+    // Keep the declared type when the download failed, text for links/templates
+    const primary = stored.find(a => a.url);
+    const declaredTypes = { image: 'image', video: 'video', audio: 'audio', file: 'document', story_mention: 'image' };
+
+    return {
+        contentType: primary?.contentType || declaredTypes[attachments[0].type] || 'text',
+        mediaUrl: primary?.url || null,
+        attachments: stored
+    };
+}
+
+export default {
+    MAX_MEDIA_SIZE,
+    sniffContentType,
+    contentTypeForMime,
+    saveInboundMedia,
+    downloadAndSave,
+    saveMetaAttachments
+};
@@ -0,0 +1,141 @@
+/**
+ * Message Search Service
+ * Turns an agent's search text into a FULLTEXT query over messages.content
+ * and builds highlighted snippets for the results
+ */
+
+import { Message } from '../models/Message.js';
+
+// InnoDB ignores shorter words (innodb_ft_min_token_size)
+const MIN_TOKEN_SIZE = parseInt(process.env.SEARCH_MIN_TOKEN_SIZE) || 3;
+
+// Characters around the first match shown in a snippet
+const SNIPPET_RADIUS = 80;
+
+/**
+ * Split search text into words and "quoted phrases"
+ * @param {string} text - Search text
+ * @returns {Object} { words, phrases, booleanQuery, likeTerms }
+ */
+export function parseSearchQuery(text) {
+    const phrases = [];
+    const withoutPhrases = (text || '').replace(/"([^"]+)"/g, (match, phrase) => {
+        const clean = phrase.replace(/[+\-<>()~*@"]/g, ' ').trim();
+        if (clean) phrases.push(clean);
+        return ' ';
+    });
+
+    const words = withoutPhrases
+        .replace(/[+\-<>()~*@"]/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean);
+
+    // Every word is required; prefix matching so "ship" finds "shipping"
+    const indexable = words.filter(word => word.length >= MIN_TOKEN_SIZE);
+    const parts = [
+        ...indexable.map(word => `+${word}*`),
+        ...phrases.map(phrase => `+"${phrase}"`)
+    ];
+
+    return {
+        words,
+        phrases,
+        booleanQuery: parts.length > 0 ? parts.join(' ') : null,
+        // Only short words (e.g. "UAE" with a 4-char minimum) - fall back to LIKE
+        likeTerms: parts.length > 0 ? [] : [...words, ...phrases]
+    };
+}
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build an HTML snippet around the first match with matches wrapped in <mark>
+ * @param {string} content - Message content
+ * @param {Array<string>} terms - Words and phrases to highlight
+ * @returns {string} HTML-escaped snippet
+ */
+export function buildSnippet(content, terms) {
+    const text = content || '';
+
+    if (terms.length === 0) {
+        return escapeHtml(text.substring(0, SNIPPET_RADIUS * 2));
+    }
+
+    // Words match as prefixes (like the search itself), phrases as written
+    const pattern = new RegExp(
+        terms.map(term => `(?<![\\p{L}\\p{N}])${escapeRegExp(term)}[\\p{L}\\p{N}]*`).join('|'),
+        'giu'
+    );
+
+    const first = text.search(pattern);
+    const start = Math.max(0, (first === -1 ? 0 : first) - SNIPPET_RADIUS);
+    const end = Math.min(text.length, (first === -1 ? 0 : first) + SNIPPET_RADIUS * 2);
+    const excerpt = text.substring(start, end);
+
+    let html = '';
+    let last = 0;
+    for (const match of excerpt.matchAll(pattern)) {
+        html += escapeHtml(excerpt.substring(last, match.index));
+        html += `<mark>${escapeHtml(match[0])}</mark>`;
+        last = match.index + match[0].length;
+    }
+    html += escapeHtml(excerpt.substring(last));
+
+    return `${start > 0 ? '…' : ''}${html}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Search messages and attach highlighted snippets
+ * @param {string} text - Search text
+ * @param {Object} filters - channelId, agentId, restrictToAgentId, direction, dateFrom, dateTo, page, limit
+ * @returns {Promise<Object>} { results, pagination }
+ */
+export async function searchMessages(text, filters = {}) {
+    const { words, phrases, booleanQuery, likeTerms } = parseSearchQuery(text);
+
+    const { messages, pagination } = await Message.search({
+        ...filters,
+        booleanQuery,
+        likeTerms
+    });
+
+    const highlightTerms = booleanQuery
+        ? [...phrases, ...words.filter(word => word.length >= MIN_TOKEN_SIZE)]
+        : likeTerms;
+
+    const results = messages.map(message => ({
+        messageId: message.uuid,
+        conversationId: message.conversation_uuid,
+        channelId: message.channel_uuid,
+        platform: message.platform,
+        channelName: message.channel_name,
+        contactName: message.contact_name || message.contact_identifier,
+        direction: message.direction,
+        contentType: message.content_type,
+        agentName: message.agent_first_name
+            ? `${message.agent_first_name} ${message.agent_last_name}`
+            : null,
+        createdAt: message.created_at,
+        relevance: Number(message.relevance),
+        snippet: buildSnippet(message.content, highlightTerms)
+    }));
+
+    return { results, pagination };
+}
+
+export default {
+    parseSearchQuery,
+    buildSnippet,
+    searchMessages
+};
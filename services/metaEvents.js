@@ -0,0 +1,87 @@
+/**
+ * Meta Messaging Events
+ * Delivery/read receipts and reactions arrive the same way from Facebook
+ * Messenger and Instagram DM webhooks; both services hand them here with
+ * their platform name
+ */
+
+import { Channel } from '../models/Channel.js';
+import { Conversation } from '../models/Conversation.js';
+import { Message } from '../models/Message.js';
+import { applyReaction, metaReactionEmoji } from './richMessages.js';
+import { publishStatusUpdate, publishMessageUpdate } from './eventBus.js';
+
+/**
+ * Process a delivery/read receipt and advance message status
+ * Receipts reference messages either by ID (mids/mid) or by a watermark
+ * timestamp covering everything sent before it
+ * @param {string} platform - 'facebook' or 'instagram'
+ * @param {Object} event - Webhook event with a delivery or read field
+ */
+export async function processReceipt(platform, event) {
+    const { sender, recipient } = event;
+    const status = event.read ? 'read' : 'delivered';
+    const receipt = event.read || event.delivery;
+
+    const channels = await Channel.findAll({ platform });
+    const channel = channels.find(c => c.identifier === recipient?.id);
+
+    if (!channel) {
+        console.warn(`No channel found for ${platform} receipt:`, recipient?.id);
+        return;
+    }
+
+    let updated = [];
+
+    const mids = receipt.mids || (receipt.mid ? [receipt.mid] : []);
+    for (const mid of mids) {
+        const message = await Message.updateStatusByExternalId(mid, status);
+        if (message) updated.push(message);
+    }
+
+    if (receipt.watermark) {
+        const conversation = await Conversation.findByContact(channel.id, sender.id);
+        if (conversation) {
+            const covered = await Message.advanceStatusUpTo(conversation.id, status, new Date(receipt.watermark));
+            updated = updated.concat(covered);
+        }
+    }
+
+    for (const message of updated) {
+        publishStatusUpdate({
+            platform,
+            channelId: channel.id,
+            conversationId: message.conversation_uuid,
+            messageId: message.uuid,
+            externalId: message.external_id,
+            status
+        });
+    }
+}
+
+/**
+ * Record a reaction (or its removal) on the message it targets
+ * @param {string} platform - 'facebook' or 'instagram'
+ * @param {Object} event - Webhook event with a reaction field { mid, action, reaction, emoji }
+ */
+export async function processReaction(platform, event) {
+    const message = await applyReaction(event.reaction.mid, {
+        from: event.sender?.id,
+        fromMe: false,
+        emoji: metaReactionEmoji(event.reaction)
+    });
+
+    if (message) {
+        publishMessageUpdate({
+            platform,
+            channelId: message.channel_id,
+            conversationId: message.conversation_uuid,
+            message
+        });
+    }
+}
+
+export default {
+    processReceipt,
+    processReaction
+};
@@ -0,0 +1,349 @@
+/**
+ * Outbound Message Service
+ * Routes agent replies to the messaging platform of the conversation's channel
+ * (WhatsApp Web, Facebook Messenger or Instagram DM) through a durable outbox
+ * that retries with backoff while a channel is offline
+ */
+
+import { Message } from '../models/Message.js';
+import { Conversation } from '../models/Conversation.js';
+import { Outbox } from '../models/Outbox.js';
+import * as whatsappService from './whatsapp.js';
+import * as facebookService from './facebook.js';
+import * as instagramService from './instagram.js';
+import { richMessageText } from './richMessages.js';
+import { publishInboxUpdate } from './eventBus.js';
+
+// Messenger/Instagram attachment types for our content types
+const META_ATTACHMENT_TYPES = {
+    image: 'image',
+    video: 'video',
+    audio: 'audio',
+    document: 'file'
+};
+
+/**
+ * Turn an uploads path into a URL the platform can fetch
+ * @param {string} mediaUrl - Absolute URL or site-relative path
+ * @returns {string} Absolute URL
+ */
+export function toPublicUrl(mediaUrl) {
+    if (/^https?:\/\//i.test(mediaUrl)) {
+        return mediaUrl;
+    }
+    const siteUrl = (process.env.SITE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+    return `${siteUrl}${mediaUrl.startsWith('/') ? '' : '/'}${mediaUrl}`;
+}
+
+function parseMetadata(metadata) {
+    if (!metadata) return {};
+    if (typeof metadata !== 'string') return metadata;
+    try {
+        return JSON.parse(metadata) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Build a Messenger/Instagram message payload
+ * (locations and contact cards go as text - Meta can't send them)
+ */
+function buildMetaPayload({ content, contentType, mediaUrl, metadata }) {
+    const richText = richMessageText(contentType, metadata);
+    if (richText) {
+        return richText;
+    }
+    if (mediaUrl && META_ATTACHMENT_TYPES[contentType]) {
+        return {
+            attachment: {
+                type: META_ATTACHMENT_TYPES[contentType],
+                payload: { url: toPublicUrl(mediaUrl), is_reusable: true }
+            }
+        };
+    }
+    return content;
+}
+
+/**
+ * Send a message through the channel adapter of a conversation
+ * @param {Object} conversation - Conversation row (with platform joined from channels)
+ * @param {Object} message - { content, contentType, mediaUrl, metadata }; metadata
+ *   carries the message replied to (replyTo), a location or contact cards
+ * @returns {Promise<Object>} Adapter result ({ success, messageId, ... })
+ */
+export async function sendToChannel(conversation, message) {
+    const { content, contentType = 'text', mediaUrl = null } = message;
+    const metadata = parseMetadata(message.metadata);
+
+    switch (conversation.platform) {
+        case 'whatsapp':
+            return whatsappService.sendMessage(
+                conversation.channel_id,
+                conversation.contact_identifier,
+                content,
+                {
+                    mediaUrl: mediaUrl ? toPublicUrl(mediaUrl) : null,
+                    quotedMessageId: metadata.replyTo?.externalId || null,
+                    location: contentType === 'location' ? metadata.location || null : null,
+                    vcard: contentType === 'contact' ? metadata.contacts?.[0]?.vcard || null : null
+                }
+            );
+
+        case 'facebook':
+            return facebookService.sendMessage(
+                conversation.channel_id,
+                conversation.contact_identifier,
+                buildMetaPayload({ content, contentType, mediaUrl, metadata })
+            );
+
+        case 'instagram':
+            return instagramService.sendMessage(
+                conversation.channel_id,
+                conversation.contact_identifier,
+                buildMetaPayload({ content, contentType, mediaUrl, metadata })
+            );
+
+        default:
+            throw new Error(`Unsupported platform: ${conversation.platform}`);
+    }
+}
+
+// =====================
+// OUTBOX WORKER
+// =====================
+
+const POLL_INTERVAL = 5000;
+const RETRY_BASE_DELAY = 5000;
+const RETRY_MAX_DELAY = 10 * 60 * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 5;
+
+// Channels that recently failed: channelId -> { failures, until }
+const channelBackoff = new Map();
+
+let workerTimer = null;
+let isProcessing = false;
+let rerunRequested = false;
+
+/**
+ * Exponential backoff delay for the given attempt number
+ */
+function backoffDelay(attempt) {
+    return Math.min(RETRY_BASE_DELAY * 2 ** (attempt - 1), RETRY_MAX_DELAY);
+}
+
+/**
+ * Queue an outgoing message for delivery
+ * @param {Object} message - Message row (status 'pending')
+ * @param {Object} conversation - Conversation row
+ * @returns {Promise<Object>} Outbox entry
+ */
+export async function enqueueMessage(message, conversation) {
+    const entry = await Outbox.enqueue({
+        messageId: message.id,
+        conversationId: conversation.id,
+        channelId: conversation.channel_id,
+        maxAttempts: MAX_ATTEMPTS
+    });
+
+    publishInboxUpdate('message_status', {
+        conversationId: conversation.uuid,
+        message,
+        queue: { status: entry.status, attempts: entry.attempts }
+    });
+
+    return entry;
+}
+
+/**
+ * Put a failed message back in the queue
+ * @param {Object} message - Message row
+ * @returns {Promise<Object>} Outbox entry
+ */
+export async function retryMessage(message) {
+    const conversation = await Conversation.findById(message.conversation_id);
+    if (!conversation) {
+        throw new Error('Conversation not found');
+    }
+
+    await Message.updateStatus(message.id, 'pending');
+
+    const existing = await Outbox.findByMessageId(message.id);
+    const entry = existing
+        ? await Outbox.requeue(existing.id)
+        : await Outbox.enqueue({
+            messageId: message.id,
+            conversationId: conversation.id,
+            channelId: conversation.channel_id,
+            maxAttempts: MAX_ATTEMPTS
+        });
+
+    // A manual retry should not wait for the channel's backoff window
+    channelBackoff.delete(conversation.channel_id);
+
+    return entry;
+}
+
+/**
+ * Send every entry that is due, oldest first
+ * (a run asked for while one is in progress goes again once it finishes)
+ */
+export async function processOutbox() {
+    if (isProcessing) {
+        rerunRequested = true;
+        return;
+    }
+    isProcessing = true;
+
+    try {
+        do {
+            rerunRequested = false;
+            const due = await Outbox.findDue();
+
+            for (const entry of due) {
+                const backoff = channelBackoff.get(entry.channel_id);
+                if (backoff && backoff.until > Date.now()) continue;
+
+                await processEntry(entry);
+            }
+        } while (rerunRequested);
+    } catch (error) {
+        console.error('Outbox processing error:', error);
+    } finally {
+        isProcessing = false;
+    }
+}
+
+/**
+ * Deliver newly queued messages now rather than on the next poll, without
+ * waiting for it - the outcome reaches agents as message_status updates, so
+ * callers never block on another channel's slow or failing sends
+ */
+export function nudgeOutbox() {
+    processOutbox();
+}
+
+/**
+ * Attempt delivery of a single queue entry. The entry never stays claimed
+ * ('processing') once this returns - that would hold back every later message
+ * of its conversation
+ */
+async function processEntry(entry) {
+    if (!(await Outbox.markProcessing(entry.id))) return;
+
+    const attempt = entry.attempts + 1;
+    let delivered = false;
+
+    try {
+        const message = await Message.findById(entry.message_id);
+        const conversation = await Conversation.findById(entry.conversation_id);
+
+        if (!message || !conversation) {
+            await Outbox.markFailed(entry.id, 'Message or conversation no longer exists');
+            return;
+        }
+
+        let result;
+        try {
+            result = await sendToChannel(conversation, {
+                content: message.content,
+                contentType: message.content_type,
+                mediaUrl: message.media_url,
+                metadata: message.metadata
+            });
+        } catch (error) {
+            await recordFailedAttempt(entry, attempt, message, conversation, error);
+            return;
+        }
+
+        delivered = true;
+        channelBackoff.delete(entry.channel_id);
+
+        // The queue entry first: whatever fails after this, the message is not sent again
+        await Outbox.markSent(entry.id);
+        const sent = await Message.markSent(message.id, result.messageId);
+
+        publishInboxUpdate('message_status', {
+            conversationId: conversation.uuid,
+            message: sent,
+            queue: { status: 'sent', attempts: attempt }
+        });
+    } catch (error) {
+        console.error(`Outbox entry ${entry.id} could not be processed:`, error.message);
+
+        try {
+            if (delivered) {
+                await Outbox.markSent(entry.id);
+            } else {
+                await Outbox.release(entry.id, error.message, backoffDelay(attempt));
+            }
+        } catch (releaseError) {
+            console.error(`Outbox entry ${entry.id} could not be released:`, releaseError.message);
+        }
+    }
+}
+
+/**
+ * A send failed: back off the channel and retry the entry later, or give up
+ * on it after its last attempt
+ */
+async function recordFailedAttempt(entry, attempt, message, conversation, error) {
+    console.error(`Outbox delivery failed for message ${message.uuid} (attempt ${attempt}):`, error.message);
+
+    // Back off the whole channel - a reconnecting client fails every send
+    const failures = (channelBackoff.get(entry.channel_id)?.failures || 0) + 1;
+    channelBackoff.set(entry.channel_id, { failures, until: Date.now() + backoffDelay(failures) });
+
+    if (attempt >= entry.max_attempts) {
+        await Outbox.markFailed(entry.id, error.message);
+        const failed = await Message.markFailed(message.id, error.message);
+
+        publishInboxUpdate('message_status', {
+            conversationId: conversation.uuid,
+            message: failed,
+            queue: { status: 'failed', attempts: attempt, error: error.message }
+        });
+    } else {
+        const queued = await Outbox.scheduleRetry(entry.id, error.message, backoffDelay(attempt));
+
+        publishInboxUpdate('message_status', {
+            conversationId: conversation.uuid,
+            message,
+            queue: { status: 'queued', attempts: attempt, error: error.message, nextAttemptAt: queued.next_attempt_at }
+        });
+    }
+}
+
+/**
+ * Start polling the outbox
+ */
+export async function startOutboxWorker() {
+    if (workerTimer) return;
+
+    // Entries claimed before a crash/restart go back to the queue
+    await Outbox.releaseStale();
+
+    workerTimer = setInterval(processOutbox, POLL_INTERVAL);
+    console.log('✅ Outbound message queue started');
+}
+
+/**
+ * Stop polling the outbox
+ */
+export function stopOutboxWorker() {
+    if (workerTimer) {
+        clearInterval(workerTimer);
+        workerTimer = null;
+    }
+}
+
+export default {
+    toPublicUrl,
+    sendToChannel,
+    enqueueMessage,
+    retryMessage,
+    processOutbox,
+    nudgeOutbox,
+    startOutboxWorker,
+    stopOutboxWorker
+};
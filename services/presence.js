@@ -0,0 +1,290 @@
+/**
+ * Agent Presence Service
+ * Works out whether agents are online, away, busy or offline from their
+ * authenticated WebSocket connections and activity (idle agents become
+ * away), keeps agents.is_online in step for assignment and broadcasts
+ * every change to the inbox
+ */
+
+import { Agent } from '../models/Agent.js';
+import { assignWaiting, reassignUnattended } from './assignment.js';
+import { publishInboxUpdate } from './eventBus.js';
+
+export const PRESENCE_STATUSES = ['online', 'away', 'busy', 'offline'];
+
+// Statuses an agent can pick by hand ('online' clears them)
+export const MANUAL_STATUSES = ['away', 'busy'];
+
+// No activity for this long and a connected agent shows as away
+const IDLE_TIMEOUT = parseInt(process.env.PRESENCE_IDLE_TIMEOUT) || 10 * 60 * 1000;
+
+// Reloading the inbox drops the socket for a moment - wait before going offline
+const OFFLINE_GRACE = parseInt(process.env.PRESENCE_OFFLINE_GRACE) || 30 * 1000;
+
+// How often idle agents are checked
+const SWEEP_INTERVAL = 30 * 1000;
+
+// last_activity_at is written at most this often per agent
+const ACTIVITY_WRITE_INTERVAL = 60 * 1000;
+
+// agentId -> { connections, lastActivity, lastActivityWrite, manual, presence, offlineTimer }
+const sessions = new Map();
+
+let tracking = false;
+let sweepTimer = null;
+
+function getSession(agentId) {
+    let session = sessions.get(agentId);
+    if (!session) {
+        session = {
+            connections: 0,
+            lastActivity: Date.now(),
+            lastActivityWrite: 0,
+            manual: null,
+            presence: 'offline',
+            offlineTimer: null
+        };
+        sessions.set(agentId, session);
+    }
+    return session;
+}
+
+function computePresence(session, now = Date.now()) {
+    if (session.connections === 0) return 'offline';
+    if (session.manual) return session.manual;
+    if (now - session.lastActivity >= IDLE_TIMEOUT) return 'away';
+    return 'online';
+}
+
+/**
+ * Store a presence change, broadcast it and move conversations accordingly
+ */
+async function changePresence(agentId, presence, { manual = null, lastActivity = null, previous } = {}) {
+    if (sessions.has(agentId)) sessions.get(agentId).presence = presence;
+
+    const agent = await Agent.findById(agentId);
+    if (previous === undefined) previous = agent?.presence;
+
+    await Agent.setPresence(agentId, presence);
+
+    publishInboxUpdate('agent_presence', {
+        agentId: agent?.uuid,
+        presence,
+        manual,
+        lastActivityAt: lastActivity ? new Date(lastActivity).toISOString() : agent?.last_activity_at || null
+    });
+
+    if (previous === 'online' && presence !== 'online') {
+        // Hand over conversations the agent hasn't answered yet
+        reassignUnattended(agentId).catch(error =>
+            console.error('Error reassigning conversations:', error.message)
+        );
+    } else if (presence === 'online' && previous !== 'online') {
+        assignWaiting().catch(error =>
+            console.error('Error assigning waiting conversations:', error.message)
+        );
+    }
+}
+
+/**
+ * Recompute an agent's presence and store it if it changed. Never throws.
+ */
+async function refreshPresence(agentId) {
+    try {
+        const session = sessions.get(agentId);
+        if (!session) return;
+
+        const previous = session.presence;
+        const presence = computePresence(session);
+        if (presence === previous) return;
+
+        await changePresence(agentId, presence, { manual: session.manual, lastActivity: session.lastActivity, previous });
+
+        if (presence === 'offline' && session.connections === 0) {
+            sessions.delete(agentId);
+        }
+    } catch (error) {
+        console.error(`Presence update failed for agent ${agentId}:`, error.message);
+    }
+}
+
+/**
+ * An agent's WebSocket connection authenticated
+ * @param {number} agentId - Agent ID
+ */
+export async function agentConnected(agentId) {
+    const session = getSession(agentId);
+    clearTimeout(session.offlineTimer);
+    session.offlineTimer = null;
+    session.connections++;
+
+    if (session.connections === 1 && session.presence === 'offline') {
+        const agent = await Agent.findById(agentId);
+        session.manual = agent?.manual_presence || null;
+    }
+
+    await recordActivity(agentId);
+}
+
+/**
+ * An agent's WebSocket connection closed
+ * @param {number} agentId - Agent ID
+ */
+export function agentDisconnected(agentId) {
+    const session = sessions.get(agentId);
+    if (!session) return;
+
+    session.connections = Math.max(0, session.connections - 1);
+    if (session.connections > 0 || session.offlineTimer) return;
+
+    session.offlineTimer = setTimeout(() => {
+        session.offlineTimer = null;
+        refreshPresence(agentId);
+    }, OFFLINE_GRACE);
+}
+
+/**
+ * The agent did something in the inbox (any WebSocket frame but keep-alives,
+ * or a change made through the inbox API)
+ * @param {number} agentId - Agent ID
+ */
+export async function recordActivity(agentId) {
+    const session = sessions.get(agentId);
+    if (!session) return;
+
+    const now = Date.now();
+    session.lastActivity = now;
+
+    if (now - session.lastActivityWrite >= ACTIVITY_WRITE_INTERVAL) {
+        session.lastActivityWrite = now;
+        try {
+            await Agent.touchActivity(agentId, new Date(now));
+        } catch (error) {
+            console.error(`Recording activity failed for agent ${agentId}:`, error.message);
+        }
+    }
+
+    await refreshPresence(agentId);
+}
+
+/**
+ * Set an agent's status by hand
+ * @param {number} agentId - Agent ID
+ * @param {string} status - 'away' or 'busy', or 'online' to go back to automatic presence
+ * @returns {Promise<string>} Resulting presence
+ */
+export async function setManualStatus(agentId, status) {
+    const manual = MANUAL_STATUSES.includes(status) ? status : null;
+    await Agent.setManualPresence(agentId, manual);
+    await Agent.touchActivity(agentId);
+
+    // Without WebSocket tracking the status picked is the presence
+    if (!tracking) {
+        const presence = manual || 'online';
+        await changePresence(agentId, presence, { manual, lastActivity: Date.now() });
+        return presence;
+    }
+
+    const session = sessions.get(agentId);
+    if (!session) return 'offline';
+
+    session.manual = manual;
+    session.lastActivity = Date.now();
+    await refreshPresence(agentId);
+    return session.presence;
+}
+
+/**
+ * The agent logged out - offline until they connect again
+ * @param {number} agentId - Agent ID
+ */
+export async function agentLoggedOut(agentId) {
+    const session = sessions.get(agentId);
+    if (session) {
+        clearTimeout(session.offlineTimer);
+        sessions.delete(agentId);
+    }
+
+    await Agent.setManualPresence(agentId, null);
+
+    // Hand over unanswered conversations even if the agent already showed as away
+    await changePresence(agentId, 'offline', { previous: 'online' });
+}
+
+/**
+ * The agent logged in - without WebSocket tracking they are online from now
+ * @param {number} agentId - Agent ID
+ */
+export async function agentLoggedIn(agentId) {
+    if (tracking) return;
+
+    const agent = await Agent.findById(agentId);
+    await Agent.touchActivity(agentId);
+    await changePresence(agentId, agent?.manual_presence || 'online', {
+        manual: agent?.manual_presence || null,
+        lastActivity: Date.now()
+    });
+}
+
+/**
+ * Presence of an agent as currently known
+ * @param {Object} agent - Agent row
+ * @returns {Object} { presence, manual, lastActivityAt, connections }
+ */
+export function describePresence(agent) {
+    const session = sessions.get(agent.id);
+
+    return {
+        presence: session?.presence || agent.presence || (agent.is_online ? 'online' : 'offline'),
+        manual: session ? session.manual : agent.manual_presence || null,
+        lastActivityAt: session ? new Date(session.lastActivity) : agent.last_activity_at || null,
+        connections: session?.connections || 0
+    };
+}
+
+/**
+ * Start tracking presence from WebSocket connections (call once the
+ * WebSocket server is up - nobody is connected yet, so everyone is offline)
+ */
+export async function startPresenceTracking() {
+    if (tracking) return;
+
+    await Agent.resetPresence();
+    tracking = true;
+
+    sweepTimer = setInterval(() => {
+        for (const agentId of sessions.keys()) {
+            refreshPresence(agentId);
+        }
+    }, SWEEP_INTERVAL);
+
+    console.log(`✅ Agent presence tracking started (idle after ${Math.round(IDLE_TIMEOUT / 60000)} min)`);
+}
+
+/**
+ * Stop tracking presence
+ */
+export function stopPresenceTracking() {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+
+    for (const session of sessions.values()) {
+        clearTimeout(session.offlineTimer);
+    }
+    sessions.clear();
+    tracking = false;
+}
+
+export default {
+    PRESENCE_STATUSES,
+    MANUAL_STATUSES,
+    agentConnected,
+    agentDisconnected,
+    recordActivity,
+    setManualStatus,
+    agentLoggedOut,
+    agentLoggedIn,
+    describePresence,
+    startPresenceTracking,
+    stopPresenceTracking
+};
@@ -0,0 +1,92 @@
+/**
+ * Quick Reply Service
+ * Expands shortcuts (e.g. /hours) and template variables (e.g. {{contact_name}})
+ * in agent messages before they are sent
+ */
+
+import { QuickReply } from '../models/QuickReply.js';
+import { Settings } from '../models/Settings.js';
+
+const DEFAULT_BUSINESS_HOURS = 'Sunday-Thursday, 9AM-6PM (UAE time)';
+
+// A message that starts with a shortcut: "/hours" or "/hours and the rest"
+const SHORTCUT_PATTERN = /^(\/[\w-]+)(\s[\s\S]*)?$/;
+
+/**
+ * Build the values available to {{variables}} for a conversation
+ * @param {Object} conversation - Conversation row
+ * @param {Object} agent - Sending agent/user ({ firstName, lastName }) or null
+ * @returns {Promise<Object>} Variable name -> value
+ */
+export async function buildTemplateContext(conversation, agent = null) {
+    const contactName = conversation.contact_name || '';
+
+    return {
+        contact_name: contactName,
+        contact_first_name: contactName.split(' ')[0],
+        contact_phone: conversation.contact_phone || '',
+        contact_email: conversation.contact_email || '',
+        agent_first_name: agent?.firstName || '',
+        agent_name: [agent?.firstName, agent?.lastName].filter(Boolean).join(' '),
+        business_hours: await Settings.get('business_hours_text') || DEFAULT_BUSINESS_HOURS,
+        company_name: await Settings.get('site_name') || 'Alteneiji Group'
+    };
+}
+
+/**
+ * Replace {{variable}} placeholders; unknown variables are left untouched
+ * @param {string} text - Template text
+ * @param {Object} context - Variable values
+ * @returns {string} Expanded text
+ */
+export function expandTemplate(text, context) {
+    return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+        Object.prototype.hasOwnProperty.call(context, name) ? String(context[name]) : match
+    );
+}
+
+/**
+ * Find the quick reply a message refers to (by ID or leading shortcut)
+ * @param {string} content - Message typed by the agent
+ * @param {string} quickReplyId - Quick reply UUID picked in the UI
+ * @returns {Promise<Object|null>} { quickReply, rest } or null
+ */
+export async function resolveQuickReply(content, quickReplyId = null) {
+    if (quickReplyId) {
+        const quickReply = await QuickReply.findByUuid(quickReplyId);
+        return quickReply?.is_active ? { quickReply, rest: '' } : null;
+    }
+
+    const match = (content || '').trim().match(SHORTCUT_PATTERN);
+    if (!match) return null;
+
+    const quickReply = await QuickReply.findByShortcut(match[1]);
+    return quickReply ? { quickReply, rest: match[2] || '' } : null;
+}
+
+/**
+ * Produce the final text of an outgoing message
+ * @param {Object} options - { content, quickReplyId, conversation, agent }
+ * @returns {Promise<Object>} { content, quickReply }
+ */
+export async function composeMessage({ content, quickReplyId = null, conversation, agent = null }) {
+    const resolved = await resolveQuickReply(content, quickReplyId);
+    let text = resolved ? resolved.quickReply.content + resolved.rest : content;
+
+    if (text && text.includes('{{')) {
+        text = expandTemplate(text, await buildTemplateContext(conversation, agent));
+    }
+
+    if (resolved) {
+        await QuickReply.incrementUseCount(resolved.quickReply.id);
+    }
+
+    return { content: text, quickReply: resolved?.quickReply || null };
+}
+
+export default {
+    buildTemplateContext,
+    expandTemplate,
+    resolveQuickReply,
+    composeMessage
+};
@@ -0,0 +1,267 @@
+/**
+ * Reply Suggestion Service
+ * Asks Gemini for 2-3 replies an agent could send, grounded on the recent
+ * conversation and on matching Products/Services from our catalogue
+ */
+
+import gemini from '../config/gemini.js';
+import { Message } from '../models/Message.js';
+import { Product } from '../models/Product.js';
+import { Service } from '../models/Service.js';
+import { ReplySuggestion } from '../models/ReplySuggestion.js';
+import { detectLanguage } from './language.js';
+
+const HISTORY_LENGTH = 20;
+const CATALOGUE_LIMIT = 5;
+const MAX_KEYWORDS = 12;
+
+export const LANGUAGE_NAMES = {
+    en: 'English',
+    ar: 'Arabic',
+    ru: 'Russian',
+    hi: 'Hindi',
+    zh: 'Chinese'
+};
+
+// Words that never identify a product
+const STOPWORDS = new Set([
+    'about', 'after', 'also', 'available', 'been', 'could', 'does', 'from', 'have', 'hello',
+    'information', 'interested', 'just', 'know', 'like', 'looking', 'much', 'need', 'please',
+    'price', 'prices', 'quote', 'regards', 'send', 'some', 'thank', 'thanks', 'that', 'there',
+    'this', 'want', 'what', 'when', 'where', 'which', 'with', 'would', 'your'
+]);
+
+function currentModel() {
+    return process.env.GEMINI_MODEL || 'gemini-2.0-flash';
+}
+
+/**
+ * Gemini's text helper doesn't return token counts - estimate ~4 characters per token
+ */
+export function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Recent messages of a conversation as "Customer:/Agent:" lines, oldest first
+ * @param {Object} conversation - Conversation row
+ * @param {number} limit - Messages to include
+ * @returns {Promise<Object>} { messages, transcript }
+ */
+export async function buildTranscript(conversation, limit = HISTORY_LENGTH) {
+    const messages = await Message.findByConversation(conversation.id, { limit });
+
+    const transcript = messages
+        .map(message => {
+            const speaker = message.direction === 'incoming'
+                ? `Customer (${conversation.contact_name || 'unknown'})`
+                : 'Alteneiji';
+            const text = message.content || `[${message.content_type}]`;
+            return `${speaker}: ${text}`;
+        })
+        .join('\n');
+
+    return { messages, transcript };
+}
+
+/**
+ * Pick search words from what the customer wrote
+ */
+function extractKeywords(messages) {
+    const words = messages
+        .filter(message => message.direction === 'incoming' && message.content)
+        .slice(-5)
+        .flatMap(message => message.content.toLowerCase().split(/[^\p{L}\p{N}]+/u))
+        .filter(word => word.length >= 4 && !STOPWORDS.has(word));
+
+    return [...new Set(words)].slice(-MAX_KEYWORDS);
+}
+
+/**
+ * Products and services relevant to the conversation (featured ones when
+ * nothing matches, e.g. the customer wrote in Arabic)
+ * @param {Array<Object>} messages - Recent messages
+ * @returns {Promise<Object>} { products, services }
+ */
+export async function findCatalogueContext(messages) {
+    const keywords = extractKeywords(messages);
+
+    let [products, services] = await Promise.all([
+        Product.findRelevant(keywords, CATALOGUE_LIMIT),
+        Service.findRelevant(keywords, CATALOGUE_LIMIT)
+    ]);
+
+    if (products.length === 0 && services.length === 0) {
+        [products, services] = await Promise.all([
+            Product.getFeatured(CATALOGUE_LIMIT),
+            Service.getFeatured(CATALOGUE_LIMIT)
+        ]);
+    }
+
+    return { products, services };
+}
+
+/**
+ * Catalogue records as prompt lines
+ */
+export function formatCatalogue({ products, services }) {
+    const line = item => `- ${item.name}${item.category_name ? ` (${item.category_name})` : ''}: ${item.short_description || ''}`.trim();
+
+    return [
+        'Products:',
+        ...(products.length > 0 ? products.map(line) : ['- (none matched)']),
+        'Services:',
+        ...(services.length > 0 ? services.map(line) : ['- (none matched)'])
+    ].join('\n');
+}
+
+/**
+ * Language the contact writes in (latest incoming message with a recognisable script)
+ */
+export function detectContactLanguage(messages, fallback = 'en') {
+    const incoming = messages.filter(message => message.direction === 'incoming' && message.content);
+
+    for (let i = incoming.length - 1; i >= 0; i--) {
+        const language = detectLanguage(incoming[i].content);
+        if (language) return language;
+    }
+
+    return fallback;
+}
+
+/**
+ * Strip markdown fences and parse a JSON answer from Gemini
+ */
+export function parseJsonResponse(response) {
+    const cleanJson = response.replace(/```json\n?|\n?```/g, '').trim();
+    return JSON.parse(cleanJson);
+}
+
+function buildPrompt({ conversation, transcript, catalogue, language }) {
+    return `You are helping a customer service agent at Alteneiji Group, a Dubai-based import/export, shipping, logistics and trade consultancy company, answer a customer on ${conversation.platform || 'chat'}.
+
+Conversation so far:
+${transcript || '(no messages yet)'}
+
+Relevant catalogue entries:
+${catalogue}
+
+Write 3 different replies the agent could send next, in ${LANGUAGE_NAMES[language] || language}:
+- Answer the customer's latest message directly, in a warm, professional B2B tone
+- Only mention products or services from the catalogue entries above
+- Never invent prices, stock levels, delivery dates or certifications - offer to confirm them instead
+- Keep each reply under 80 words, suitable for a chat message, without markdown
+- Vary the approach (e.g. answer, ask a clarifying question, propose a next step)
+
+Return ONLY valid JSON, no markdown or additional text:
+{"suggestions": ["reply 1", "reply 2", "reply 3"]}`;
+}
+
+function parseSuggestions(response) {
+    let suggestions;
+    try {
+        const parsed = parseJsonResponse(response);
+        suggestions = Array.isArray(parsed) ? parsed : parsed.suggestions;
+    } catch (e) {
+        // Fall back to one suggestion per non-empty line
+        suggestions = response.split('\n').map(line => line.replace(/^\s*(\d+[.)]|[-*])\s*/, ''));
+    }
+
+    const clean = (suggestions || [])
+        .filter(text => typeof text === 'string')
+        .map(text => text.trim())
+        .filter(Boolean);
+
+    return [...new Set(clean)].slice(0, 3);
+}
+
+/**
+ * Suggest replies for a conversation
+ * @param {Object} conversation - Conversation row (with platform)
+ * @param {Object} agent - req.agent asking for suggestions
+ * @returns {Promise<Object>} { suggestions: [{ id, content }], language, grounding }
+ */
+export async function suggestReplies(conversation, agent) {
+    const { messages, transcript } = await buildTranscript(conversation);
+    const language = detectContactLanguage(messages);
+    const grounding = await findCatalogueContext(messages);
+
+    const prompt = buildPrompt({
+        conversation,
+        transcript,
+        catalogue: formatCatalogue(grounding),
+        language
+    });
+
+    const response = await gemini.generateContent(prompt, { temperature: 0.6, maxTokens: 1024 });
+    const model = currentModel();
+
+    await gemini.trackUsage({
+        userId: agent?.userId || null,
+        operation: 'inbox_reply_suggestions',
+        model,
+        inputTokens: estimateTokens(prompt),
+        outputTokens: estimateTokens(response),
+        requestData: { conversationId: conversation.uuid, agentId: agent?.uuid || null, language },
+        summary: `Reply suggestions for conversation ${conversation.uuid}`
+    });
+
+    const texts = parseSuggestions(response);
+    if (texts.length === 0) {
+        throw new Error('AI returned no usable suggestions');
+    }
+
+    const rows = await ReplySuggestion.createMany({
+        conversationId: conversation.id,
+        agentId: agent?.id || null,
+        suggestions: texts,
+        language,
+        model
+    });
+
+    return {
+        suggestions: rows.map(row => ({ id: row.uuid, content: row.content })),
+        language,
+        grounding: {
+            products: grounding.products.map(item => ({ id: item.uuid, name: item.name })),
+            services: grounding.services.map(item => ({ id: item.uuid, name: item.name }))
+        }
+    };
+}
+
+/**
+ * Metadata for a message sent from a suggestion (null if the suggestion
+ * doesn't belong to the conversation)
+ * @param {string} suggestionId - Suggestion UUID
+ * @param {Object} conversation - Conversation the message goes to
+ * @param {string} content - Text actually sent
+ * @returns {Promise<Object|null>} { suggestion, metadata }
+ */
+export async function resolveSuggestion(suggestionId, conversation, content) {
+    const suggestion = await ReplySuggestion.findByUuid(suggestionId);
+    if (!suggestion || suggestion.conversation_id !== conversation.id) return null;
+
+    return {
+        suggestion,
+        metadata: {
+            ai: {
+                source: 'reply_suggestion',
+                suggestionId: suggestion.uuid,
+                model: suggestion.model,
+                edited: content.trim() !== suggestion.content.trim()
+            }
+        }
+    };
+}
+
+export default {
+    LANGUAGE_NAMES,
+    estimateTokens,
+    buildTranscript,
+    findCatalogueContext,
+    formatCatalogue,
+    detectContactLanguage,
+    parseJsonResponse,
+    suggestReplies,
+    resolveSuggestion
+};
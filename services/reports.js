@@ -0,0 +1,368 @@
+/**
+ * Inbox Reports Service
+ * Volume, response and resolution metrics for staffing the inbox: days and
+ * hours are in UAE time, durations in seconds, and only human replies count
+ * as responses (away replies and bot answers don't)
+ */
+
+import { Agent } from '../models/Agent.js';
+import { Channel } from '../models/Channel.js';
+import { Conversation } from '../models/Conversation.js';
+import { Message } from '../models/Message.js';
+import { SlaBreach } from '../models/SlaPolicy.js';
+import { formatUaeTime, parseUaeDate } from './transcripts.js';
+import { toCsv } from './csv.js';
+
+export const REPORTS = ['volume', 'first-response', 'response-time', 'resolution', 'hourly', 'backlog', 'sla'];
+
+const DEFAULT_PERIOD_DAYS = 30;
+const MAX_PERIOD_DAYS = 366;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Waiting time buckets for the backlog, in hours
+const BACKLOG_BUCKETS = [
+    { label: 'under_1h', maxHours: 1 },
+    { label: '1h_4h', maxHours: 4 },
+    { label: '4h_24h', maxHours: 24 },
+    { label: '1d_3d', maxHours: 72 },
+    { label: 'over_3d', maxHours: Infinity }
+];
+
+// CSV columns per report
+const CSV_COLUMNS = {
+    volume: ['date', 'opened', 'resolved'],
+    'first-response': ['dimension', 'id', 'name', 'count', 'average_seconds', 'median_seconds'],
+    'response-time': ['dimension', 'id', 'name', 'count', 'average_seconds', 'median_seconds'],
+    resolution: ['dimension', 'id', 'name', 'count', 'average_seconds', 'median_seconds'],
+    hourly: ['hour', 'incoming', 'outgoing', 'total'],
+    backlog: ['conversation_id', 'contact', 'channel', 'agent', 'status', 'waiting_since_uae', 'waiting_seconds'],
+    sla: [
+        'conversation_id', 'contact', 'channel', 'agent', 'policy', 'target', 'waiting_since_uae',
+        'due_at_uae', 'breached_at_uae', 'responded_at_uae', 'overdue_seconds'
+    ]
+};
+
+function seconds(from, to) {
+    return Math.max(0, Math.round((new Date(to) - new Date(from)) / 1000));
+}
+
+/**
+ * Count, average and median of durations in seconds
+ */
+function summarize(durations) {
+    if (durations.length === 0) {
+        return { count: 0, average_seconds: null, median_seconds: null };
+    }
+
+    const sorted = [...durations].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+
+    return {
+        count: sorted.length,
+        average_seconds: Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+        median_seconds: sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2)
+    };
+}
+
+/**
+ * Group durations by agent and by channel
+ * @param {Array<Object>} samples - [{ agentId, channelId, seconds }]
+ * @param {Object} names - { agents: Map, channels: Map } id -> { uuid, name }
+ */
+function summarizeByDimension(samples, names) {
+    const groups = { agent: new Map(), channel: new Map() };
+
+    for (const sample of samples) {
+        for (const [dimension, key] of [['agent', sample.agentId], ['channel', sample.channelId]]) {
+            const id = key ?? null;
+            if (!groups[dimension].has(id)) groups[dimension].set(id, []);
+            groups[dimension].get(id).push(sample.seconds);
+        }
+    }
+
+    const rows = dimension => [...groups[dimension].entries()].map(([id, durations]) => {
+        const known = names[`${dimension}s`].get(id);
+        return {
+            dimension,
+            id: known?.uuid || null,
+            name: known?.name || (dimension === 'agent' ? 'Unassigned / admin' : 'Unknown'),
+            ...summarize(durations)
+        };
+    }).sort((a, b) => b.count - a.count);
+
+    return {
+        overall: summarize(samples.map(sample => sample.seconds)),
+        byAgent: rows('agent'),
+        byChannel: rows('channel')
+    };
+}
+
+async function loadNames() {
+    const [agents, channels] = await Promise.all([Agent.findAll(), Channel.findAll({})]);
+
+    return {
+        agents: new Map(agents.map(agent => [agent.id, { uuid: agent.uuid, name: `${agent.first_name} ${agent.last_name}` }])),
+        channels: new Map(channels.map(channel => [channel.id, { uuid: channel.uuid, name: `${channel.name} (${channel.platform})` }]))
+    };
+}
+
+/**
+ * Work out the report period from YYYY-MM-DD query values (UAE days)
+ * @param {Object} query - { from, to }
+ * @returns {Object} { from, to, fromDate, toDate } or { error }
+ */
+export function resolvePeriod({ from, to } = {}) {
+    const toDate = to || formatUaeTime(new Date()).substring(0, 10);
+    const end = parseUaeDate(toDate, true);
+    if (!end) return { error: 'to must be YYYY-MM-DD' };
+
+    const fromDate = from || formatUaeTime(new Date(end.getTime() - (DEFAULT_PERIOD_DAYS - 1) * DAY)).substring(0, 10);
+    const start = parseUaeDate(fromDate);
+    if (!start) return { error: 'from must be YYYY-MM-DD' };
+
+    if (start > end) return { error: 'from must be before to' };
+    if (end - start > MAX_PERIOD_DAYS * DAY) {
+        return { error: `The period can be at most ${MAX_PERIOD_DAYS} days` };
+    }
+
+    return { from: start, to: end, fromDate, toDate };
+}
+
+/**
+ * Every UAE day of a period as YYYY-MM-DD
+ */
+function daysOf(period) {
+    const days = [];
+    for (let time = period.from.getTime(); time <= period.to.getTime(); time += DAY) {
+        days.push(formatUaeTime(new Date(time)).substring(0, 10));
+    }
+    return days;
+}
+
+/**
+ * Conversations opened and resolved per day
+ */
+export async function volumeReport(period, { channelId = null } = {}) {
+    const [opened, resolved] = await Promise.all([
+        Conversation.findCreatedBetween({ from: period.from, to: period.to, channelId }),
+        Conversation.findResolvedBetween({ from: period.from, to: period.to, channelId })
+    ]);
+
+    const days = new Map(daysOf(period).map(date => [date, { date, opened: 0, resolved: 0 }]));
+    const bump = (at, field) => {
+        const day = days.get(formatUaeTime(at).substring(0, 10));
+        if (day) day[field]++;
+    };
+
+    opened.forEach(conversation => bump(conversation.created_at, 'opened'));
+    resolved.forEach(conversation => bump(conversation.resolved_at, 'resolved'));
+
+    return {
+        totals: { opened: opened.length, resolved: resolved.length },
+        rows: [...days.values()]
+    };
+}
+
+/**
+ * Time from a new conversation's first customer message to the first human
+ * reply, by the agent who replied and by channel
+ */
+export async function firstResponseReport(period, { channelId = null } = {}) {
+    const [waits, names] = await Promise.all([
+        Message.findResponseWaits({ from: period.from, to: period.to, channelId }),
+        loadNames()
+    ]);
+
+    // Only conversations that started in the period
+    const firstWaits = waits.filter(wait =>
+        Number(wait.is_first) === 1 && new Date(wait.conversation_created_at) >= period.from
+    );
+
+    return {
+        unanswered: firstWaits.filter(wait => wait.seconds === null).length,
+        ...summarizeByDimension(responseSamples(firstWaits), names)
+    };
+}
+
+/**
+ * Time from each customer message (the first of a run) to the next human
+ * reply, by the agent who replied and by channel
+ */
+export async function responseTimeReport(period, { channelId = null } = {}) {
+    const [waits, names] = await Promise.all([
+        Message.findResponseWaits({ from: period.from, to: period.to, channelId }),
+        loadNames()
+    ]);
+
+    return summarizeByDimension(responseSamples(waits), names);
+}
+
+/**
+ * Answered waits as duration samples
+ */
+function responseSamples(waits) {
+    return waits
+        .filter(wait => wait.seconds !== null)
+        .map(wait => ({ agentId: wait.agent_id, channelId: wait.channel_id, seconds: Number(wait.seconds) }));
+}
+
+/**
+ * Time from a conversation starting to it being resolved, for conversations
+ * resolved in the period, by assigned agent and by channel
+ */
+export async function resolutionReport(period, { channelId = null } = {}) {
+    const [resolved, names] = await Promise.all([
+        Conversation.findResolvedBetween({ from: period.from, to: period.to, channelId }),
+        loadNames()
+    ]);
+
+    const samples = resolved.map(conversation => ({
+        agentId: conversation.assigned_agent_id,
+        channelId: conversation.channel_id,
+        seconds: seconds(conversation.created_at, conversation.resolved_at)
+    }));
+
+    return summarizeByDimension(samples, names);
+}
+
+/**
+ * Messages per hour of the day (UAE), incoming and outgoing
+ */
+export async function hourlyReport(period, { channelId = null } = {}) {
+    const counts = await Message.countByHour({ from: period.from, to: period.to, channelId });
+
+    const hours = Array.from({ length: 24 }, (_, hour) => ({ hour, incoming: 0, outgoing: 0, total: 0 }));
+
+    for (const { hour, direction, count } of counts) {
+        hours[Number(hour)][direction] += Number(count);
+        hours[Number(hour)].total += Number(count);
+    }
+
+    return { rows: hours };
+}
+
+/**
+ * Open conversations waiting for a reply right now and for how long
+ * (not limited by the period - it is the current backlog)
+ */
+export async function backlogReport(period, { channelId = null } = {}) {
+    const [backlog, names] = await Promise.all([Conversation.findBacklog(channelId), loadNames()]);
+    const now = new Date();
+
+    const rows = backlog.map(conversation => ({
+        conversation_id: conversation.uuid,
+        contact: conversation.contact_name,
+        channel: names.channels.get(conversation.channel_id)?.name || conversation.channel_name,
+        agent: names.agents.get(conversation.assigned_agent_id)?.name || null,
+        status: conversation.status,
+        waiting_since_uae: formatUaeTime(conversation.waiting_since),
+        waiting_seconds: seconds(conversation.waiting_since, now)
+    }));
+
+    const buckets = Object.fromEntries(BACKLOG_BUCKETS.map(bucket => [bucket.label, 0]));
+    for (const row of rows) {
+        const bucket = BACKLOG_BUCKETS.find(item => row.waiting_seconds < item.maxHours * 3600);
+        buckets[bucket.label]++;
+    }
+
+    return {
+        waiting: rows.length,
+        oldest_seconds: rows.length > 0 ? rows[0].waiting_seconds : null,
+        ...summarize(rows.map(row => row.waiting_seconds)),
+        buckets,
+        rows
+    };
+}
+
+/**
+ * SLA breaches in the period, by policy, agent (assignee at the time) and
+ * channel, with how far past the due time each reply came
+ */
+export async function slaReport(period, { channelId = null } = {}) {
+    const breaches = await SlaBreach.findBetween({ from: period.from, to: period.to, channelId });
+    const now = new Date();
+
+    const rows = breaches.map(breach => ({
+        conversation_id: breach.conversation_uuid,
+        contact: breach.contact_name,
+        channel: breach.channel_name ? `${breach.channel_name} (${breach.platform})` : null,
+        agent: breach.agent_uuid ? `${breach.agent_first_name} ${breach.agent_last_name}` : null,
+        policy: breach.policy_name,
+        target: breach.target,
+        waiting_since_uae: formatUaeTime(breach.waiting_since),
+        due_at_uae: formatUaeTime(breach.due_at),
+        breached_at_uae: formatUaeTime(breach.breached_at),
+        responded_at_uae: formatUaeTime(breach.responded_at),
+        overdue_seconds: seconds(breach.due_at, breach.responded_at || breach.closed_at || now)
+    }));
+
+    const countBy = field => {
+        const counts = new Map();
+        for (const row of rows) {
+            const name = row[field] || (field === 'agent' ? 'Unassigned' : 'Unknown');
+            counts.set(name, (counts.get(name) || 0) + 1);
+        }
+        return [...counts.entries()]
+            .map(([name, count]) => ({ name, count }))
+            .sort((a, b) => b.count - a.count);
+    };
+
+    return {
+        breaches: rows.length,
+        byTarget: {
+            first_response: rows.filter(row => row.target === 'first_response').length,
+            next_response: rows.filter(row => row.target === 'next_response').length
+        },
+        unanswered: breaches.filter(breach => !breach.responded_at).length,
+        overdue: summarize(rows.map(row => row.overdue_seconds)),
+        byPolicy: countBy('policy'),
+        byAgent: countBy('agent'),
+        byChannel: countBy('channel'),
+        rows
+    };
+}
+
+const BUILDERS = {
+    volume: volumeReport,
+    'first-response': firstResponseReport,
+    'response-time': responseTimeReport,
+    resolution: resolutionReport,
+    hourly: hourlyReport,
+    backlog: backlogReport,
+    sla: slaReport
+};
+
+/**
+ * Build one report
+ * @param {string} name - One of REPORTS
+ * @param {Object} period - resolvePeriod() result
+ * @param {Object} filters - { channelId }
+ */
+export async function buildReport(name, period, filters = {}) {
+    return BUILDERS[name](period, filters);
+}
+
+/**
+ * A report as CSV (its detail rows, or the per-agent and per-channel rows)
+ * @param {string} name - One of REPORTS
+ * @param {Object} report - buildReport() result
+ * @returns {string} CSV text
+ */
+export function reportToCsv(name, report) {
+    const rows = report.rows || [...report.byAgent, ...report.byChannel];
+    return toCsv(CSV_COLUMNS[name], rows);
+}
+
+export default {
+    REPORTS,
+    resolvePeriod,
+    volumeReport,
+    firstResponseReport,
+    responseTimeReport,
+    resolutionReport,
+    hourlyReport,
+    backlogReport,
+    slaReport,
+    buildReport,
+    reportToCsv
+};
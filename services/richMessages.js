@@ -0,0 +1,308 @@
+/**
+ * Rich Message Service
+ * Structured metadata for what isn't plain text or media: quoted replies,
+ * reactions, locations, contact cards (vCards) and stickers. Shared by the
+ * WhatsApp and Messenger/Instagram handlers and the send path, so a message
+ * is described the same way whatever platform it came from.
+ *
+ * Metadata keys:
+ *   replyTo   { messageId, externalId, direction, contentType, content }
+ *   reactions [{ from, fromMe, emoji, reactedAt }]
+ *   location  { latitude, longitude, name, address, url }
+ *   contacts  [{ name, phones: [{ number, waId }], emails, organization, vcard }]
+ *   sticker   { id } (Messenger sticker ID, when there is one)
+ */
+
+import { Message } from '../models/Message.js';
+
+// Characters of the quoted message kept with a reply
+const QUOTE_EXCERPT_LENGTH = 200;
+
+// Messenger's reaction names, for webhooks that don't carry the emoji
+const META_REACTION_EMOJIS = {
+    love: '❤️',
+    like: '👍',
+    dislike: '👎',
+    laugh: '😆',
+    wow: '😮',
+    sad: '😢',
+    angry: '😠',
+    smile: '😊'
+};
+
+// =====================
+// QUOTED REPLIES
+// =====================
+
+/**
+ * Describe the message a reply quotes. The quoted message is looked up by its
+ * platform ID; when it isn't in the inbox (older than what was synced) the
+ * fallback the platform sent along is kept instead
+ * @param {string} externalId - Platform message ID of the quoted message
+ * @param {Object} fallback - { content, contentType, fromMe } from the platform
+ * @returns {Promise<Object>} replyTo metadata
+ */
+export async function describeQuote(externalId, fallback = {}) {
+    const quoted = externalId ? await Message.findByExternalId(externalId) : null;
+
+    if (quoted) return quoteOf(quoted);
+
+    return {
+        messageId: null,
+        externalId: externalId || null,
+        direction: fallback.fromMe === undefined ? null : (fallback.fromMe ? 'outgoing' : 'incoming'),
+        contentType: fallback.contentType || null,
+        content: excerpt(fallback.content)
+    };
+}
+
+/**
+ * replyTo metadata for a message row of the inbox
+ */
+export function quoteOf(message) {
+    return {
+        messageId: message.uuid,
+        externalId: message.external_id || null,
+        direction: message.direction,
+        contentType: message.content_type,
+        content: excerpt(message.content)
+    };
+}
+
+function excerpt(text) {
+    if (!text) return null;
+    return text.length > QUOTE_EXCERPT_LENGTH ? `${text.substring(0, QUOTE_EXCERPT_LENGTH)}…` : text;
+}
+
+// =====================
+// REACTIONS
+// =====================
+
+/**
+ * Record (or remove) a reaction on a message we have
+ * @param {string} externalId - Platform message ID of the message reacted to
+ * @param {Object} reaction - { from, fromMe, emoji } (emoji empty = reaction removed)
+ * @returns {Promise<Object|null>} Updated message (with conversation_uuid) or null if unknown
+ */
+export async function applyReaction(externalId, { from, fromMe = false, emoji }) {
+    const message = externalId ? await Message.findByExternalId(externalId) : null;
+    if (!message) return null;
+
+    return Message.setReaction(message.id, { from, fromMe, emoji: emoji || null });
+}
+
+/**
+ * Emoji of a Messenger/Instagram reaction event (null when it was removed)
+ * @param {Object} reaction - event.reaction { mid, action, reaction, emoji }
+ */
+export function metaReactionEmoji(reaction) {
+    if (reaction.action === 'unreact') return null;
+    return reaction.emoji || META_REACTION_EMOJIS[reaction.reaction] || reaction.reaction || null;
+}
+
+// =====================
+// LOCATIONS
+// =====================
+
+/**
+ * Check a location and keep the fields we store
+ * @param {Object} location - { latitude, longitude, name, address, url }
+ * @returns {Object|null} location metadata, or null if the coordinates are invalid
+ */
+export function normalizeLocation({ latitude, longitude, name = null, address = null, url = null } = {}) {
+    const lat = Number(latitude);
+    const lng = Number(longitude);
+
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        return null;
+    }
+
+    return {
+        latitude: lat,
+        longitude: lng,
+        name: typeof name === 'string' && name.trim() ? name.trim() : null,
+        address: typeof address === 'string' && address.trim() ? address.trim() : null,
+        url: typeof url === 'string' && url ? url : null
+    };
+}
+
+/**
+ * Map link of a location
+ */
+export function mapsUrl(location) {
+    return `https://maps.google.com/?q=${location.latitude},${location.longitude}`;
+}
+
+/**
+ * Short text of a location for the message content and previews
+ */
+export function describeLocation(location) {
+    const label = [location.name, location.address].filter(Boolean).join(', ');
+    return `📍 ${label || `${location.latitude}, ${location.longitude}`}`;
+}
+
+// =====================
+// CONTACT CARDS
+// =====================
+
+function unescapeVCard(value) {
+    return value.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+}
+
+function escapeVCard(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/([,;])/g, '\\$1').replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Read the name, phone numbers, emails and organisation of a vCard
+ * @param {string} text - vCard (2.1, 3.0 or 4.0)
+ * @returns {Object} contacts entry (the vCard itself is kept as vcard)
+ */
+export function parseVCard(text) {
+    const card = { name: null, phones: [], emails: [], organization: null, vcard: text };
+    let structuredName = null;
+
+    // Folded lines continue with a space or tab
+    const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+    for (const line of lines) {
+        const colon = line.indexOf(':');
+        if (colon === -1) continue;
+
+        const [property, ...params] = line.substring(0, colon).split(';');
+        const key = property.replace(/^[^.]*\./, '').toUpperCase();
+        const value = line.substring(colon + 1).trim();
+        if (!value) continue;
+
+        if (key === 'FN') {
+            card.name = unescapeVCard(value);
+        } else if (key === 'N') {
+            const [family, given] = value.split(/(?<!\\);/).map(unescapeVCard);
+            structuredName = [given, family].filter(Boolean).join(' ') || null;
+        } else if (key === 'TEL') {
+            const waId = params.find(param => /^waid=/i.test(param));
+            card.phones.push({
+                number: value.replace(/^tel:/i, ''),
+                waId: waId ? waId.split('=')[1] : null
+            });
+        } else if (key === 'EMAIL') {
+            card.emails.push(unescapeVCard(value));
+        } else if (key === 'ORG') {
+            card.organization = unescapeVCard(value.split(/(?<!\\);/)[0]) || null;
+        }
+    }
+
+    card.name = card.name || structuredName || card.phones[0]?.number || null;
+    return card;
+}
+
+/**
+ * Build a vCard 3.0 to send as a contact card
+ * @param {Object} contact - { name, phone, email, organization }
+ * @returns {Object} contacts entry with the vCard as vcard
+ */
+export function buildVCard({ name, phone, email = null, organization = null }) {
+    const digits = String(phone).replace(/\D/g, '');
+    const lines = [
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        `FN:${escapeVCard(name)}`,
+        `N:;${escapeVCard(name)};;;`
+    ];
+
+    if (organization) lines.push(`ORG:${escapeVCard(organization)}`);
+    // waid lets WhatsApp offer "Message" on the card
+    lines.push(`TEL;type=CELL;waid=${digits}:+${digits}`);
+    if (email) lines.push(`EMAIL:${escapeVCard(email)}`);
+    lines.push('END:VCARD');
+
+    return parseVCard(lines.join('\n'));
+}
+
+/**
+ * Short text of one or more contact cards for the message content and previews
+ */
+export function describeContacts(contacts) {
+    const names = contacts.map(contact => contact.name).filter(Boolean);
+    return `👤 ${names.length > 0 ? names.join(', ') : 'Contact card'}`;
+}
+
+// =====================
+// PLATFORMS
+// =====================
+
+/**
+ * Text stand-in for platforms that can't send a location or contact card
+ * (Messenger and Instagram)
+ * @param {string} contentType - location or contact
+ * @param {Object} metadata - Message metadata
+ * @returns {string|null} Text, or null when the message has nothing rich
+ */
+export function richMessageText(contentType, metadata) {
+    if (contentType === 'location' && metadata.location) {
+        const label = [metadata.location.name, metadata.location.address].filter(Boolean).join('\n');
+        return `${label ? `${label}\n` : ''}${mapsUrl(metadata.location)}`;
+    }
+
+    if (contentType === 'contact' && metadata.contacts?.length > 0) {
+        return metadata.contacts.map(contact => [
+            contact.name,
+            ...contact.phones.map(phone => phone.number),
+            ...contact.emails
+        ].filter(Boolean).join('\n')).join('\n\n');
+    }
+
+    return null;
+}
+
+/**
+ * Describe the rich parts of a Messenger/Instagram message: the message it
+ * replies to, a shared location and stickers
+ * @param {Object} message - Webhook message object
+ * @param {Object} metadata - Message metadata (replyTo/location/sticker are added)
+ * @returns {Promise<Object>} { contentType, content } to use instead, or {} if nothing applies
+ */
+export async function describeMetaMessage(message, metadata) {
+    if (message.reply_to?.mid) {
+        metadata.replyTo = await describeQuote(message.reply_to.mid);
+    }
+
+    const locationAttachment = (message.attachments || []).find(attachment => attachment.type === 'location');
+    if (locationAttachment) {
+        const coordinates = locationAttachment.payload?.coordinates || {};
+        const location = normalizeLocation({
+            latitude: coordinates.lat,
+            longitude: coordinates.long,
+            name: locationAttachment.title || null,
+            url: locationAttachment.url || locationAttachment.payload?.url || null
+        });
+
+        if (location) {
+            metadata.location = location;
+            return { contentType: 'location', content: message.text || describeLocation(location) };
+        }
+    }
+
+    const stickerId = message.sticker_id || message.attachments?.[0]?.payload?.sticker_id;
+    if (stickerId) {
+        metadata.sticker = { id: String(stickerId) };
+        return message.text ? {} : { content: '[sticker]' };
+    }
+
+    return {};
+}
+
+export default {
+    describeQuote,
+    quoteOf,
+    applyReaction,
+    metaReactionEmoji,
+    normalizeLocation,
+    mapsUrl,
+    describeLocation,
+    parseVCard,
+    buildVCard,
+    describeContacts,
+    richMessageText,
+    describeMetaMessage
+};
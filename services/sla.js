@@ -0,0 +1,324 @@
+/**
+ * SLA Service
+ * Applies response time policies (per channel and/or label) to conversations
+ * waiting for a reply: deadlines are counted in the channel's business hours
+ * when the policy says so, conversations are marked at_risk or breached as
+ * the clock runs, the assignee and supervisors are alerted and every breach
+ * is kept for reporting
+ */
+
+import { Agent } from '../models/Agent.js';
+import { Channel } from '../models/Channel.js';
+import { Conversation } from '../models/Conversation.js';
+import { SlaPolicy, SlaBreach } from '../models/SlaPolicy.js';
+import { addBusinessTime } from './businessHours.js';
+import { publishInboxUpdate } from './eventBus.js';
+
+export const SLA_STATES = ['ok', 'at_risk', 'breached'];
+
+export const SLA_TARGETS = ['first_response', 'next_response'];
+
+// Roles alerted about every conversation at risk or breached
+const SUPERVISOR_ROLES = ['admin', 'supervisor'];
+
+// How often the clocks are checked
+const CHECK_INTERVAL = parseInt(process.env.SLA_CHECK_INTERVAL) || 60 * 1000;
+
+let workerTimer = null;
+let checking = false;
+
+function parseLabels(labels) {
+    if (!labels) return [];
+    const parsed = typeof labels === 'string' ? JSON.parse(labels) : labels;
+    return Array.isArray(parsed) ? parsed : [];
+}
+
+/**
+ * How specific a policy is: label and channel, label, channel, catch-all
+ */
+function specificity(policy) {
+    return (policy.label_id ? 2 : 0) + (policy.channel_id ? 1 : 0);
+}
+
+/**
+ * The policy that applies to a conversation - the most specific match, and
+ * the strictest first response target between equally specific ones
+ * @param {Object} conversation - Conversation row (channel_id, labels)
+ * @param {Array<Object>} policies - Active policies (SlaPolicy.findAll)
+ * @returns {Object|null} Policy or null if none applies
+ */
+export function matchPolicy(conversation, policies) {
+    const labels = parseLabels(conversation.labels);
+
+    const matches = policies.filter(policy =>
+        (!policy.channel_id || policy.channel_id === conversation.channel_id) &&
+        (!policy.label_id || labels.includes(policy.label_name))
+    );
+
+    matches.sort((a, b) =>
+        specificity(b) - specificity(a) || a.first_response_minutes - b.first_response_minutes
+    );
+
+    return matches[0] || null;
+}
+
+/**
+ * When a wait becomes at risk and when it breaches the policy
+ * @param {Object} policy - SLA policy
+ * @param {string} target - first_response or next_response
+ * @param {Date} waitingSince - Oldest unanswered customer message
+ * @param {Object|null} hours - Channel business hours (null = always open)
+ * @returns {Object|null} { atRiskAt, dueAt }, or null if the policy has no such target
+ */
+export function computeDeadlines(policy, target, waitingSince, hours) {
+    const minutes = target === 'first_response' ? policy.first_response_minutes : policy.next_response_minutes;
+    if (!minutes) return null;
+
+    const duration = minutes * 60 * 1000;
+    const add = amount => policy.business_hours_only && hours
+        ? addBusinessTime(hours, waitingSince, amount)
+        : new Date(new Date(waitingSince).getTime() + amount);
+
+    const dueAt = add(duration);
+    if (!dueAt) return null;
+
+    return {
+        atRiskAt: add(Math.round(duration * policy.at_risk_percent / 100)),
+        dueAt
+    };
+}
+
+function stateAt(deadlines, now) {
+    if (now >= deadlines.dueAt) return 'breached';
+    if (now >= deadlines.atRiskAt) return 'at_risk';
+    return 'ok';
+}
+
+/**
+ * Alert the assignee and every supervisor about a conversation at risk or breached
+ */
+async function sendAlert(conversation, sla, policy, supervisors) {
+    let websocket;
+    try {
+        websocket = await import('./websocket.js');
+    } catch (error) {
+        return; // WebSocket not available
+    }
+
+    const assignee = conversation.assigned_agent_id ? await Agent.findById(conversation.assigned_agent_id) : null;
+
+    const alert = {
+        type: 'inbox_sla_alert',
+        conversationId: conversation.uuid,
+        contactName: conversation.contact_name,
+        channelName: conversation.channel_name,
+        agentId: assignee?.uuid || null,
+        state: sla.state,
+        target: sla.target,
+        dueAt: sla.dueAt.toISOString(),
+        policy: { id: policy.uuid, name: policy.name },
+        timestamp: Date.now()
+    };
+
+    const recipients = new Set(supervisors.map(agent => agent.id));
+    if (assignee) recipients.add(assignee.id);
+
+    for (const agentId of recipients) {
+        websocket.sendToAgent(agentId, alert);
+    }
+}
+
+/**
+ * Store a conversation's new SLA state, alert on the way to a breach and
+ * record breaches
+ */
+async function applyState(conversation, policy, sla, context) {
+    const unchanged = conversation.sla_state === sla.state &&
+        conversation.sla_target === sla.target &&
+        conversation.sla_policy_id === policy.id &&
+        new Date(conversation.sla_due_at).getTime() === sla.dueAt.getTime();
+
+    // A reply and a new customer message since the last check close the previous wait
+    if (conversation.sla_state === 'breached') {
+        await SlaBreach.closeAnswered(conversation.id, sla.waitingSince);
+    }
+
+    if (unchanged) return;
+
+    await Conversation.setSlaState(conversation.id, {
+        policyId: policy.id,
+        target: sla.target,
+        state: sla.state,
+        dueAt: sla.dueAt
+    });
+
+    let alert = sla.state === 'at_risk' && conversation.sla_state !== 'at_risk' && conversation.sla_state !== 'breached';
+
+    if (sla.state === 'breached') {
+        alert = await SlaBreach.record({
+            conversationId: conversation.id,
+            policyId: policy.id,
+            channelId: conversation.channel_id,
+            agentId: conversation.assigned_agent_id,
+            target: sla.target,
+            waitingSince: sla.waitingSince,
+            dueAt: sla.dueAt
+        });
+    }
+
+    publishInboxUpdate('sla_update', {
+        conversationId: conversation.uuid,
+        state: sla.state,
+        target: sla.target,
+        dueAt: sla.dueAt.toISOString()
+    });
+
+    if (alert) {
+        await sendAlert(conversation, sla, policy, await context.supervisors());
+    }
+}
+
+/**
+ * Stop the clock of a conversation that no longer waits (answered, resolved
+ * or no policy applies any more)
+ */
+async function clearState(conversation) {
+    await Conversation.setSlaState(conversation.id, null);
+    await SlaBreach.closeAnswered(conversation.id);
+    publishInboxUpdate('sla_update', { conversationId: conversation.uuid, state: null });
+}
+
+/**
+ * Check every waiting conversation against its policy. Never throws.
+ * @returns {Promise<Object>} { checked, atRisk, breached }
+ */
+export async function runSlaCheck() {
+    const result = { checked: 0, atRisk: 0, breached: 0 };
+
+    // A slow pass must not overlap the next one
+    if (checking) return result;
+    checking = true;
+
+    try {
+        const policies = await SlaPolicy.findAll({ activeOnly: true });
+        const waiting = policies.length > 0 ? await Conversation.findBacklog() : [];
+        const now = new Date();
+        const running = new Set();
+
+        const hoursByChannel = new Map();
+        const channelHours = async channelId => {
+            if (!hoursByChannel.has(channelId)) {
+                hoursByChannel.set(channelId, await Channel.getBusinessHours(channelId));
+            }
+            return hoursByChannel.get(channelId);
+        };
+
+        let supervisors = null;
+        const context = {
+            supervisors: async () => {
+                if (!supervisors) {
+                    supervisors = (await Agent.findAll({ status: 'active' }))
+                        .filter(agent => SUPERVISOR_ROLES.includes(agent.role));
+                }
+                return supervisors;
+            }
+        };
+
+        for (const conversation of waiting) {
+            try {
+                const policy = matchPolicy(conversation, policies);
+                if (!policy) continue;
+
+                const target = Number(conversation.has_human_reply) ? 'next_response' : 'first_response';
+                const waitingSince = new Date(conversation.waiting_since);
+                const hours = policy.business_hours_only ? await channelHours(conversation.channel_id) : null;
+
+                const deadlines = computeDeadlines(policy, target, waitingSince, hours);
+                if (!deadlines) continue;
+
+                const state = stateAt(deadlines, now);
+                running.add(conversation.id);
+                result.checked++;
+                if (state === 'at_risk') result.atRisk++;
+                if (state === 'breached') result.breached++;
+
+                await applyState(conversation, policy, { state, target, waitingSince, dueAt: deadlines.dueAt }, context);
+            } catch (error) {
+                console.error(`SLA check failed for conversation ${conversation.id}:`, error.message);
+            }
+        }
+
+        for (const conversation of await Conversation.findWithSlaState()) {
+            if (!running.has(conversation.id)) {
+                await clearState(conversation);
+            }
+        }
+    } catch (error) {
+        console.error('SLA check failed:', error.message);
+    } finally {
+        checking = false;
+    }
+
+    return result;
+}
+
+/**
+ * SLA state of a conversation for the API
+ * @param {Object} conversation - Conversation row
+ */
+export async function describeSla(conversation) {
+    const [policy, breaches] = await Promise.all([
+        conversation.sla_policy_id ? SlaPolicy.findById(conversation.sla_policy_id) : null,
+        SlaBreach.findByConversation(conversation.id)
+    ]);
+
+    return {
+        state: conversation.sla_state || null,
+        target: conversation.sla_target || null,
+        dueAt: conversation.sla_due_at || null,
+        policy: policy ? { id: policy.uuid, name: policy.name } : null,
+        breaches: breaches.map(breach => ({
+            target: breach.target,
+            policy: breach.policy_uuid ? { id: breach.policy_uuid, name: breach.policy_name } : null,
+            agent: breach.agent_uuid
+                ? { id: breach.agent_uuid, name: `${breach.agent_first_name} ${breach.agent_last_name}` }
+                : null,
+            waitingSince: breach.waiting_since,
+            dueAt: breach.due_at,
+            breachedAt: breach.breached_at,
+            respondedAt: breach.responded_at,
+            closedAt: breach.closed_at
+        }))
+    };
+}
+
+/**
+ * Start checking SLA clocks periodically
+ */
+export function startSlaWorker() {
+    if (workerTimer) return;
+
+    workerTimer = setInterval(runSlaCheck, CHECK_INTERVAL);
+    console.log('✅ SLA monitoring started');
+}
+
+/**
+ * Stop checking SLA clocks
+ */
+export function stopSlaWorker() {
+    if (workerTimer) {
+        clearInterval(workerTimer);
+        workerTimer = null;
+    }
+}
+
+export default {
+    SLA_STATES,
+    SLA_TARGETS,
+    matchPolicy,
+    computeDeadlines,
+    runSlaCheck,
+    describeSla,
+    startSlaWorker,
+    stopSlaWorker
+};
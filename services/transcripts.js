@@ -0,0 +1,371 @@
+/**
+ * Transcript Export Service
+ * Renders the full history of a conversation as HTML, PDF, JSON or CSV for
+ * sales and legal, with timestamps in UAE time, and bundles several
+ * transcripts into a zip for bulk exports
+ */
+
+import { Contact } from '../models/Contact.js';
+import { Message } from '../models/Message.js';
+import { toPublicUrl } from './outbound.js';
+import { mapsUrl } from './richMessages.js';
+import { toCsv } from './csv.js';
+import { createZip } from './zipArchive.js';
+
+export const EXPORT_FORMATS = ['html', 'pdf', 'json', 'csv'];
+
+const UAE_TIMEZONE = 'Asia/Dubai';
+
+const CONTENT_TYPES = {
+    html: 'text/html; charset=utf-8',
+    pdf: 'application/pdf',
+    json: 'application/json; charset=utf-8',
+    csv: 'text/csv; charset=utf-8'
+};
+
+const CSV_COLUMNS = [
+    'conversation_id', 'message_id', 'time_uae', 'direction', 'sender', 'agent',
+    'content_type', 'content', 'status', 'media_url'
+];
+
+const uaeFormatter = new Intl.DateTimeFormat('en-GB', {
+    timeZone: UAE_TIMEZONE,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+});
+
+/**
+ * "YYYY-MM-DD HH:MM:SS" in UAE time
+ */
+export function formatUaeTime(value) {
+    if (!value) return null;
+
+    const parts = Object.fromEntries(
+        uaeFormatter.formatToParts(new Date(value)).map(part => [part.type, part.value])
+    );
+    return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}:${parts.second}`;
+}
+
+/**
+ * Start of a YYYY-MM-DD day (or the end of it) in UAE time (UTC+4, no DST)
+ * @returns {Date|null} null if the value isn't a valid date
+ */
+export function parseUaeDate(value, endOfDay = false) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) return null;
+    const date = new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}+04:00`);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+function parseJson(value, fallback) {
+    if (!value) return fallback;
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value) ?? fallback;
+    } catch (error) {
+        return fallback;
+    }
+}
+
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function agentName(firstName, lastName) {
+    return [firstName, lastName].filter(Boolean).join(' ') || null;
+}
+
+/**
+ * Stored files of a message as absolute links
+ */
+function messageMedia(message, metadata) {
+    const media = [];
+
+    if (message.media_url) {
+        media.push({ type: message.content_type, url: toPublicUrl(message.media_url) });
+    }
+
+    for (const attachment of metadata.attachments || []) {
+        if (!attachment.url || attachment.url === message.media_url) continue;
+        media.push({ type: attachment.type, url: toPublicUrl(attachment.url) });
+    }
+
+    return media;
+}
+
+/**
+ * Collect everything that goes into a transcript
+ * @param {Object} conversation - Conversation row (findById/findByUuid)
+ * @returns {Promise<Object>} Transcript data, the JSON export as is
+ */
+export async function loadTranscript(conversation) {
+    const [messages, contact] = await Promise.all([
+        Message.findAllByConversation(conversation.id),
+        conversation.contact_id ? Contact.findById(conversation.contact_id) : null
+    ]);
+
+    return {
+        conversation: {
+            id: conversation.uuid,
+            status: conversation.status,
+            labels: parseJson(conversation.labels, []),
+            summary: conversation.summary || null,
+            intent: conversation.intent || null,
+            startedAt: formatUaeTime(conversation.created_at),
+            lastMessageAt: formatUaeTime(conversation.last_message_at)
+        },
+        contact: {
+            id: contact?.uuid || null,
+            name: contact?.name || conversation.contact_name || null,
+            identifier: conversation.contact_identifier,
+            phone: contact?.phone || conversation.contact_phone || null,
+            email: contact?.email || conversation.contact_email || null,
+            company: contact?.company || null,
+            country: contact?.country || null
+        },
+        channel: {
+            platform: conversation.platform,
+            name: conversation.channel_name || null
+        },
+        agent: agentName(conversation.agent_first_name, conversation.agent_last_name),
+        timezone: UAE_TIMEZONE,
+        exportedAt: formatUaeTime(new Date()),
+        messages: messages.map(message => {
+            const metadata = parseJson(message.metadata, {});
+            return {
+                id: message.uuid,
+                time: formatUaeTime(message.created_at),
+                direction: message.direction,
+                sender: message.direction === 'incoming'
+                    ? (conversation.contact_name || 'Customer')
+                    : (agentName(message.agent_first_name, message.agent_last_name) || (metadata.automated ? 'Automated' : 'Agent')),
+                agent: agentName(message.agent_first_name, message.agent_last_name),
+                contentType: message.content_type,
+                content: message.content || '',
+                status: message.status,
+                automated: Boolean(metadata.automated),
+                media: messageMedia(message, metadata),
+                replyTo: metadata.replyTo
+                    ? { messageId: metadata.replyTo.messageId, content: metadata.replyTo.content }
+                    : null,
+                location: metadata.location ? { ...metadata.location, mapUrl: mapsUrl(metadata.location) } : null,
+                reactions: (metadata.reactions || []).map(reaction => reaction.emoji)
+            };
+        })
+    };
+}
+
+function renderJson(transcript) {
+    return JSON.stringify(transcript, null, 2);
+}
+
+function renderCsv(transcript) {
+    const rows = transcript.messages.map(message => ({
+        conversation_id: transcript.conversation.id,
+        message_id: message.id,
+        time_uae: message.time,
+        direction: message.direction,
+        sender: message.sender,
+        agent: message.agent,
+        content_type: message.contentType,
+        content: message.content,
+        status: message.status,
+        media_url: message.media.map(item => item.url).join(' ')
+    }));
+
+    return toCsv(CSV_COLUMNS, rows);
+}
+
+function renderMediaHtml(item) {
+    const url = escapeHtml(item.url);
+
+    if (item.type === 'image' || item.type === 'sticker') {
+        return `<a href="${url}"><img src="${url}" alt="${escapeHtml(item.type)}"></a>`;
+    }
+    return `<a href="${url}">${escapeHtml(item.type || 'file')}: ${url}</a>`;
+}
+
+function renderHtml(transcript) {
+    const { conversation, contact, channel } = transcript;
+
+    const details = [
+        ['Contact', contact.name],
+        ['Identifier', contact.identifier],
+        ['Phone', contact.phone],
+        ['Email', contact.email],
+        ['Company', contact.company],
+        ['Country', contact.country],
+        ['Channel', [channel.name, channel.platform].filter(Boolean).join(' - ')],
+        ['Assigned agent', transcript.agent || 'Unassigned'],
+        ['Status', conversation.status],
+        ['Labels', conversation.labels.join(', ')],
+        ['Started', conversation.startedAt],
+        ['Last message', conversation.lastMessageAt],
+        ['Summary', conversation.summary]
+    ].filter(([, value]) => value);
+
+    const messages = transcript.messages.map(message => `
+        <div class="message ${message.direction}">
+            <div class="meta">${escapeHtml(message.sender)} · ${escapeHtml(message.time)}${message.direction === 'outgoing' ? ` · ${escapeHtml(message.status)}` : ''}</div>
+            ${message.replyTo ? `<div class="quote" dir="auto">${escapeHtml(message.replyTo.content || 'Earlier message')}</div>` : ''}
+            ${message.content ? `<div class="content" dir="auto">${escapeHtml(message.content)}</div>` : ''}
+            ${message.location ? `<div class="media"><a href="${escapeHtml(message.location.mapUrl)}">${escapeHtml(message.location.mapUrl)}</a></div>` : ''}
+            ${message.media.map(item => `<div class="media">${renderMediaHtml(item)}</div>`).join('')}
+            ${message.reactions.length > 0 ? `<div class="reactions">${escapeHtml(message.reactions.join(' '))}</div>` : ''}
+        </div>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Conversation with ${escapeHtml(contact.name || contact.identifier)}</title>
+<style>
+    body { font-family: Arial, 'Noto Naskh Arabic', sans-serif; color: #222; max-width: 800px; margin: 24px auto; padding: 0 16px; }
+    h1 { font-size: 20px; margin-bottom: 4px; }
+    .exported { color: #777; font-size: 12px; margin-bottom: 16px; }
+    table { border-collapse: collapse; margin-bottom: 24px; font-size: 14px; }
+    th { text-align: left; padding: 3px 16px 3px 0; color: #555; vertical-align: top; }
+    td { padding: 3px 0; }
+    .message { margin: 8px 0; padding: 8px 12px; border-radius: 8px; max-width: 75%; page-break-inside: avoid; }
+    .incoming { background: #f1f1f1; }
+    .outgoing { background: #e3f2e1; margin-left: auto; }
+    .meta { font-size: 11px; color: #666; margin-bottom: 4px; }
+    .content { white-space: pre-wrap; word-wrap: break-word; }
+    .quote { border-left: 3px solid #aaa; padding-left: 6px; margin-bottom: 4px; color: #555; font-size: 12px; white-space: pre-wrap; }
+    .reactions { font-size: 14px; margin-top: 2px; }
+    .media img { max-width: 240px; max-height: 240px; margin-top: 4px; }
+    .media a { font-size: 12px; word-break: break-all; }
+</style>
+</head>
+<body>
+<h1>Conversation transcript</h1>
+<div class="exported">Exported ${escapeHtml(transcript.exportedAt)} (UAE time, ${UAE_TIMEZONE})</div>
+<table>
+${details.map(([label, value]) => `    <tr><th>${escapeHtml(label)}</th><td dir="auto">${escapeHtml(value)}</td></tr>`).join('\n')}
+</table>
+${messages || '<p>No messages.</p>'}
+</body>
+</html>
+`;
+}
+
+/**
+ * Run a task with a headless browser printing HTML to PDF
+ * (puppeteer comes with whatsapp-web.js and may not be installed)
+ * @param {Function} task - Receives render(html) => Promise<Buffer>
+ */
+async function withPdfRenderer(task) {
+    let puppeteer;
+    try {
+        puppeteer = (await import('puppeteer')).default;
+    } catch (error) {
+        const unavailable = new Error('PDF export is not available (puppeteer is not installed)');
+        unavailable.code = 'PDF_UNAVAILABLE';
+        throw unavailable;
+    }
+
+    const browser = await puppeteer.launch({
+        headless: true,
+        args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage', '--disable-gpu']
+    });
+
+    try {
+        return await task(async html => {
+            const page = await browser.newPage();
+            try {
+                await page.setContent(html, { waitUntil: 'networkidle0', timeout: 30000 });
+                return Buffer.from(await page.pdf({
+                    format: 'A4',
+                    printBackground: true,
+                    margin: { top: '15mm', bottom: '15mm', left: '12mm', right: '12mm' }
+                }));
+            } finally {
+                await page.close();
+            }
+        });
+    } finally {
+        await browser.close();
+    }
+}
+
+function exportFilename(transcript, format) {
+    const name = (transcript.contact.name || transcript.contact.identifier || 'contact')
+        .replace(/[^\p{L}\p{N}]+/gu, '-')
+        .replace(/^-+|-+$/g, '')
+        .substring(0, 40) || 'contact';
+    const date = (transcript.conversation.startedAt || '').substring(0, 10);
+
+    return `conversation-${date}-${name}-${transcript.conversation.id.substring(0, 8)}.${format}`;
+}
+
+function renderText(transcript, format) {
+    if (format === 'json') return renderJson(transcript);
+    if (format === 'csv') return renderCsv(transcript);
+    return renderHtml(transcript);
+}
+
+/**
+ * Export one conversation
+ * @param {Object} conversation - Conversation row
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {Promise<Object>} { filename, contentType, body }
+ */
+export async function exportConversation(conversation, format) {
+    const transcript = await loadTranscript(conversation);
+
+    const body = format === 'pdf'
+        ? await withPdfRenderer(render => render(renderHtml(transcript)))
+        : renderText(transcript, format);
+
+    return {
+        filename: exportFilename(transcript, format),
+        contentType: CONTENT_TYPES[format],
+        body
+    };
+}
+
+/**
+ * Export several conversations as a zip with one transcript per conversation
+ * @param {Array<Object>} conversations - Conversation rows
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {Promise<Buffer>} Zip file
+ */
+export async function exportConversations(conversations, format) {
+    const transcripts = [];
+    for (const conversation of conversations) {
+        transcripts.push(await loadTranscript(conversation));
+    }
+
+    const entries = format === 'pdf'
+        ? await withPdfRenderer(async render => {
+            const files = [];
+            for (const transcript of transcripts) {
+                files.push({ name: exportFilename(transcript, format), data: await render(renderHtml(transcript)) });
+            }
+            return files;
+        })
+        : transcripts.map(transcript => ({
+            name: exportFilename(transcript, format),
+            data: renderText(transcript, format)
+        }));
+
+    return createZip(entries);
+}
+
+export default {
+    EXPORT_FORMATS,
+    formatUaeTime,
+    parseUaeDate,
+    loadTranscript,
+    exportConversation,
+    exportConversations
+};
@@ -4,7 +4,11 @@
  */
 
 import { WebSocketServer } from 'ws';
-import { whatsappEvents } from './whatsapp.js';
+import { inboxEvents } from './eventBus.js';
+import { Conversation } from '../models/Conversation.js';
+import { Channel } from '../models/Channel.js';
+import { loadAgentFromToken, agentCan, canAccessConversation } from '../middleware/auth.js';
+import { agentConnected, agentDisconnected, recordActivity } from './presence.js';
 
 // Store connected clients
 const clients = new Map();
@@ -12,6 +16,12 @@ const clients = new Map();
 // Initialize WebSocket server
 let wss = null;
 
+// Clients must authenticate within this time (token query param or first frame)
+const AUTH_TIMEOUT = 10 * 1000;
+
+// Close code sent when authentication fails
+const CLOSE_UNAUTHORIZED = 4401;
+
 /**
  * Initialize WebSocket on existing HTTP server
  * @param {http.Server} server - HTTP server instance
@@ -24,44 +34,55 @@ export function initWebSocket(server) {
     wss.on('connection', (ws, req) => {
         const clientId = generateClientId();
 
-        console.log(`WebSocket client connected: ${clientId}`);
-
-        // Store client info
-        clients.set(clientId, {
+        // Store client info - nothing is delivered until it has authenticated
+        const client = {
             ws,
-            userId: null,
-            agentId: null,
-            subscribedChannels: [],
+            agent: null,
+            subscribedConversations: new Set(),
+            subscribedChannels: new Set(),
+            allChannels: false,
+            pendingAuth: null,
             connectedAt: new Date()
-        });
+        };
+        clients.set(clientId, client);
 
-        // Send welcome message
-        ws.send(JSON.stringify({
-            type: 'connected',
-            clientId,
-            message: 'Connected to Alteneiji Inbox WebSocket'
-        }));
+        client.authTimer = setTimeout(() => {
+            if (!client.agent) {
+                ws.close(CLOSE_UNAUTHORIZED, 'Authentication required');
+            }
+        }, AUTH_TIMEOUT);
+
+        // Token passed in the URL (/ws?token=...)
+        const queryToken = new URL(req.url, 'http://localhost').searchParams.get('token');
+        if (queryToken) {
+            // Frames arriving before this settles wait for it (handleClientMessage)
+            client.pendingAuth = authenticateClient(clientId, queryToken);
+        }
 
         // Handle incoming messages
         ws.on('message', (data) => {
+            let message;
             try {
-                const message = JSON.parse(data.toString());
-                handleClientMessage(clientId, message);
+                message = JSON.parse(data.toString());
             } catch (error) {
                 console.error('WebSocket message parse error:', error);
+                return;
             }
+
+            handleClientMessage(clientId, message).catch(error => {
+                console.error(`WebSocket message error for ${clientId}:`, error.message);
+            });
         });
 
         // Handle disconnect
         ws.on('close', () => {
-            console.log(`WebSocket client disconnected: ${clientId}`);
-            clients.delete(clientId);
+            removeClient(clientId);
         });
 
         // Handle errors
         ws.on('error', (error) => {
             console.error(`WebSocket error for ${clientId}:`, error);
-            clients.delete(clientId);
+            removeClient(clientId);
         });
 
         // Ping/pong to keep connection alive
@@ -82,52 +103,132 @@ export function initWebSocket(server) {
         clearInterval(heartbeat);
     });
 
-    // Subscribe to WhatsApp events
-    setupWhatsAppEventForwarding();
+    // Relay inbox events from every channel
+    setupEventForwarding();
 
     return wss;
 }
 
 /**
- * Handle messages from WebSocket clients
+ * Forget a closed client ('error' and 'close' can both fire for one socket)
  */
-function handleClientMessage(clientId, message) {
+function removeClient(clientId) {
     const client = clients.get(clientId);
     if (!client) return;
 
+    clearTimeout(client.authTimer);
+    clients.delete(clientId);
+
+    // Admin users without an agent profile have no presence
+    if (client.agent?.id) {
+        agentDisconnected(client.agent.id);
+    }
+}
+
+/**
+ * Verify a client's JWT and attach the agent, closing the socket if invalid
+ */
+async function authenticateClient(clientId, token) {
+    const client = clients.get(clientId);
+    if (!client || client.agent) return;
+
+    let agent = null;
+    try {
+        agent = token ? await loadAgentFromToken(token) : null;
+    } catch (error) {
+        // Invalid or expired token
+    }
+
+    if (!agent) {
+        client.ws.close(CLOSE_UNAUTHORIZED, 'Invalid or expired token');
+        return;
+    }
+
+    client.agent = agent;
+    clearTimeout(client.authTimer);
+
+    if (agent.id) {
+        agentConnected(agent.id).catch(error =>
+            console.error(`Presence update failed for agent ${agent.id}:`, error.message)
+        );
+    }
+
+    sendToClient(clientId, {
+        type: 'connected',
+        clientId,
+        agent: { id: agent.uuid, firstName: agent.firstName, lastName: agent.lastName, role: agent.role },
+        message: 'Connected to Alteneiji Inbox WebSocket'
+    });
+}
+
+/**
+ * Handle messages from WebSocket clients
+ */
+async function handleClientMessage(clientId, message) {
+    let client = clients.get(clientId);
+    if (!client) return;
+
+    // Authentication still in progress - don't mistake the client for an anonymous one
+    if (!client.agent && client.pendingAuth) {
+        await client.pendingAuth;
+        client = clients.get(clientId);
+        if (!client) return;
+    }
+
+    // The first frame of a client without a query token must authenticate it
+    if (!client.agent) {
+        if (message.type === 'authenticate') {
+            client.pendingAuth = authenticateClient(clientId, message.token);
+            await client.pendingAuth;
+        } else {
+            client.ws.close(CLOSE_UNAUTHORIZED, 'Authentication required');
+        }
+        return;
+    }
+
+    // Anything but keep-alives counts as the agent being active
+    if (message.type !== 'ping' && client.agent.id) {
+        await recordActivity(client.agent.id);
+    }
+
     switch (message.type) {
         case 'authenticate':
-            // Authenticate user/agent
-            client.userId = message.userId;
-            client.agentId = message.agentId;
-            console.log(`Client ${clientId} authenticated as agent: ${message.agentId}`);
+            // Already authenticated (token query param)
+            break;
+
+        case 'activity':
+            // Sent by the inbox UI on user input so idle agents show as away
             break;
 
         case 'subscribe':
-            // Subscribe to specific channels/conversations
-            if (message.channels) {
-                client.subscribedChannels = message.channels;
-            }
+            await subscribeClient(clientId, message);
             break;
 
-        case 'typing':
-            // Broadcast typing indicator
-            broadcastToConversation(message.conversationId, {
-                type: 'typing',
-                conversationId: message.conversationId,
-                agentId: client.agentId,
-                isTyping: message.isTyping
-            }, clientId);
+        case 'unsubscribe':
+            (message.conversations || []).forEach(uuid => client.subscribedConversations.delete(uuid));
+            if ((message.channels || []).includes('*')) {
+                client.allChannels = false;
+            }
+            for (const uuid of message.channels || []) {
+                const channel = uuid === '*' ? null : await Channel.findByUuid(uuid);
+                if (channel) client.subscribedChannels.delete(channel.id);
+            }
             break;
 
-        case 'read':
-            // Mark conversation as read notification
-            broadcastToConversation(message.conversationId, {
-                type: 'read',
-                conversationId: message.conversationId,
-                agentId: client.agentId
+        case 'typing':
+        case 'read': {
+            // Only relayed for conversations the agent can see
+            const conversation = await Conversation.findByUuid(message.conversationId);
+            if (!conversation || !canAccessConversation(client.agent, conversation)) break;
+
+            broadcastToConversation(conversation, {
+                type: message.type,
+                conversationId: conversation.uuid,
+                agentId: client.agent.uuid,
+                ...(message.type === 'typing' ? { isTyping: message.isTyping } : {})
             }, clientId);
             break;
+        }
 
         case 'ping':
             client.ws.send(JSON.stringify({ type: 'pong', timestamp: Date.now() }));
@@ -139,87 +240,168 @@ function handleClientMessage(clientId, message) {
 }
 
 /**
- * Forward WhatsApp events to WebSocket clients
+ * Subscribe a client to conversations (UUIDs) and channels (UUIDs, or '*' for
+ * every channel); conversations the agent may not see are rejected
  */
-function setupWhatsAppEventForwarding() {
-    // New QR code
-    whatsappEvents.on('qr', (data) => {
-        broadcast({
-            type: 'whatsapp_qr',
-            channelId: data.channelId,
-            qrCode: data.qr
-        });
-    });
+async function subscribeClient(clientId, message) {
+    const client = clients.get(clientId);
+    const accepted = { conversations: [], channels: [] };
+    const rejected = { conversations: [], channels: [] };
+
+    for (const uuid of message.conversations || []) {
+        const conversation = await Conversation.findByUuid(uuid);
+        if (conversation && canAccessConversation(client.agent, conversation)) {
+            client.subscribedConversations.add(conversation.uuid);
+            accepted.conversations.push(uuid);
+        } else {
+            rejected.conversations.push(uuid);
+        }
+    }
 
-    // WhatsApp connected
-    whatsappEvents.on('ready', (data) => {
-        broadcast({
-            type: 'whatsapp_ready',
-            channelId: data.channelId,
-            info: data.info
-        });
-    });
+    for (const uuid of message.channels || []) {
+        if (uuid === '*') {
+            client.allChannels = true;
+            accepted.channels.push(uuid);
+            continue;
+        }
 
+        const channel = await Channel.findByUuid(uuid);
+        if (channel) {
+            client.subscribedChannels.add(channel.id);
+            accepted.channels.push(uuid);
+        } else {
+            rejected.channels.push(uuid);
+        }
+    }
+
+    sendToClient(clientId, { type: 'subscribed', ...accepted, rejected });
+}
+
+/**
+ * Whether a client follows a channel
+ */
+function isSubscribedToChannel(client, channelId) {
+    return client.allChannels || client.subscribedChannels.has(channelId);
+}
+
+/**
+ * Forward inbox events from the event bus to WebSocket clients,
+ * whatever platform they came from
+ */
+function setupEventForwarding() {
     // New message received
-    whatsappEvents.on('message', (data) => {
-        broadcast({
+    inboxEvents.on('new_message', (event) => {
+        broadcastToConversation(event.conversationId, {
             type: 'new_message',
-            channelId: data.channelId,
-            conversationId: data.conversationId,
-            message: data.message
+            platform: event.platform,
+            channelId: event.channelId,
+            conversationId: event.conversationId,
+            message: event.message
         });
     });
 
     // New conversation created
-    whatsappEvents.on('new_conversation', (data) => {
-        broadcast({
+    inboxEvents.on('new_conversation', (event) => {
+        broadcastToConversation(event.conversation, {
             type: 'new_conversation',
-            channelId: data.channelId,
-            conversation: data.conversation
+            platform: event.platform,
+            channelId: event.channelId,
+            conversation: event.conversation
         });
     });
 
-    // WhatsApp disconnected
-    whatsappEvents.on('disconnected', (data) => {
-        broadcast({
-            type: 'whatsapp_disconnected',
-            channelId: data.channelId,
-            reason: data.reason
+    // Delivery/read receipts
+    inboxEvents.on('status_update', (event) => {
+        broadcastToConversation(event.conversationId, {
+            type: 'status_update',
+            platform: event.platform,
+            channelId: event.channelId,
+            conversationId: event.conversationId,
+            messageId: event.messageId,
+            externalId: event.externalId,
+            status: event.status
         });
     });
 
-    // Auth failure
-    whatsappEvents.on('auth_failure', (data) => {
-        broadcast({
-            type: 'whatsapp_auth_failure',
-            channelId: data.channelId,
-            message: data.message
+    // Reactions
+    inboxEvents.on('message_update', (event) => {
+        broadcastToConversation(event.conversationId, {
+            type: 'message_update',
+            platform: event.platform,
+            channelId: event.channelId,
+            conversationId: event.conversationId,
+            message: event.message
         });
     });
+
+    // Everything else the inbox shows live (assignments, queue, SLA, presence, ...)
+    inboxEvents.on('inbox_update', (event) => {
+        notifyInboxUpdate(event.updateType, event.data);
+    });
+
+    // Connection changes (QR codes included) - only for agents who manage channels
+    inboxEvents.on('channel_status', (event) => {
+        const { timestamp, ...payload } = event;
+        broadcastToChannel(event.channelId, payload);
+    });
 }
 
 /**
- * Broadcast message to all connected clients
+ * Broadcast message to all authenticated clients
  */
 export function broadcast(message) {
     const msgString = JSON.stringify(message);
 
     clients.forEach((client) => {
-        if (client.ws.readyState === 1) { // WebSocket.OPEN
+        if (client.agent && client.ws.readyState === 1) { // WebSocket.OPEN
             client.ws.send(msgString);
         }
     });
 }
 
 /**
- * Broadcast to clients subscribed to a specific conversation
+ * Broadcast to clients subscribed to a conversation (directly or through its
+ * channel) that are allowed to see it
+ * @param {Object|string} conversation - Conversation row or UUID
+ * @param {Object} message - Event payload
+ * @param {string} excludeClientId - Client that caused the event
  */
-export function broadcastToConversation(conversationId, message, excludeClientId = null) {
+export async function broadcastToConversation(conversation, message, excludeClientId = null) {
+    try {
+        if (typeof conversation === 'string') {
+            conversation = await Conversation.findByUuid(conversation);
+        }
+        if (!conversation) return;
+
+        const msgString = JSON.stringify(message);
+
+        clients.forEach((client, clientId) => {
+            if (clientId === excludeClientId || !client.agent) return;
+            if (client.ws.readyState !== 1) return;
+
+            const subscribed = client.subscribedConversations.has(conversation.uuid) ||
+                isSubscribedToChannel(client, conversation.channel_id);
+
+            if (subscribed && canAccessConversation(client.agent, conversation)) {
+                client.ws.send(msgString);
+            }
+        });
+    } catch (error) {
+        console.error('WebSocket conversation broadcast failed:', error.message);
+    }
+}
+
+/**
+ * Broadcast channel events (QR codes, connection state) to subscribed
+ * clients that manage channels
+ */
+export function broadcastToChannel(channelId, message) {
     const msgString = JSON.stringify(message);
 
-    clients.forEach((client, clientId) => {
-        if (clientId === excludeClientId) return;
-        if (client.ws.readyState === 1) {
+    clients.forEach((client) => {
+        if (!client.agent || client.ws.readyState !== 1) return;
+
+        if (isSubscribedToChannel(client, channelId) && agentCan(client.agent, 'manageChannels')) {
             client.ws.send(msgString);
         }
     });
@@ -235,6 +417,26 @@ export function sendToClient(clientId, message) {
     }
 }
 
+/**
+ * Send message to every connection of one agent (all their tabs/devices)
+ * @param {number} agentId - Agent ID
+ * @param {Object} message - Event payload
+ * @returns {number} Number of connections reached
+ */
+export function sendToAgent(agentId, message) {
+    const msgString = JSON.stringify(message);
+    let sent = 0;
+
+    clients.forEach((client) => {
+        if (client.agent?.id === agentId && client.ws.readyState === 1) {
+            client.ws.send(msgString);
+            sent++;
+        }
+    });
+
+    return sent;
+}
+
 /**
  * Get connected clients count
  */
@@ -250,21 +452,31 @@ function generateClientId() {
 }
 
 /**
- * Notify inbox update (call from message routes)
+ * Notify inbox update (services publish these through the event bus -
+ * publishInboxUpdate - so they work without ws installed)
  */
 export function notifyInboxUpdate(type, data) {
-    broadcast({
+    const message = {
         type: `inbox_${type}`,
         ...data,
         timestamp: Date.now()
-    });
+    };
+
+    // Conversation updates only reach agents who can see the conversation
+    if (data.conversationId) {
+        broadcastToConversation(data.conversationId, message);
+    } else {
+        broadcast(message);
+    }
 }
 
 export default {
     initWebSocket,
     broadcast,
     broadcastToConversation,
+    broadcastToChannel,
     sendToClient,
+    sendToAgent,
     getClientsCount,
     notifyInboxUpdate
 };
@@ -7,19 +7,34 @@
  * npm install whatsapp-web.js qrcode-terminal
  */
 
-import { EventEmitter } from 'events';
 import { Channel } from '../models/Channel.js';
 import { Conversation } from '../models/Conversation.js';
 import { Message } from '../models/Message.js';
+import { saveInboundMedia } from './mediaStorage.js';
+import { autoAssign } from './assignment.js';
+import { linkConversation } from './contacts.js';
+import { startBotIfEnabled } from './bot.js';
+import {
+    describeQuote,
+    applyReaction,
+    normalizeLocation,
+    describeLocation,
+    parseVCard,
+    describeContacts
+} from './richMessages.js';
+import {
+    publishNewMessage,
+    publishNewConversation,
+    publishStatusUpdate,
+    publishMessageUpdate,
+    publishChannelStatus
+} from './eventBus.js';
 
 // Store active WhatsApp clients
 const clients = new Map();
 const qrCodes = new Map();
 const clientStatus = new Map();
 
-// Event emitter for real-time updates
-export const whatsappEvents = new EventEmitter();
-
 /**
  * Initialize WhatsApp client for a channel
  * @param {number} channelId - Channel database ID
@@ -80,8 +95,8 @@ export async function initializeClient(channelId) {
             // Update channel status
             await Channel.updateStatus(channel.id, 'pending');
 
-            // Emit event for real-time updates
-            whatsappEvents.emit('qr', { channelId, qr });
+            // Publish for real-time updates
+            publishChannelStatus({ platform: 'whatsapp', channelId, status: 'qr', qr });
         });
 
         // Ready event
@@ -100,7 +115,7 @@ export async function initializeClient(channelId) {
                 phoneNumber: info?.wid?.user || 'unknown'
             });
 
-            whatsappEvents.emit('ready', { channelId, info });
+            publishChannelStatus({ platform: 'whatsapp', channelId, status: 'ready', info });
         });
 
         // Authentication failure
@@ -108,16 +123,16 @@ export async function initializeClient(channelId) {
             console.error(`Auth failure for channel ${channelId}:`, message);
             clientStatus.set(channelId, 'auth_failed');
             await Channel.updateStatus(channel.id, 'error');
-            whatsappEvents.emit('auth_failure', { channelId, message });
+            publishChannelStatus({ platform: 'whatsapp', channelId, status: 'auth_failure', message });
         });
 
-        // Disconnected
+        // Disconnected - the supervisor reconnects (or asks for a QR scan after a
+        // logout), so the client stays registered for destroyClient to close its
+        // browser and the channel stays active for restoring after a restart
         client.on('disconnected', async (reason) => {
             console.log(`WhatsApp disconnected for channel ${channelId}:`, reason);
             clientStatus.set(channelId, 'disconnected');
-            clients.delete(channelId);
-            await Channel.updateStatus(channel.id, 'disconnected');
-            whatsappEvents.emit('disconnected', { channelId, reason });
+            publishChannelStatus({ platform: 'whatsapp', channelId, status: 'disconnected', reason });
         });
 
         // Incoming message
@@ -131,21 +146,60 @@ export async function initializeClient(channelId) {
 
         // Message acknowledgment (sent, delivered, read)
         client.on('message_ack', async (msg, ack) => {
+            // Only our own messages carry delivery receipts
+            if (!msg.fromMe) return;
+
             const ackStatus = {
-                0: 'pending',
+                '-1': 'failed',
                 1: 'sent',
                 2: 'delivered',
                 3: 'read',
-                4: 'played' // for audio
+                4: 'read' // played (voice notes)
             };
 
+            const status = ackStatus[ack];
+            if (!status) return;
+
             try {
-                await Message.updateStatusByExternalId(msg.id._serialized, ackStatus[ack] || 'sent');
+                const message = await Message.updateStatusByExternalId(msg.id._serialized, status);
+
+                if (message) {
+                    publishStatusUpdate({
+                        platform: 'whatsapp',
+                        channelId,
+                        conversationId: message.conversation_uuid,
+                        messageId: message.uuid,
+                        externalId: message.external_id,
+                        status
+                    });
+                }
             } catch (error) {
                 console.error('Error updating message ack:', error);
             }
         });
 
+        // Reactions (added, changed or removed) to any message of a chat
+        client.on('message_reaction', async (reaction) => {
+            try {
+                const message = await applyReaction(reaction.msgId?._serialized, {
+                    from: reaction.senderId,
+                    fromMe: Boolean(reaction.id?.fromMe),
+                    emoji: reaction.reaction
+                });
+
+                if (message) {
+                    publishMessageUpdate({
+                        platform: 'whatsapp',
+                        channelId,
+                        conversationId: message.conversation_uuid,
+                        message
+                    });
+                }
+            } catch (error) {
+                console.error('Error handling message reaction:', error);
+            }
+        });
+
         // Initialize client
         await client.initialize();
 
@@ -183,24 +237,20 @@ async function handleIncomingMessage(channelId, msg) {
             contactPhone: msg.from.replace('@c.us', ''),
             contactAvatar: await contact.getProfilePicUrl() || null
         });
+        await linkConversation(conversation);
+        conversation = await startBotIfEnabled(conversation);
+        conversation = await autoAssign(conversation);
 
-        whatsappEvents.emit('new_conversation', { channelId, conversation });
+        publishNewConversation({ platform: 'whatsapp', channelId, conversation });
     }
 
     // Determine message type
-    let contentType = 'text';
-    let mediaUrl = null;
-    let content = msg.body;
-
-    if (msg.hasMedia) {
-        const media = await msg.downloadMedia();
-        if (media) {
-            contentType = msg.type; // image, video, audio, document
-            // In production, save media to storage and get URL
-            mediaUrl = `data:${media.mimetype};base64,${media.data}`;
-            content = media.filename || `[${msg.type}]`;
-        }
-    }
+    const metadata = {
+        timestamp: msg.timestamp,
+        from: msg.from,
+        type: msg.type
+    };
+    const { content, contentType, mediaUrl } = await describeMessage(msg, metadata);
 
     // Save message
     const message = await Message.create({
@@ -210,26 +260,140 @@ async function handleIncomingMessage(channelId, msg) {
         contentType,
         mediaUrl,
         externalId: msg.id._serialized,
-        metadata: {
-            timestamp: msg.timestamp,
-            from: msg.from,
-            type: msg.type
-        }
+        metadata
     });
 
     // Update conversation
     await Conversation.newMessage(conversation.id, content.substring(0, 100));
 
-    // Emit event for real-time updates
-    whatsappEvents.emit('message', {
+    // Publish for real-time updates
+    publishNewMessage({
+        platform: 'whatsapp',
         channelId,
         conversationId: conversation.uuid,
         message
     });
 }
 
+/**
+ * Work out what to store for a whatsapp-web.js message: media is saved to
+ * uploads/inbox/, locations, contact cards, stickers and the message a reply
+ * quotes are described in metadata
+ * @param {Object} msg - whatsapp-web.js message
+ * @param {Object} metadata - Message metadata (rich message details are added)
+ * @returns {Promise<Object>} { content, contentType, mediaUrl }
+ */
+async function describeMessage(msg, metadata) {
+    let contentType = 'text';
+    let content = msg.body;
+    let mediaUrl = null;
+
+    if (msg.hasQuotedMsg) {
+        metadata.replyTo = await describeQuotedMessage(msg);
+    }
+
+    if (msg.type === 'location' && msg.location) {
+        // The body of a location message is its map thumbnail
+        const location = parseLocation(msg.location);
+        if (location) {
+            metadata.location = location;
+            return { content: describeLocation(location), contentType: 'location', mediaUrl };
+        }
+    }
+
+    if (msg.type === 'vcard' || msg.type === 'multi_vcard') {
+        const cards = msg.vCards?.length > 0 ? msg.vCards : [msg.body];
+        metadata.contacts = cards.map(parseVCard);
+        return { content: describeContacts(metadata.contacts), contentType: 'contact', mediaUrl };
+    }
+
+    if (msg.hasMedia) {
+        const stored = await storeMessageMedia(msg, metadata);
+        contentType = stored?.contentType || (msg.type === 'sticker' ? 'image' : 'document');
+        mediaUrl = stored?.url || null;
+        content = msg.body || stored?.media.original_name || `[${msg.type}]`;
+
+        if (msg.type === 'sticker') {
+            metadata.sticker = {};
+            content = msg.body || '[sticker]';
+        }
+    }
+
+    return { content, contentType, mediaUrl };
+}
+
+/**
+ * replyTo metadata of a message that quotes another one
+ */
+async function describeQuotedMessage(msg) {
+    let quoted = null;
+    try {
+        quoted = await msg.getQuotedMessage();
+    } catch (error) {
+        console.warn('Could not load quoted WhatsApp message:', error.message);
+    }
+
+    const externalId = quoted?.id?._serialized || msg._data?.quotedStanzaID || null;
+
+    return describeQuote(externalId, quoted ? {
+        content: quoted.type === 'location' || quoted.type === 'vcard' ? `[${quoted.type}]` : (quoted.body || `[${quoted.type}]`),
+        contentType: quoted.type === 'chat' ? 'text' : quoted.type,
+        fromMe: quoted.fromMe
+    } : {});
+}
+
+/**
+ * location metadata of a whatsapp-web.js Location (older versions only
+ * have a "name\naddress" description)
+ */
+function parseLocation(location) {
+    const [descriptionName, ...descriptionAddress] = (location.description || '').split('\n');
+
+    return normalizeLocation({
+        latitude: location.latitude,
+        longitude: location.longitude,
+        name: location.name || descriptionName || null,
+        address: location.address || descriptionAddress.join(', ') || null,
+        url: location.url || null
+    });
+}
+
+/**
+ * Download a message's media and save it to uploads/inbox/
+ * Failures are recorded in metadata so the message itself is never lost
+ * @param {Object} msg - whatsapp-web.js message
+ * @param {Object} metadata - Message metadata (mediaId/mediaError are added)
+ * @returns {Promise<Object|null>} Stored media info or null
+ */
+async function storeMessageMedia(msg, metadata) {
+    try {
+        const media = await msg.downloadMedia();
+        if (!media) {
+            metadata.mediaError = 'Media no longer available on the device';
+            return null;
+        }
+
+        const stored = await saveInboundMedia({
+            buffer: Buffer.from(media.data, 'base64'),
+            mimeType: media.mimetype,
+            filename: media.filename,
+            source: 'whatsapp'
+        });
+
+        metadata.mediaId = stored.media.uuid;
+        metadata.mimeType = stored.mimeType;
+        return stored;
+    } catch (error) {
+        console.error('Error storing WhatsApp media:', error.message);
+        metadata.mediaError = error.message;
+        return null;
+    }
+}
+
 /**
  * Send message via WhatsApp
+ * @param {Object} options - { mediaUrl, quotedMessageId (WhatsApp ID of the message
+ *   replied to), location ({ latitude, longitude, name, address }), vcard (contact card) }
  */
 export async function sendMessage(channelId, to, content, options = {}) {
     const client = clients.get(channelId);
@@ -243,15 +407,28 @@ export async function sendMessage(channelId, to, content, options = {}) {
         const chatId = to.includes('@c.us') ? to : `${to.replace(/\D/g, '')}@c.us`;
 
         let msg;
-
-        if (options.mediaUrl) {
+        const sendOptions = options.quotedMessageId ? { quotedMessageId: options.quotedMessageId } : {};
+
+        if (options.location) {
+            // Send location pin
+            const { Location } = await import('whatsapp-web.js');
+            const { latitude, longitude, name, address } = options.location;
+            const location = new Location(latitude, longitude, {
+                ...(name ? { name } : {}),
+                ...(address ? { address } : {})
+            });
+            msg = await client.sendMessage(chatId, location, sendOptions);
+        } else if (options.vcard) {
+            // Send contact card
+            msg = await client.sendMessage(chatId, options.vcard, { ...sendOptions, parseVCards: true });
+        } else if (options.mediaUrl) {
             // Send media message
             const { MessageMedia } = await import('whatsapp-web.js');
             const media = await MessageMedia.fromUrl(options.mediaUrl);
-            msg = await client.sendMessage(chatId, media, { caption: content });
+            msg = await client.sendMessage(chatId, media, { ...sendOptions, caption: content });
         } else {
             // Send text message
-            msg = await client.sendMessage(chatId, content);
+            msg = await client.sendMessage(chatId, content, sendOptions);
         }
 
         return {
@@ -306,6 +483,57 @@ export async function disconnectClient(channelId) {
     return { success: false, message: 'Client not found' };
 }
 
+/**
+ * Destroy a client without changing the channel's status
+ * (used when reconnecting and on shutdown - the session stays on disk)
+ */
+export async function destroyClient(channelId) {
+    const client = clients.get(channelId);
+
+    clients.delete(channelId);
+    clientStatus.delete(channelId);
+    qrCodes.delete(channelId);
+
+    if (client) {
+        try {
+            await client.destroy();
+        } catch (error) {
+            console.warn(`Error destroying WhatsApp client for channel ${channelId}:`, error.message);
+        }
+    }
+}
+
+/**
+ * Destroy every client (server shutdown)
+ */
+export async function destroyAllClients() {
+    await Promise.all([...clients.keys()].map(channelId => destroyClient(channelId)));
+}
+
+/**
+ * Ask WhatsApp Web for the connection state of a client
+ * @param {number} channelId - Channel database ID
+ * @param {number} timeoutMs - Give up after this long (a hung browser never answers)
+ * @returns {Promise<string>} whatsapp-web.js state (CONNECTED, UNPAIRED, ...) or
+ *   NOT_INITIALIZED / TIMEOUT
+ */
+export async function checkClientHealth(channelId, timeoutMs = 15000) {
+    const client = clients.get(channelId);
+    if (!client) return 'NOT_INITIALIZED';
+
+    let timer;
+    const timeout = new Promise(resolve => {
+        timer = setTimeout(() => resolve('TIMEOUT'), timeoutMs);
+    });
+
+    try {
+        const state = await Promise.race([client.getState(), timeout]);
+        return state || 'UNKNOWN';
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
 /**
  * Get all active clients
  */
@@ -337,33 +565,46 @@ export async function syncMessages(channelId, conversationId, limit = 50) {
         const messages = await chat.fetchMessages({ limit });
 
         let synced = 0;
+        let backfilled = 0;
 
         for (const msg of messages) {
             // Check if message already exists
             const existing = await Message.findByExternalId(msg.id._serialized);
-            if (existing) continue;
 
-            let contentType = 'text';
-            let content = msg.body;
-
-            if (msg.hasMedia) {
-                contentType = msg.type;
-                content = `[${msg.type}]`;
+            if (existing) {
+                // Back-fill media for messages stored before media was persisted
+                if (msg.hasMedia && (!existing.media_url || existing.media_url.startsWith('data:'))) {
+                    const metadata = {};
+                    const stored = await storeMessageMedia(msg, metadata);
+                    if (stored) {
+                        await Message.updateMedia(existing.id, {
+                            mediaUrl: stored.url,
+                            contentType: stored.contentType,
+                            metadata
+                        });
+                        backfilled++;
+                    }
+                }
+                continue;
             }
 
+            const metadata = { timestamp: msg.timestamp };
+            const { content, contentType, mediaUrl } = await describeMessage(msg, metadata);
+
             await Message.create({
                 conversationId: conversation.id,
                 direction: msg.fromMe ? 'outgoing' : 'incoming',
                 content,
                 contentType,
+                mediaUrl,
                 externalId: msg.id._serialized,
-                metadata: { timestamp: msg.timestamp }
+                metadata
             });
 
             synced++;
         }
 
-        return { success: true, synced };
+        return { success: true, synced, backfilled };
 
     } catch (error) {
         console.error('Error syncing messages:', error);
@@ -377,7 +618,9 @@ export default {
     getQRCode,
     getClientStatus,
     disconnectClient,
+    destroyClient,
+    destroyAllClients,
+    checkClientHealth,
     getActiveClients,
-    syncMessages,
-    whatsappEvents
+    syncMessages
 };
@@ -0,0 +1,294 @@
+/**
+ * WhatsApp Session Supervisor
+ * Restores saved WhatsApp Web sessions (./whatsapp-sessions) when the server
+ * starts, health-checks connected clients and reconnects them with backoff.
+ * Channels whose session is gone are flagged as needing a fresh QR scan.
+ */
+
+import { Channel } from '../models/Channel.js';
+import * as whatsappService from './whatsapp.js';
+import { inboxEvents, publishChannelStatus } from './eventBus.js';
+
+const HEALTH_CHECK_INTERVAL = parseInt(process.env.WHATSAPP_HEALTH_CHECK_INTERVAL) || 60 * 1000;
+const RECONNECT_BASE_DELAY = 5 * 1000;
+const RECONNECT_MAX_DELAY = 5 * 60 * 1000;
+const MAX_RECONNECT_ATTEMPTS = parseInt(process.env.WHATSAPP_MAX_RECONNECT_ATTEMPTS) || 10;
+
+// Disconnect reasons / client states meaning the phone unlinked the session
+const LOGGED_OUT = ['LOGOUT', 'UNPAIRED', 'UNPAIRED_IDLE'];
+
+// Supervised channels: channelId -> { channelId, state, attempts, nextRetryAt, lastError, ... }
+// state: restoring, connecting, waiting_for_scan, connected, reconnecting, needs_qr, failed
+const sessions = new Map();
+const reconnectTimers = new Map();
+
+let healthTimer = null;
+let running = false;
+let checking = false;
+
+function setState(channelId, state, details = {}) {
+    const entry = {
+        ...(sessions.get(channelId) || { channelId, attempts: 0, lastError: null, nextRetryAt: null }),
+        ...details,
+        state,
+        updatedAt: new Date().toISOString()
+    };
+    sessions.set(channelId, entry);
+    return entry;
+}
+
+function clearReconnect(channelId) {
+    clearTimeout(reconnectTimers.get(channelId));
+    reconnectTimers.delete(channelId);
+}
+
+/**
+ * Start a client; failures go through the reconnect backoff
+ */
+async function connect(channelId, state) {
+    setState(channelId, state);
+
+    try {
+        await whatsappService.initializeClient(channelId);
+    } catch (error) {
+        console.error(`WhatsApp channel ${channelId} failed to start:`, error.message);
+        await whatsappService.destroyClient(channelId);
+        scheduleReconnect(channelId, error.message);
+    }
+}
+
+/**
+ * Retry a channel after an exponentially growing delay
+ */
+function scheduleReconnect(channelId, reason) {
+    const entry = sessions.get(channelId);
+    if (!running || !entry || entry.state === 'needs_qr') return;
+
+    clearReconnect(channelId);
+    const attempts = entry.attempts + 1;
+
+    if (attempts > MAX_RECONNECT_ATTEMPTS) {
+        setState(channelId, 'failed', { attempts, lastError: reason, nextRetryAt: null });
+        Channel.updateStatus(channelId, 'error').catch(() => {});
+        publishChannelStatus({ platform: 'whatsapp', channelId, status: 'failed', reason });
+        console.error(`WhatsApp channel ${channelId}: giving up after ${MAX_RECONNECT_ATTEMPTS} reconnect attempts`);
+        return;
+    }
+
+    const delay = Math.min(RECONNECT_BASE_DELAY * 2 ** (attempts - 1), RECONNECT_MAX_DELAY);
+    setState(channelId, 'reconnecting', {
+        attempts,
+        lastError: reason,
+        nextRetryAt: new Date(Date.now() + delay).toISOString()
+    });
+
+    console.log(`WhatsApp channel ${channelId}: reconnecting in ${Math.round(delay / 1000)}s (attempt ${attempts})`);
+
+    reconnectTimers.set(channelId, setTimeout(async () => {
+        reconnectTimers.delete(channelId);
+        await whatsappService.destroyClient(channelId);
+        await connect(channelId, 'reconnecting');
+    }, delay));
+}
+
+/**
+ * The saved session is gone - stop the browser and wait for someone to scan a QR code
+ */
+async function markNeedsQr(channelId, reason) {
+    clearReconnect(channelId);
+    setState(channelId, 'needs_qr', { lastError: reason, nextRetryAt: null });
+
+    await whatsappService.destroyClient(channelId);
+    await Channel.updateStatus(channelId, 'pending').catch(() => {});
+
+    publishChannelStatus({ platform: 'whatsapp', channelId, status: 'needs_qr', reason });
+    console.warn(`WhatsApp channel ${channelId} needs a new QR scan: ${reason}`);
+}
+
+/**
+ * Track every WhatsApp connection change, whoever started the client
+ */
+function handleChannelStatus(event) {
+    if (event.platform !== 'whatsapp' || !running) return;
+
+    const { channelId } = event;
+    const entry = sessions.get(channelId);
+
+    switch (event.status) {
+        case 'ready':
+            clearReconnect(channelId);
+            setState(channelId, 'connected', { attempts: 0, lastError: null, nextRetryAt: null });
+            break;
+
+        case 'qr':
+            // A QR code while restoring means the stored session was rejected
+            if (entry && ['restoring', 'reconnecting'].includes(entry.state)) {
+                markNeedsQr(channelId, 'Saved session expired').catch(() => {});
+            } else {
+                setState(channelId, 'waiting_for_scan');
+            }
+            break;
+
+        case 'auth_failure':
+            markNeedsQr(channelId, event.message || 'Authentication failed').catch(() => {});
+            break;
+
+        case 'disconnected':
+            if (LOGGED_OUT.includes(event.reason)) {
+                markNeedsQr(channelId, `Logged out (${event.reason})`).catch(() => {});
+            } else if (entry) {
+                scheduleReconnect(channelId, `Disconnected (${event.reason})`);
+            } else {
+                // Not supervised (released) - just close the browser
+                whatsappService.destroyClient(channelId).catch(() => {});
+            }
+            break;
+    }
+}
+
+/**
+ * Check every connected client still answers and is linked
+ */
+export async function runHealthChecks() {
+    if (checking) return;
+    checking = true;
+
+    try {
+        for (const entry of [...sessions.values()]) {
+            if (entry.state !== 'connected') continue;
+
+            const { channelId } = entry;
+            let state;
+            try {
+                state = await whatsappService.checkClientHealth(channelId);
+            } catch (error) {
+                state = `ERROR: ${error.message}`;
+            }
+
+            setState(channelId, 'connected', { lastHealthCheckAt: new Date().toISOString(), lastHealthState: state });
+
+            if (state === 'CONNECTED') continue;
+
+            if (LOGGED_OUT.includes(state)) {
+                await markNeedsQr(channelId, `Logged out (${state})`);
+            } else if (state === 'NOT_INITIALIZED' && !(await Channel.findById(channelId))) {
+                releaseChannel(channelId);
+            } else {
+                await whatsappService.destroyClient(channelId);
+                scheduleReconnect(channelId, `Health check failed (${state})`);
+            }
+        }
+    } finally {
+        checking = false;
+    }
+}
+
+/**
+ * Restore every channel that was connected before the restart
+ * (one at a time - each client runs its own browser)
+ */
+async function restoreSessions() {
+    const channels = await Channel.findAll({ platform: 'whatsapp', status: 'active' });
+
+    if (channels.length > 0) {
+        console.log(`Restoring ${channels.length} WhatsApp session(s)...`);
+    }
+
+    for (const channel of channels) {
+        if (!running) return;
+        await connect(channel.id, 'restoring');
+    }
+}
+
+/**
+ * Start supervising WhatsApp sessions (called from startServer)
+ */
+export async function startWhatsAppSupervisor() {
+    if (running) return;
+
+    try {
+        await import('whatsapp-web.js');
+    } catch (error) {
+        console.log('ℹ️  WhatsApp supervisor not started (whatsapp-web.js not installed)');
+        return;
+    }
+
+    running = true;
+    inboxEvents.on('channel_status', handleChannelStatus);
+    healthTimer = setInterval(() => {
+        runHealthChecks().catch(error => console.error('WhatsApp health check failed:', error.message));
+    }, HEALTH_CHECK_INTERVAL);
+
+    // Don't hold up the HTTP server while browsers start
+    restoreSessions().catch(error => console.error('Error restoring WhatsApp sessions:', error.message));
+
+    console.log('✅ WhatsApp session supervisor started');
+}
+
+/**
+ * Stop supervising and close every client (sessions stay on disk)
+ */
+export async function stopWhatsAppSupervisor() {
+    running = false;
+    inboxEvents.off('channel_status', handleChannelStatus);
+
+    if (healthTimer) {
+        clearInterval(healthTimer);
+        healthTimer = null;
+    }
+    for (const channelId of reconnectTimers.keys()) {
+        clearReconnect(channelId);
+    }
+
+    await whatsappService.destroyAllClients();
+}
+
+/**
+ * Reconnect a channel now (e.g. after it was flagged for a QR scan)
+ */
+export async function reconnectChannel(channelId) {
+    clearReconnect(channelId);
+    setState(channelId, 'connecting', { attempts: 0, lastError: null, nextRetryAt: null });
+
+    await whatsappService.destroyClient(channelId);
+    await connect(channelId, 'connecting');
+    return sessions.get(channelId);
+}
+
+/**
+ * Stop supervising a channel (disconnected or deleted on purpose)
+ */
+export function releaseChannel(channelId) {
+    clearReconnect(channelId);
+    sessions.delete(channelId);
+}
+
+/**
+ * Supervisor state of one channel
+ * @returns {Object|null} Session entry with needsQr flag
+ */
+export function getChannelSession(channelId) {
+    const entry = sessions.get(channelId);
+    return entry ? { ...entry, needsQr: entry.state === 'needs_qr' } : null;
+}
+
+/**
+ * Supervisor state of every channel
+ */
+export function getSupervisorState() {
+    return {
+        running,
+        healthCheckInterval: HEALTH_CHECK_INTERVAL,
+        sessions: [...sessions.keys()].map(getChannelSession)
+    };
+}
+
+export default {
+    startWhatsAppSupervisor,
+    stopWhatsAppSupervisor,
+    runHealthChecks,
+    reconnectChannel,
+    releaseChannel,
+    getChannelSession,
+    getSupervisorState
+};
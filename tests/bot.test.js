@@ -0,0 +1,35 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../config/database.js';
+import { isHumanRequest } from '../services/bot.js';
+
+after(() => db.closePool());
+
+test('customers asking for a person are handed off', () => {
+    for (const text of [
+        'Can I talk to an agent please?',
+        'I want to speak with a real person',
+        'human agent',
+        'Please connect me to your sales team',
+        'call me on this number',
+        'أريد التحدث مع موظف',
+        'ممكن أكلم شخص حقيقي؟',
+        'أبي ممثل خدمة العملاء'
+    ]) {
+        assert.equal(isHumanRequest(text), true, text);
+    }
+});
+
+test('trade messages mentioning agents or people are not handed off', () => {
+    for (const text of [
+        'Our agent in Oman will collect the goods',
+        'Please send the documents to our shipping agent',
+        'We are a customs clearing agent in Jebel Ali',
+        'How many cartons per person can you ship?',
+        'الشحنة عند الوكيل في عمان',
+        'كل شخص يحتاج كرتونين',
+        'What is the price of 20 tons of rice?'
+    ]) {
+        assert.equal(isHumanRequest(text), false, text);
+    }
+});
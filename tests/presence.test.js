@@ -0,0 +1,85 @@
+import { test, beforeEach, afterEach, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../config/database.js';
+import { Agent } from '../models/Agent.js';
+import { Conversation } from '../models/Conversation.js';
+import { trackAgentActivity } from '../middleware/auth.js';
+import { agentConnected, describePresence, startPresenceTracking, stopPresenceTracking } from '../services/presence.js';
+
+const MINUTE = 60 * 1000;
+
+// Let the presence sweep's database calls (mocked) settle
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+async function wait(ms) {
+    mock.timers.tick(ms);
+    for (let i = 0; i < 10; i++) await settle();
+}
+
+function request(method, agentId) {
+    const next = mock.fn();
+    trackAgentActivity({ method, agent: { id: agentId } }, {}, next);
+    assert.equal(next.mock.callCount(), 1);
+}
+
+let findUnattended;
+
+// Every test starts with presence tracking running and one agent connected
+async function connect(agentId) {
+    await agentConnected(agentId);
+    await settle();
+}
+
+beforeEach(async () => {
+    mock.method(Agent, 'resetPresence', async () => {});
+    mock.method(Agent, 'findById', async id => ({ id, uuid: `agent-${id}`, presence: 'offline', manual_presence: null }));
+    mock.method(Agent, 'setPresence', async () => {});
+    mock.method(Agent, 'touchActivity', async () => {});
+    findUnattended = mock.method(Conversation, 'findUnattended', async () => []);
+    mock.method(Conversation, 'findAwaitingAssignment', async () => []);
+    mock.timers.enable({ apis: ['setInterval', 'setTimeout', 'Date'] });
+
+    await startPresenceTracking();
+});
+
+afterEach(() => {
+    stopPresenceTracking();
+    mock.timers.reset();
+    mock.restoreAll();
+});
+
+after(() => db.closePool());
+
+test('an agent replying through the inbox API stays online', async () => {
+    const agentId = 7;
+    await connect(agentId);
+
+    // Half an hour of replies, no WebSocket frames besides the connection
+    for (let minute = 0; minute < 30; minute++) {
+        await wait(MINUTE);
+        request('POST', agentId);
+    }
+    await wait(MINUTE);
+
+    assert.equal(describePresence({ id: agentId }).presence, 'online');
+    assert.equal(findUnattended.mock.callCount(), 0);
+
+    // Once they stop, they go away and their unanswered conversations move on
+    await wait(15 * MINUTE);
+
+    assert.equal(describePresence({ id: agentId }).presence, 'away');
+    assert.equal(findUnattended.mock.callCount(), 1);
+});
+
+test('reading the inbox does not count as activity', async () => {
+    const agentId = 8;
+    await connect(agentId);
+
+    const connectedAt = describePresence({ id: agentId }).lastActivityAt;
+    await wait(MINUTE);
+
+    request('GET', agentId);
+    await settle();
+
+    assert.deepEqual(describePresence({ id: agentId }).lastActivityAt, connectedAt);
+});